@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark for interaction writes to Neo4j
+ * Writes the same synthetic interactions three ways and reports throughput:
+ * one statement per node and relationship (how GraphNeo4jService used to save),
+ * one batched transaction (saveInteractions), and the write-behind queue the
+ * request path uses. Needs the VITE_NEO4J_* settings; every node it creates is
+ * deleted afterwards.
+ *
+ *   npm run bench:neo4j -- --interactions 20 --actions 25 --violations 3
+ */
+
+import { createServer } from 'vite';
+
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index > -1 ? Number(process.argv[index + 1]) : fallback;
+}
+
+const INTERACTIONS = option('interactions', 20);
+const ACTIONS = option('actions', 25);
+const VIOLATIONS = option('violations', 3);
+const RUN_ID = `bench_${Date.now()}`;
+
+function makeInteractions(label) {
+  return Array.from({ length: INTERACTIONS }, (_, n) => ({
+    id: `${RUN_ID}_${label}_${n}`,
+    timestamp: new Date(),
+    input: `Benchmark prompt ${n}`,
+    output: `Benchmark response ${n}`,
+    status: 'pending',
+    severity: 'medium',
+    violations: Array.from({ length: VIOLATIONS }, (_, v) => ({
+      type: 'bias',
+      description: `Benchmark violation ${v}`,
+      severity: 5,
+      confidence: 0.8,
+      reason: 'benchmark'
+    })),
+    agentActions: Array.from({ length: ACTIONS }, (_, a) => ({
+      agentName: 'BenchmarkAgent',
+      action: 'log',
+      details: `Benchmark action ${a}`,
+      timestamp: new Date()
+    }))
+  }));
+}
+
+// The previous save: a round trip for every node and link, plus a separate AuditLog write per action
+async function savePerStatement(neo4jService, interaction) {
+  const session = neo4jService.getSession();
+  try {
+    await session.run('CREATE (i:Interaction {id: $id, input: $input, output: $output, status: $status})', interaction);
+    for (const [v, violation] of interaction.violations.entries()) {
+      await session.run(`
+        CREATE (v:Violation {id: $id, type: $type, severity: $severity})
+        WITH v MATCH (i:Interaction {id: $interactionId}) CREATE (i)-[:HAS_VIOLATION]->(v)
+      `, { ...violation, id: `${interaction.id}:violation:${v}`, interactionId: interaction.id });
+    }
+    for (const [a, action] of interaction.agentActions.entries()) {
+      const actionId = `${interaction.id}:action:${a}`;
+      await session.run(`
+        CREATE (a:AgentAction {id: $id, agentName: $agentName, action: $action, details: $details})
+        WITH a MATCH (i:Interaction {id: $interactionId}) CREATE (i)-[:PROCESSED_BY]->(a)
+      `, { ...action, id: actionId, interactionId: interaction.id });
+      await session.run(`
+        MATCH (i:Interaction {id: $interactionId})-[:HAS_VIOLATION]->(v:Violation)
+        MATCH (i)-[:PROCESSED_BY]->(a:AgentAction {id: $actionId})
+        CREATE (v)-[:TRIGGERED_ACTION]->(a)
+      `, { interactionId: interaction.id, actionId });
+      await session.run(`
+        CREATE (al:AuditLog {id: $id, agentName: $agentName, action: $action, details: $details})
+        WITH al MATCH (i:Interaction {id: $interactionId}) CREATE (al)-[:AUDITS]->(i)
+      `, { ...action, id: `${interaction.id}:audit:${a}`, interactionId: interaction.id });
+    }
+  } finally {
+    await session.close();
+  }
+}
+
+async function timed(label, run) {
+  const started = performance.now();
+  await run();
+  const seconds = (performance.now() - started) / 1000;
+  const actions = INTERACTIONS * ACTIONS;
+  console.log(`${label.padEnd(24)} ${seconds.toFixed(2).padStart(7)}s  ${(INTERACTIONS / seconds).toFixed(1).padStart(8)} interactions/s  ${(actions / seconds).toFixed(0).padStart(7)} actions/s`);
+}
+
+async function runBenchmark() {
+  const vite = await createServer({
+    logLevel: 'error',
+    server: { middlewareMode: true, hmr: false },
+    appType: 'custom'
+  });
+
+  const { neo4jService } = await vite.ssrLoadModule('/src/config/neo4j.ts');
+  const { graphNeo4jDatabaseService, interactionWriteQueue } = await vite.ssrLoadModule('/src/services/graphNeo4jService.ts');
+
+  try {
+    if (!neo4jService.isConfigured() || !(await neo4jService.testConnection())) {
+      console.log('⚠️ Neo4j is not configured or reachable (VITE_NEO4J_URI, VITE_NEO4J_USERNAME, VITE_NEO4J_PASSWORD); nothing to benchmark');
+      return;
+    }
+    await graphNeo4jDatabaseService.initializeSchema();
+
+    console.log(`🏁 ${INTERACTIONS} interactions × ${ACTIONS} agent actions × ${VIOLATIONS} violations\n`);
+    const perStatement = makeInteractions('statement');
+    const batched = makeInteractions('batch');
+    const queued = makeInteractions('queue');
+
+    await timed('Per-statement writes', async () => {
+      for (const interaction of perStatement) await savePerStatement(neo4jService, interaction);
+    });
+    await timed('One transaction', () => graphNeo4jDatabaseService.saveInteractions(batched.map(interaction => ({ interaction }))));
+    await timed('Write-behind queue', async () => {
+      queued.forEach(interaction => interactionWriteQueue.enqueue({ interaction }));
+      await interactionWriteQueue.flush();
+    });
+
+    // Writing a batch again must not add nodes
+    const countNodes = async () => {
+      const session = neo4jService.getSession();
+      try {
+        const result = await session.run('MATCH (n) WHERE n.id STARTS WITH $prefix RETURN count(n) AS count', { prefix: `${RUN_ID}_batch` });
+        return result.records[0].get('count').toNumber();
+      } finally {
+        await session.close();
+      }
+    };
+    const before = await countNodes();
+    await graphNeo4jDatabaseService.saveInteractions(batched.map(interaction => ({ interaction })));
+    console.log(`\n${before === (await countNodes()) ? '✅' : '❌'} Re-saving ${INTERACTIONS} interactions left the node count at ${before}`);
+  } finally {
+    const session = neo4jService.getSession();
+    if (session) {
+      try {
+        await session.run('MATCH (n) WHERE n.id STARTS WITH $prefix DETACH DELETE n', { prefix: RUN_ID });
+      } finally {
+        await session.close();
+      }
+    }
+    await neo4jService.close?.();
+    await vite.close();
+  }
+}
+
+runBenchmark().catch(error => {
+  console.error('❌ Benchmark failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,191 @@
+import express from 'express';
+import { config } from 'dotenv';
+import { GOVERNANCE_TOOLS, validateToolArguments } from './src/mcp/governanceTools.js';
+import { createStorage, describeStorage } from './src/storage/index.js';
+import { parseAccessTokens, principalFor } from './src/services/accessTokens.js';
+
+// Load environment variables FIRST before importing services that depend on them
+config();
+
+// MCP server for the Inkeep agent graphs (my-agent-directory/src/ethoslens/tools/governance-tools.ts).
+// Speaks the Streamable HTTP transport statelessly: every POST carries JSON-RPC and gets a JSON reply.
+
+const app = express();
+const PORT = process.env.MCP_PORT || 3001;
+
+const SERVER_INFO = { name: 'ethoslens-governance', version: '1.0.0' };
+
+// Newest first; an unknown version requested by a client is answered with the newest
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const JSON_RPC_ERRORS = {
+  parse: -32700,
+  invalidRequest: -32600,
+  methodNotFound: -32601,
+  invalidParams: -32602,
+  internal: -32603
+};
+
+const services = { governanceService: null, factCheckService: null, storage: null };
+
+// Principals for each variable a tool names in `accessTokens`; a malformed variable stops the server here
+const accessTokens = Object.fromEntries([...new Set(GOVERNANCE_TOOLS.map(tool => tool.accessTokens).filter(Boolean))]
+  .map(variable => [variable, parseAccessTokens(variable, process.env[variable])]));
+
+async function initializeServices() {
+  try {
+    // Dynamically import services AFTER dotenv has loaded
+    const { governanceService } = await import('./src/services/governanceService.js');
+    const { factCheckService } = await import('./src/services/factCheckService.js');
+    services.governanceService = governanceService;
+    services.factCheckService = factCheckService;
+    console.log('✅ Governance service loaded');
+
+    // The same backend server.js writes interactions to (see src/storage)
+    services.storage = await createStorage();
+    await services.storage.init();
+    console.log(`✅ Storage: ${describeStorage(services.storage)}`);
+    if (!services.storage.durable || services.storage.kind === 'jsonl') {
+      console.warn('⚠️ Storage is not shared with server.js; audit, feedback and insights tools are unavailable');
+    }
+  } catch (error) {
+    console.error('❌ Service initialization error:', error);
+  }
+}
+
+function rpcResult(id, result) {
+  return { jsonrpc: '2.0', id, result };
+}
+
+function rpcError(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+function toolFailure(id, message) {
+  return rpcResult(id, { content: [{ type: 'text', text: message }], isError: true });
+}
+
+// `authorization` is the request's Authorization header, checked for tools that need a token
+async function callTool(id, params, authorization) {
+  const tool = GOVERNANCE_TOOLS.find(candidate => candidate.name === params?.name);
+  if (!tool) {
+    return rpcError(id, JSON_RPC_ERRORS.invalidParams, `Unknown tool: ${params?.name}`);
+  }
+
+  let principal = null;
+  if (tool.accessTokens) {
+    if (accessTokens[tool.accessTokens].length === 0) {
+      return toolFailure(id, `${tool.name} is disabled; set ${tool.accessTokens} to allow it`);
+    }
+    principal = principalFor(authorization, accessTokens[tool.accessTokens]);
+    if (!principal) return toolFailure(id, 'Invalid or missing access token');
+  }
+
+  const args = params.arguments ?? {};
+  const errors = validateToolArguments(tool.inputSchema, args);
+  if (errors.length > 0) {
+    return rpcError(id, JSON_RPC_ERRORS.invalidParams, `Invalid arguments for ${tool.name}: ${errors.join('; ')}`);
+  }
+
+  // Failures inside a tool go back to the agent as a result it can read, not as a protocol error
+  try {
+    const result = await tool.handler(args, services);
+    console.log(`🛠️ MCP tool ${tool.name} completed${principal ? ` for ${principal}` : ''}`);
+    return rpcResult(id, {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      structuredContent: result,
+      isError: false
+    });
+  } catch (error) {
+    console.error(`MCP tool ${tool.name} failed:`, error);
+    return toolFailure(id, error.message);
+  }
+}
+
+// Reply to one JSON-RPC message; notifications get no reply (null)
+async function handleMessage(message, authorization) {
+  if (message?.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+    return rpcError(message?.id ?? null, JSON_RPC_ERRORS.invalidRequest, 'Invalid JSON-RPC request');
+  }
+  if (message.id === undefined) return null;
+
+  const { id, method, params } = message;
+  switch (method) {
+    case 'initialize': {
+      const requested = params?.protocolVersion;
+      return rpcResult(id, {
+        protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+        capabilities: { tools: { listChanged: false } },
+        serverInfo: SERVER_INFO,
+        instructions: 'EthosLens governance: policy violation detection, safe responses, fact-checking, audit trail, user feedback and insights.'
+      });
+    }
+    case 'ping':
+      return rpcResult(id, {});
+    case 'tools/list':
+      return rpcResult(id, {
+        tools: GOVERNANCE_TOOLS.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+      });
+    case 'tools/call':
+      return callTool(id, params, authorization);
+    default:
+      return rpcError(id, JSON_RPC_ERRORS.methodNotFound, `Method not found: ${method}`);
+  }
+}
+
+app.use(express.json({ limit: '1mb' }));
+
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    service: 'EthosLens Governance MCP Server',
+    tools: GOVERNANCE_TOOLS.map(tool => tool.name),
+    services: {
+      governance: !!services.governanceService,
+      factCheck: services.factCheckService?.isConfigured ? services.factCheckService.providerName : null,
+      storage: services.storage?.kind ?? null
+    },
+    factCheckUsage: services.factCheckService?.stats() ?? null
+  });
+});
+
+app.post('/mcp', async (req, res) => {
+  const batch = Array.isArray(req.body);
+  const messages = batch ? req.body : [req.body];
+  const replies = (await Promise.all(messages.map(message => handleMessage(message, req.get('Authorization'))))).filter(Boolean);
+
+  if (replies.length === 0) {
+    return res.status(202).end();
+  }
+  res.json(batch ? replies : replies[0]);
+});
+
+// Stateless server: no server-initiated stream and no session to end
+app.all('/mcp', (req, res) => {
+  res.set('Allow', 'POST').status(405).json(rpcError(null, JSON_RPC_ERRORS.invalidRequest, 'Method not allowed'));
+});
+
+// Body that is not JSON
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json(rpcError(null, JSON_RPC_ERRORS.parse, 'Parse error'));
+  }
+  next(error);
+});
+
+initializeServices().then(() => {
+  app.listen(PORT, () => {
+    console.log(`🛡️ EthosLens governance MCP server running on port ${PORT}`);
+    console.log(`🔌 MCP endpoint: http://localhost:${PORT}/mcp`);
+    console.log(`🛠️ Tools: ${GOVERNANCE_TOOLS.map(tool => tool.name).join(', ')}`);
+  });
+});
+
+process.on('SIGINT', async () => {
+  console.log('\n🛑 Shutting down gracefully...');
+  await services.storage?.close();
+  process.exit(0);
+});
+
+export default app;
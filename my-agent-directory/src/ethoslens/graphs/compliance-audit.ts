@@ -168,6 +168,7 @@ Generate reports that include:
 - Audit trail summaries and key findings
 
 Ensure all reports meet regulatory standards for accuracy, completeness, and transparency.`,
+  canUse: () => [agentMcp({ server: governanceToolsMcp, selectedTools: ["get_governance_insights"] })],
   canDelegateTo: () => [complianceMonitorAgent, auditTrailAgent, feedbackAnalysisAgent],
 });
 
@@ -36,7 +36,9 @@ Advanced capabilities:
 - Predictive compliance monitoring
 - Comprehensive audit trail management
 
-Be thorough, intelligent, and adaptive in your governance approach. Consider regulatory context, organizational risk tolerance, and user needs.`,
+Be thorough, intelligent, and adaptive in your governance approach. Consider regulatory context, organizational risk tolerance, and user needs.
+
+When EthosLens asks you to analyze an interaction, reply with the JSON verdict object it specifies and nothing else: status, severity, reason, and violations with type, severity, confidence, framework, character spans and remediation steps. EthosLens rejects any other reply.`,
   canDelegateTo: () => [advancedPolicyEnforcer, contentVerifierAgent, riskAssessmentAgent, intelligentResponseAgent, comprehensiveAuditAgent],
 });
 
@@ -1,8 +1,13 @@
 import { mcpTool } from '@inkeep/agents-sdk';
 
+// Served by `npm run mcp` in the EthosLens project (mcp-server.js)
 export const governanceToolsMcp = mcpTool({
   id: 'ethoslens-governance',
   name: 'EthosLens Governance',
-  serverUrl: 'http://localhost:3001/mcp',
+  serverUrl: process.env.ETHOSLENS_MCP_URL || 'http://localhost:3001/mcp',
+  // create_audit_log needs a bearer token from the MCP server's AUDIT_ACCESS_TOKENS
+  ...(process.env.ETHOSLENS_MCP_ACCESS_TOKEN && {
+    headers: { Authorization: `Bearer ${process.env.ETHOSLENS_MCP_ACCESS_TOKEN}` }
+  }),
   imageUrl: 'https://cdn.iconscout.com/icon/free/png-256/free-shield-check-icon-download-in-svg-png-gif-file-formats--security-protection-verified-safety-pack-user-interface-icons-1316223.png?f=webp',
 });
\ No newline at end of file
@@ -1,7 +1,32 @@
 import express from 'express';
 import cors from 'cors';
-import neo4j from 'neo4j-driver';
 import { config } from 'dotenv';
+import {
+  Redactor,
+  formatBlockedContent,
+  createAgreementStats,
+  tallyAgreement,
+  agreementRate,
+  settingsScopes,
+  normalizePromptText
+} from './src/governance/index.js';
+import {
+  InteractionWriter,
+  createStorage,
+  describeStorage,
+  parseInteractionQuery,
+  parseInteractionFilters,
+  encodeCursor
+} from './src/storage/index.js';
+import {
+  parseReportQuery,
+  interactionsInRange,
+  buildComplianceReport,
+  reportFilename,
+  renderReportHtml,
+  renderReportCsv
+} from './src/reports/index.js';
+import { parseAccessTokens, principalFor } from './src/services/accessTokens.js';
 
 // Load environment variables FIRST before importing services that depend on them
 config();
@@ -9,10 +34,21 @@ config();
 const app = express();
 const PORT = process.env.PORT || 4000;
 
+// Who may make the changes attributed to a caller, by variable (see authenticatedPrincipal)
+const accessTokens = Object.fromEntries(['SETTINGS_ACCESS_TOKENS', 'REVIEWER_ACCESS_TOKENS', 'AUDIT_ACCESS_TOKENS'].map(variable => [
+  variable,
+  parseAccessTokens(variable, process.env[variable])
+]));
+
 // Initialize LlamaIndex with OpenAI
 let chatEngine = null;
-let neo4jDriver = null;
+let storage = null;
+let interactionWriter = null;
 let governanceService = null;
+let reviewQueueService = null;
+let settingsService = null;
+let auditTrailService = null;
+let privacyService = null;
 
 // Initialize services
 async function initializeServices() {
@@ -21,6 +57,25 @@ async function initializeServices() {
     const module = await import('./src/services/governanceService.js');
     governanceService = module.governanceService;
     console.log('✅ Governance service loaded');
+
+    const reviewModule = await import('./src/services/reviewQueueService.js');
+    reviewQueueService = reviewModule.reviewQueueService;
+    reviewQueueService.subscribe((review, event) => EthosLensGovernance.saveReviewEvent(review, event));
+    console.log('✅ Review queue loaded');
+
+    const settingsModule = await import('./src/services/settingsService.js');
+    settingsService = settingsModule.settingsService;
+    console.log('✅ Settings service loaded');
+
+    const auditModule = await import('./src/services/auditTrailService.js');
+    auditTrailService = auditModule.auditTrailService;
+    console.log('✅ Audit trail loaded');
+
+    const privacyModule = await import('./src/services/privacyService.js');
+    privacyService = privacyModule.privacyService;
+    // A purged interaction's copy in the review queue goes with it
+    privacyService.subscribe((interactionId, rewritten) => reviewQueueService.erase(interactionId, rewritten));
+    console.log('✅ Privacy service loaded');
     
     // Initialize OpenAI for LlamaIndex
     if (process.env.OPENAI_API_KEY) {
@@ -30,21 +85,24 @@ async function initializeServices() {
       console.warn('⚠️ OPENAI_API_KEY not found in environment variables');
     }
 
-    // Initialize Neo4j driver
-    if (process.env.NEO4J_URI && process.env.NEO4J_USERNAME && process.env.NEO4J_PASSWORD) {
-      neo4jDriver = neo4j.driver(
-        process.env.NEO4J_URI,
-        neo4j.auth.basic(process.env.NEO4J_USERNAME, process.env.NEO4J_PASSWORD)
-      );
-      
-      // Test connection
-      const session = neo4jDriver.session();
-      await session.run('RETURN 1');
-      await session.close();
-      console.log('✅ Neo4j connection established');
-    } else {
-      console.warn('⚠️ Neo4j configuration incomplete');
+    // Interactions, reviews, audit logs, feedback and settings go to the backend chosen by STORAGE_BACKEND
+    try {
+      storage = await createStorage();
+      await storage.init();
+    } catch (error) {
+      console.error('❌ Storage unavailable, keeping records in memory instead:', error.message);
+      storage = await createStorage({ STORAGE_BACKEND: 'memory' });
+    }
+    console.log(`✅ Storage: ${describeStorage(storage)}`);
+    if (!storage.durable) {
+      console.warn('⚠️ Records are lost on restart; set STORAGE_BACKEND to sqlite, jsonl or neo4j to keep them');
     }
+    interactionWriter = new InteractionWriter(storage);
+    settingsService.attach(storage);
+    auditTrailService.attach(storage);
+    privacyService.attach(storage);
+
+    await EthosLensGovernance.loadOpenReviews();
 
     console.log('🎯 All services initialized successfully');
   } catch (error) {
@@ -67,251 +125,587 @@ app.get('/health', (req, res) => {
     service: 'EthosLens Agent Backend',
     services: {
       llamaIndex: !!process.env.OPENAI_API_KEY,
-      neo4j: !!neo4jDriver,
+      storage: storage?.kind ?? null,
+      neo4j: storage?.kind === 'neo4j',
       copilotKit: true // CopilotKit endpoint is always available
-    }
+    },
+    // Interactions whose writes failed every retry; they are written again with the next interaction
+    unsavedInteractions: interactionWriter?.unsaved ?? 0
   });
 });
 
-// EthosLens Governance Logic (simplified for backend)
+// Persistence for governed interactions (detection and status live in src/governance)
 class EthosLensGovernance {
-  static async processInteraction(prompt, response) {
-    const interaction = {
-      id: `int_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      input: prompt,
-      output: response,
-      timestamp: new Date(),
-      violations: [],
-      status: 'approved', // Default to approved
-      severity: 'low',
-      agentActions: []
-    };
-
-    // Policy Enforcer Agent - detect violations
-    const violations = await this.detectViolations(prompt, response);
-    interaction.violations = violations;
-
-    // Determine status based on violations
-    if (violations.length > 0) {
-      const maxSeverity = Math.max(...violations.map(v => v.severity));
-      if (maxSeverity >= 8) {
-        interaction.status = 'blocked';
-        interaction.severity = 'critical';
-      } else if (maxSeverity >= 6) {
-        interaction.status = 'pending';
-        interaction.severity = 'high';
-      } else {
-        interaction.status = 'approved';
-        interaction.severity = 'medium';
+  // `original` is the unmasked prompt/response; it is only stored when the interaction was redacted.
+  // Failed writes are retried with backoff (see InteractionWriter)
+  static async save(interaction, original = null) {
+    if (await interactionWriter.save(interaction, original)) {
+      console.log(`💾 Saved interaction ${interaction.id} to ${storage.kind}`);
+    } else {
+      console.error(`❌ Interaction ${interaction.id} not saved; it is written again with the next interaction`);
+    }
+  }
+
+  // Store a governed interaction; one held for review also joins the review queue
+  static async record(interaction, original = null) {
+    await EthosLensGovernance.save(interaction, original);
+    if (interaction.status === 'pending') {
+      interaction.review = reviewSummary(reviewQueueService.enqueue(interaction));
+    }
+  }
+
+  // Review state is kept with the interaction; each reviewer action is also an audit log entry
+  static async saveReviewEvent(review, event) {
+    try {
+      await storage.saveReview(review);
+      if (event.action !== 'queue') {
+        await storage.addAuditLog(review.interactionId, {
+          timestamp: event.timestamp,
+          agentName: 'HumanReview',
+          action: event.action,
+          details: `Review ${event.action} by ${event.reviewer}${event.reason ? `: ${event.reason}` : ''}`,
+          reviewer: event.reviewer,
+          reason: event.reason || null
+        });
       }
+    } catch (error) {
+      console.error('Review save error:', error);
     }
+  }
 
-    // Log agent actions
-    interaction.agentActions = [
-      {
-        agent: 'PolicyEnforcerAgent',
-        action: 'analyze',
-        timestamp: new Date(),
-        result: `Found ${violations.length} violations`
-      },
-      {
-        agent: 'VerifierAgent',
-        action: 'verify',
-        timestamp: new Date(),
-        result: `Status: ${interaction.status}`
+  // Open reviews survive a restart: they are read back from the stored interactions
+  static async loadOpenReviews() {
+    try {
+      const open = await storage.listInteractions({ reviewStatuses: ['queued', 'claimed', 'escalated'], limit: null });
+      for (const interaction of open) {
+        reviewQueueService.restore({
+          interactionId: interaction.id,
+          status: interaction.review.status,
+          queuedAt: interaction.review.queuedAt,
+          dueAt: interaction.review.dueAt,
+          claimedBy: interaction.review.claimedBy,
+          claimedAt: interaction.review.claimedAt,
+          input: interaction.input,
+          output: interaction.output,
+          severity: interaction.severity,
+          violations: interaction.violations,
+          sessionId: interaction.sessionId
+        });
       }
-    ];
-
-    return interaction;
-  }
-
-  static async detectViolations(prompt, response) {
-    const violations = [];
-    const text = `${prompt} ${response}`.toLowerCase();
-
-    console.log('🔍 Analyzing text for violations:', text.substring(0, 200) + '...');
-
-    // Illegal Activities / Hacking Detection (HIGH PRIORITY)
-    const hackingPatterns = [
-      'hack into', 'hack someone', 'break into', 'unauthorized access',
-      'crack password', 'bypass security', 'exploit vulnerability',
-      'ddos attack', 'sql injection', 'phishing', 'malware',
-      'how to hack', 'hacking tutorial', 'illegal access',
-      'steal data', 'breach security', 'network intrusion'
-    ];
-
-    // Data Theft / Confidential Information Requests
-    const dataTheftPatterns = [
-      'share the internal', 'internal database', 'salary database',
-      'confidential data', 'proprietary information', 'company secrets',
-      'employee records', 'customer database', 'financial records',
-      'trade secrets', 'classified information', 'private documents',
-      'leak the data', 'access internal', 'company database',
-      'sensitive information', 'restricted data', 'internal files'
-    ];
-    
-    const foundHackingPattern = hackingPatterns.find(pattern => text.includes(pattern));
-    if (foundHackingPattern) {
-      console.log('🚨 HACKING VIOLATION DETECTED:', foundHackingPattern);
-      violations.push({
-        type: 'illegal_activity',
-        description: 'Illegal hacking or cybersecurity violation detected',
-        reason: 'Content requests assistance with unauthorized access, hacking, or other illegal activities',
-        severity: 9.5,
-        confidence: 0.95,
-        regulatoryFramework: 'Computer Fraud and Abuse Act'
-      });
-    } else {
-      console.log('ℹ️ No hacking patterns found in:', hackingPatterns.slice(0, 5));
-    }
-
-    // Check for data theft / confidential information requests
-    const foundDataTheftPattern = dataTheftPatterns.find(pattern => text.includes(pattern));
-    if (foundDataTheftPattern) {
-      console.log('🚨 DATA THEFT VIOLATION DETECTED:', foundDataTheftPattern);
-      violations.push({
-        type: 'data_theft',
-        description: 'Unauthorized access to confidential information detected',
-        reason: 'Content requests access to proprietary, confidential, or sensitive company data',
-        severity: 9.0,
-        confidence: 0.9,
-        regulatoryFramework: 'Data Protection Act'
-      });
+      console.log(`🧑‍⚖️ Restored ${open.length} open review(s)`);
+    } catch (error) {
+      console.error('Review load error:', error);
+    }
+  }
+
+  // Risk of a session the governance service no longer tracks in memory (e.g. after a restart)
+  static async loadSession(sessionId) {
+    try {
+      const stored = await storage.getSession(sessionId);
+      if (!stored) return null;
+      const { id, turnCount, flaggedTurns, riskScore, riskLevel } = stored;
+      return { id, turnCount, flaggedTurns, riskScore, riskLevel };
+    } catch (error) {
+      console.error('Session load error:', error);
+      return null;
+    }
+  }
+}
+
+// What callers get about a review: its state and where to poll for the final decision
+function reviewSummary(review) {
+  return {
+    status: review.status,
+    dueAt: review.dueAt,
+    claimedBy: review.claimedBy,
+    decidedBy: review.decidedBy,
+    decidedAt: review.decidedAt,
+    reason: review.reason,
+    pollUrl: `/api/interactions/${review.interactionId}/decision`
+  };
+}
+
+// Conversation id sent by the caller, or a new one (returned in the ethosLens summary for reuse)
+async function resolveSession(requestedId) {
+  const sessionId = typeof requestedId === 'string' && requestedId.trim()
+    ? requestedId.trim()
+    : `session_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+
+  if (!governanceService.hasSession(sessionId)) {
+    const stored = await EthosLensGovernance.loadSession(sessionId);
+    if (stored) governanceService.restoreSession(stored);
+  }
+  return sessionId;
+}
+
+// Effective settings for a caller: global, then its tenant, then its application key.
+// Throws an error with status 400 for a malformed tenant or key.
+async function callerSettings({ tenant, appKey }) {
+  return settingsService.resolve(settingsScopes({ tenant, appKey }), governanceService.baseSettings);
+}
+
+// Recorded when the upstream model gives no reply, in the shape the app's LLM gateway uses
+function generationErrorOf(error) {
+  const configured = Boolean(process.env.UPSTREAM_API_KEY || process.env.OPENAI_API_KEY);
+  return { code: configured ? 'provider_failed' : 'not_configured', message: error.message };
+}
+
+// Re-run the policy engine on streamed output every time this many new characters arrive
+const STREAM_CHECK_INTERVAL_CHARS = Number(process.env.STREAM_CHECK_INTERVAL_CHARS || 80);
+
+function sendSseEvent(res, data, event) {
+  if (res.writableEnded || res.destroyed) return;
+  if (event) res.write(`event: ${event}\n`);
+  res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+}
+
+// Unrelayed tail kept back while redacting a stream, so a value split across chunks is masked whole
+const REDACTION_HOLDBACK_CHARS = 64;
+
+// Only a critical verdict that the policy would block cuts a stream off. A milder block holds back the
+// rest of the output until the final decision, which replaces it with a blocked event if it still blocks.
+function isStreamBlocking(verdict) {
+  return verdict.status === 'blocked' && verdict.severity === 'critical';
+}
+
+// Client for the model behind both the CopilotKit route and the OpenAI-compatible proxy
+async function createUpstreamClient() {
+  const { default: OpenAI } = await import('openai');
+  return new OpenAI({
+    apiKey: process.env.UPSTREAM_API_KEY || process.env.OPENAI_API_KEY,
+    baseURL: process.env.UPSTREAM_BASE_URL || undefined
+  });
+}
+
+// Text a streamed chunk contributes to the governed output (content and tool call arguments)
+function chunkText(chunk) {
+  return (chunk.choices || []).map(choice => [
+    choice.delta?.content || '',
+    ...(choice.delta?.tool_calls || []).map(call => `${call.function?.name || ''}${call.function?.arguments || ''}`)
+  ].join('')).join('');
+}
+
+/**
+ * Stream a completion as server-sent events. Upstream chunks are relayed once the
+ * output they add has passed the policy engine; a critical violation aborts the
+ * upstream call and emits a blocked ethosLens event. Once any check would block,
+ * nothing more is relayed, and the tail is only sent if the persisted interaction
+ * is not blocked. The last ethosLens event carries the persisted record.
+ * `sendEthosLens` decides how those events are framed.
+ */
+async function streamGovernedCompletion(res, { params, prompt, context, inputVerdict, redactor, caller, original, sendEthosLens }) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  let output = '';
+  let pendingChunks = [];
+  let relayedLength = 0;
+  let blockedVerdict = null;
+  let holding = false;
+  let upstream = null;
+  let redactingRelay = null;
+  let generationError = null;
+  // id/model of the upstream stream, reused for the chunks EthosLens adds
+  const streamInfo = {
+    id: `chatcmpl-ethoslens-${Date.now()}`,
+    created: Math.floor(Date.now() / 1000),
+    model: params.model
+  };
+
+  res.on('close', () => {
+    if (!res.writableEnded) upstream?.controller.abort();
+  });
+
+  if (governanceService.isRedactionEnabled(caller.settings)) {
+    redactingRelay = createRedactingRelay(res, redactor, streamInfo);
+  }
+
+  const relayPending = (final = false) => {
+    if (redactingRelay) {
+      pendingChunks.forEach(chunk => redactingRelay.push(chunk));
+      relayedLength = redactingRelay.flush(final);
     } else {
-      console.log('ℹ️ No data theft patterns found in:', dataTheftPatterns.slice(0, 5));
-    }
-
-    // PII Detection
-    if (text.match(/\b\d{3}-\d{2}-\d{4}\b/) || // SSN
-        text.match(/\b\d{16}\b/) || // Credit card
-        text.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/)) { // Email
-      violations.push({
-        type: 'pii',
-        description: 'Personal Identifiable Information detected',
-        reason: 'Content contains sensitive personal data',
-        severity: 8.5,
-        confidence: 0.9,
-        regulatoryFramework: 'GDPR'
-      });
+      pendingChunks.forEach(chunk => sendSseEvent(res, chunk));
+      relayedLength = output.length;
     }
+    pendingChunks = [];
+  };
 
-    // Harmful/Dangerous Content Detection
-    const harmfulPatterns = [
-      'how to make bomb', 'create explosive', 'make poison',
-      'suicide methods', 'self harm', 'hurt someone',
-      'kill someone', 'murder', 'violence against',
-      'how to kill', 'kill my', 'kill him', 'kill her',
-      'murder my', 'murder him', 'murder her',
-      'harm my', 'hurt my', 'attack my',
-      'assassinate', 'eliminate someone'
-    ];
-    
-    const foundHarmfulPattern = harmfulPatterns.find(pattern => text.includes(pattern));
-    if (foundHarmfulPattern) {
-      console.log('🚨 HARMFUL CONTENT VIOLATION DETECTED:', foundHarmfulPattern);
-      violations.push({
-        type: 'harmful_content',
-        description: 'Harmful or dangerous content detected',
-        reason: 'Content may promote violence, self-harm, or dangerous activities',
-        severity: 9.0,
-        confidence: 0.9,
-        regulatoryFramework: 'Content Safety Guidelines'
-      });
+  const sendBlocked = verdict => {
+    sendEthosLens(res, {
+      type: 'blocked',
+      status: verdict.status,
+      severity: verdict.severity,
+      violations: verdict.violations,
+      content: formatBlockedContent(verdict.violations)
+    }, streamInfo);
+  };
+
+  const checkOutput = () => {
+    const verdict = governanceService.evaluate(prompt, output, caller.settings);
+    if (verdict.status === 'blocked') holding = true;
+    if (!isStreamBlocking(verdict)) return true;
+
+    blockedVerdict = verdict;
+    console.log(`🛑 Stream blocked after ${output.length} characters:`, verdict.violations.map(v => v.type));
+    sendBlocked(verdict);
+    return false;
+  };
+
+  // A prompt blocked by the input pass never reaches the model
+  if (inputVerdict.status === 'blocked') {
+    console.log('🛑 Prompt blocked before generation:', inputVerdict.violations.map(v => v.type));
+    sendBlocked(inputVerdict);
+  } else {
+    try {
+      const openai = await createUpstreamClient();
+      upstream = await openai.chat.completions.create({ ...params, stream: true });
+
+      let checkedLength = 0;
+      for await (const chunk of upstream) {
+        Object.assign(streamInfo, { id: chunk.id, created: chunk.created, model: chunk.model });
+        output += chunkText(chunk);
+        pendingChunks.push(chunk);
+        if (output.length - checkedLength < STREAM_CHECK_INTERVAL_CHARS) continue;
+
+        checkedLength = output.length;
+        if (!checkOutput()) {
+          upstream.controller.abort();
+          break;
+        }
+        if (!holding) relayPending();
+      }
+    } catch (error) {
+      if (!res.destroyed) {
+        console.error('OpenAI streaming error:', error);
+        // Text already received is still governed; with none, the interaction is recorded as failed
+        if (!output) generationError = generationErrorOf(error);
+      }
+    }
+  }
+
+  // Persist whatever was generated (including unsent blocked text) for the audit trail
+  const interaction = await governanceService.processInteraction(prompt, output, {
+    ...context,
+    timestamp: new Date().toISOString(),
+    streamed: true,
+    generationError
+  }, inputVerdict, redactor, caller.settings);
+  interaction.settingsVersions = caller.versions;
+
+  // The held-back tail goes out only if the final decision lets the interaction through
+  if (inputVerdict.status !== 'blocked' && !generationError && !blockedVerdict) {
+    if (interaction.status === 'blocked') {
+      blockedVerdict = interaction;
+      console.log(`🛑 Stream held back after ${relayedLength} characters:`, interaction.violations.map(v => v.type));
+      sendBlocked(interaction);
     } else {
-      console.log('ℹ️ No harmful patterns found in:', harmfulPatterns.slice(0, 5));
-    }
-
-    // Bias Detection
-    if (text.includes('all women') || text.includes('all men') || 
-        text.includes('people of color are') || text.includes('white people are')) {
-      violations.push({
-        type: 'bias',
-        description: 'Potential bias detected',
-        reason: 'Content may contain discriminatory language',
-        severity: 6.5,
-        confidence: 0.7,
-        regulatoryFramework: 'IEEE Ethics'
-      });
+      relayPending(true);
     }
+  }
 
-    // Misinformation Detection
-    if (text.includes('vaccines cause autism') || text.includes('covid is fake') ||
-        text.includes('climate change is a hoax')) {
-      violations.push({
-        type: 'misinformation',
-        description: 'Potential misinformation detected',
-        reason: 'Content may spread false information',
-        severity: 7.0,
-        confidence: 0.8,
-        regulatoryFramework: 'DSA'
-      });
+  if (blockedVerdict) {
+    interaction.status = 'blocked';
+    interaction.agentActions.push({
+      agentName: 'StreamGovernance',
+      action: 'block',
+      details: `Stream cut off after ${relayedLength} of ${output.length} characters`,
+      timestamp: new Date()
+    });
+  }
+
+  await EthosLensGovernance.record(interaction, { input: original, output });
+
+  sendEthosLens(res, { type: 'final', interaction }, streamInfo);
+  sendSseEvent(res, '[DONE]');
+  res.end();
+}
+
+/**
+ * Relay used instead of passing chunks through when redaction is enabled. Message
+ * content is re-masked as it grows and relayed minus a held-back tail; tool calls
+ * and the finish chunk are masked and sent once the stream has ended.
+ */
+function createRedactingRelay(res, redactor, streamInfo) {
+  let content = '';
+  let relayed = 0;
+  let finishReason = null;
+  const toolCalls = [];
+  const trailingChunks = [];
+
+  const chunkOf = (delta, finishReasonValue = null) => ({
+    ...streamInfo,
+    object: 'chat.completion.chunk',
+    choices: [{ index: 0, delta, finish_reason: finishReasonValue }]
+  });
+
+  return {
+    push(chunk) {
+      // Usage-only chunks carry no text and go out unchanged at the end
+      if (!chunk.choices?.length) {
+        trailingChunks.push(chunk);
+        return;
+      }
+
+      for (const choice of chunk.choices) {
+        content += choice.delta?.content || '';
+        for (const call of choice.delta?.tool_calls || []) {
+          toolCalls[call.index] ??= { index: call.index, id: call.id, type: call.type || 'function', function: { name: '', arguments: '' } };
+          toolCalls[call.index].function.name += call.function?.name || '';
+          toolCalls[call.index].function.arguments += call.function?.arguments || '';
+        }
+        finishReason = choice.finish_reason || finishReason;
+      }
+    },
+
+    // Returns how many masked characters of content have been relayed so far
+    flush(final) {
+      // Preview on a copy until the end, so placeholders for half-received values are never recorded
+      const masked = (final ? redactor : redactor.clone()).redact(content, 'output');
+      const end = final ? masked.length : Math.max(relayed, masked.length - REDACTION_HOLDBACK_CHARS);
+      if (end > relayed) {
+        sendSseEvent(res, chunkOf({ ...(relayed === 0 ? { role: 'assistant' } : {}), content: masked.slice(relayed, end) }));
+        relayed = end;
+      }
+      if (!final) return relayed;
+
+      const calls = toolCalls.filter(Boolean);
+      if (calls.length > 0) {
+        sendSseEvent(res, chunkOf({
+          tool_calls: calls.map(call => ({
+            ...call,
+            function: { name: call.function.name, arguments: redactor.redact(call.function.arguments, 'output') }
+          }))
+        }));
+      }
+      sendSseEvent(res, chunkOf({}, finishReason || 'stop'));
+      trailingChunks.forEach(chunk => sendSseEvent(res, chunk));
+      return relayed;
     }
+  };
+}
 
-    console.log(`📊 Total violations detected: ${violations.length}`, violations.map(v => v.type));
-    return violations;
+// CopilotKit clients read EthosLens decisions as named SSE events
+function sendNamedEthosLensEvent(res, payload) {
+  sendSseEvent(res, payload, 'ethosLens');
+}
+
+// OpenAI SDKs only understand unnamed chunks, so decisions ride on a standard chunk's `ethosLens` field
+function sendEthosLensChunk(res, payload, streamInfo) {
+  sendSseEvent(res, {
+    ...streamInfo,
+    object: 'chat.completion.chunk',
+    choices: payload.type === 'blocked'
+      ? [{ index: 0, delta: { content: payload.content }, finish_reason: 'content_filter' }]
+      : [],
+    ethosLens: payload
+  });
+}
+
+function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.filter(part => part?.type === 'text').map(part => part.text).join('\n');
   }
+  return '';
+}
+
+// The new turn of a conversation starts after the last assistant message
+function newTurnStart(messages) {
+  return messages.findLastIndex(message => message.role === 'assistant') + 1;
+}
+
+// Texts of the user and tool messages, oldest first, normalised as the Vite app normalises prompts
+function callerTurns(messages) {
+  return messages
+    .filter(message => message.role === 'user' || message.role === 'tool')
+    .map(message => normalizePromptText(messageText(message.content)))
+    .filter(Boolean);
+}
+
+// The new turn of a conversation: user and tool messages after the last assistant message
+function extractPromptText(messages) {
+  return callerTurns(messages.slice(newTurnStart(messages))).join('\n');
+}
+
+// Apply the prompt's placeholders to the whole conversation before it is forwarded upstream
+function redactMessages(messages, redactor) {
+  return messages.map(message => {
+    if (typeof message.content === 'string') {
+      return { ...message, content: redactor.redact(message.content, 'input') };
+    }
+    if (Array.isArray(message.content)) {
+      return {
+        ...message,
+        content: message.content.map(part => part?.type === 'text' ? { ...part, text: redactor.redact(part.text, 'input') } : part)
+      };
+    }
+    return message;
+  });
+}
+
+// Same placeholders in the completion returned to the caller as in the stored record
+function redactCompletion(completion, redactor) {
+  return {
+    ...completion,
+    choices: (completion.choices || []).map(choice => ({
+      ...choice,
+      message: {
+        ...choice.message,
+        ...(typeof choice.message?.content === 'string' ? { content: redactor.redact(choice.message.content, 'output') } : {}),
+        ...(choice.message?.tool_calls ? {
+          tool_calls: choice.message.tool_calls.map(call => ({
+            ...call,
+            function: { ...call.function, arguments: redactor.redact(call.function?.arguments || '', 'output') }
+          }))
+        } : {})
+      }
+    }))
+  };
+}
+
+// Everything the model returned that governance should see, including tool call arguments
+function extractCompletionText(completion) {
+  return (completion.choices || []).flatMap(choice => [
+    messageText(choice.message?.content),
+    ...(choice.message?.tool_calls || []).map(call => `${call.function?.name || ''}(${call.function?.arguments || ''})`)
+  ]).filter(Boolean).join('\n');
+}
+
+function ethosLensSummary(interaction) {
+  return {
+    interactionId: interaction.id,
+    status: interaction.status,
+    violations: interaction.violations,
+    severity: interaction.severity,
+    sessionId: interaction.sessionId,
+    sessionRisk: interaction.sessionRisk,
+    review: interaction.review,
+    generationError: interaction.generationError
+  };
+}
+
+function sendOpenAIError(res, status, message, type = 'invalid_request_error') {
+  return res.status(status).json({ error: { message, type, param: null, code: null } });
+}
+
+// Completion returned in place of the model's answer when governance blocks it
+function blockedCompletion(model, interaction) {
+  return {
+    id: `chatcmpl-ethoslens-${Date.now()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content: formatBlockedContent(interaction.violations), refusal: null },
+      logprobs: null,
+      finish_reason: 'content_filter'
+    }],
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+  };
+}
+
+// OpenAI-compatible governance proxy: point an SDK's base URL at http://localhost:4000/v1
+app.post('/v1/chat/completions', async (req, res) => {
+  try {
+    const { stream = false, ...params } = req.body || {};
+    params.model = params.model || process.env.UPSTREAM_MODEL || 'gpt-3.5-turbo';
 
-  static async saveToNeo4j(interaction) {
-    if (!neo4jDriver) return;
+    if (!Array.isArray(params.messages) || params.messages.length === 0) {
+      return sendOpenAIError(res, 400, "'messages' must be a non-empty array");
+    }
 
-    const session = neo4jDriver.session();
+    const originalPrompt = extractPromptText(params.messages);
+    // The session id and settings scope travel in headers so the forwarded body stays a plain OpenAI request
+    let caller;
     try {
-      // Create interaction node
-      await session.run(`
-        CREATE (i:Interaction {
-          id: $id,
-          input: $input,
-          output: $output,
-          timestamp: datetime($timestamp),
-          status: $status,
-          severity: $severity
-        })
-      `, {
-        id: interaction.id,
-        input: interaction.input,
-        output: interaction.output,
-        timestamp: interaction.timestamp.toISOString(),
-        status: interaction.status,
-        severity: interaction.severity
+      caller = await callerSettings({ tenant: req.get('X-EthosLens-Tenant'), appKey: req.get('X-EthosLens-App-Key') });
+    } catch (error) {
+      if (!error.status) throw error;
+      return sendOpenAIError(res, error.status, error.message);
+    }
+    const sessionId = await resolveSession(req.get('X-EthosLens-Session-Id'));
+    const context = { model: params.model, source: 'openai-proxy', sessionId };
+    console.log(`🔀 Proxying chat completion (${params.model}): ${originalPrompt.substring(0, 100)}...`);
+
+    // Step 1: Mask personal data if redaction is configured, then govern the prompt before it reaches the upstream model
+    const redactor = new Redactor();
+    const prompt = governanceService.redactInput(originalPrompt, redactor, caller.settings);
+    if (redactor.redactions.length > 0) {
+      params.messages = redactMessages(params.messages, redactor);
+    }
+    const inputVerdict = governanceService.checkInput(
+      prompt,
+      callerTurns(params.messages.slice(0, newTurnStart(params.messages))),
+      sessionId,
+      caller.settings
+    );
+
+    if (stream) {
+      return await streamGovernedCompletion(res, {
+        params,
+        prompt,
+        context,
+        inputVerdict,
+        redactor,
+        caller,
+        original: originalPrompt,
+        sendEthosLens: sendEthosLensChunk
       });
+    }
 
-      // Create violation nodes and relationships
-      for (const violation of interaction.violations) {
-        await session.run(`
-          MATCH (i:Interaction {id: $interactionId})
-          CREATE (v:Violation {
-            type: $type,
-            description: $description,
-            reason: $reason,
-            severity: $severity,
-            confidence: $confidence,
-            framework: $framework
-          })
-          CREATE (i)-[:HAS_VIOLATION]->(v)
-        `, {
-          interactionId: interaction.id,
-          type: violation.type,
-          description: violation.description,
-          reason: violation.reason,
-          severity: violation.severity,
-          confidence: violation.confidence,
-          framework: violation.regulatoryFramework || 'Unknown'
-        });
-      }
+    if (inputVerdict.status === 'blocked') {
+      const interaction = await governanceService.processInteraction(prompt, '', context, inputVerdict, redactor, caller.settings);
+      interaction.settingsVersions = caller.versions;
+      await EthosLensGovernance.record(interaction, { input: originalPrompt, output: '' });
+      return res.json({ ...blockedCompletion(params.model, interaction), ethosLens: ethosLensSummary(interaction) });
+    }
 
-      console.log(`💾 Saved interaction ${interaction.id} to Neo4j`);
+    // Step 2: Forward the request unchanged (tools, multi-turn messages, sampling options)
+    let completion;
+    try {
+      const openai = await createUpstreamClient();
+      completion = await openai.chat.completions.create(params);
     } catch (error) {
-      console.error('Neo4j save error:', error);
-    } finally {
-      await session.close();
+      console.error('Upstream completion error:', error);
+      if (error.status && error.error) {
+        return res.status(error.status).json({ error: error.error });
+      }
+      return sendOpenAIError(res, 502, `Upstream model request failed: ${error.message}`, 'upstream_error');
+    }
+
+    // Step 3: Govern the response and persist the interaction
+    const completionText = extractCompletionText(completion);
+    const interaction = await governanceService.processInteraction(prompt, completionText, context, inputVerdict, redactor, caller.settings);
+    interaction.settingsVersions = caller.versions;
+    await EthosLensGovernance.record(interaction, { input: originalPrompt, output: completionText });
+
+    if (interaction.status === 'blocked') {
+      return res.json({ ...blockedCompletion(completion.model, interaction), ethosLens: ethosLensSummary(interaction) });
     }
+    if (interaction.redactions?.length) {
+      completion = redactCompletion(completion, redactor);
+    }
+    return res.json({ ...completion, ethosLens: ethosLensSummary(interaction) });
+  } catch (error) {
+    console.error('OpenAI proxy endpoint error:', error);
+    if (res.headersSent) {
+      sendEthosLensChunk(res, { type: 'error', message: error.message }, {});
+      return res.end();
+    }
+    return sendOpenAIError(res, 500, error.message, 'server_error');
   }
-}
+});
 
 // CopilotKit Integration Endpoint
 app.post('/api/copilotkit', async (req, res) => {
   try {
-    const { messages, model = 'gpt-3.5-turbo' } = req.body;
+    const { messages, model = 'gpt-3.5-turbo', stream = false, sessionId: requestedSessionId, tenant, appKey } = req.body;
     
     if (!messages || !Array.isArray(messages) || messages.length === 0) {
       return res.status(400).json({ error: 'Messages array is required' });
@@ -319,58 +713,86 @@ app.post('/api/copilotkit', async (req, res) => {
 
     // Get the latest user message
     const userMessage = messages[messages.length - 1];
-    const prompt = userMessage.content;
+    const originalPrompt = normalizePromptText(messageText(userMessage.content));
 
-    console.log(`🤖 Processing prompt: ${prompt.substring(0, 100)}...`);
-
-    // Step 1: Generate response using LlamaIndex/OpenAI
-    let response;
+    console.log(`🤖 Processing prompt: ${originalPrompt.substring(0, 100)}...`);
+    let caller;
     try {
-      // For now, we'll use OpenAI directly since LlamaIndex setup can be complex
-      // In production, you'd use LlamaIndex's ChatEngine here
-      const { default: OpenAI } = await import('openai');
-      const openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
-      });
+      caller = await callerSettings({ tenant, appKey });
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ error: error.message });
+    }
+    const sessionId = await resolveSession(requestedSessionId);
+
+    // Step 1: Mask personal data if redaction is configured, then run the input-only
+    // governance pass over the conversation window, so blocked prompts never reach the model
+    const redactor = new Redactor();
+    const prompt = governanceService.redactInput(originalPrompt, redactor, caller.settings);
+    const upstreamMessages = redactor.redactions.length > 0 ? redactMessages(messages, redactor) : messages;
+    const inputVerdict = governanceService.checkInput(prompt, callerTurns(upstreamMessages.slice(0, -1)), sessionId, caller.settings);
 
-      const completion = await openai.chat.completions.create({
-        model: model,
-        messages: messages,
-        max_tokens: 1000,
-        temperature: 0.7
+    // Stream mode: relay tokens as they arrive, with incremental governance checks
+    if (stream === true || req.accepts(['json', 'text/event-stream']) === 'text/event-stream') {
+      return await streamGovernedCompletion(res, {
+        params: { model, messages: upstreamMessages, max_tokens: 1000, temperature: 0.7 },
+        prompt,
+        context: { model, source: 'copilotkit', sessionId },
+        inputVerdict,
+        redactor,
+        caller,
+        original: originalPrompt,
+        sendEthosLens: sendNamedEthosLensEvent
       });
+    }
 
-      response = completion.choices[0].message.content;
-    } catch (error) {
-      console.error('OpenAI API error:', error);
-      response = "I apologize, but I'm having trouble generating a response right now. Please try again.";
+    // Step 2: Generate response using LlamaIndex/OpenAI
+    let response = '';
+    let generationError = null;
+    if (inputVerdict.status === 'blocked') {
+      console.log('🛑 Prompt blocked before generation:', inputVerdict.violations.map(v => v.type));
+    } else {
+      try {
+        // For now, we'll use OpenAI directly since LlamaIndex setup can be complex
+        // In production, you'd use LlamaIndex's ChatEngine here
+        const openai = await createUpstreamClient();
+
+        const completion = await openai.chat.completions.create({
+          model: model,
+          messages: upstreamMessages,
+          max_tokens: 1000,
+          temperature: 0.7
+        });
+
+        response = completion.choices[0].message.content;
+      } catch (error) {
+        console.error('OpenAI API error:', error);
+        generationError = generationErrorOf(error);
+      }
     }
 
-    // Step 2: Process through EthosLens Governance (now supports both legacy and Inkeep agents)
+    // Step 3: Output pass through EthosLens Governance (now supports both legacy and Inkeep agents)
     const interaction = await governanceService.processInteraction(prompt, response, {
       model,
       timestamp: new Date().toISOString(),
-      source: 'copilotkit'
-    });
-
-    // Step 3: Save to Neo4j
-    await EthosLensGovernance.saveToNeo4j(interaction);
-
-    // Step 4: Return response based on governance decision
-    if (interaction.status === 'blocked') {
-      // Format violations for display
-      const violationList = interaction.violations.map(v => {
-        const violationType = v.type.toUpperCase().replace('_', '_');
-        return `- **${violationType}**: ${v.description}`;
-      }).join('\n');
+      source: 'copilotkit',
+      sessionId,
+      generationError
+    }, inputVerdict, redactor, caller.settings);
+    interaction.settingsVersions = caller.versions;
 
-      const blockedContent = `⚠️ **Content Blocked by EthosLens Governance**
+    // Step 4: Save to storage
+    await EthosLensGovernance.record(interaction, { input: originalPrompt, output: response });
 
-Your request has been blocked due to ${interaction.violations.length} policy violation(s):
-
-${violationList}
-
-Please rephrase your request to comply with our governance policies.`;
+    // Step 5: Return response based on governance decision
+    if (interaction.status === 'failed') {
+      return res.status(502).json({
+        error: 'No response generated',
+        message: generationError.message,
+        ethosLens: ethosLensSummary(interaction)
+      });
+    } else if (interaction.status === 'blocked') {
+      const blockedContent = formatBlockedContent(interaction.violations);
 
       return res.json({
         choices: [{
@@ -380,50 +802,39 @@ Please rephrase your request to comply with our governance policies.`;
           }
         }],
         usage: { total_tokens: 0 },
-        ethosLens: {
-          interactionId: interaction.id,
-          status: interaction.status,
-          violations: interaction.violations,
-          severity: interaction.severity
-        }
+        ethosLens: ethosLensSummary(interaction)
       });
     } else if (interaction.status === 'pending') {
       return res.json({
         choices: [{
           message: {
             role: 'assistant',
-            content: `⚠️ **Content Flagged for Review**\n\n${response}\n\n---\n*Note: This response has been flagged by EthosLens governance for potential policy violations and may require human review.*`
+            content: `⚠️ **Content Flagged for Review**\n\n${interaction.output}\n\n---\n*Note: This response has been flagged by EthosLens governance for potential policy violations and may require human review.*`
           }
         }],
         usage: { total_tokens: response.length },
-        ethosLens: {
-          interactionId: interaction.id,
-          status: interaction.status,
-          violations: interaction.violations,
-          severity: interaction.severity
-        }
+        ethosLens: ethosLensSummary(interaction)
       });
     } else {
-      // Approved - return normal response
+      // Approved or redacted - return the (masked) response
       return res.json({
         choices: [{
           message: {
             role: 'assistant',
-            content: response
+            content: interaction.output
           }
         }],
         usage: { total_tokens: response.length },
-        ethosLens: {
-          interactionId: interaction.id,
-          status: interaction.status,
-          violations: interaction.violations,
-          severity: interaction.severity
-        }
+        ethosLens: ethosLensSummary(interaction)
       });
     }
 
   } catch (error) {
     console.error('CopilotKit endpoint error:', error);
+    if (res.headersSent) {
+      sendNamedEthosLensEvent(res, { type: 'error', message: error.message });
+      return res.end();
+    }
     res.status(500).json({ 
       error: 'Internal server error',
       message: error.message 
@@ -431,46 +842,388 @@ Please rephrase your request to comply with our governance policies.`;
   }
 });
 
-// Get interactions endpoint (for dashboard)
+// Interactions for the dashboard, a page at a time: filters, sort and limit come from the query
+// string (see src/storage/query.js), and `nextCursor` is passed back as ?cursor= for the next page
 app.get('/api/interactions', async (req, res) => {
-  if (!neo4jDriver) {
-    return res.json([]);
+  let query;
+  try {
+    query = parseInteractionQuery(req.query);
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
   }
 
-  const session = neo4jDriver.session();
   try {
-    const result = await session.run(`
-      MATCH (i:Interaction)
-      OPTIONAL MATCH (i)-[:HAS_VIOLATION]->(v:Violation)
-      RETURN i, collect(v) as violations
-      ORDER BY i.timestamp DESC
-      LIMIT 50
-    `);
-
-    const interactions = result.records.map(record => {
-      const interaction = record.get('i').properties;
-      const violations = record.get('violations').map(v => v.properties);
-      
-      return {
-        id: interaction.id,
-        input: interaction.input,
-        output: interaction.output,
-        timestamp: new Date(interaction.timestamp),
-        status: interaction.status,
-        severity: interaction.severity,
-        violations: violations
-      };
+    const { filters, sort, order, limit, after } = query;
+    // One more than the page holds, to tell whether there is a next page
+    const [listed, total] = await Promise.all([
+      storage.listInteractions({ ...filters, sort, order, after, limit: limit + 1 }),
+      storage.countInteractions(filters)
+    ]);
+    const interactions = listed.slice(0, limit);
+    res.json({
+      interactions: interactions.map(interaction => ({
+        ...interaction,
+        review: interaction.review ? reviewSummary({ ...interaction.review, interactionId: interaction.id }) : undefined
+      })),
+      total,
+      nextCursor: listed.length > limit ? encodeCursor(interactions[interactions.length - 1], { sort, order }) : null
     });
-
-    res.json(interactions);
   } catch (error) {
     console.error('Get interactions error:', error);
     res.status(500).json({ error: 'Failed to fetch interactions' });
-  } finally {
-    await session.close();
   }
 });
 
+// Counts over every interaction passing the same filters, for totals and filter options
+app.get('/api/interactions/stats', async (req, res) => {
+  let filters;
+  try {
+    filters = parseInteractionFilters(req.query);
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+
+  try {
+    res.json(await storage.interactionStats(filters));
+  } catch (error) {
+    console.error('Get interaction stats error:', error);
+    res.status(500).json({ error: 'Failed to fetch interaction stats' });
+  }
+});
+
+// Per-framework compliance report for ?from= to ?to= (default the last 30 days) over ?framework= ids;
+// ?format=json (default), html (?print=1 opens the print dialog, for PDF) or csv (one row per violation)
+app.get('/api/reports/compliance', async (req, res) => {
+  let query;
+  try {
+    query = parseReportQuery(req.query);
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+
+  try {
+    const { from, to, frameworks, format, print } = query;
+    const report = await buildComplianceReport(interactionsInRange(storage, { from, to }), { from, to, frameworks });
+    console.log(`📑 Compliance report ${from.toISOString()} to ${to.toISOString()}: ${report.findings.length} violation(s)`);
+    if (format === 'csv') {
+      res.attachment(reportFilename(report, 'csv')).type('text/csv').send(renderReportCsv(report));
+    } else if (format === 'html') {
+      res.set('Content-Disposition', `inline; filename="${reportFilename(report, 'html')}"`).type('html').send(renderReportHtml(report, { print }));
+    } else {
+      res.json(report);
+    }
+  } catch (error) {
+    console.error('Compliance report error:', error);
+    res.status(500).json({ error: 'Failed to build the compliance report' });
+  }
+});
+
+// Review queue: open reviews (or those in ?status=queued,claimed,...), soonest due first. Reviews carry
+// the prompt and response, so only reviewers see them
+app.get('/api/reviews', (req, res) => {
+  if (!authenticatedPrincipal(req, res, 'REVIEWER_ACCESS_TOKENS', 'The review queue is disabled')) return;
+  const statuses = typeof req.query.status === 'string'
+    ? req.query.status.split(',').map(status => status.trim()).filter(Boolean)
+    : undefined;
+  res.json(reviewQueueService.list(statuses));
+});
+
+// The reviewer a token belongs to, so the Review page can tell which claims are the caller's
+app.get('/api/reviews/me', (req, res) => {
+  const reviewer = authenticatedPrincipal(req, res, 'REVIEWER_ACCESS_TOKENS', 'Review actions are disabled');
+  if (!reviewer) return;
+  res.json({ reviewer });
+});
+
+// Reviewer actions: claim, approve, reject or escalate, by the reviewer the token names and with a reason
+app.post('/api/reviews/:interactionId/:action', (req, res) => {
+  const reviewer = authenticatedPrincipal(req, res, 'REVIEWER_ACCESS_TOKENS', 'Review actions are disabled');
+  if (!reviewer) return;
+  const { reason } = req.body || {};
+  try {
+    const review = reviewQueueService.act(req.params.interactionId, req.params.action, { reviewer, reason });
+    res.json(review);
+  } catch (error) {
+    if (!error.status) console.error('Review action error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Final decision on an interaction, for /api/copilotkit callers that got a pending response
+app.get('/api/interactions/:id/decision', async (req, res) => {
+  const review = reviewQueueService.get(req.params.id);
+  if (review) {
+    if (!review.finalStatus) res.set('Retry-After', '30');
+    return res.json({
+      interactionId: review.interactionId,
+      status: review.finalStatus ?? 'pending',
+      final: Boolean(review.finalStatus),
+      review: reviewSummary(review)
+    });
+  }
+
+  try {
+    const stored = await storage.getInteraction(req.params.id);
+    if (!stored) {
+      return res.status(404).json({ error: 'Interaction not found' });
+    }
+
+    res.json({
+      interactionId: stored.id,
+      status: stored.status,
+      final: stored.status !== 'pending',
+      review: stored.review ? reviewSummary({ ...stored.review, interactionId: stored.id }) : null
+    });
+  } catch (error) {
+    console.error('Get decision error:', error);
+    res.status(500).json({ error: 'Failed to fetch decision' });
+  }
+});
+
+// Conversations with their current risk, riskiest first (for dashboards grouping by session)
+app.get('/api/sessions', async (req, res) => {
+  try {
+    res.json(await storage.listSessions());
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Unmasked text of a redacted interaction. Disabled unless REDACTION_ACCESS_TOKEN is set,
+// and then only returned to requests that send it as a bearer token.
+app.get('/api/interactions/:id/original', async (req, res) => {
+  const accessToken = process.env.REDACTION_ACCESS_TOKEN;
+  if (!accessToken) {
+    return res.status(403).json({ error: 'Access to redacted originals is disabled' });
+  }
+  if (req.get('Authorization') !== `Bearer ${accessToken}`) {
+    return res.status(401).json({ error: 'Invalid or missing access token' });
+  }
+
+  try {
+    const original = await storage.getRedactedOriginal(req.params.id);
+    if (!original) {
+      return res.status(404).json({ error: 'Original not found' });
+    }
+
+    console.log(`🔓 Redacted original of ${req.params.id} accessed`);
+    res.json({ id: req.params.id, input: original.input, output: original.output });
+  } catch (error) {
+    console.error('Get redacted original error:', error);
+    res.status(500).json({ error: 'Failed to fetch original' });
+  }
+});
+
+// Subject access and erasure hand out or destroy personal data: disabled unless PRIVACY_ACCESS_TOKEN
+// is set, and then only for requests that send it as a bearer token. Answers the request when refused.
+function privacyAccessRefused(req, res) {
+  const accessToken = process.env.PRIVACY_ACCESS_TOKEN;
+  if (!accessToken) {
+    res.status(403).json({ error: 'Privacy requests are disabled' });
+    return true;
+  }
+  if (req.get('Authorization') !== `Bearer ${accessToken}`) {
+    res.status(401).json({ error: 'Invalid or missing access token' });
+    return true;
+  }
+  return false;
+}
+
+// Changes attributed to the caller are disabled unless `variable` names tokens ("alice:token,bob:token"),
+// and then only made by requests sending one as a bearer token. Returns the token's name, or null after
+// answering the refused request.
+function authenticatedPrincipal(req, res, variable, disabledMessage) {
+  if (accessTokens[variable].length === 0) {
+    res.status(403).json({ error: disabledMessage });
+    return null;
+  }
+  const principal = principalFor(req.get('Authorization'), accessTokens[variable]);
+  if (!principal) res.status(401).json({ error: 'Invalid or missing access token' });
+  return principal;
+}
+
+// The retention rules in force and what the last run purged
+app.get('/api/privacy/retention', (req, res) => {
+  res.json(privacyService.policy());
+});
+
+// Apply the retention rules now rather than at the next scheduled run
+app.post('/api/privacy/retention/run', async (req, res) => {
+  if (privacyAccessRefused(req, res)) return;
+  try {
+    res.json(await privacyService.applyRetention());
+  } catch (error) {
+    console.error('Retention run error:', error);
+    res.status(500).json({ error: 'Failed to apply the retention policy' });
+  }
+});
+
+// Everything stored about { identifier }. A POST, so the identifier stays out of URLs and access logs.
+app.post('/api/privacy/subject-access', async (req, res) => {
+  if (privacyAccessRefused(req, res)) return;
+  try {
+    const exported = await privacyService.subjectAccess(req.body?.identifier);
+    res.attachment(`ethoslens-subject-access-${exported.generatedAt.toISOString().slice(0, 10)}.json`).json(exported);
+  } catch (error) {
+    if (!error.status) console.error('Subject access error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Erase everything stored about { identifier, mode: delete | anonymise, requestedBy, reason, dryRun? }
+app.post('/api/privacy/erasure', async (req, res) => {
+  if (privacyAccessRefused(req, res)) return;
+  const { identifier, ...request } = req.body || {};
+  try {
+    res.json(await privacyService.erase(identifier, request));
+  } catch (error) {
+    if (!error.status) console.error('Erasure error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Versioned settings: ?tenant= and ?appKey= select the scopes, least specific first
+app.get('/api/settings', async (req, res) => {
+  try {
+    const { tenant, appKey } = req.query;
+    res.json(await callerSettings({ tenant, appKey }));
+  } catch (error) {
+    if (!error.status) console.error('Get settings error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// The author a SETTINGS_ACCESS_TOKENS token saves as, so the Settings page can show who changes are attributed to
+app.get('/api/settings/me', (req, res) => {
+  const author = authenticatedPrincipal(req, res, 'SETTINGS_ACCESS_TOKENS', 'Settings changes are disabled');
+  if (!author) return;
+  res.json({ author });
+});
+
+// Every version stored for a scope ('global', 'tenant:<id>' or 'app:<key>'), newest first, each with the
+// changes from the version before it
+app.get('/api/settings/:scope/history', async (req, res) => {
+  try {
+    res.json(await settingsService.history(req.params.scope));
+  } catch (error) {
+    if (!error.status) console.error('Settings history error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Changes from version ?from= to ?to= of a scope
+app.get('/api/settings/:scope/diff', async (req, res) => {
+  const from = Number(req.query.from);
+  const to = Number(req.query.to);
+  if (!Number.isInteger(from) || !Number.isInteger(to)) {
+    return res.status(400).json({ error: 'from and to must be version numbers' });
+  }
+  try {
+    res.json({ scope: req.params.scope, from, to, changes: await settingsService.diff(req.params.scope, from, to) });
+  } catch (error) {
+    if (!error.status) console.error('Settings diff error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Save a scope's next version: { settings, comment? }, authored by the SETTINGS_ACCESS_TOKENS principal;
+// the settings replace the scope's previous ones
+app.post('/api/settings/:scope', async (req, res) => {
+  const author = authenticatedPrincipal(req, res, 'SETTINGS_ACCESS_TOKENS', 'Settings changes are disabled');
+  if (!author) return;
+  const { settings, comment } = req.body || {};
+  try {
+    res.status(201).json(await settingsService.save(req.params.scope, settings, { author, comment }));
+  } catch (error) {
+    if (!error.status) console.error('Save settings error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Restore an earlier version as the newest one: { version, comment? }, authored like a save
+app.post('/api/settings/:scope/rollback', async (req, res) => {
+  const author = authenticatedPrincipal(req, res, 'SETTINGS_ACCESS_TOKENS', 'Settings changes are disabled');
+  if (!author) return;
+  const { version, comment } = req.body || {};
+  if (!Number.isInteger(version)) {
+    return res.status(400).json({ error: 'version must be a version number' });
+  }
+  try {
+    res.status(201).json(await settingsService.rollback(req.params.scope, version, { author, comment }));
+  } catch (error) {
+    if (!error.status) console.error('Settings rollback error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// The name an AUDIT_ACCESS_TOKENS token appends entries as, so the Audit Logs page can confirm a token
+app.get('/api/audit/me', (req, res) => {
+  const principal = authenticatedPrincipal(req, res, 'AUDIT_ACCESS_TOKENS', 'Appending audit entries over HTTP is disabled');
+  if (!principal) return;
+  res.json({ principal });
+});
+
+// Append an entry to the audit trail: { interactionId, agentName, action, details, violationType?, severity? }.
+// The interaction may be one the dashboard stored itself; the entry is chained either way.
+app.post('/api/audit', async (req, res) => {
+  if (!authenticatedPrincipal(req, res, 'AUDIT_ACCESS_TOKENS', 'Appending audit entries over HTTP is disabled')) return;
+  const { interactionId, ...entry } = req.body || {};
+  try {
+    res.status(201).json(await auditTrailService.append(interactionId, entry));
+  } catch (error) {
+    if (!error.status) console.error('Audit append error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Chained entries after ?after= (a sequence number), oldest first, up to ?limit= (default 500, at most 1000)
+app.get('/api/audit/chain', async (req, res) => {
+  const afterSequence = Number(req.query.after ?? 0);
+  const limit = Number(req.query.limit ?? 500);
+  if (!Number.isInteger(afterSequence) || afterSequence < 0) {
+    return res.status(400).json({ error: 'after must be a sequence number' });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({ error: 'limit must be a whole number from 1 to 1000' });
+  }
+  try {
+    res.json(await auditTrailService.chain({ afterSequence, limit }));
+  } catch (error) {
+    console.error('Audit chain error:', error);
+    res.status(500).json({ error: 'Failed to fetch the audit chain' });
+  }
+});
+
+// Whether the stored chain is intact: gaps, edited entries and checkpoint mismatches are listed as problems
+app.get('/api/audit/verify', async (req, res) => {
+  try {
+    res.json(await auditTrailService.verify());
+  } catch (error) {
+    console.error('Audit verify error:', error);
+    res.status(500).json({ error: 'Failed to verify the audit chain' });
+  }
+});
+
+// Signed checkpoints of the chain's head, oldest first
+app.get('/api/audit/checkpoints', async (req, res) => {
+  try {
+    res.json(await auditTrailService.checkpoints());
+  } catch (error) {
+    console.error('Audit checkpoints error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit checkpoints' });
+  }
+});
+
+// The key checkpoints are signed with, for verifying them outside EthosLens
+app.get('/api/audit/public-key', (req, res) => {
+  const publicKey = auditTrailService.publicKey();
+  if (!publicKey) {
+    return res.status(404).json({ error: 'No audit signing key is configured' });
+  }
+  res.json(publicKey);
+});
+
 // Governance configuration endpoints
 app.get('/api/governance/status', async (req, res) => {
   try {
@@ -486,20 +1239,34 @@ app.get('/api/governance/status', async (req, res) => {
   }
 });
 
+// { useInkeep } picks one pipeline (leaving ensemble mode); { ensemble: 'strictest' | 'majority' | 'primary' | null, primary? }
+// runs both side by side, or stops doing so
 app.post('/api/governance/switch', async (req, res) => {
   try {
-    const { useInkeep } = req.body;
+    const { useInkeep, ensemble, primary } = req.body;
     
-    if (typeof useInkeep !== 'boolean') {
+    if (useInkeep === undefined && ensemble === undefined) {
+      return res.status(400).json({ error: 'useInkeep or ensemble is required' });
+    }
+    if (useInkeep !== undefined && typeof useInkeep !== 'boolean') {
       return res.status(400).json({ error: 'useInkeep must be a boolean' });
     }
 
-    await governanceService.switchAgentType(useInkeep);
+    try {
+      governanceService.setEnsemble(ensemble ?? null, primary);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (useInkeep !== undefined) {
+      await governanceService.switchAgentType(useInkeep);
+    }
     const status = await governanceService.getStatus();
     
     res.json({
       success: true,
-      message: `Switched to ${status.agentType} agents`,
+      message: status.agentType === 'ensemble'
+        ? `Switched to ensemble agents (${status.ensembleStrategy}, primary ${status.ensemblePrimary})`
+        : `Switched to ${status.agentType} agents`,
       governance: status,
       timestamp: new Date().toISOString()
     });
@@ -509,6 +1276,19 @@ app.post('/api/governance/switch', async (req, res) => {
   }
 });
 
+// How often the rule engine and the Inkeep agents reached the same status, from the stored ensemble verdicts
+app.get('/api/governance/agreement', async (req, res) => {
+  try {
+    const interactions = await storage.listInteractions({ hasEnsemble: true, limit: null });
+    const stats = createAgreementStats();
+    interactions.forEach(interaction => tallyAgreement(stats, interaction.ensemble));
+    res.json({ source: storage.kind, ...stats, agreementRate: agreementRate(stats) });
+  } catch (error) {
+    console.error('Get agreement error:', error);
+    res.status(500).json({ error: 'Failed to compute pipeline agreement' });
+  }
+});
+
 app.get('/api/governance/insights', async (req, res) => {
   try {
     const { timeframe = 'today' } = req.query;
@@ -532,16 +1312,20 @@ initializeServices().then(() => {
     console.log(`🚀 EthosLens Agent Backend running on port ${PORT}`);
     console.log(`📊 Health check: http://localhost:${PORT}/health`);
     console.log(`🤖 CopilotKit endpoint: http://localhost:${PORT}/api/copilotkit`);
+    console.log(`🔀 OpenAI-compatible proxy: http://localhost:${PORT}/v1/chat/completions`);
     console.log(`📋 Interactions API: http://localhost:${PORT}/api/interactions`);
+    console.log(`🧵 Sessions API: http://localhost:${PORT}/api/sessions`);
+    console.log(`🧑‍⚖️ Review queue: http://localhost:${PORT}/api/reviews`);
+    console.log(`🔗 Audit trail: http://localhost:${PORT}/api/audit/verify`);
+    console.log(`🗑️ Retention policy: http://localhost:${PORT}/api/privacy/retention`);
   });
 });
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down gracefully...');
-  if (neo4jDriver) {
-    await neo4jDriver.close();
-  }
+  await interactionWriter?.flush();
+  await storage?.close();
   process.exit(0);
 });
 
@@ -7,6 +7,7 @@ import Dashboard from './pages/Dashboard';
 import LiveMonitor from './pages/LiveMonitor';
 import AuditLogs from './pages/AuditLogs';
 import Violations from './pages/Violations';
+import Review from './pages/Review';
 import Agents from './pages/Agents';
 import Settings from './pages/Settings';
 import Health from './pages/Health';
@@ -24,6 +25,8 @@ function App() {
         return <AuditLogs />;
       case 'violations':
         return <Violations />;
+      case 'review':
+        return <Review />;
       case 'agents':
         return <Agents />;
       case 'settings':
@@ -1,4 +1,5 @@
 import { LLMInteraction, AgentAction } from '../types';
+import { appendAuditEntry } from '../api/auditTrail';
 
 export class AuditLoggerAgent {
   name = 'AuditLoggerAgent';
@@ -9,15 +10,15 @@ export class AuditLoggerAgent {
     const actions: AgentAction[] = [];
 
     if (interaction.violations.length > 0) {
+      const failure = await this.storeAuditLog(interaction);
       actions.push({
         agentName: this.name,
         action: 'log',
-        details: `Audit logger recorded interaction with ${interaction.violations.length} violation(s)`,
+        details: failure
+          ? `Audit logger could not record interaction with ${interaction.violations.length} violation(s) in the audit trail: ${failure}`
+          : `Audit logger recorded interaction with ${interaction.violations.length} violation(s)`,
         timestamp: new Date()
       });
-
-      // Store in audit log (simulated)
-      await this.storeAuditLog(interaction);
     } else {
       actions.push({
         agentName: this.name,
@@ -30,14 +31,23 @@ export class AuditLoggerAgent {
     return actions;
   }
 
-  private async storeAuditLog(interaction: LLMInteraction): Promise<void> {
-    // In a real implementation, this would store to a database
-    console.log('Audit Log Entry:', {
-      id: interaction.id,
-      timestamp: interaction.timestamp,
-      severity: interaction.severity,
-      violations: interaction.violations,
-      status: interaction.status
-    });
+  // Appends to the backend's hash-chained audit trail, under the most severe violation; the error message if that fails
+  private async storeAuditLog(interaction: LLMInteraction): Promise<string | null> {
+    const worst = interaction.violations.reduce((a, b) => (b.severity > a.severity ? b : a));
+    try {
+      await appendAuditEntry({
+        interactionId: interaction.id,
+        agentName: this.name,
+        action: 'log',
+        details: `${interaction.severity} severity interaction, status ${interaction.status}: ` +
+          interaction.violations.map(violation => `${violation.type} (${violation.severity})`).join(', '),
+        violationType: worst.type,
+        severity: worst.severity
+      });
+      return null;
+    } catch (error) {
+      console.error('Failed to append to the audit trail:', error);
+      return error instanceof Error ? error.message : 'Unknown error';
+    }
   }
 }
\ No newline at end of file
@@ -1,10 +1,66 @@
-import { LLMInteraction, AgentAction } from '../types';
+import { LLMInteraction, AgentAction, AgentSettings } from '../types';
+import { Redactor, redactInput, redactInteraction } from '../governance';
 
 export class ResponseAgent {
   name = 'ResponseAgent';
   type = 'response' as const;
   enabled = true;
 
+  /**
+   * Mask personal data in the prompt before the input pass when its violation type
+   * is configured for redaction, so only placeholders are sent to the model.
+   */
+  async redactPrompt(
+    interaction: LLMInteraction,
+    remediation: AgentSettings['remediation'],
+    redactor: Redactor
+  ): Promise<AgentAction[]> {
+    const input = redactInput(interaction.input, { remediation, redactor });
+    if (input === interaction.input) {
+      return [];
+    }
+
+    interaction.input = input;
+    interaction.redactions = [...redactor.redactions];
+
+    return [{
+      agentName: this.name,
+      action: 'suggest',
+      details: `Masked ${redactor.redactions.length} personal data value(s) in the prompt before generation`,
+      timestamp: new Date()
+    }];
+  }
+
+  /**
+   * Safe-rewrite remediation after the output pass: masks the stored record and the
+   * returned response, and allows the interaction as 'redacted' when masking
+   * resolves every violation.
+   */
+  async redact(
+    interaction: LLMInteraction,
+    remediation: AgentSettings['remediation'],
+    redactor: Redactor,
+    severityThreshold?: number
+  ): Promise<AgentAction[]> {
+    const result = redactInteraction(interaction, { remediation, redactor, severityThreshold });
+    if (!result) {
+      return [];
+    }
+
+    Object.assign(interaction, result);
+    const placeholders = result.redactions.map(r => r.placeholder);
+
+    return [{
+      agentName: this.name,
+      action: result.status === 'redacted' ? 'approve' : 'suggest',
+      description: result.status === 'redacted'
+        ? 'Personal data masked; interaction allowed in redacted form'
+        : `Personal data masked; remaining violations keep the interaction ${result.status}`,
+      details: `Redacted ${placeholders.length} value(s): ${placeholders.join(', ')}`,
+      timestamp: new Date()
+    }];
+  }
+
   async process(interaction: LLMInteraction): Promise<AgentAction[]> {
     const actions: AgentAction[] = [];
 
@@ -16,7 +72,7 @@ export class ResponseAgent {
         details: `Response agent analyzing ${interaction.violations.length} violation(s)`,
         timestamp: new Date()
       });
-      
+
       const suggestion = await this.generateSafeSuggestion(interaction);
       actions.push({
         agentName: this.name,
@@ -40,6 +96,10 @@ export class ResponseAgent {
   private async generateSafeSuggestion(interaction: LLMInteraction): Promise<string> {
     const violationTypes = interaction.violations.map(v => v.type);
 
+    if (interaction.status === 'redacted') {
+      return `Personal data was replaced with placeholders (${interaction.redactions?.length ?? 0}); the redacted response can be shared.`;
+    }
+
     if (violationTypes.includes('pii')) {
       return "Consider removing or anonymizing personal information before sharing this response.";
     }
@@ -54,4 +114,4 @@ export class ResponseAgent {
 
     return "This response requires review before sharing due to detected violations.";
   }
-}
\ No newline at end of file
+}
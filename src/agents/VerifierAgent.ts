@@ -1,5 +1,11 @@
-import { LLMInteraction, AgentAction, Violation } from '../types';
-import { perplexityService, VerificationResult } from '../services/perplexityService';
+import { LLMInteraction, AgentAction, Violation, Claim, ClaimVerification } from '../types';
+import { factCheckService } from '../services/factCheckService';
+import { BUDGET_EXHAUSTED, FactCheckResult } from '../factCheck';
+import { extractClaims } from '../governance';
+
+// Claims fact-checked per interaction, and how many are sent to the provider at once
+const MAX_CLAIMS = 8;
+const CLAIM_CONCURRENCY = 3;
 
 export class VerifierAgent {
   name = 'VerifierAgent';
@@ -13,47 +19,64 @@ export class VerifierAgent {
     const shouldVerify = this.shouldVerifyInteraction(interaction);
     
     if (shouldVerify) {
-      try {
-        const verificationResult = await this.verifyContent(interaction.output);
-        
-        if (!verificationResult.isAccurate) {
-          // Add misinformation violation
-          const misinformationViolation: Violation = {
-            type: 'misinformation',
-            description: 'Content failed fact-checking verification',
-            severity: this.calculateSeverity(verificationResult.confidence),
-            confidence: verificationResult.confidence,
-            reason: verificationResult.summary
-          };
-
-          // Only add violation if it doesn't already exist
-          const existingMisinformation = interaction.violations.find(v => v.type === 'misinformation');
-          if (!existingMisinformation) {
-            interaction.violations.push(misinformationViolation);
-          }
-
-          actions.push({
-            agentName: this.name,
-            action: 'flag',
-            details: `Verification failed: ${verificationResult.summary}`,
-            timestamp: new Date()
-          });
-        } else {
-          actions.push({
-            agentName: this.name,
-            action: 'verify',
-            details: `Output verified as accurate (confidence: ${(verificationResult.confidence * 100).toFixed(0)}%)`,
-            timestamp: new Date()
-          });
+      const claims = extractClaims(interaction.output, { limit: MAX_CLAIMS });
+      if (claims.length === 0) {
+        actions.push({
+          agentName: this.name,
+          action: 'log',
+          details: 'No checkable factual claims in the output',
+          timestamp: new Date()
+        });
+        return actions;
+      }
+
+      const verified = await this.verifyClaims(claims);
+      interaction.claims = verified;
+
+      const refuted = verified.filter(claim => claim.verdict === 'refuted');
+      const unverified = verified.filter(claim => claim.verdict === 'unverified');
+      const cached = verified.filter(claim => claim.cached).length;
+      const fromCache = cached > 0 ? ` (${cached} from cache)` : '';
+
+      refuted.forEach(claim => {
+        const location = `output:${claim.start}-${claim.end}`;
+        // Only add violation if it doesn't already exist for this claim
+        if (interaction.violations.some(v => v.type === 'misinformation' && v.location === location)) {
+          return;
         }
-      } catch (error) {
-        console.error('Verification failed:', error);
-        
-        // Log the verification failure but don't block the interaction
+        const misinformationViolation: Violation = {
+          type: 'misinformation',
+          description: `Claim failed fact-checking: "${claim.text}"`,
+          severity: this.calculateSeverity(claim.confidence),
+          confidence: claim.confidence,
+          reason: claim.summary,
+          location
+        };
+        interaction.violations.push(misinformationViolation);
+      });
+
+      if (refuted.length > 0) {
+        actions.push({
+          agentName: this.name,
+          action: 'flag',
+          details: `Verification failed for ${refuted.length} of ${verified.length} claim(s)${fromCache}: ${refuted.map(claim => claim.summary).join('; ')}`,
+          timestamp: new Date()
+        });
+      } else if (unverified.length < verified.length) {
+        actions.push({
+          agentName: this.name,
+          action: 'approve',
+          details: `${verified.length - unverified.length} claim(s) verified as accurate${fromCache}`,
+          timestamp: new Date()
+        });
+      }
+
+      // Failed checks say nothing about the content, so they are logged rather than flagged
+      if (unverified.length > 0) {
         actions.push({
           agentName: this.name,
           action: 'log',
-          details: `Verification service unavailable: ${error instanceof Error ? error.message : 'Unknown error'}`,
+          details: `${unverified.length} claim(s) left unverified: ${[...new Set(unverified.map(claim => claim.error))].join('; ')}`,
           timestamp: new Date()
         });
       }
@@ -70,8 +93,8 @@ export class VerifierAgent {
   }
 
   private shouldVerifyInteraction(interaction: LLMInteraction): boolean {
-    // Verify if Perplexity is configured
-    if (!perplexityService.isConfigured()) {
+    // Verify if the deployment's fact-check provider is configured
+    if (!factCheckService.isConfigured()) {
       return false;
     }
 
@@ -92,9 +115,39 @@ export class VerifierAgent {
     return factualIndicators.some(indicator => contentLower.includes(indicator));
   }
 
-  private async verifyContent(content: string): Promise<VerificationResult> {
-    // Use the Perplexity service for verification
-    return await perplexityService.verifyContent(content);
+  // Each claim on its own, a few at a time, in the order they appear
+  private async verifyClaims(claims: Claim[]): Promise<ClaimVerification[]> {
+    const verified: ClaimVerification[] = [];
+    for (let start = 0; start < claims.length; start += CLAIM_CONCURRENCY) {
+      const batch = claims.slice(start, start + CLAIM_CONCURRENCY);
+      verified.push(...await Promise.all(batch.map(claim => this.verifyClaim(claim))));
+    }
+    return verified;
+  }
+
+  private async verifyClaim(claim: Claim): Promise<ClaimVerification> {
+    try {
+      const result = await factCheckService.factCheck(claim.text);
+      return {
+        ...claim,
+        verdict: result.isAccurate ? 'supported' : 'refuted',
+        confidence: result.confidence,
+        summary: result.summary,
+        citations: (result.sources ?? []).filter(source => /^https?:\/\//i.test(source)),
+        ...(result.cached ? { cached: true } : {})
+      };
+    } catch (error) {
+      // Once the day's budget is spent, claims are left unverified until it resets
+      const overBudget = (error as { code?: string })?.code === BUDGET_EXHAUSTED;
+      return {
+        ...claim,
+        verdict: 'unverified',
+        confidence: 0,
+        summary: overBudget ? 'Not checked: daily fact-check budget used up' : 'Could not be verified',
+        citations: [],
+        error: error instanceof Error ? error.message : 'Unknown error'
+      };
+    }
   }
 
   private calculateSeverity(confidence: number): number {
@@ -103,11 +156,11 @@ export class VerifierAgent {
     return Math.min(10, 5 + (confidence * 5));
   }
 
-  async factCheckClaim(claim: string): Promise<VerificationResult> {
-    return await perplexityService.factCheck(claim);
+  async factCheckClaim(claim: string): Promise<FactCheckResult> {
+    return await factCheckService.factCheck(claim);
   }
 
   isConfigured(): boolean {
-    return perplexityService.isConfigured();
+    return factCheckService.isConfigured();
   }
 }
\ No newline at end of file
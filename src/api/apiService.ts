@@ -1,13 +1,35 @@
-import { LLMInteraction, DashboardStats, AgentSettings, AuditLogEntry, FeedbackEntry } from '../types';
+import {
+  LLMInteraction,
+  DashboardStats,
+  AgentSettings,
+  AuditLogEntry,
+  FeedbackEntry,
+  SettingsScopes,
+  SettingsVersion
+} from '../types';
 import { agents } from '../agents';
-import { graphNeo4jDatabaseService } from '../services/graphNeo4jService';
+import {
+  GLOBAL_SETTINGS_SCOPE,
+  createDefaultSettings,
+  determineStatus,
+  settingsOverride,
+  toPhaseVerdict,
+  Redactor
+} from '../governance';
+import { graphNeo4jDatabaseService, interactionWriteQueue } from '../services/graphNeo4jService';
 import { mockApi } from './mockApi';
+import { fetchEffectiveSettings, fetchSettingsHistory, rollbackSettingsVersion, saveSettingsVersion } from './settings';
 import { rateLimiter } from '../utils/rateLimiter';
 import { InputSanitizer } from '../utils/inputSanitizer';
-import { callOpenAI, isOpenAIConfigured } from '../lib/openaiAgent';
+import { callOpenAI } from '../lib/openaiAgent';
 
 export class ApiService {
   private useNeo4j: boolean;
+  // Whose settings this app governs with: global, then VITE_ETHOSLENS_TENANT, then VITE_ETHOSLENS_APP_KEY
+  readonly settingsScopes: SettingsScopes = {
+    tenant: import.meta.env.VITE_ETHOSLENS_TENANT || undefined,
+    appKey: import.meta.env.VITE_ETHOSLENS_APP_KEY || undefined
+  };
 
   constructor() {
     this.useNeo4j = graphNeo4jDatabaseService.isConfigured();
@@ -32,7 +54,8 @@ export class ApiService {
     return `client_${navigator.userAgent.slice(0, 50)}`;
   }
 
-  async processPrompt(prompt: string): Promise<LLMInteraction> {
+  // `options.model` ("provider:model") picks the model for this prompt instead of the gateway default
+  async processPrompt(prompt: string, options: { model?: string } = {}): Promise<LLMInteraction> {
     const clientId = this.getClientIdentifier();
     
     // Rate limiting
@@ -50,72 +73,83 @@ export class ApiService {
 
     const sanitizedPrompt = validation.sanitized!;
 
-    // Generate LLM response using OpenAI
-    let llmResult;
-    if (isOpenAIConfigured()) {
-      llmResult = await callOpenAI(sanitizedPrompt);
-    } else {
-      // If OpenAI is not configured, use a simple mock response
-      llmResult = {
-        response: 'I cannot provide a response as the AI service is not properly configured.',
-        source: 'mock',
-        model: 'mock-model',
-        error: 'OpenAI API not configured'
-      };
-    }
-    
     const interaction: LLMInteraction = {
       id: Math.random().toString(36).substr(2, 9),
       timestamp: new Date(),
       input: sanitizedPrompt,
-      output: llmResult.response,
+      output: '',
       status: 'pending',
       severity: 'low',
       violations: [],
-      agentActions: [],
-      llmSource: llmResult.source as 'openai' | 'mock' | 'fallback',
-      llmModel: llmResult.model,
-      llmError: llmResult.error
+      agentActions: []
     };
 
-    // Get current settings
-    const settings = await this.getSettings();
+    // Effective settings for this app's tenant and application key
+    const settings = await this.getSettings(this.settingsScopes);
+
+    // One redactor per interaction, so a value masked in the prompt keeps its placeholder in the response
+    const redactor = new Redactor();
+    const remediation = settings.remediation ?? {};
+    let generatedOutput = '';
 
-    // Process through agents
+    // Redaction mode: mask personal data before the prompt is checked or sent to the model
+    if (settings.responseAgent.enabled) {
+      const redactionActions = await agents.responseAgent.redactPrompt(interaction, remediation, redactor);
+      interaction.agentActions.push(...redactionActions);
+    }
+
+    // Phase 1: input-only policy pass, so blocked prompts never reach the model
     if (settings.policyEnforcer.enabled) {
-      const policyActions = await agents.policyEnforcer.process(interaction);
-      interaction.agentActions.push(...policyActions);
+      const inputActions = await agents.policyEnforcer.processInput(interaction, settings.severityThreshold);
+      interaction.agentActions.push(...inputActions);
     }
 
-    // Update violations and status based on agent actions
-    if (interaction.agentActions.some(action => action.action === 'flag' || action.action === 'block')) {
-      // Don't override violations already detected by PolicyEnforcer
-      // Only add additional violations from response analysis if none exist
-      if (interaction.violations.length === 0) {
-        interaction.violations = this.extractViolations(llmResult.response);
-      }
-      
-      // Check if any violation exceeds threshold or if blocked by agent
-      const maxSeverity = Math.max(...interaction.violations.map(v => v.severity), 0);
-      const isBlocked = interaction.agentActions.some(action => action.action === 'block');
-      
-      interaction.status = isBlocked || maxSeverity >= settings.severityThreshold ? 'blocked' : 'pending';
-      interaction.severity = this.mapSeverityToCategory(maxSeverity);
+    // Generate the response through the LLM gateway, unless the input pass blocked the prompt
+    const generation = interaction.inputVerdict?.status === 'blocked'
+      ? null
+      : await callOpenAI(interaction.input, { model: options.model });
+
+    if (!generation) {
+      console.log('🛑 Prompt blocked before generation:', interaction.violations.map(v => v.type));
+      Object.assign(interaction, determineStatus(interaction.violations, settings.severityThreshold));
+    } else if (!generation.ok) {
+      // Nothing was generated, so there is no output to govern; severity still reflects the input pass
+      console.warn('⚠️ No response generated:', generation.error.message);
+      Object.assign(interaction, determineStatus(interaction.violations, settings.severityThreshold), { status: 'failed' });
+      interaction.generationError = generation.error;
     } else {
-      interaction.status = 'approved';
-      interaction.severity = 'low';
-    }
+      generatedOutput = generation.response;
+      interaction.output = generation.response;
+      interaction.llmSource = generation.source;
+      interaction.llmModel = generation.model;
+      interaction.llmLatencyMs = generation.latencyMs;
+      interaction.llmUsage = generation.usage;
+      interaction.llmAttempts = generation.attempts;
+
+      // Phase 2: the existing output pass over the full interaction
+      if (settings.policyEnforcer.enabled) {
+        const policyActions = await agents.policyEnforcer.process(interaction);
+        interaction.agentActions.push(...policyActions);
+      }
+
+      // Same verdict rules as the backend, so both paths agree on the status
+      Object.assign(interaction, determineStatus(interaction.violations, settings.severityThreshold));
+
+      // Process through verifier if enabled and high severity
+      if (settings.verifier.enabled && interaction.violations.some(v => v.severity >= 7)) {
+        const verifierActions = await agents.verifier.process(interaction);
+        interaction.agentActions.push(...verifierActions);
+        
+        // Re-evaluate status after verifier adds potential violations
+        Object.assign(interaction, determineStatus(interaction.violations, settings.severityThreshold));
+      }
+
+      interaction.outputVerdict = toPhaseVerdict('output', interaction);
 
-    // Process through verifier if enabled and high severity
-    if (settings.verifier.enabled && interaction.violations.some(v => v.severity >= 7)) {
-      const verifierActions = await agents.verifier.process(interaction);
-      interaction.agentActions.push(...verifierActions);
-      
-      // Re-evaluate status after verifier adds potential violations
-      if (interaction.violations.length > 0) {
-        const maxSeverity = Math.max(...interaction.violations.map(v => v.severity), 0);
-        interaction.status = maxSeverity >= settings.severityThreshold ? 'blocked' : 'pending';
-        interaction.severity = this.mapSeverityToCategory(maxSeverity);
+      // Safe-rewrite: mask the stored record and the returned response instead of blocking
+      if (settings.responseAgent.enabled) {
+        const redactionActions = await agents.responseAgent.redact(interaction, remediation, redactor, settings.severityThreshold);
+        interaction.agentActions.push(...redactionActions);
       }
     }
 
@@ -135,55 +169,28 @@ export class ApiService {
       interaction.agentActions.push(...feedbackActions);
     }
 
-    // Log all agent actions to audit logs after processing
-    await this.logAllAgentActions(interaction);
-    // Save interaction
-    if (this.useNeo4j) {
-      try {
-        console.log('🔄 Attempting to save to Neo4j...', { id: interaction.id, input: interaction.input.substring(0, 50) });
-        const neo4jId = await graphNeo4jDatabaseService.saveInteraction(interaction);
-        interaction.id = neo4jId;
-        console.log('✅ Successfully saved to Neo4j:', neo4jId);
-      } catch (error) {
-        console.error('❌ Failed to save to Neo4j, using mock API:', error);
-        const errorMessage = error instanceof Error ? error.message : String(error);
-        const errorStack = error instanceof Error ? error.stack : '';
-        console.error('Error details:', errorMessage, errorStack);
-        // Don't fallback to mock API - throw the error so we can see what's wrong
-        throw new Error(`Neo4j save failed: ${errorMessage}`);
-      }
-    } else {
-      console.warn('⚠️ Neo4j not configured, using mock API');
-      return await mockApi.processPrompt(prompt);
-    }
+    const write = {
+      interaction,
+      original: interaction.redactions?.length ? { input: sanitizedPrompt, output: generatedOutput } : undefined
+    };
 
-    return interaction;
-  }
+    if (!this.useNeo4j) {
+      console.warn('⚠️ Neo4j not configured, keeping the interaction in the mock API');
+      return await mockApi.saveInteraction(write);
+    }
 
-  private async logAllAgentActions(interaction: LLMInteraction): Promise<void> {
-    if (!this.useNeo4j) return;
+    // Written behind the request in one transaction with its audit logs; failed writes are retried
+    interactionWriteQueue.enqueue(write);
 
-    try {
-      for (const action of interaction.agentActions) {
-        const logEntry: AuditLogEntry = {
-          id: Math.random().toString(36).substr(2, 9),
-          timestamp: action.timestamp,
-          agentName: action.agentName,
-          action: action.action,
-          interactionId: interaction.id,
-          details: action.details
-        };
-        await graphNeo4jDatabaseService.saveAuditLog(logEntry);
-      }
-    } catch (error) {
-      console.error('Failed to log agent actions to Neo4j:', error);
-    }
+    return interaction;
   }
 
   async getInteractions(): Promise<LLMInteraction[]> {
     if (this.useNeo4j) {
       try {
         console.log('🔄 Fetching interactions from Neo4j...');
+        // Include interactions processed here that are still waiting in the write queue
+        await interactionWriteQueue.flush();
         const interactions = await graphNeo4jDatabaseService.getInteractions();
         console.log(`✅ Retrieved ${interactions.length} interactions from Neo4j`);
         return interactions;
@@ -235,37 +242,52 @@ export class ApiService {
     return await mockApi.getFeedbackEntries();
   }
 
-  async getSettings(): Promise<AgentSettings> {
-    if (this.useNeo4j) {
-      try {
-        return await graphNeo4jDatabaseService.getSettings();
-      } catch (error) {
-        console.error('Failed to fetch settings from Neo4j, using mock API:', error);
-        return await mockApi.getSettings();
-      }
+  // Settings live on the backend, so every app and server process governs with the same versions
+  async getSettings(scopes: SettingsScopes = {}): Promise<AgentSettings> {
+    try {
+      return await fetchEffectiveSettings(scopes);
+    } catch (error) {
+      console.error('Failed to fetch settings from the backend, using the defaults:', error);
+      return createDefaultSettings();
     }
-    return await mockApi.getSettings();
   }
 
-  async updateSettings(newSettings: AgentSettings): Promise<void> {
-    if (this.useNeo4j) {
-      try {
-        await graphNeo4jDatabaseService.saveSettings(newSettings);
-      } catch (error) {
-        console.error('Failed to save settings to Neo4j, using mock API:', error);
-        await mockApi.updateSettings(newSettings);
-        return;
-      }
-    } else {
-      await mockApi.updateSettings(newSettings);
-    }
-    
-    // Update agent enabled states
-    agents.policyEnforcer.enabled = newSettings.policyEnforcer.enabled;
-    agents.verifier.enabled = newSettings.verifier.enabled;
-    agents.auditLogger.enabled = newSettings.auditLogger.enabled;
-    agents.responseAgent.enabled = newSettings.responseAgent.enabled;
-    agents.feedbackAgent.enabled = newSettings.feedbackAgent.enabled;
+  async getSettingsHistory(scope: string): Promise<SettingsVersion[]> {
+    return await fetchSettingsHistory(scope);
+  }
+
+  /**
+   * Saves a new version for `scope` (global unless given), authored by whoever the
+   * SETTINGS_ACCESS_TOKENS token names. A tenant or application key stores only
+   * what differs from global, so later global changes still reach it.
+   */
+  async updateSettings(
+    newSettings: AgentSettings,
+    { scope = GLOBAL_SETTINGS_SCOPE, comment }: { scope?: string; comment?: string },
+    accessToken: string
+  ): Promise<SettingsVersion> {
+    const layer = scope === GLOBAL_SETTINGS_SCOPE
+      ? newSettings
+      : settingsOverride(await fetchEffectiveSettings(), newSettings);
+    const saved = await saveSettingsVersion(scope, layer, accessToken, comment);
+    await this.applyAgentStates();
+    return saved;
+  }
+
+  async rollbackSettings(scope: string, version: number, accessToken: string): Promise<SettingsVersion> {
+    const saved = await rollbackSettingsVersion(scope, version, accessToken);
+    await this.applyAgentStates();
+    return saved;
+  }
+
+  // Agent enabled states follow this app's effective settings, whichever scope changed
+  private async applyAgentStates(): Promise<void> {
+    const settings = await this.getSettings(this.settingsScopes);
+    agents.policyEnforcer.enabled = settings.policyEnforcer.enabled;
+    agents.verifier.enabled = settings.verifier.enabled;
+    agents.auditLogger.enabled = settings.auditLogger.enabled;
+    agents.responseAgent.enabled = settings.responseAgent.enabled;
+    agents.feedbackAgent.enabled = settings.feedbackAgent.enabled;
   }
 
   async submitFeedback(interactionId: string, rating: 'positive' | 'negative' | 'flag', comment?: string): Promise<void> {
@@ -279,6 +301,8 @@ export class ApiService {
 
     if (this.useNeo4j) {
       try {
+        // The interaction may still be waiting in the write queue
+        await interactionWriteQueue.flush();
         await graphNeo4jDatabaseService.saveFeedback(feedback);
         
         // Update interaction with feedback
@@ -302,42 +326,6 @@ export class ApiService {
     }
   }
 
-  private mapSeverityToCategory(severity: number): 'low' | 'medium' | 'high' | 'critical' {
-    if (severity >= 9) return 'critical';
-    if (severity >= 7) return 'high';
-    if (severity >= 5) return 'medium';
-    return 'low';
-  }
-
-  private extractViolations(response: string) {
-    const violations = [];
-    const responseLower = response.toLowerCase();
-
-    // PII detection
-    if (responseLower.includes('john doe') || responseLower.includes('@email.com') || responseLower.includes('555-')) {
-      violations.push({
-        type: 'pii' as const,
-        description: 'Personal information detected in response',
-        severity: 8.5,
-        confidence: 0.9,
-        reason: 'Response contains email addresses, phone numbers, or medical record IDs'
-      });
-    }
-
-    // Bias detection
-    if (responseLower.includes('obviously') || responseLower.includes('everyone knows')) {
-      violations.push({
-        type: 'bias' as const,
-        description: 'Biased language detected',
-        severity: 5.8,
-        confidence: 0.8,
-        reason: 'Response contains language that may reflect unfair bias or assumptions'
-      });
-    }
-
-    return violations;
-  }
-
   // Get graph data for visualization
   async getGraphData(): Promise<{ nodes: any[], links: any[] }> {
     if (this.useNeo4j) {
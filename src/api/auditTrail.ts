@@ -0,0 +1,84 @@
+import { AuditLogEntry } from '../types';
+import { API_URLS } from '../config/api';
+
+// GET /api/audit/verify
+export interface AuditChainVerification {
+  valid: boolean;
+  checkedAt: Date;
+  entries: number;
+  head: { sequence: number; hash: string; timestamp: Date } | null;
+  checkpoints: {
+    total: number;
+    verified: number; // signed with the server's current key and checked
+    lastSequence: number | null;
+    lastCreatedAt: Date | null;
+  };
+  problemCount: number;
+  problems: { sequence: number; problem: string }[];
+}
+
+export type NewAuditEntry = Pick<AuditLogEntry, 'interactionId' | 'agentName' | 'action' | 'details' | 'violationType' | 'severity'>;
+
+// Entered on the Audit Logs page and kept for the browser session only, never built into the bundle
+const ACCESS_TOKEN_STORAGE_KEY = 'ethoslens.auditToken';
+
+export function getAuditAccessToken(): string {
+  return sessionStorage.getItem(ACCESS_TOKEN_STORAGE_KEY) || '';
+}
+
+export function setAuditAccessToken(token: string): void {
+  sessionStorage.setItem(ACCESS_TOKEN_STORAGE_KEY, token);
+}
+
+async function readError(response: Response): Promise<Error> {
+  const body = await response.json().catch(() => null);
+  return new Error(body?.error || `HTTP error! status: ${response.status}`);
+}
+
+// The name an AUDIT_ACCESS_TOKENS token records entries as
+export async function fetchAuditPrincipal(accessToken: string): Promise<string> {
+  const response = await fetch(`${API_URLS.audit}/me`, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+  if (!response.ok) {
+    throw await readError(response);
+  }
+  const { principal } = await response.json();
+  return principal;
+}
+
+// Appended to the backend's hash-chained trail, which numbers and timestamps it. The
+// server only accepts entries carrying a token from its AUDIT_ACCESS_TOKENS.
+export async function appendAuditEntry(entry: NewAuditEntry, accessToken = getAuditAccessToken()): Promise<AuditLogEntry> {
+  if (!accessToken.trim()) {
+    throw new Error('No audit access token; enter one on the Audit Logs page');
+  }
+  const response = await fetch(API_URLS.audit, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${accessToken.trim()}` },
+    body: JSON.stringify(entry)
+  });
+  if (!response.ok) {
+    throw await readError(response);
+  }
+  const stored: AuditLogEntry = await response.json();
+  return { ...stored, timestamp: new Date(stored.timestamp) };
+}
+
+export async function verifyAuditChain(): Promise<AuditChainVerification> {
+  const response = await fetch(`${API_URLS.audit}/verify`);
+  if (!response.ok) {
+    throw await readError(response);
+  }
+  const verification: AuditChainVerification = await response.json();
+  const { head, checkpoints } = verification;
+  return {
+    ...verification,
+    checkedAt: new Date(verification.checkedAt),
+    head: head ? { ...head, timestamp: new Date(head.timestamp) } : null,
+    checkpoints: {
+      ...checkpoints,
+      lastCreatedAt: checkpoints.lastCreatedAt ? new Date(checkpoints.lastCreatedAt) : null
+    }
+  };
+}
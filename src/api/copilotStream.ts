@@ -0,0 +1,109 @@
+import { LLMInteraction, Violation } from '../types';
+import { API_URLS } from '../config/api';
+import { reviveInteraction } from './interactions';
+
+export interface ChatMessage {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+}
+
+export interface StreamBlockedEvent {
+  type: 'blocked';
+  status: LLMInteraction['status'];
+  severity: LLMInteraction['severity'];
+  violations: Violation[];
+  content: string;
+}
+
+interface StreamFinalEvent {
+  type: 'final';
+  interaction: LLMInteraction;
+}
+
+interface StreamErrorEvent {
+  type: 'error';
+  message: string;
+}
+
+type EthosLensStreamEvent = StreamBlockedEvent | StreamFinalEvent | StreamErrorEvent;
+
+export interface GovernedStreamHandlers {
+  // Called with each relayed chunk and the output received so far
+  onToken?: (content: string, output: string) => void;
+  onBlocked?: (event: StreamBlockedEvent) => void;
+}
+
+/**
+ * Send a chat through /api/copilotkit in stream mode and resolve with the
+ * interaction record the backend persisted once the stream completes. Pass the
+ * same `sessionId` for every turn of a conversation so its risk accumulates.
+ */
+export async function streamGovernedChat(
+  messages: ChatMessage[],
+  model: string,
+  handlers: GovernedStreamHandlers = {},
+  sessionId?: string
+): Promise<LLMInteraction> {
+  const response = await fetch(API_URLS.copilotkit, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream'
+    },
+    body: JSON.stringify({ messages, model, stream: true, sessionId })
+  });
+
+  if (!response.ok || !response.body) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let output = '';
+  let finalInteraction: LLMInteraction | null = null;
+
+  const handleEvent = (rawEvent: string) => {
+    let eventName = 'message';
+    const dataLines: string[] = [];
+    for (const line of rawEvent.split('\n')) {
+      if (line.startsWith('event:')) eventName = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+    }
+
+    const data = dataLines.join('\n');
+    if (!data || data === '[DONE]') return;
+
+    if (eventName === 'ethosLens') {
+      const event = JSON.parse(data) as EthosLensStreamEvent;
+      if (event.type === 'blocked') handlers.onBlocked?.(event);
+      else if (event.type === 'final') finalInteraction = reviveInteraction(event.interaction);
+      else throw new Error(event.message);
+      return;
+    }
+
+    const content: string = JSON.parse(data).choices?.[0]?.delta?.content || '';
+    if (content) {
+      output += content;
+      handlers.onToken?.(content, output);
+    }
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      handleEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+
+  if (!finalInteraction) {
+    throw new Error('Stream ended before the governance decision was received');
+  }
+  return finalInteraction;
+}
@@ -0,0 +1,104 @@
+import { LLMInteraction, PhaseVerdict } from '../types';
+import { API_URLS } from '../config/api';
+
+export type InteractionSort = 'timestamp' | 'severity' | 'violations';
+
+// Server-side filters of GET /api/interactions and /api/interactions/stats
+export interface InteractionFilters {
+  status?: LLMInteraction['status'][];
+  severity?: LLMInteraction['severity'][];
+  // At least one violation of one of the types, in a framework containing `framework`,
+  // scored >= minViolationSeverity and < maxViolationSeverity
+  violationType?: string[];
+  framework?: string;
+  minViolationSeverity?: number;
+  maxViolationSeverity?: number;
+  agent?: string[];
+  model?: string[];
+  from?: Date;
+  to?: Date; // exclusive
+  q?: string; // text in the input or output, any case
+}
+
+export interface InteractionQuery extends InteractionFilters {
+  sort?: InteractionSort;
+  order?: 'desc' | 'asc';
+  limit?: number;
+}
+
+export interface InteractionPage {
+  interactions: LLMInteraction[];
+  total: number; // every interaction matching the filters, not just this page
+  nextCursor: string | null;
+}
+
+export interface InteractionStats {
+  total: number;
+  statusCounts: Record<string, number>;
+  violationsByType: Record<string, number>;
+  violationsByFramework: Record<string, number>;
+  violationsBySeverity: Record<string, number>; // keyed by whole score, 0-10
+  actionsByAgent: Record<string, number>;
+  interactionsByModel: Record<string, number>;
+}
+
+function reviveVerdict(verdict?: PhaseVerdict): PhaseVerdict | undefined {
+  return verdict ? { ...verdict, checkedAt: new Date(verdict.checkedAt) } : undefined;
+}
+
+export function reviveInteraction(interaction: LLMInteraction): LLMInteraction {
+  return {
+    ...interaction,
+    timestamp: new Date(interaction.timestamp),
+    inputVerdict: reviveVerdict(interaction.inputVerdict),
+    outputVerdict: reviveVerdict(interaction.outputVerdict),
+    agentActions: (interaction.agentActions || []).map(action => ({
+      ...action,
+      timestamp: new Date(action.timestamp)
+    }))
+  };
+}
+
+async function readError(response: Response): Promise<Error> {
+  const body = await response.json().catch(() => null);
+  return new Error(body?.error || `HTTP error! status: ${response.status}`);
+}
+
+// Query string for a query; empty filters are left out, lists are comma-separated
+export function interactionSearchParams(query: InteractionQuery): URLSearchParams {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([name, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    if (Array.isArray(value)) {
+      if (value.length > 0) params.set(name, value.join(','));
+    } else {
+      params.set(name, value instanceof Date ? value.toISOString() : String(value));
+    }
+  });
+  return params;
+}
+
+// One page for a query string from interactionSearchParams; pass the previous page's nextCursor for the next
+export async function fetchInteractionPage(search: string, cursor?: string): Promise<InteractionPage> {
+  const params = new URLSearchParams(search);
+  if (cursor) params.set('cursor', cursor);
+  const response = await fetch(`${API_URLS.interactions}?${params}`);
+  if (!response.ok) {
+    throw await readError(response);
+  }
+  const page: InteractionPage = await response.json();
+  return { ...page, interactions: page.interactions.map(reviveInteraction) };
+}
+
+export async function fetchInteractions(query: InteractionQuery = {}, cursor?: string): Promise<InteractionPage> {
+  return fetchInteractionPage(interactionSearchParams(query).toString(), cursor);
+}
+
+// Counts over every stored interaction matching the filters
+export async function fetchInteractionStats(filters: InteractionFilters = {}): Promise<InteractionStats> {
+  const response = await fetch(`${API_URLS.interactions}/stats?${interactionSearchParams(filters)}`);
+  if (!response.ok) {
+    throw await readError(response);
+  }
+  return response.json();
+}
@@ -0,0 +1,30 @@
+import { API_URLS } from '../config/api';
+
+// Framework ids GET /api/reports/compliance understands, with the names its sections use
+export const REPORT_FRAMEWORKS = {
+  gdpr: 'GDPR',
+  eu_ai_act: 'EU AI Act',
+  fisma: 'FISMA',
+  dsa: 'Digital Services Act',
+  nis2: 'NIS2 Directive',
+  iso_42001: 'ISO/IEC 42001',
+  ieee: 'IEEE Ethically Aligned Design'
+} as const;
+
+export type ReportFramework = keyof typeof REPORT_FRAMEWORKS;
+
+export interface ComplianceReportQuery {
+  from: Date;
+  to: Date; // exclusive
+  frameworks?: ReportFramework[]; // all by default
+  format: 'html' | 'csv' | 'json';
+  print?: boolean; // html only: open the print dialog, to save as PDF
+}
+
+// The report is a page or a download of its own, so it is linked to rather than fetched
+export function complianceReportUrl({ from, to, frameworks, format, print }: ComplianceReportQuery): string {
+  const params = new URLSearchParams({ from: from.toISOString(), to: to.toISOString(), format });
+  if (frameworks?.length) params.set('framework', frameworks.join(','));
+  if (print) params.set('print', '1');
+  return `${API_URLS.reports}/compliance?${params}`;
+}
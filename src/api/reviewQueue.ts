@@ -0,0 +1,64 @@
+import { ReviewAction, ReviewItem, ReviewStatus } from '../types';
+import { API_URLS } from '../config/api';
+
+function reviveReview(review: ReviewItem): ReviewItem {
+  const toDate = (value?: Date) => (value ? new Date(value) : undefined);
+  return {
+    ...review,
+    queuedAt: new Date(review.queuedAt),
+    overdue: Boolean(review.overdue),
+    dueAt: new Date(review.dueAt),
+    claimedAt: toDate(review.claimedAt),
+    escalatedAt: toDate(review.escalatedAt),
+    decidedAt: toDate(review.decidedAt),
+    history: (review.history || []).map(event => ({ ...event, timestamp: new Date(event.timestamp) }))
+  };
+}
+
+async function readError(response: Response): Promise<Error> {
+  const body = await response.json().catch(() => null);
+  return new Error(body?.error || `HTTP error! status: ${response.status}`);
+}
+
+// Reviews in the given statuses (the open ones by default), soonest due first; needs a reviewer token
+export async function fetchReviewQueue(accessToken: string, statuses?: ReviewStatus[]): Promise<ReviewItem[]> {
+  const url = statuses ? `${API_URLS.reviews}?status=${statuses.join(',')}` : API_URLS.reviews;
+  const response = await fetch(url, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+  if (!response.ok) {
+    throw await readError(response);
+  }
+  const reviews: ReviewItem[] = await response.json();
+  return reviews.map(reviveReview);
+}
+
+// The reviewer a REVIEWER_ACCESS_TOKENS token belongs to
+export async function fetchReviewer(accessToken: string): Promise<string> {
+  const response = await fetch(`${API_URLS.reviews}/me`, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+  if (!response.ok) {
+    throw await readError(response);
+  }
+  const { reviewer } = await response.json();
+  return reviewer;
+}
+
+// The server takes the reviewer from the access token, not from the request body
+export async function submitReviewAction(
+  interactionId: string,
+  action: ReviewAction,
+  accessToken: string,
+  reason: string
+): Promise<ReviewItem> {
+  const response = await fetch(`${API_URLS.reviews}/${encodeURIComponent(interactionId)}/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${accessToken}` },
+    body: JSON.stringify({ reason })
+  });
+  if (!response.ok) {
+    throw await readError(response);
+  }
+  return reviveReview(await response.json());
+}
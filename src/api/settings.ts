@@ -0,0 +1,67 @@
+import { AgentSettings, SettingsOverride, SettingsScopes, SettingsVersion } from '../types';
+import { API_URLS } from '../config/api';
+
+function reviveVersion(version: SettingsVersion): SettingsVersion {
+  return { ...version, createdAt: new Date(version.createdAt) };
+}
+
+async function readError(response: Response): Promise<Error> {
+  const body = await response.json().catch(() => null);
+  return new Error(body?.error || `HTTP error! status: ${response.status}`);
+}
+
+async function readJson<T>(response: Response): Promise<T> {
+  if (!response.ok) {
+    throw await readError(response);
+  }
+  return response.json();
+}
+
+const scopeUrl = (scope: string) => `${API_URLS.settings}/${encodeURIComponent(scope)}`;
+
+// Effective settings for the given scopes: the backend's defaults, then global, then the tenant, then the application key
+export async function fetchEffectiveSettings({ tenant, appKey }: SettingsScopes = {}): Promise<AgentSettings> {
+  const params = new URLSearchParams();
+  if (tenant) params.set('tenant', tenant);
+  if (appKey) params.set('appKey', appKey);
+  const { settings } = await readJson<{ settings: AgentSettings }>(await fetch(`${API_URLS.settings}?${params}`));
+  return settings;
+}
+
+// Versions of one scope, newest first, each with its changes from the version before it
+export async function fetchSettingsHistory(scope: string): Promise<SettingsVersion[]> {
+  const versions = await readJson<SettingsVersion[]>(await fetch(`${scopeUrl(scope)}/history`));
+  return versions.map(reviveVersion);
+}
+
+// The author a SETTINGS_ACCESS_TOKENS token saves as
+export async function fetchSettingsAuthor(accessToken: string): Promise<string> {
+  const { author } = await readJson<{ author: string }>(await fetch(`${API_URLS.settings}/me`, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  }));
+  return author;
+}
+
+// The server takes the author from the access token; `settings` replace the scope's previous ones
+export async function saveSettingsVersion(
+  scope: string,
+  settings: SettingsOverride,
+  accessToken: string,
+  comment?: string
+): Promise<SettingsVersion> {
+  const response = await fetch(scopeUrl(scope), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${accessToken}` },
+    body: JSON.stringify({ settings, comment })
+  });
+  return reviveVersion(await readJson<SettingsVersion>(response));
+}
+
+export async function rollbackSettingsVersion(scope: string, version: number, accessToken: string): Promise<SettingsVersion> {
+  const response = await fetch(`${scopeUrl(scope)}/rollback`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${accessToken}` },
+    body: JSON.stringify({ version })
+  });
+  return reviveVersion(await readJson<SettingsVersion>(response));
+}
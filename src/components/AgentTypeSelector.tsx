@@ -1,18 +1,28 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { Settings, Zap, Shield, AlertCircle, CheckCircle } from 'lucide-react';
+import { Settings, Zap, Shield, AlertCircle, CheckCircle, GitCompare } from 'lucide-react';
+import { EnsembleStrategy } from '../types';
 
 interface GovernanceStatus {
   usingInkeep: boolean;
   inkeepAvailable: boolean;
-  agentType: 'inkeep' | 'legacy';
+  agentType: 'inkeep' | 'legacy' | 'ensemble';
+  ensembleStrategy: EnsembleStrategy | null;
+  ensemblePrimary: 'legacy' | 'inkeep';
 }
 
+const ENSEMBLE_STRATEGY_LABELS: Record<EnsembleStrategy, string> = {
+  strictest: 'Strictest wins',
+  majority: 'Majority (ties held for review)',
+  primary: 'Legacy decides, Inkeep shadows'
+};
+
 const AgentTypeSelector: React.FC = () => {
   const [status, setStatus] = useState<GovernanceStatus | null>(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [showSelector, setShowSelector] = useState(false);
+  const [ensembleStrategy, setEnsembleStrategy] = useState<EnsembleStrategy>('strictest');
 
   useEffect(() => {
     fetchGovernanceStatus();
@@ -33,7 +43,8 @@ const AgentTypeSelector: React.FC = () => {
     }
   };
 
-  const switchAgentType = async (useInkeep: boolean) => {
+  // Picking legacy or Inkeep leaves ensemble mode; picking ensemble runs both
+  const switchAgentType = async (selection: { useInkeep: boolean } | { ensemble: EnsembleStrategy }) => {
     setIsLoading(true);
     setError(null);
 
@@ -43,7 +54,7 @@ const AgentTypeSelector: React.FC = () => {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ useInkeep }),
+        body: JSON.stringify('ensemble' in selection ? { ...selection, primary: 'legacy' } : { ...selection, ensemble: null }),
       });
 
       if (!response.ok) {
@@ -80,6 +91,8 @@ const AgentTypeSelector: React.FC = () => {
         className={`flex items-center space-x-2 px-3 py-2 rounded-lg border cursor-pointer transition-all duration-200 ${
           status.agentType === 'inkeep'
             ? 'bg-blue-50 border-blue-200 hover:bg-blue-100'
+            : status.agentType === 'ensemble'
+            ? 'bg-violet-50 border-violet-200 hover:bg-violet-100'
             : 'bg-gray-50 border-gray-200 hover:bg-gray-100'
         }`}
         onClick={() => setShowSelector(!showSelector)}
@@ -88,16 +101,22 @@ const AgentTypeSelector: React.FC = () => {
       >
         {status.agentType === 'inkeep' ? (
           <Zap className="w-4 h-4 text-blue-600" />
+        ) : status.agentType === 'ensemble' ? (
+          <GitCompare className="w-4 h-4 text-violet-600" />
         ) : (
           <Shield className="w-4 h-4 text-gray-600" />
         )}
         
         <div className="flex flex-col">
           <span className="text-sm font-medium">
-            {status.agentType === 'inkeep' ? 'Inkeep Agents' : 'Legacy Agents'}
+            {status.agentType === 'inkeep' ? 'Inkeep Agents' : status.agentType === 'ensemble' ? 'Ensemble' : 'Legacy Agents'}
           </span>
           <span className="text-xs text-gray-500">
-            {status.agentType === 'inkeep' ? 'Advanced AI Governance' : 'Traditional Rules-Based'}
+            {status.agentType === 'inkeep'
+              ? 'Advanced AI Governance'
+              : status.agentType === 'ensemble' && status.ensembleStrategy
+              ? ENSEMBLE_STRATEGY_LABELS[status.ensembleStrategy]
+              : 'Traditional Rules-Based'}
           </span>
         </div>
 
@@ -131,7 +150,7 @@ const AgentTypeSelector: React.FC = () => {
                   ? 'border-blue-500 bg-blue-50'
                   : 'border-gray-200 hover:border-blue-300 hover:bg-blue-50'
               } ${!status.inkeepAvailable ? 'opacity-60' : ''}`}
-              onClick={() => switchAgentType(true)}
+              onClick={() => switchAgentType({ useInkeep: true })}
               disabled={isLoading || !status.inkeepAvailable}
               whileHover={{ scale: status.inkeepAvailable ? 1.02 : 1 }}
               whileTap={{ scale: status.inkeepAvailable ? 0.98 : 1 }}
@@ -162,7 +181,7 @@ const AgentTypeSelector: React.FC = () => {
                   ? 'border-gray-500 bg-gray-50'
                   : 'border-gray-200 hover:border-gray-300 hover:bg-gray-50'
               }`}
-              onClick={() => switchAgentType(false)}
+              onClick={() => switchAgentType({ useInkeep: false })}
               disabled={isLoading}
               whileHover={{ scale: 1.02 }}
               whileTap={{ scale: 0.98 }}
@@ -182,6 +201,42 @@ const AgentTypeSelector: React.FC = () => {
               </div>
             </motion.button>
 
+            {/* Ensemble Option */}
+            <div
+              className={`w-full p-3 rounded-lg border-2 mt-2 text-left ${
+                status.agentType === 'ensemble' ? 'border-violet-500 bg-violet-50' : 'border-gray-200'
+              }`}
+            >
+              <div className="flex items-center space-x-3">
+                <GitCompare className="w-5 h-5 text-violet-600" />
+                <div className="flex-1">
+                  <div className="font-medium text-gray-800">Ensemble</div>
+                  <div className="text-xs text-gray-600">
+                    Runs both on every interaction and records how often they agree
+                  </div>
+                  <div className="flex items-center space-x-2 mt-2">
+                    <select
+                      value={ensembleStrategy}
+                      onChange={(e) => setEnsembleStrategy(e.target.value as EnsembleStrategy)}
+                      className="flex-1 text-xs border border-gray-300 rounded px-2 py-1"
+                      disabled={isLoading}
+                    >
+                      {(Object.keys(ENSEMBLE_STRATEGY_LABELS) as EnsembleStrategy[]).map(strategy => (
+                        <option key={strategy} value={strategy}>{ENSEMBLE_STRATEGY_LABELS[strategy]}</option>
+                      ))}
+                    </select>
+                    <button
+                      className="text-xs px-2 py-1 rounded bg-violet-600 text-white hover:bg-violet-700 disabled:opacity-60"
+                      onClick={() => switchAgentType({ ensemble: ensembleStrategy })}
+                      disabled={isLoading}
+                    >
+                      Use
+                    </button>
+                  </div>
+                </div>
+              </div>
+            </div>
+
             {/* Status Messages */}
             {!status.inkeepAvailable && (
               <div className="mt-3 p-2 bg-yellow-50 border border-yellow-200 rounded text-xs text-yellow-700">
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Download, FileText, Table } from 'lucide-react';
+import { addDays, format, subDays } from 'date-fns';
+import { REPORT_FRAMEWORKS, ReportFramework, complianceReportUrl } from '../api/reports';
+
+// Local midnight of a yyyy-mm-dd date input, moved on by `days`
+const startOfDay = (value: string, days = 0) => addDays(new Date(`${value}T00:00:00`), days);
+
+// Export button with the report's date range and framework; the report opens in a new tab or downloads
+const ComplianceReportMenu: React.FC = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [fromDate, setFromDate] = useState(format(subDays(new Date(), 29), 'yyyy-MM-dd'));
+  const [toDate, setToDate] = useState(format(new Date(), 'yyyy-MM-dd'));
+  const [framework, setFramework] = useState<ReportFramework | 'all'>('all');
+
+  const isValid = Boolean(fromDate && toDate) && fromDate <= toDate;
+  const query = isValid
+    ? {
+        from: startOfDay(fromDate),
+        to: startOfDay(toDate, 1),
+        frameworks: framework === 'all' ? undefined : [framework]
+      }
+    : null;
+
+  return (
+    <div className="relative">
+      <motion.button
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+        onClick={() => setIsOpen(open => !open)}
+        className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+      >
+        <Download className="h-4 w-4" />
+        <span>Export Report</span>
+      </motion.button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-lg border border-gray-200 p-4 z-20 space-y-3">
+          <p className="text-sm font-medium text-gray-900">Compliance report</p>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-xs text-gray-600">
+              From
+              <input
+                type="date"
+                value={fromDate}
+                max={toDate}
+                onChange={(e) => setFromDate(e.target.value)}
+                className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+              />
+            </label>
+            <label className="text-xs text-gray-600">
+              To
+              <input
+                type="date"
+                value={toDate}
+                min={fromDate}
+                onChange={(e) => setToDate(e.target.value)}
+                className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+              />
+            </label>
+          </div>
+          <select
+            value={framework}
+            onChange={(e) => setFramework(e.target.value as ReportFramework | 'all')}
+            className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="all">All frameworks</option>
+            {Object.entries(REPORT_FRAMEWORKS).map(([id, name]) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+          </select>
+          <div className="flex space-x-2">
+            <a
+              href={query ? complianceReportUrl({ ...query, format: 'html', print: true }) : undefined}
+              target="_blank"
+              rel="noreferrer"
+              aria-disabled={!query}
+              className={`flex-1 flex items-center justify-center space-x-1 px-3 py-2 rounded-md text-sm ${
+                query ? 'bg-blue-600 text-white hover:bg-blue-700' : 'bg-gray-100 text-gray-400 pointer-events-none'
+              }`}
+            >
+              <FileText className="h-4 w-4" />
+              <span>HTML / PDF</span>
+            </a>
+            <a
+              href={query ? complianceReportUrl({ ...query, format: 'csv' }) : undefined}
+              aria-disabled={!query}
+              className={`flex-1 flex items-center justify-center space-x-1 px-3 py-2 rounded-md text-sm ${
+                query ? 'bg-gray-800 text-white hover:bg-gray-900' : 'bg-gray-100 text-gray-400 pointer-events-none'
+              }`}
+            >
+              <Table className="h-4 w-4" />
+              <span>CSV</span>
+            </a>
+          </div>
+          <p className="text-xs text-gray-500">The HTML report opens the print dialog; choose "Save as PDF" there for a PDF.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComplianceReportMenu;
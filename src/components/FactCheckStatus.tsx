@@ -1,14 +1,29 @@
 import React from 'react';
 import { motion } from 'framer-motion';
-import { CheckCircle, XCircle, AlertTriangle, Settings } from 'lucide-react';
-import { perplexityService } from '../services/perplexityService';
+import { CheckCircle, AlertTriangle, Settings } from 'lucide-react';
+import { factCheckService } from '../services/factCheckService';
 
-interface PerplexityStatusProps {
+interface FactCheckStatusProps {
   onConfigureClick?: () => void;
 }
 
-const PerplexityStatus: React.FC<PerplexityStatusProps> = ({ onConfigureClick }) => {
-  const isConfigured = perplexityService.isConfigured();
+// Hints for getting each provider going, in .env terms
+const SETUP_STEPS: Record<typeof factCheckService.providerName, React.ReactNode[]> = {
+  perplexity: [
+    <>Get your API key from <a href="https://www.perplexity.ai/settings/api" target="_blank" rel="noopener noreferrer" className="underline">Perplexity Settings</a></>,
+    <>Add <code className="bg-yellow-200 px-1 rounded">VITE_PERPLEXITY_API_KEY=your_key</code> to your .env file</>
+  ],
+  'openai-compatible': [
+    <>Set <code className="bg-yellow-200 px-1 rounded">VITE_FACT_CHECK_API_URL</code> to a chat completions endpoint</>,
+    <>Set <code className="bg-yellow-200 px-1 rounded">VITE_FACT_CHECK_MODEL</code>, and <code className="bg-yellow-200 px-1 rounded">VITE_FACT_CHECK_API_KEY</code> if it needs one</>
+  ],
+  'knowledge-base': [
+    <>Set <code className="bg-yellow-200 px-1 rounded">VITE_FACT_CHECK_KNOWLEDGE_BASE_URLS</code> to your corpus files</>
+  ]
+};
+
+const FactCheckStatus: React.FC<FactCheckStatusProps> = ({ onConfigureClick }) => {
+  const isConfigured = factCheckService.isConfigured();
 
   return (
     <motion.div
@@ -31,14 +46,14 @@ const PerplexityStatus: React.FC<PerplexityStatusProps> = ({ onConfigureClick })
             <h3 className={`font-medium ${
               isConfigured ? 'text-green-900' : 'text-yellow-900'
             }`}>
-              Perplexity API {isConfigured ? 'Connected' : 'Not Configured'}
+              {factCheckService.label} {isConfigured ? 'Connected' : 'Not Configured'}
             </h3>
             <p className={`text-sm ${
               isConfigured ? 'text-green-700' : 'text-yellow-700'
             }`}>
               {isConfigured 
-                ? 'Real-time fact-checking enabled' 
-                : 'Add API key to enable fact-checking'
+                ? 'Claim-level fact-checking enabled' 
+                : 'Configure the provider to enable fact-checking'
               }
             </p>
           </div>
@@ -60,11 +75,11 @@ const PerplexityStatus: React.FC<PerplexityStatusProps> = ({ onConfigureClick })
       {!isConfigured && (
         <div className="mt-3 p-3 bg-yellow-100 rounded-md">
           <p className="text-sm text-yellow-800">
-            <strong>To enable Perplexity verification:</strong>
+            <strong>To enable fact-checking with the {factCheckService.label.toLowerCase()}:</strong>
           </p>
           <ol className="text-sm text-yellow-700 mt-1 ml-4 list-decimal">
-            <li>Get your API key from <a href="https://www.perplexity.ai/settings/api" target="_blank" rel="noopener noreferrer" className="underline">Perplexity Settings</a></li>
-            <li>Add <code className="bg-yellow-200 px-1 rounded">VITE_PERPLEXITY_API_KEY=your_key</code> to your .env file</li>
+            {(SETUP_STEPS[factCheckService.providerName] ?? []).map((step, index) => <li key={index}>{step}</li>)}
+            <li>Set <code className="bg-yellow-200 px-1 rounded">VITE_FACT_CHECK_PROVIDER</code> to choose another provider</li>
             <li>Restart the development server</li>
           </ol>
         </div>
@@ -73,4 +88,4 @@ const PerplexityStatus: React.FC<PerplexityStatusProps> = ({ onConfigureClick })
   );
 };
 
-export default PerplexityStatus;
\ No newline at end of file
+export default FactCheckStatus;
\ No newline at end of file
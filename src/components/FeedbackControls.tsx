@@ -1,10 +1,11 @@
 import React from 'react';
 import { motion } from 'framer-motion';
 import { ThumbsUp, ThumbsDown, Flag, CheckCircle, XCircle } from 'lucide-react';
+import { LLMInteraction } from '../types';
 
 interface FeedbackControlsProps {
   interactionId: string;
-  status: 'approved' | 'blocked' | 'pending';
+  status: LLMInteraction['status'];
   onAction: (id: string, action: 'approve' | 'block' | 'feedback', rating?: 'positive' | 'negative' | 'flag') => void;
 }
 
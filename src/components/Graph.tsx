@@ -89,7 +89,8 @@ const Graph: React.FC = () => {
       'AgentAction': '#2ECC71',
       'UserFeedback': '#F39C12',
       'AuditLog': '#9B59B6',
-      'Settings': '#95A5A6'
+      'Settings': '#95A5A6',
+      'Session': '#1ABC9C'
     };
     return colors[node.type] || '#95A5A6';
   }, []);
@@ -102,6 +103,8 @@ const Graph: React.FC = () => {
       'TRIGGERED_ACTION': '#F39C12',
       'HAS_FEEDBACK': '#3498DB',
       'AUDITS': '#9B59B6',
+      'HAS_INTERACTION': '#1ABC9C',
+      'NEXT_TURN': '#1ABC9C',
       'default': '#888888'
     };
     return colors[link.type] || colors.default;
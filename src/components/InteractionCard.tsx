@@ -24,6 +24,15 @@ const InteractionCard: React.FC<InteractionCardProps> = ({ interaction, onAction
         input={interaction.input}
         output={interaction.output}
         violations={interaction.violations}
+        inputVerdict={interaction.inputVerdict}
+        outputVerdict={interaction.outputVerdict}
+        redactions={interaction.redactions}
+        fallbackReason={interaction.fallbackReason}
+        ensemble={interaction.ensemble}
+        claims={interaction.claims}
+        llmSource={interaction.llmSource}
+        llmModel={interaction.llmModel}
+        generationError={interaction.generationError}
       />
       
       {interaction.agentActions && interaction.agentActions.length > 0 && (
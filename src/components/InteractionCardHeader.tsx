@@ -16,6 +16,10 @@ const InteractionCardHeader: React.FC<InteractionCardHeaderProps> = ({ interacti
         return <SafetyBadge status="blocked" violationCount={interaction.violations.length} />;
       case 'pending':
         return <SafetyBadge status="flagged" violationCount={interaction.violations.length} />;
+      case 'redacted':
+        return <SafetyBadge status="redacted" />;
+      case 'failed':
+        return <SafetyBadge status="failed" />;
     }
   };
 
@@ -2,26 +2,122 @@ import React from 'react';
 import ReactMarkdown from 'react-markdown';
 import { 
   Shield,
+  ShieldAlert,
   AlertCircle,
   XCircle,
   AlertOctagon,
   Zap,
-  AlertTriangle
+  AlertTriangle,
+  ExternalLink
 } from 'lucide-react';
 
-import { Violation } from '../types';
+import { ClaimVerdict, ClaimVerification, EnsemblePipeline, EnsembleRecord, GenerationError, LLMInteraction, PhaseVerdict, Redaction, Violation } from '../types';
 
 interface InteractionContentProps {
   input: string;
   output: string;
   violations: Violation[];
+  inputVerdict?: PhaseVerdict;
+  outputVerdict?: PhaseVerdict;
+  redactions?: Redaction[];
+  fallbackReason?: string;
+  ensemble?: EnsembleRecord;
+  claims?: ClaimVerification[];
+  llmSource?: LLMInteraction['llmSource'];
+  llmModel?: string;
+  generationError?: GenerationError;
 }
 
+const CLAIM_STYLES: Record<ClaimVerdict, { mark: string; badge: string }> = {
+  supported: { mark: 'bg-green-100 decoration-green-500', badge: 'bg-green-100 text-green-800' },
+  refuted: { mark: 'bg-red-100 decoration-red-500', badge: 'bg-red-100 text-red-800' },
+  unverified: { mark: 'bg-gray-200 decoration-gray-400', badge: 'bg-gray-100 text-gray-700' }
+};
+
+const citationHost = (url: string) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return url;
+  }
+};
+
 const InteractionContent: React.FC<InteractionContentProps> = ({ 
   input, 
   output, 
-  violations 
+  violations,
+  inputVerdict,
+  outputVerdict,
+  redactions = [],
+  fallbackReason,
+  ensemble,
+  claims = [],
+  llmSource,
+  llmModel,
+  generationError
 }) => {
+  const promptBlocked = inputVerdict?.status === 'blocked';
+
+  // Claims whose span still matches the output (it may have been rewritten since), front to back
+  const highlighted = claims
+    .filter(claim => output.slice(claim.start, claim.end) === claim.text)
+    .sort((a, b) => a.start - b.start);
+
+  const renderHighlightedOutput = () => {
+    const parts: React.ReactNode[] = [];
+    let position = 0;
+    highlighted.forEach((claim, index) => {
+      if (claim.start < position) return;
+      parts.push(output.slice(position, claim.start));
+      parts.push(
+        <mark
+          key={index}
+          className={`rounded px-0.5 underline decoration-2 text-gray-800 ${CLAIM_STYLES[claim.verdict].mark}`}
+          title={`${claim.verdict}${claim.verdict === 'unverified' ? '' : ` (${(claim.confidence * 100).toFixed(0)}%)`}: ${claim.error ?? claim.summary}`}
+        >
+          {claim.text}
+        </mark>
+      );
+      position = claim.end;
+    });
+    parts.push(output.slice(position));
+    return parts;
+  };
+
+  const getPhaseStatusColor = (status: PhaseVerdict['status']) => {
+    switch (status) {
+      case 'approved':
+        return 'bg-green-100 text-green-800';
+      case 'blocked':
+        return 'bg-red-100 text-red-800';
+      case 'redacted':
+        return 'bg-sky-100 text-sky-800';
+      default:
+        return 'bg-yellow-100 text-yellow-800';
+    }
+  };
+
+  const renderPhaseVerdict = (label: string, verdict?: PhaseVerdict) => (
+    <div className="flex items-center justify-between text-sm">
+      <span className="text-gray-700">{label}</span>
+      {verdict ? (
+        <span className="flex items-center space-x-2">
+          <span className={`text-xs px-2 py-0.5 rounded-full font-medium ${getPhaseStatusColor(verdict.status)}`}>
+            {verdict.status}
+          </span>
+          <span className="text-xs text-gray-500">
+            {verdict.severity} · {verdict.violations.length} violation(s)
+            {verdict.escalated && ' · escalated by session risk'}
+          </span>
+        </span>
+      ) : (
+        <span className="text-xs text-gray-500">
+          {promptBlocked ? 'Skipped — prompt blocked before generation' : 'Not recorded'}
+        </span>
+      )}
+    </div>
+  );
+
   const getViolationColor = (type: string) => {
     switch (type) {
       case 'pii':
@@ -50,6 +146,8 @@ const InteractionContent: React.FC<InteractionContentProps> = ({
         return 'bg-gradient-to-r from-red-100 to-red-200 text-red-900 border-red-300';
       case 'compliance':
         return 'bg-gradient-to-r from-slate-50 to-slate-100 text-slate-800 border-slate-200';
+      case 'prompt_injection':
+        return 'bg-gradient-to-r from-fuchsia-50 to-fuchsia-100 text-fuchsia-800 border-fuchsia-200';
       default:
         return 'bg-gradient-to-r from-gray-50 to-gray-100 text-gray-800 border-gray-200';
     }
@@ -79,6 +177,8 @@ const InteractionContent: React.FC<InteractionContentProps> = ({
         return <AlertTriangle className="h-4 w-4" />;
       case 'compliance':
         return <Shield className="h-4 w-4" />;
+      case 'prompt_injection':
+        return <ShieldAlert className="h-4 w-4" />;
       default:
         return <AlertCircle className="h-4 w-4" />;
     }
@@ -94,9 +194,60 @@ const InteractionContent: React.FC<InteractionContentProps> = ({
         </div>
       </div>
 
+      {/* Governance phases */}
+      {(inputVerdict || outputVerdict) && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-2">Governance Phases</h4>
+          <div className="bg-gray-50 rounded-lg p-3 border space-y-2">
+            {renderPhaseVerdict('Input check', inputVerdict)}
+            {renderPhaseVerdict('Output check', outputVerdict)}
+            {fallbackReason && !ensemble && (
+              <p className="text-xs text-amber-700">
+                Inkeep verdict not used, decided by legacy agents: {fallbackReason}
+              </p>
+            )}
+            {ensemble && (
+              <div className="text-xs text-gray-700 space-y-1">
+                <p>
+                  Ensemble ({ensemble.strategy}), decided by {ensemble.decidedBy.join(' + ')}
+                  {ensemble.agreement === false && <span className="text-amber-700"> · pipelines disagree</span>}
+                </p>
+                {(Object.keys(ensemble.verdicts) as EnsemblePipeline[]).map(pipeline => {
+                  const verdict = ensemble.verdicts[pipeline]!;
+                  return (
+                    <p key={pipeline} className="flex items-center space-x-2">
+                      <span className="capitalize w-14">{pipeline}</span>
+                      {'error' in verdict ? (
+                        <span className="text-amber-700">failed: {verdict.error}</span>
+                      ) : (
+                        <>
+                          <span className={`px-2 py-0.5 rounded-full font-medium ${getPhaseStatusColor(verdict.status)}`}>
+                            {verdict.status}
+                          </span>
+                          <span className="text-gray-500">
+                            {verdict.violations.length > 0 ? verdict.violations.map(v => v.type).join(', ') : 'no violations'}
+                          </span>
+                        </>
+                      )}
+                    </p>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Output */}
       <div>
-        <h4 className="text-sm font-medium text-gray-700 mb-2">Output</h4>
+        <h4 className="text-sm font-medium text-gray-700 mb-2 flex items-center space-x-2">
+          <span>Output</span>
+          {llmSource === 'stub' && (
+            <span className="text-xs px-2 py-0.5 rounded-full font-medium bg-gray-100 text-gray-700 border border-gray-300">
+              Scripted stub reply ({llmModel}), no model was called
+            </span>
+          )}
+        </h4>
         <div className="bg-gray-50 rounded-lg p-3 border">
           {output.includes('⚠️ **Content Blocked by EthosLens Governance**') ? (
             <div className="text-sm text-gray-800 prose prose-sm max-w-none">
@@ -114,12 +265,89 @@ const InteractionContent: React.FC<InteractionContentProps> = ({
                 {output}
               </ReactMarkdown>
             </div>
+          ) : promptBlocked && !output ? (
+            <p className="text-sm text-gray-500 italic">No response was generated: the prompt was blocked before reaching the model.</p>
+          ) : generationError ? (
+            <div className="text-sm space-y-1">
+              <p className="text-gray-700">
+                <span className="font-medium">No response was generated</span>
+                {' '}({generationError.code === 'not_configured' ? 'no LLM provider configured' : 'every model failed'}): {generationError.message}
+              </p>
+              {generationError.attempts?.map((attempt, index) => (
+                <p key={index} className="text-xs text-gray-500 font-mono">
+                  {attempt.provider}:{attempt.model} · {attempt.latencyMs}ms · {attempt.error ?? 'answered'}
+                </p>
+              ))}
+            </div>
           ) : (
-            <p className="text-sm text-gray-800 whitespace-pre-wrap">{output}</p>
+            <p className="text-sm text-gray-800 whitespace-pre-wrap">
+              {highlighted.length > 0 ? renderHighlightedOutput() : output}
+            </p>
           )}
         </div>
       </div>
 
+      {/* Fact checks */}
+      {claims.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-2">
+            Fact Checks ({claims.length})
+          </h4>
+          <div className="space-y-2">
+            {claims.map((claim, index) => (
+              <div key={index} className="p-3 rounded-lg border bg-gray-50 text-sm">
+                <div className="flex items-center space-x-2 mb-1">
+                  <span className={`text-xs px-2 py-0.5 rounded-full font-medium ${CLAIM_STYLES[claim.verdict].badge}`}>
+                    {claim.verdict}
+                  </span>
+                  {claim.verdict !== 'unverified' && (
+                    <span className="text-xs text-gray-500">{(claim.confidence * 100).toFixed(0)}% confidence</span>
+                  )}
+                  <span className="text-xs text-gray-400 font-mono">chars {claim.start}–{claim.end}</span>
+                </div>
+                <p className="text-gray-800 mb-1">“{claim.text}”</p>
+                <p className="text-xs text-gray-600">{claim.error ? `Not verified: ${claim.error}` : claim.summary}</p>
+                {claim.citations.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {claim.citations.map(url => (
+                      <a
+                        key={url}
+                        href={url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="inline-flex items-center space-x-1 text-xs text-blue-700 hover:underline"
+                      >
+                        <ExternalLink className="h-3 w-3" />
+                        <span>{citationHost(url)}</span>
+                      </a>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Redactions */}
+      {redactions.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-2">
+            Redacted Personal Data ({redactions.length})
+          </h4>
+          <div className="flex flex-wrap gap-2">
+            {redactions.map(redaction => (
+              <span
+                key={redaction.placeholder}
+                className="text-xs px-2 py-1 rounded-full bg-sky-50 text-sky-800 border border-sky-200 font-medium"
+              >
+                {redaction.placeholder} · {redaction.field}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Violations */}
       {violations.length > 0 && (
         <div>
@@ -150,6 +378,11 @@ const InteractionContent: React.FC<InteractionContentProps> = ({
                       Regulation: {violation.regulatoryFramework}
                     </p>
                   )}
+                  {violation.location && (
+                    <p className="text-xs opacity-75 font-mono">
+                      Location: {violation.location}
+                    </p>
+                  )}
                 </div>
               </div>
             ))}
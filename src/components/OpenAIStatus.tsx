@@ -1,13 +1,15 @@
 import React from 'react';
 import { CheckCircle, AlertTriangle, Settings, Zap } from 'lucide-react';
-import { isOpenAIConfigured } from '../lib/openaiAgent';
+import { llmGateway } from '../lib/openaiAgent';
 
 interface OpenAIStatusProps {
   onConfigureClick?: () => void;
 }
 
 const OpenAIStatus: React.FC<OpenAIStatusProps> = ({ onConfigureClick }) => {
-  const isConfigured = isOpenAIConfigured();
+  // Whether any model in the VITE_LLM_MODEL and VITE_LLM_FALLBACKS chain has its provider configured
+  const isConfigured = llmGateway.isConfigured;
+  const models = llmGateway.chain().map(({ provider, model }) => `${provider}:${model}`);
 
   return (
     <div className={`border rounded-lg p-6 bg-white ${
@@ -18,12 +20,12 @@ const OpenAIStatus: React.FC<OpenAIStatusProps> = ({ onConfigureClick }) => {
           <Zap className="h-5 w-5 text-black" />
           <div>
             <h3 className="font-medium text-black">
-              OpenAI GPT {isConfigured ? 'Connected' : 'Not Configured'}
+              LLM Gateway {isConfigured ? 'Connected' : 'Not Configured'}
             </h3>
             <p className="text-sm text-gray-500">
               {isConfigured ? 
-                'Primary LLM provider for AI governance analysis' :
-                'Configure OpenAI for enhanced AI responses'
+                'Answers prompts for AI governance analysis' :
+                `No provider is configured for ${models.join(', ')}`
               }
             </p>
           </div>
@@ -38,7 +40,7 @@ const OpenAIStatus: React.FC<OpenAIStatusProps> = ({ onConfigureClick }) => {
             <button
               onClick={onConfigureClick}
               className="p-1 text-gray-400 hover:text-black transition-colors"
-              title="Configure OpenAI"
+              title="Configure LLM"
             >
               <Settings className="h-4 w-4" />
             </button>
@@ -49,13 +51,10 @@ const OpenAIStatus: React.FC<OpenAIStatusProps> = ({ onConfigureClick }) => {
       {isConfigured && (
         <div className="mt-4 p-4 bg-gray-50 border border-gray-200 rounded-md">
           <p className="text-sm text-gray-700 font-medium mb-2">
-            OpenAI Features:
+            Models, tried in order:
           </p>
           <ul className="text-sm text-gray-600 space-y-1">
-            <li>• GPT-3.5-turbo for high-quality responses</li>
-            <li>• Advanced natural language understanding</li>
-            <li>• Primary LLM with Groq fallback</li>
-            <li>• Enhanced policy violation detection</li>
+            {models.map(model => <li key={model}>• {model}</li>)}
           </ul>
         </div>
       )}
@@ -76,7 +75,7 @@ const OpenAIStatus: React.FC<OpenAIStatusProps> = ({ onConfigureClick }) => {
             3. Restart the development server
           </p>
           <p className="text-sm text-gray-500 mt-2">
-            Note: Without OpenAI, the system will use Groq as the primary LLM provider.
+            Note: Without OpenAI, set VITE_LLM_MODEL to an Anthropic, Groq or local model instead.
           </p>
         </div>
       )}
@@ -61,7 +61,7 @@ const PromptTester: React.FC<PromptTesterProps> = ({ onSubmit, isLoading }) => {
     
     // Check for potential prompt injection
     if (InputSanitizer.isPromptInjection(value)) {
-      setError('Potential prompt injection detected. Please rephrase your input.');
+      setError('Potential prompt injection detected. Governance will score it as a prompt injection violation.');
     }
   };
 
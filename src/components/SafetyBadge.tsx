@@ -4,7 +4,7 @@ import { Shield } from 'lucide-react';
 import { getSafetyStatusConfig } from '../utils/badgeUtils';
 
 interface SafetyBadgeProps {
-  status: 'safe' | 'flagged' | 'blocked';
+  status: 'safe' | 'flagged' | 'blocked' | 'redacted' | 'failed';
   violationCount?: number;
   animated?: boolean;
 }
@@ -0,0 +1,57 @@
+import React from 'react';
+import { MessagesSquare } from 'lucide-react';
+import { LLMInteraction } from '../types';
+import InteractionCard from './InteractionCard';
+
+interface SessionGroupProps {
+  sessionId?: string;
+  interactions: LLMInteraction[]; // newest first
+  isCurrent?: boolean;
+  onAction: (id: string, action: 'approve' | 'block' | 'feedback', rating?: 'positive' | 'negative' | 'flag') => void;
+}
+
+const getRiskColor = (level?: LLMInteraction['severity']) => {
+  switch (level) {
+    case 'medium':
+      return 'bg-yellow-100 text-yellow-800';
+    case 'high':
+      return 'bg-orange-100 text-orange-800';
+    case 'critical':
+      return 'bg-red-100 text-red-800';
+    default:
+      return 'bg-green-100 text-green-800';
+  }
+};
+
+const SessionGroup: React.FC<SessionGroupProps> = ({ sessionId, interactions, isCurrent = false, onAction }) => {
+  // The newest turn carries the session's current risk
+  const risk = interactions.find(interaction => interaction.sessionRisk)?.sessionRisk;
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 space-y-4 bg-gray-50">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <MessagesSquare className="h-5 w-5 text-gray-600" />
+          <span className="text-sm font-medium text-gray-900">
+            {sessionId ? `Session #${sessionId.slice(-8)}` : 'No session'}
+          </span>
+          {isCurrent && (
+            <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">Current</span>
+          )}
+          <span className="text-xs text-gray-500">{interactions.length} turn(s)</span>
+        </div>
+        {risk && (
+          <span className={`px-2 py-1 rounded-full text-xs font-medium ${getRiskColor(risk.riskLevel)}`}>
+            Session risk {risk.riskScore}/10 · {risk.flaggedTurns} flagged
+          </span>
+        )}
+      </div>
+
+      {interactions.map(interaction => (
+        <InteractionCard key={interaction.id} interaction={interaction} onAction={onAction} />
+      ))}
+    </div>
+  );
+};
+
+export default SessionGroup;
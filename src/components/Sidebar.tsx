@@ -7,7 +7,8 @@ import {
   Settings, 
   AlertTriangle,
   Users,
-  Activity
+  Activity,
+  ClipboardCheck
 } from 'lucide-react';
 
 interface SidebarProps {
@@ -21,6 +22,7 @@ const Sidebar: React.FC<SidebarProps> = ({ activeTab, onTabChange }) => {
     { id: 'monitor', icon: Activity, label: 'Live Monitor' },
     { id: 'logs', icon: FileText, label: 'Audit Logs' },
     { id: 'violations', icon: AlertTriangle, label: 'Violations' },
+    { id: 'review', icon: ClipboardCheck, label: 'Review' },
     { id: 'agents', icon: Users, label: 'Agents' },
     { id: 'health', icon: Activity, label: 'Health' },
     { id: 'settings', icon: Settings, label: 'Settings' }
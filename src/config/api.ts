@@ -17,6 +17,10 @@ export const API_CONFIG = {
     INTERACTIONS: '/api/interactions',
     GOVERNANCE_STATUS: '/api/governance/status',
     GOVERNANCE_INSIGHTS: '/api/governance/insights',
+    REVIEWS: '/api/reviews',
+    AUDIT: '/api/audit',
+    REPORTS: '/api/reports',
+    SETTINGS: '/api/settings',
   }
 };
 
@@ -32,4 +36,8 @@ export const API_URLS = {
   interactions: getApiUrl(API_CONFIG.ENDPOINTS.INTERACTIONS),
   governanceStatus: getApiUrl(API_CONFIG.ENDPOINTS.GOVERNANCE_STATUS),
   governanceInsights: getApiUrl(API_CONFIG.ENDPOINTS.GOVERNANCE_INSIGHTS),
+  reviews: getApiUrl(API_CONFIG.ENDPOINTS.REVIEWS),
+  audit: getApiUrl(API_CONFIG.ENDPOINTS.AUDIT),
+  reports: getApiUrl(API_CONFIG.ENDPOINTS.REPORTS),
+  settings: getApiUrl(API_CONFIG.ENDPOINTS.SETTINGS),
 };
@@ -0,0 +1,22 @@
+import type { FactCheckProviderName } from '../factCheck';
+
+export const factCheckConfig = {
+  // perplexity (uses the Perplexity settings), openai-compatible or knowledge-base
+  provider: (import.meta.env.VITE_FACT_CHECK_PROVIDER || 'perplexity') as FactCheckProviderName,
+  // For openai-compatible: a chat completions URL, its model and, when it needs one, a key
+  apiUrl: import.meta.env.VITE_FACT_CHECK_API_URL,
+  apiKey: import.meta.env.VITE_FACT_CHECK_API_KEY,
+  model: import.meta.env.VITE_FACT_CHECK_MODEL,
+  // For knowledge-base: comma-separated URLs of .json/.md corpus files, served with the app by default
+  knowledgeBaseUrls: (import.meta.env.VITE_FACT_CHECK_KNOWLEDGE_BASE_URLS || '/knowledge-base/facts.json,/knowledge-base/reference.md')
+    .split(',')
+    .map((url: string) => url.trim())
+    .filter(Boolean),
+  timeout: 30000,
+  // How long a verdict is reused for the same claim (default 24 hours)
+  cacheTtlMs: Number(import.meta.env.VITE_FACT_CHECK_CACHE_TTL_MS) || 24 * 60 * 60 * 1000,
+  // Tokens the provider may use per UTC day; unset means no cap
+  dailyTokenBudget: Number(import.meta.env.VITE_FACT_CHECK_DAILY_TOKEN_BUDGET) || null,
+  // Price per 1,000 tokens, to estimate the day's spend; unset means not shown
+  costPer1kTokens: import.meta.env.VITE_FACT_CHECK_COST_PER_1K_TOKENS ? Number(import.meta.env.VITE_FACT_CHECK_COST_PER_1K_TOKENS) : null
+};
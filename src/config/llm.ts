@@ -0,0 +1,41 @@
+import type { LLMProviderName, LLMProviderOptions } from '../llm';
+
+const list = (value: string | undefined) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Retries per model: 2 when unset or not a number, otherwise kept within 0..5 (0 disables retrying)
+function retriesFrom(value: string | undefined): number {
+  const retries = Number.parseInt(value ?? '', 10);
+  return Number.isNaN(retries) ? 2 : Math.min(Math.max(retries, 0), 5);
+}
+
+export const llmConfig = {
+  // "provider:model" answering prompts unless a request picks another; a bare model name uses OpenAI
+  defaultModel: import.meta.env.VITE_LLM_MODEL || 'openai:gpt-3.5-turbo',
+  // Models tried in order when the chosen one fails, e.g. "groq:llama-3.1-8b-instant,anthropic:claude-3-5-haiku-latest"
+  fallbacks: list(import.meta.env.VITE_LLM_FALLBACKS),
+  // Extra tries per model after a rate limit, timeout or server error, with exponential backoff
+  retries: retriesFrom(import.meta.env.VITE_LLM_RETRIES),
+  backoffMs: 500,
+  providers: {
+    openai: {
+      apiKey: import.meta.env.VITE_OPENAI_API_KEY,
+      apiUrl: import.meta.env.VITE_OPENAI_API_URL
+    },
+    anthropic: {
+      apiKey: import.meta.env.VITE_ANTHROPIC_API_KEY,
+      apiUrl: import.meta.env.VITE_ANTHROPIC_API_URL
+    },
+    groq: {
+      apiKey: import.meta.env.VITE_GROQ_API_KEY
+    },
+    // Ollama or another local server, e.g. http://localhost:11434/v1/chat/completions
+    'openai-compatible': {
+      apiUrl: import.meta.env.VITE_LLM_COMPATIBLE_API_URL,
+      apiKey: import.meta.env.VITE_LLM_COMPATIBLE_API_KEY,
+      defaultModel: import.meta.env.VITE_LLM_COMPATIBLE_MODEL
+    }
+  } as Record<Exclude<LLMProviderName, 'stub'>, LLMProviderOptions>,
+  // Fixtures the `stub` provider replies from (VITE_LLM_MODEL=stub), served with the app by default
+  stubFixturesUrl: import.meta.env.VITE_LLM_STUB_FIXTURES_URL || '/llm-fixtures/demo.json',
+  timeout: 30000 // 30 second timeout per call
+};
@@ -0,0 +1,9 @@
+export const policyPackConfig = {
+  // Comma-separated URLs of additional JSON/YAML policy packs, applied after the default pack
+  packUrls: (import.meta.env.VITE_POLICY_PACK_URLS || '')
+    .split(',')
+    .map((url: string) => url.trim())
+    .filter(Boolean),
+  // How often remote packs are re-fetched for hot reload (0 disables polling)
+  reloadIntervalMs: Number(import.meta.env.VITE_POLICY_PACK_RELOAD_MS || 60000)
+};
@@ -0,0 +1,97 @@
+// Fact-check providers that ask a model behind a chat completions API
+import { FACT_CHECK_SYSTEM_PROMPT, factCheckPrompt, parseFactCheckReply } from './reply.js';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+export const PERPLEXITY_API_URL = 'https://api.perplexity.ai/chat/completions';
+export const PERPLEXITY_MODEL = 'llama-3.1-sonar-small-128k-online';
+
+/**
+ * A provider that sends each claim to `apiUrl` as a chat completion and reads the
+ * verdict from the reply. `body` is merged into every request, for options only
+ * one API understands. It is configured once it has a URL and a model, and a key
+ * when `requiresKey` is set.
+ */
+export function createChatCompletionsProvider({
+  name,
+  apiUrl,
+  apiKey,
+  model,
+  requiresKey = true,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxTokens = 1000,
+  temperature = 0.1,
+  body = {}
+}) {
+  const configured = Boolean(apiUrl?.trim() && model?.trim() && (!requiresKey || apiKey?.trim()));
+
+  return {
+    name,
+    model,
+    isConfigured: configured,
+
+    async factCheck(claim) {
+      if (!configured) {
+        throw new Error(`${name} fact-check provider not configured`);
+      }
+
+      const response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: {
+          ...(apiKey?.trim() ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          model,
+          messages: [
+            { role: 'system', content: FACT_CHECK_SYSTEM_PROMPT },
+            { role: 'user', content: factCheckPrompt(claim) }
+          ],
+          max_tokens: maxTokens,
+          temperature,
+          ...body
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`${name} API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
+      }
+
+      const result = await response.json();
+      return {
+        ...parseFactCheckReply(result.choices?.[0]?.message?.content ?? '', result.citations ?? []),
+        usage: {
+          promptTokens: result.usage?.prompt_tokens ?? 0,
+          completionTokens: result.usage?.completion_tokens ?? 0,
+          totalTokens: result.usage?.total_tokens ?? 0
+        }
+      };
+    }
+  };
+}
+
+// Perplexity's online models search the web and return the URLs they cite
+export function createPerplexityProvider({ apiKey, apiUrl = PERPLEXITY_API_URL, model = PERPLEXITY_MODEL, timeoutMs } = {}) {
+  return createChatCompletionsProvider({
+    name: 'perplexity',
+    apiUrl,
+    apiKey,
+    model,
+    timeoutMs,
+    body: { return_citations: true }
+  });
+}
+
+// Any OpenAI-compatible endpoint (OpenAI, Azure, vLLM, Ollama...); local servers may need no key
+export function createOpenAICompatibleProvider({ apiKey, apiUrl, model, timeoutMs } = {}) {
+  return createChatCompletionsProvider({
+    name: 'openai-compatible',
+    apiUrl,
+    apiKey,
+    model,
+    timeoutMs,
+    requiresKey: false
+  });
+}
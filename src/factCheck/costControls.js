@@ -0,0 +1,162 @@
+// Result cache and daily token budget in front of a fact-check provider
+
+export const DEFAULT_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_CACHE_SIZE = 500;
+
+// `code` of the error thrown once the day's budget is spent
+export const BUDGET_EXHAUSTED = 'budget_exhausted';
+
+const utcDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+const freshUsage = (day) => ({ day, requests: 0, failures: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, hits: 0, misses: 0, refusals: 0 });
+
+// Claims that differ only in case, spacing or closing punctuation share a cache entry
+export function normaliseClaim(claim) {
+  return claim.toLowerCase().replace(/\s+/g, ' ').replace(/[\s.!]+$/, '').trim();
+}
+
+// SHA-256 of the normalised claim within `scope` (the provider and model), as hex
+export async function claimHash(claim, scope = '') {
+  const bytes = new TextEncoder().encode(`${scope}\n${normaliseClaim(claim)}`);
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * `provider` behind a content-hash cache of its verdicts and a daily token budget.
+ * Verdicts are kept for `ttlMs`; errors are not cached, so a failed claim is tried
+ * again. Tokens are counted from the `usage` each verdict reports. Once
+ * `dailyTokenBudget` tokens have been used in the UTC day, claims that are not
+ * cached throw an error with code BUDGET_EXHAUSTED until the next day; the call
+ * that crosses the budget is allowed to finish. `store` ({ load, save }) keeps the
+ * cache and the day's usage across restarts.
+ */
+export function withCostControls(provider, {
+  ttlMs = DEFAULT_CACHE_TTL_MS,
+  maxEntries = DEFAULT_CACHE_SIZE,
+  dailyTokenBudget = null,
+  costPer1kTokens = null,
+  store = null,
+  now = Date.now
+} = {}) {
+  const saved = (() => {
+    try {
+      return store?.load() ?? {};
+    } catch (error) {
+      console.warn('⚠️ Saved fact-check cache unreadable, starting empty:', error.message);
+      return {};
+    }
+  })();
+  const entries = new Map((saved.entries ?? []).filter(([, entry]) => entry.expiresAt > now()));
+  let usage = saved.usage?.day === utcDay(now()) ? { ...freshUsage(saved.usage.day), ...saved.usage } : freshUsage(utcDay(now()));
+  // A claim already being checked is answered by that check
+  const pending = new Map();
+
+  const persist = () => {
+    try {
+      store?.save({ usage, entries: [...entries] });
+    } catch (error) {
+      console.warn('⚠️ Fact-check cache not saved:', error.message);
+    }
+  };
+
+  const today = () => {
+    const day = utcDay(now());
+    if (usage.day !== day) usage = freshUsage(day);
+    return usage;
+  };
+
+  const exhausted = () => Boolean(dailyTokenBudget) && today().totalTokens >= dailyTokenBudget;
+
+  async function check(key, claim) {
+    const counts = today();
+    counts.requests++;
+    try {
+      const { usage: spent, ...result } = await provider.factCheck(claim);
+      counts.promptTokens += spent?.promptTokens ?? 0;
+      counts.completionTokens += spent?.completionTokens ?? 0;
+      counts.totalTokens += spent?.totalTokens ?? 0;
+      entries.set(key, { result, expiresAt: now() + ttlMs });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+      return { ...result, cached: false };
+    } catch (error) {
+      counts.failures++;
+      throw error;
+    } finally {
+      persist();
+    }
+  }
+
+  return {
+    name: provider.name,
+    model: provider.model,
+    get isConfigured() {
+      return provider.isConfigured;
+    },
+
+    async factCheck(claim) {
+      const key = await claimHash(claim, `${provider.name}:${provider.model ?? ''}`);
+      const entry = entries.get(key);
+      if (entry && entry.expiresAt > now()) {
+        today().hits++;
+        // Most recently used last, so the oldest unused entry is evicted first
+        entries.delete(key);
+        entries.set(key, entry);
+        return { ...entry.result, cached: true };
+      }
+      entries.delete(key);
+
+      if (pending.has(key)) {
+        today().hits++;
+        return { ...(await pending.get(key)), cached: true };
+      }
+      if (exhausted()) {
+        today().refusals++;
+        throw Object.assign(
+          new Error(`Daily fact-check budget of ${dailyTokenBudget} tokens used up; checking resumes at 00:00 UTC`),
+          { code: BUDGET_EXHAUSTED }
+        );
+      }
+
+      today().misses++;
+      const checking = check(key, claim).finally(() => pending.delete(key));
+      pending.set(key, checking);
+      return checking;
+    },
+
+    // Cache size and today's hits, requests, tokens and estimated spend
+    stats() {
+      const counts = today();
+      const looked = counts.hits + counts.misses;
+      return {
+        provider: provider.name,
+        model: provider.model ?? null,
+        cache: {
+          entries: [...entries.values()].filter(entry => entry.expiresAt > now()).length,
+          ttlMs,
+          hits: counts.hits,
+          misses: counts.misses,
+          hitRate: looked > 0 ? counts.hits / looked : null
+        },
+        budget: {
+          day: counts.day,
+          requests: counts.requests,
+          failures: counts.failures,
+          promptTokens: counts.promptTokens,
+          completionTokens: counts.completionTokens,
+          totalTokens: counts.totalTokens,
+          dailyTokenBudget: dailyTokenBudget || null,
+          remainingTokens: dailyTokenBudget ? Math.max(0, dailyTokenBudget - counts.totalTokens) : null,
+          exhausted: exhausted(),
+          refusals: counts.refusals,
+          estimatedCost: costPer1kTokens == null ? null : (counts.totalTokens / 1000) * costPer1kTokens
+        }
+      };
+    },
+
+    clearCache() {
+      entries.clear();
+      persist();
+    }
+  };
+}
@@ -0,0 +1,160 @@
+export type FactCheckProviderName = 'perplexity' | 'openai-compatible' | 'knowledge-base';
+
+export interface FactCheckUsage {
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+}
+
+export interface FactCheckResult {
+  isAccurate: boolean;
+  confidence: number;
+  summary: string;
+  reasoning: string;
+  sources: string[];
+  // Tokens the check cost, for providers that bill by the token
+  usage?: FactCheckUsage;
+  // Set by withCostControls: whether the verdict came from its cache
+  cached?: boolean;
+}
+
+export interface FactCheckProvider {
+  name: FactCheckProviderName | string;
+  model: string | null | undefined;
+  isConfigured: boolean;
+  // Throws when no verdict could be reached, so the claim is left unverified
+  factCheck(claim: string): Promise<FactCheckResult>;
+}
+
+export interface FactCheckCacheEntry {
+  result: Omit<FactCheckResult, 'usage' | 'cached'>;
+  expiresAt: number;
+}
+
+export interface FactCheckDailyUsage extends FactCheckUsage {
+  day: string; // UTC, YYYY-MM-DD
+  requests: number;
+  failures: number;
+  hits: number;
+  misses: number;
+  refusals: number;
+}
+
+export interface FactCheckStore {
+  load(): { usage?: FactCheckDailyUsage; entries?: Array<[string, FactCheckCacheEntry]> } | null;
+  save(state: { usage: FactCheckDailyUsage; entries: Array<[string, FactCheckCacheEntry]> }): void;
+}
+
+export interface CostControlOptions {
+  ttlMs?: number;
+  maxEntries?: number;
+  dailyTokenBudget?: number | null;
+  costPer1kTokens?: number | null;
+  store?: FactCheckStore | null;
+  now?: () => number;
+}
+
+export interface FactCheckStats {
+  provider: string;
+  model: string | null;
+  cache: { entries: number; ttlMs: number; hits: number; misses: number; hitRate: number | null };
+  budget: FactCheckUsage & {
+    day: string;
+    requests: number;
+    failures: number;
+    dailyTokenBudget: number | null;
+    remainingTokens: number | null;
+    exhausted: boolean;
+    refusals: number;
+    estimatedCost: number | null;
+  };
+}
+
+export interface CostControlledProvider extends FactCheckProvider {
+  stats(): FactCheckStats;
+  clearCache(): void;
+}
+
+export interface KnowledgeBaseFile {
+  name: string; // .md files are markdown; anything else is read as JSON
+  content: string;
+}
+
+export interface KnowledgeBaseFact {
+  id: string;
+  claim: string;
+  verdict: 'supported' | 'refuted';
+  summary?: string;
+  sources: string[];
+}
+
+export interface KnowledgeBasePassage {
+  id: string;
+  title: string;
+  text: string;
+  sources: string[];
+}
+
+export interface KnowledgeBase {
+  facts: KnowledgeBaseFact[];
+  passages: KnowledgeBasePassage[];
+  weights: { size: number; documentFrequency: Map<string, number> };
+}
+
+export interface KnowledgeBaseMatch {
+  kind: 'fact' | 'passage';
+  entry: KnowledgeBaseFact | KnowledgeBasePassage;
+  evidence: string;
+  score: number;
+}
+
+export interface ChatCompletionsProviderOptions {
+  name: string;
+  apiUrl?: string;
+  apiKey?: string;
+  model?: string;
+  requiresKey?: boolean;
+  timeoutMs?: number;
+  maxTokens?: number;
+  temperature?: number;
+  body?: Record<string, unknown>;
+}
+
+export interface FactCheckProviderOptions {
+  provider?: FactCheckProviderName;
+  apiKey?: string;
+  apiUrl?: string;
+  model?: string;
+  timeoutMs?: number;
+  loadKnowledgeBase?: () => KnowledgeBaseFile[] | Promise<KnowledgeBaseFile[]>;
+}
+
+export const FACT_CHECK_PROVIDERS: FactCheckProviderName[];
+
+export const FACT_CHECK_SYSTEM_PROMPT: string;
+export function factCheckPrompt(claim: string): string;
+export function parseFactCheckReply(content: string, citations?: string[]): FactCheckResult;
+
+export const PERPLEXITY_API_URL: string;
+export const PERPLEXITY_MODEL: string;
+export function createChatCompletionsProvider(options: ChatCompletionsProviderOptions): FactCheckProvider;
+export function createPerplexityProvider(options?: Omit<FactCheckProviderOptions, 'provider' | 'loadKnowledgeBase'>): FactCheckProvider;
+export function createOpenAICompatibleProvider(options?: Omit<FactCheckProviderOptions, 'provider' | 'loadKnowledgeBase'>): FactCheckProvider;
+
+export const KNOWLEDGE_BASE_VERDICTS: KnowledgeBaseFact['verdict'][];
+export const MIN_KNOWLEDGE_BASE_MATCH: number;
+export function parseKnowledgeBase(files: KnowledgeBaseFile[]): KnowledgeBase;
+export function searchKnowledgeBase(knowledgeBase: KnowledgeBase, claim: string, options?: { limit?: number }): KnowledgeBaseMatch[];
+export function checkClaimAgainstKnowledgeBase(knowledgeBase: KnowledgeBase, claim: string): FactCheckResult;
+export function createKnowledgeBaseProvider(options: {
+  load: () => KnowledgeBaseFile[] | Promise<KnowledgeBaseFile[]>;
+}): FactCheckProvider;
+
+export const DEFAULT_CACHE_TTL_MS: number;
+export const DEFAULT_CACHE_SIZE: number;
+export const BUDGET_EXHAUSTED: 'budget_exhausted';
+export function normaliseClaim(claim: string): string;
+export function claimHash(claim: string, scope?: string): Promise<string>;
+export function withCostControls(provider: FactCheckProvider, options?: CostControlOptions): CostControlledProvider;
+
+export function createFactCheckProvider(options?: FactCheckProviderOptions): FactCheckProvider;
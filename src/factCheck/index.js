@@ -0,0 +1,49 @@
+// Fact-check providers shared by server.js, the MCP server and the Vite app
+import { createPerplexityProvider, createOpenAICompatibleProvider } from './chatCompletions.js';
+import { createKnowledgeBaseProvider } from './knowledgeBase.js';
+export {
+  DEFAULT_CACHE_TTL_MS,
+  DEFAULT_CACHE_SIZE,
+  BUDGET_EXHAUSTED,
+  normaliseClaim,
+  claimHash,
+  withCostControls
+} from './costControls.js';
+
+export const FACT_CHECK_PROVIDERS = ['perplexity', 'openai-compatible', 'knowledge-base'];
+
+export { FACT_CHECK_SYSTEM_PROMPT, factCheckPrompt, parseFactCheckReply } from './reply.js';
+export {
+  PERPLEXITY_API_URL,
+  PERPLEXITY_MODEL,
+  createChatCompletionsProvider,
+  createPerplexityProvider,
+  createOpenAICompatibleProvider
+} from './chatCompletions.js';
+export {
+  KNOWLEDGE_BASE_VERDICTS,
+  MIN_KNOWLEDGE_BASE_MATCH,
+  parseKnowledgeBase,
+  searchKnowledgeBase,
+  checkClaimAgainstKnowledgeBase,
+  createKnowledgeBaseProvider
+} from './knowledgeBase.js';
+
+/**
+ * The provider a deployment selected. Each one has `name`, `isConfigured` and
+ * `factCheck(claim)`, which resolves to { isAccurate, confidence, summary,
+ * reasoning, sources, usage? } and throws when it cannot reach a verdict.
+ */
+export function createFactCheckProvider({ provider = 'perplexity', apiKey, apiUrl, model, timeoutMs, loadKnowledgeBase } = {}) {
+  switch (provider) {
+    case 'perplexity':
+      return createPerplexityProvider({ apiKey, apiUrl: apiUrl || undefined, model: model || undefined, timeoutMs });
+    case 'openai-compatible':
+      return createOpenAICompatibleProvider({ apiKey, apiUrl, model, timeoutMs });
+    case 'knowledge-base':
+      if (!loadKnowledgeBase) throw new Error('The knowledge-base fact-check provider needs a knowledge base to load');
+      return createKnowledgeBaseProvider({ load: loadKnowledgeBase });
+    default:
+      throw new Error(`Unknown fact-check provider "${provider}"; expected one of ${FACT_CHECK_PROVIDERS.join(', ')}`);
+  }
+}
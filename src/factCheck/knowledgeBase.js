@@ -0,0 +1,261 @@
+// Offline fact-checking against a curated knowledge base of JSON and markdown files
+
+export const KNOWLEDGE_BASE_VERDICTS = ['supported', 'refuted'];
+
+// Share of a claim's weighted terms an entry must cover before its verdict is used
+export const MIN_KNOWLEDGE_BASE_MATCH = 0.6;
+
+const MAX_CONFIDENCE = 0.95;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'in', 'on', 'at', 'to', 'for', 'from', 'by', 'with', 'as', 'into', 'about',
+  'is', 'are', 'was', 'were', 'be', 'been', 'being', 'has', 'have', 'had', 'do', 'does', 'did', 'it', 'its', 'this',
+  'that', 'these', 'those', 'there', 'their', 'they', 'he', 'she', 'his', 'her', 'which', 'who', 'whom', 'also', 'than',
+  'then', 'so', 'such', 'very', 'some', 'any', 'all', 'each', 'over', 'under', 'up', 'out', 'more', 'most', 'can', 'will'
+]);
+
+const NEGATION = /\b(?:not|never|no|none|neither|nor|without)\b|n['’]t\b/i;
+
+const URL_PATTERN = /https?:\/\/[^\s)<>\]]+/g;
+
+// Lower-cased content words, plurals folded, negations left out (they are compared on their own)
+function terms(text) {
+  const words = text.toLowerCase().replace(/n['’]t\b/g, ' not').match(/[a-z0-9]+(?:[.,]\d+)*/g) ?? [];
+  return words
+    .filter(word => !STOPWORDS.has(word) && !NEGATION.test(word) && (word.length > 1 || /\d/.test(word)))
+    .map(word => (/^[a-z]{4,}s$/.test(word) && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+const numbers = (text) => (text.match(/\d+(?:[.,]\d+)*/g) ?? []).map(number => number.replace(/,/g, ''));
+
+const sentences = (text) => text.split(/(?<=[.!?])\s+|\n+/).map(sentence => sentence.trim()).filter(Boolean);
+
+// Each sentence, and each with the one after it, for claims that join two statements
+function evidenceWindows(text) {
+  const all = sentences(text);
+  return [...all, ...all.slice(1).map((sentence, index) => `${all[index]} ${sentence}`)];
+}
+
+function slug(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// One passage per heading section; "Source:" lines and bare links become its sources
+function markdownPassages(name, content) {
+  const passages = [];
+  let title = name.replace(/\.md$/i, '');
+  let lines = [];
+  const flush = () => {
+    const body = lines.join('\n').trim();
+    if (body) {
+      const sources = [...new Set(body.match(URL_PATTERN) ?? [])];
+      const text = body
+        .split('\n')
+        .filter(line => !/^\s*sources?:/i.test(line))
+        .join('\n')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/[*_`>]/g, '')
+        .trim();
+      passages.push({ id: `${name}#${slug(title)}`, title, text, sources });
+    }
+    lines = [];
+  };
+  for (const line of content.split(/\r?\n/)) {
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    if (heading) {
+      flush();
+      title = heading[1].trim();
+    } else {
+      lines.push(line);
+    }
+  }
+  flush();
+  return passages;
+}
+
+function jsonEntries(name, content, errors) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    errors.push(`${name}: ${error.message}`);
+    return { facts: [], passages: [] };
+  }
+  const facts = Array.isArray(parsed) ? parsed : parsed?.facts ?? [];
+  const documents = Array.isArray(parsed) ? [] : parsed?.documents ?? [];
+  if (!Array.isArray(facts) || !Array.isArray(documents)) {
+    errors.push(`${name}: expected a list of facts, or { facts: [...], documents: [...] }`);
+    return { facts: [], passages: [] };
+  }
+
+  return {
+    facts: facts.flatMap((fact, index) => {
+      const where = `${name} fact ${index + 1}`;
+      if (typeof fact?.claim !== 'string' || !fact.claim.trim()) {
+        errors.push(`${where}: claim must be a non-empty string`);
+        return [];
+      }
+      if (!KNOWLEDGE_BASE_VERDICTS.includes(fact.verdict)) {
+        errors.push(`${where}: verdict must be one of ${KNOWLEDGE_BASE_VERDICTS.join(', ')}`);
+        return [];
+      }
+      const sources = Array.isArray(fact.sources) ? fact.sources.filter(source => typeof source === 'string') : [];
+      return [{ id: `${name}#${fact.id ?? index + 1}`, claim: fact.claim.trim(), verdict: fact.verdict, summary: fact.summary, sources }];
+    }),
+    passages: documents.flatMap((document, index) => {
+      if (typeof document?.text !== 'string' || !document.text.trim()) {
+        errors.push(`${name} document ${index + 1}: text must be a non-empty string`);
+        return [];
+      }
+      const title = typeof document.title === 'string' && document.title.trim() ? document.title.trim() : `${name} document ${index + 1}`;
+      const sources = [document.url, ...(Array.isArray(document.sources) ? document.sources : [])].filter(source => typeof source === 'string');
+      return [{ id: `${name}#${document.id ?? slug(title)}`, title, text: document.text.trim(), sources }];
+    })
+  };
+}
+
+/**
+ * A knowledge base from files such as
+ *
+ *   facts.json:  { "facts": [{ "claim": "Elon Musk won the Nobel Peace Prize", "verdict": "refuted",
+ *                              "summary": "Musk has never been awarded a Nobel Prize",
+ *                              "sources": ["https://www.nobelprize.org/prizes/peace/"] }],
+ *                  "documents": [{ "title": "Eiffel Tower", "text": "...", "url": "https://..." }] }
+ *   paris.md:    one passage per heading section, citing the links in it
+ *
+ * Facts are curated verdicts on claims, true or false; documents and markdown are
+ * reference text that a claim must agree with. Throws with every problem found.
+ */
+export function parseKnowledgeBase(files) {
+  const errors = [];
+  const facts = [];
+  const passages = [];
+  for (const { name, content } of files) {
+    if (/\.md$/i.test(name)) {
+      passages.push(...markdownPassages(name, content));
+    } else {
+      const entries = jsonEntries(name, content, errors);
+      facts.push(...entries.facts);
+      passages.push(...entries.passages);
+    }
+  }
+  if (errors.length > 0) throw new Error(`Invalid knowledge base: ${errors.join('; ')}`);
+
+  // How rare each term is across the entries, so names and figures count for more than common words
+  const documentFrequency = new Map();
+  const entryTerms = [...facts.map(fact => fact.claim), ...passages.map(passage => `${passage.title} ${passage.text}`)];
+  entryTerms.forEach(text => new Set(terms(text)).forEach(term => documentFrequency.set(term, (documentFrequency.get(term) ?? 0) + 1)));
+  const weights = { size: entryTerms.length, documentFrequency };
+
+  return { facts, passages, weights };
+}
+
+function weight(term, { size, documentFrequency }) {
+  return Math.log(1 + (size + 1) / ((documentFrequency.get(term) ?? 0) + 0.5));
+}
+
+// Weighted share of `from`'s terms found in `to`
+function coverage(from, to, weights) {
+  const wanted = [...new Set(from)];
+  const found = new Set(to);
+  const total = wanted.reduce((sum, term) => sum + weight(term, weights), 0);
+  if (total === 0) return 0;
+  return wanted.filter(term => found.has(term)).reduce((sum, term) => sum + weight(term, weights), 0) / total;
+}
+
+/**
+ * The entries that best match a claim, best first. A fact must match the claim both
+ * ways; a passage is matched by its title and its closest sentence or pair of
+ * sentences, which is kept as the evidence.
+ */
+export function searchKnowledgeBase(knowledgeBase, claim, { limit = 3 } = {}) {
+  const claimTerms = terms(claim);
+  const { weights } = knowledgeBase;
+  const matches = [
+    ...knowledgeBase.facts.map(fact => {
+      const factTerms = terms(fact.claim);
+      return { kind: 'fact', entry: fact, evidence: fact.claim, score: (coverage(claimTerms, factTerms, weights) + coverage(factTerms, claimTerms, weights)) / 2 };
+    }),
+    ...knowledgeBase.passages.map(passage => {
+      const titleTerms = terms(passage.title);
+      const best = evidenceWindows(passage.text)
+        .map(evidence => ({ evidence, score: coverage(claimTerms, [...titleTerms, ...terms(evidence)], weights) }))
+        .reduce((top, candidate) => (candidate.score > top.score ? candidate : top), { evidence: '', score: 0 });
+      return { kind: 'passage', entry: passage, evidence: best.evidence, score: best.score };
+    })
+  ];
+  return matches
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Verdict on a claim from its best match. A fact gives its own verdict, reversed
+ * when only one of the two is negated. A passage supports the claim unless one of
+ * them is negated and the other is not, or the claim gives a figure the evidence
+ * does not. Claims nothing covers well enough throw, so they stay unverified.
+ */
+export function checkClaimAgainstKnowledgeBase(knowledgeBase, claim) {
+  const [match] = searchKnowledgeBase(knowledgeBase, claim, { limit: 1 });
+  if (!match || match.score < MIN_KNOWLEDGE_BASE_MATCH) {
+    throw new Error('No knowledge base entry covers this claim');
+  }
+
+  const negationDiffers = NEGATION.test(claim) !== NEGATION.test(match.evidence);
+  const confidence = Math.round(Math.min(MAX_CONFIDENCE, match.score) * 100) / 100;
+
+  if (match.kind === 'fact') {
+    const isAccurate = (match.entry.verdict === 'supported') !== negationDiffers;
+    return {
+      isAccurate,
+      confidence,
+      summary: match.entry.summary && !negationDiffers
+        ? match.entry.summary
+        : `Curated fact "${match.entry.claim}" is ${match.entry.verdict}`,
+      reasoning: `Matched curated fact ${match.entry.id} (${Math.round(match.score * 100)}% overlap)${negationDiffers ? ', with the opposite negation' : ''}`,
+      sources: match.entry.sources
+    };
+  }
+
+  const evidenceNumbers = numbers(match.evidence);
+  const differingFigures = evidenceNumbers.length > 0 && numbers(claim).some(number => !evidenceNumbers.includes(number));
+  const isAccurate = !negationDiffers && !differingFigures;
+  const problem = negationDiffers ? 'the evidence says the opposite' : differingFigures ? 'the evidence gives a different figure' : null;
+  return {
+    isAccurate,
+    confidence,
+    summary: `${isAccurate ? 'Supported' : 'Contradicted'} by "${match.entry.title}": ${match.evidence}`,
+    reasoning: `Closest passage ${match.entry.id} (${Math.round(match.score * 100)}% overlap)${problem ? `; ${problem}` : ''}`,
+    sources: match.entry.sources
+  };
+}
+
+/**
+ * A provider that checks claims against the knowledge base `load` returns, as
+ * [{ name, content }] files. The files are loaded on the first claim and again
+ * after a failed load, so a corpus that becomes available later is picked up.
+ */
+export function createKnowledgeBaseProvider({ load }) {
+  let loading = null;
+  const knowledgeBase = () => {
+    loading ??= Promise.resolve()
+      .then(load)
+      .then(parseKnowledgeBase)
+      .catch(error => {
+        loading = null;
+        throw error;
+      });
+    return loading;
+  };
+
+  return {
+    name: 'knowledge-base',
+    model: null,
+    isConfigured: true,
+
+    async factCheck(claim) {
+      return checkClaimAgainstKnowledgeBase(await knowledgeBase(), claim);
+    }
+  };
+}
@@ -0,0 +1,46 @@
+// Prompt for, and verdict from, a fact-checking chat model
+
+export const FACT_CHECK_SYSTEM_PROMPT = 'You are a fact-checking assistant. Analyze the provided content for accuracy and provide a structured response with verification status, confidence level, and reasoning.';
+
+export function factCheckPrompt(claim) {
+  return `Fact-check the following content with high scrutiny. If it is false or misleading, set "isAccurate" to false.
+
+Content:
+"${claim}"
+
+Respond in JSON format:
+{
+  "isAccurate": true/false,
+  "confidence": 0.0-1.0,
+  "summary": "Brief fact-check result",
+  "reasoning": "Detailed explanation with evidence",
+  "sources": ["relevant sources that support or refute the claim"]
+}`;
+}
+
+/**
+ * The verdict in a model's reply, with the sources it named followed by the
+ * `citations` the API returned alongside it. A reply without a readable verdict
+ * throws rather than counting as false, so the claim is left unverified.
+ */
+export function parseFactCheckReply(content, citations = []) {
+  const json = content.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/i)?.[1]
+    ?? content.slice(content.indexOf('{'), content.lastIndexOf('}') + 1);
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    throw new Error('Unable to parse verification response');
+  }
+  if (typeof parsed.isAccurate !== 'boolean') {
+    throw new Error('No isAccurate verdict in verification response');
+  }
+  const sources = Array.isArray(parsed.sources) ? parsed.sources.filter(source => typeof source === 'string') : [];
+  return {
+    isAccurate: parsed.isAccurate,
+    confidence: Math.max(0, Math.min(1, Number(parsed.confidence) || 0)),
+    summary: parsed.summary || 'Verification completed',
+    reasoning: parsed.reasoning || content,
+    sources: [...new Set([...sources, ...citations])]
+  };
+}
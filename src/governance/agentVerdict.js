@@ -0,0 +1,182 @@
+import { VIOLATION_TYPES } from './policyValidator.js';
+
+// Structured verdict the Inkeep governance graphs must reply with (see AGENT_VERDICT_SCHEMA)
+
+export const AGENT_VERDICT_STATUSES = ['approved', 'pending', 'blocked'];
+export const AGENT_VERDICT_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+export const AGENT_VERDICT_FIELDS = ['input', 'output'];
+
+// JSON Schema sent to the graph as the response format and quoted in its instructions
+export const AGENT_VERDICT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['status', 'severity', 'violations', 'reason'],
+  properties: {
+    status: { type: 'string', enum: AGENT_VERDICT_STATUSES },
+    severity: { type: 'string', enum: AGENT_VERDICT_SEVERITIES },
+    reason: { type: 'string' },
+    violations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['type', 'description', 'severity', 'confidence', 'reason', 'regulatoryFramework', 'spans', 'remediationSteps'],
+        properties: {
+          type: { type: 'string', enum: VIOLATION_TYPES },
+          description: { type: 'string' },
+          severity: { type: 'number', minimum: 0, maximum: 10 },
+          confidence: { type: 'number', minimum: 0, maximum: 1 },
+          reason: { type: 'string' },
+          regulatoryFramework: { type: 'string' },
+          // Character offsets of the offending text, end exclusive
+          spans: {
+            type: 'array',
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['field', 'start', 'end'],
+              properties: {
+                field: { type: 'string', enum: AGENT_VERDICT_FIELDS },
+                start: { type: 'integer', minimum: 0 },
+                end: { type: 'integer', minimum: 0 }
+              }
+            }
+          },
+          remediationSteps: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+function checkKeys(value, label, schema, errors) {
+  for (const key of schema.required) {
+    if (value[key] === undefined) errors.push(`${label}: "${key}" is required`);
+  }
+  for (const key of Object.keys(value)) {
+    if (!schema.properties[key]) errors.push(`${label}: unexpected property "${key}"`);
+  }
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const inRange = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+function validateSpan(span, label, texts, errors) {
+  if (!isPlainObject(span)) {
+    errors.push(`${label}: must be an object`);
+    return;
+  }
+  checkKeys(span, label, AGENT_VERDICT_SCHEMA.properties.violations.items.properties.spans.items, errors);
+  if (!AGENT_VERDICT_FIELDS.includes(span.field)) {
+    errors.push(`${label}: "field" must be one of ${AGENT_VERDICT_FIELDS.join(', ')}`);
+    return;
+  }
+  const length = texts[span.field].length;
+  if (!Number.isInteger(span.start) || !Number.isInteger(span.end) || span.start < 0 || span.end <= span.start || span.end > length) {
+    errors.push(`${label}: must satisfy 0 <= start < end <= ${length} (${span.field} length)`);
+  }
+}
+
+function validateViolation(violation, label, texts, errors) {
+  if (!isPlainObject(violation)) {
+    errors.push(`${label}: must be an object`);
+    return;
+  }
+  checkKeys(violation, label, AGENT_VERDICT_SCHEMA.properties.violations.items, errors);
+  if (!VIOLATION_TYPES.includes(violation.type)) {
+    errors.push(`${label}: "type" must be one of ${VIOLATION_TYPES.join(', ')}`);
+  }
+  for (const key of ['description', 'reason', 'regulatoryFramework']) {
+    if (violation[key] !== undefined && !isNonEmptyString(violation[key])) errors.push(`${label}: "${key}" must be a non-empty string`);
+  }
+  if (violation.severity !== undefined && !inRange(violation.severity, 0, 10)) {
+    errors.push(`${label}: "severity" must be a number from 0 to 10`);
+  }
+  if (violation.confidence !== undefined && !inRange(violation.confidence, 0, 1)) {
+    errors.push(`${label}: "confidence" must be a number from 0 to 1`);
+  }
+  if (violation.spans !== undefined) {
+    if (!Array.isArray(violation.spans) || violation.spans.length === 0) {
+      errors.push(`${label}: "spans" must be a non-empty array`);
+    } else {
+      violation.spans.forEach((span, i) => validateSpan(span, `${label}.spans[${i}]`, texts, errors));
+    }
+  }
+  if (violation.remediationSteps !== undefined &&
+      (!Array.isArray(violation.remediationSteps) || !violation.remediationSteps.every(isNonEmptyString))) {
+    errors.push(`${label}: "remediationSteps" must be an array of non-empty strings`);
+  }
+}
+
+/**
+ * Check a parsed agent verdict against AGENT_VERDICT_SCHEMA. Spans are checked
+ * against the lengths of the governed input and output, and the status must
+ * agree with the violations: approved with none, pending or blocked with some.
+ */
+export function validateAgentVerdict(verdict, { input = '', output = '' } = {}) {
+  const errors = [];
+  if (!isPlainObject(verdict)) {
+    return { valid: false, errors: ['verdict must be a JSON object'] };
+  }
+
+  checkKeys(verdict, 'verdict', AGENT_VERDICT_SCHEMA, errors);
+  if (!AGENT_VERDICT_STATUSES.includes(verdict.status)) {
+    errors.push(`verdict: "status" must be one of ${AGENT_VERDICT_STATUSES.join(', ')}`);
+  }
+  if (!AGENT_VERDICT_SEVERITIES.includes(verdict.severity)) {
+    errors.push(`verdict: "severity" must be one of ${AGENT_VERDICT_SEVERITIES.join(', ')}`);
+  }
+  if (!isNonEmptyString(verdict.reason)) {
+    errors.push('verdict: "reason" must be a non-empty string');
+  }
+  if (!Array.isArray(verdict.violations)) {
+    errors.push('verdict: "violations" must be an array');
+  } else {
+    verdict.violations.forEach((violation, i) => validateViolation(violation, `violations[${i}]`, { input, output }, errors));
+    if (verdict.status === 'approved' && verdict.violations.length > 0) {
+      errors.push('verdict: an approved verdict cannot list violations');
+    }
+    if (verdict.status !== 'approved' && AGENT_VERDICT_STATUSES.includes(verdict.status) && verdict.violations.length === 0) {
+      errors.push(`verdict: a ${verdict.status} verdict must list its violations`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Parse an agent's reply into a verdict. The reply must be the JSON object
+ * itself, optionally inside a single ```json fence; prose around it is not
+ * accepted. Throws an Error naming every problem when the reply is malformed.
+ */
+export function parseAgentVerdict(text, texts = {}) {
+  const fenced = text.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  let verdict;
+  try {
+    verdict = JSON.parse(fenced ? fenced[1] : text.trim());
+  } catch (error) {
+    throw new Error(`Agent verdict is not valid JSON: ${error.message}`);
+  }
+
+  const { valid, errors } = validateAgentVerdict(verdict, texts);
+  if (!valid) {
+    throw new Error(`Agent verdict does not match the contract: ${errors.join('; ')}`);
+  }
+  return verdict;
+}
+
+// Violations in the shape the policy engine produces; spans become its "input:4-15" locations
+export function agentVerdictViolations(verdict) {
+  return verdict.violations.map(violation => ({
+    type: violation.type,
+    description: violation.description,
+    severity: violation.severity,
+    confidence: violation.confidence,
+    reason: violation.reason,
+    location: violation.spans.map(span => `${span.field}:${span.start}-${span.end}`).join(', '),
+    regulatoryFramework: violation.regulatoryFramework,
+    ...(violation.remediationSteps.length > 0 ? { remediationSteps: [...violation.remediationSteps] } : {})
+  }));
+}
@@ -0,0 +1,82 @@
+// Factual claims in a response, for verifying one at a time
+
+export const CLAIM_VERDICTS = ['supported', 'refuted', 'unverified'];
+
+// Shorter sentences rarely state anything a fact-checker can look up
+const MIN_CLAIM_LENGTH = 20;
+const MIN_CLAIM_WORDS = 4;
+
+// A full stop after these does not end the sentence
+const ABBREVIATIONS = new Set(['mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'jr', 'sr', 'vs', 'etc', 'e.g', 'i.e', 'u.s', 'u.k', 'inc', 'ltd', 'co', 'no', 'approx']);
+
+// Sentences giving advice, opinions or the assistant's own view, not facts
+const NON_FACTUAL = /^(?:i|i'm|we|you|your|let's|let me|please|feel free|hope|note that|remember)\b|\b(?:i think|i believe|i feel|in my opinion|you should|you could|you might|you can|consider)\b/i;
+
+const FACTUAL_INDICATORS = /\b(?:according to|studies show|research (?:indicates|shows|found)|data shows|statistics|survey|report(?:ed|s)?|evidence|founded|invented|discovered|won|awarded|born|died|established|located|population|percent|million|billion)\b/i;
+
+// Markdown list markers and headings in front of a sentence
+const LEADING_MARKUP = /^(?:[-*+>#]+|\d+[.)])\s+/;
+
+function endsSentence(text, index) {
+  const char = text[index];
+  if (char === '\n') return true;
+  if (!'.!?'.includes(char)) return false;
+  const next = text[index + 1];
+  if (next !== undefined && !/\s/.test(next)) return false;
+  if (char !== '.') return true;
+  // "3.5", "U.S." and "Dr." are not the end of a sentence
+  const word = text.slice(0, index).match(/([\w.]+)$/)?.[1]?.toLowerCase() ?? '';
+  return !(ABBREVIATIONS.has(word) || /^[a-z]$/.test(word));
+}
+
+// Sentences as [start, end) spans, trimmed of whitespace and list markup
+function sentenceSpans(text) {
+  const spans = [];
+  let start = 0;
+  for (let index = 0; index <= text.length; index++) {
+    if (index < text.length && !endsSentence(text, index)) continue;
+    const end = index < text.length && text[index] !== '\n' ? index + 1 : index;
+    const raw = text.slice(start, end);
+    const leading = raw.length - raw.trimStart().length;
+    const markup = raw.trimStart().match(LEADING_MARKUP)?.[0].length ?? 0;
+    const spanStart = start + leading + markup;
+    const spanEnd = start + raw.trimEnd().length;
+    if (spanEnd > spanStart) spans.push([spanStart, spanEnd]);
+    start = index + 1;
+  }
+  return spans;
+}
+
+function isCheckable(sentence) {
+  if (sentence.length < MIN_CLAIM_LENGTH || sentence.split(/\s+/).length < MIN_CLAIM_WORDS) return false;
+  if (sentence.endsWith('?') || sentence.endsWith(':') || NON_FACTUAL.test(sentence)) return false;
+  // A number, a proper noun past the first word, or wording that reports a fact
+  return /\d/.test(sentence) || /\s[A-Z][a-z]/.test(sentence) || FACTUAL_INDICATORS.test(sentence);
+}
+
+/**
+ * The sentences of `text` that state something checkable, each with its [start, end)
+ * character span, so `text.slice(claim.start, claim.end) === claim.text`. Questions,
+ * advice and opinions are left out, as are sentences with nothing to look up.
+ */
+export function extractClaims(text, { limit = Infinity } = {}) {
+  if (!text) return [];
+  return sentenceSpans(text)
+    .map(([start, end]) => ({ text: text.slice(start, end), start, end }))
+    .filter(claim => isCheckable(claim.text))
+    .slice(0, limit);
+}
+
+/**
+ * Claims moved onto a rewritten copy of the text they were found in, e.g. after
+ * personal data in it was masked. `rewrite` must change each part of the text on its
+ * own the way it changes the whole, which holds for substitutions that never span
+ * a sentence boundary.
+ */
+export function remapClaims(claims, text, rewrite) {
+  return claims.map(claim => {
+    const start = rewrite(text.slice(0, claim.start)).length;
+    const rewritten = rewrite(claim.text);
+    return { ...claim, text: rewritten, start, end: start + rewritten.length };
+  });
+}
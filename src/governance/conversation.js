@@ -0,0 +1,69 @@
+import { policyRegistry } from './policyRegistry.js';
+import { DEFAULT_SEVERITY_THRESHOLD, determineStatus, mapSeverityToCategory } from './verdict.js';
+
+// Number of caller-written turns (the new one included) the input pass looks back over
+export const DEFAULT_CONVERSATION_WINDOW = 6;
+
+// A flagged turn in a session that is already at risk adds this on top of the previous score
+export const SESSION_RISK_RECURRENCE_STEP = 1.5;
+
+// A clean turn multiplies the score by this, so a single slip fades after a few turns
+export const SESSION_RISK_DECAY = 0.5;
+
+/**
+ * Input verdict for the newest turn of a conversation. `turns` are the texts the
+ * caller wrote, oldest first. The rules run over the newest turn and over the last
+ * `windowSize` turns together, so a request spread across messages or a jailbreak
+ * planted earlier in the history is still caught. Rules that only fire on the
+ * window are reported with location 'conversation'. When the session's risk score
+ * has reached the threshold, a verdict that would be held for review is blocked.
+ */
+export function evaluateConversationInput(turns, options = {}) {
+  const registry = options.registry ?? policyRegistry;
+  const windowSize = options.windowSize ?? DEFAULT_CONVERSATION_WINDOW;
+  const severityThreshold = options.severityThreshold ?? DEFAULT_SEVERITY_THRESHOLD;
+
+  const violations = registry.evaluateInput(turns[turns.length - 1] ?? '');
+  if (turns.length > 1 && windowSize > 1) {
+    const fired = new Set(violations.map(v => v.ruleId));
+    const windowed = registry.evaluateInput(turns.slice(-windowSize).join(' '))
+      .filter(v => !fired.has(v.ruleId))
+      .map(v => ({ ...v, location: 'conversation' }));
+    violations.push(...windowed);
+  }
+
+  const verdict = { violations, ...determineStatus(violations, severityThreshold) };
+  if (verdict.status === 'pending' && options.session?.riskScore >= severityThreshold) {
+    return { ...verdict, status: 'blocked', escalated: true };
+  }
+  return verdict;
+}
+
+export function createSessionRisk(id) {
+  return { id, turnCount: 0, flaggedTurns: 0, riskScore: 0, riskLevel: 'low' };
+}
+
+/**
+ * Fold one turn's violations into a session's risk. A flagged turn raises the score
+ * to at least its worst violation's severity, and further when the session was
+ * already at risk, so recurring violations escalate. Clean turns let it decay.
+ */
+export function updateSessionRisk(session, violations) {
+  let riskScore;
+  if (violations.length > 0) {
+    const maxSeverity = Math.max(...violations.map(v => v.severity));
+    const recurring = session.riskScore > 0 ? session.riskScore + SESSION_RISK_RECURRENCE_STEP : 0;
+    riskScore = Math.min(10, Math.max(maxSeverity, recurring));
+  } else {
+    riskScore = session.riskScore * SESSION_RISK_DECAY;
+  }
+  riskScore = Math.round(riskScore * 10) / 10;
+
+  return {
+    ...session,
+    turnCount: session.turnCount + 1,
+    flaggedTurns: session.flaggedTurns + (violations.length > 0 ? 1 : 0),
+    riskScore,
+    riskLevel: mapSeverityToCategory(riskScore)
+  };
+}
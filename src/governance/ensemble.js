@@ -0,0 +1,96 @@
+import { mapSeverityToCategory } from './verdict.js';
+
+// Running the rule engine and the Inkeep agents side by side, and merging what they decide
+
+export const ENSEMBLE_STRATEGIES = ['strictest', 'majority', 'primary'];
+export const ENSEMBLE_PIPELINES = ['legacy', 'inkeep'];
+
+const STATUS_RANK = { approved: 0, pending: 1, blocked: 2 };
+
+// One violation per type, earlier verdicts first (the same de-duplication the pipelines already share)
+function unionViolations(verdicts) {
+  const seen = new Set();
+  const violations = [];
+  for (const verdict of verdicts) {
+    for (const violation of verdict.violations) {
+      if (seen.has(violation.type)) continue;
+      seen.add(violation.type);
+      violations.push(violation);
+    }
+  }
+  return violations;
+}
+
+function severityOf(violations) {
+  return violations.length > 0 ? mapSeverityToCategory(Math.max(...violations.map(v => v.severity))) : 'low';
+}
+
+function merged(status, violations) {
+  return { status, severity: severityOf(violations), violations };
+}
+
+/**
+ * Merge the verdicts of the pipelines that ran. `verdicts` maps a pipeline name
+ * to { status, severity, violations }, or to { error } when it failed; a failed
+ * pipeline does not vote. Strategies:
+ * - strictest: the strictest status wins and every pipeline's violations are kept.
+ * - majority: the status most pipelines agree on; a tie is held for review.
+ * - primary: the primary pipeline decides, the others are only recorded.
+ * `agreement` is whether all voting pipelines reached the same status, or null
+ * when fewer than two of them produced a verdict.
+ */
+export function mergeVerdicts(verdicts, { strategy = 'strictest', primary = 'legacy' } = {}) {
+  const order = [primary, ...ENSEMBLE_PIPELINES.filter(pipeline => pipeline !== primary)];
+  const voting = order.filter(pipeline => verdicts[pipeline] && !verdicts[pipeline].error);
+  if (voting.length === 0) {
+    throw new Error('No governance pipeline produced a verdict');
+  }
+
+  const ballots = voting.map(pipeline => verdicts[pipeline]);
+  const agreement = voting.length < 2 ? null : ballots.every(verdict => verdict.status === ballots[0].status);
+  const result = (verdict, decidedBy) => ({ ...verdict, agreement, decidedBy });
+
+  if (voting.length === 1) {
+    return result(merged(ballots[0].status, ballots[0].violations), voting);
+  }
+
+  switch (strategy) {
+    case 'primary':
+      return result(merged(ballots[0].status, ballots[0].violations), [voting[0]]);
+    case 'majority': {
+      const counts = {};
+      ballots.forEach(verdict => { counts[verdict.status] = (counts[verdict.status] ?? 0) + 1; });
+      const winner = Object.keys(counts).find(status => counts[status] > ballots.length / 2);
+      if (!winner) {
+        return result(merged('pending', unionViolations(ballots)), voting);
+      }
+      const majority = voting.filter(pipeline => verdicts[pipeline].status === winner);
+      return result(merged(winner, unionViolations(majority.map(pipeline => verdicts[pipeline]))), majority);
+    }
+    case 'strictest': {
+      const status = ballots.reduce((strictest, verdict) =>
+        STATUS_RANK[verdict.status] > STATUS_RANK[strictest] ? verdict.status : strictest, 'approved');
+      return result(merged(status, unionViolations(ballots)), voting.filter(pipeline => verdicts[pipeline].status === status));
+    }
+    default:
+      throw new Error(`Unknown ensemble strategy "${strategy}"; expected one of ${ENSEMBLE_STRATEGIES.join(', ')}`);
+  }
+}
+
+export function createAgreementStats() {
+  return { compared: 0, agreed: 0, matrix: {} };
+}
+
+// Count one ensemble record into the stats: matrix is legacy status -> Inkeep status -> interactions
+export function tallyAgreement(stats, { agreement, verdicts }) {
+  if (agreement === null) return stats;
+  stats.compared++;
+  if (agreement) stats.agreed++;
+  const row = stats.matrix[verdicts.legacy.status] ??= {};
+  row[verdicts.inkeep.status] = (row[verdicts.inkeep.status] ?? 0) + 1;
+  return stats;
+}
+
+export function agreementRate(stats) {
+  return stats.compared > 0 ? stats.agreed / stats.compared : null;
+}
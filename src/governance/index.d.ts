@@ -0,0 +1,208 @@
+import {
+  AgentSettings,
+  Claim,
+  ClaimVerdict,
+  EnsemblePipeline,
+  EnsembleRecord,
+  EnsembleStrategy,
+  EnsembleVerdicts,
+  LLMInteraction,
+  PhaseVerdict,
+  Redaction,
+  RemediationMode,
+  SessionRisk,
+  SettingsChange,
+  SettingsOverride,
+  SettingsScopes,
+  Violation
+} from '../types';
+import {
+  AgentVerdict,
+  PiiDetectorType,
+  PiiMatch,
+  PolicyDetectorType,
+  PolicyPack,
+  PolicyPackValidationResult,
+  PolicyRule,
+  PolicyScope,
+  PromptInjectionAnalysis,
+  PromptInjectionTechnique
+} from './policyTypes';
+
+export * from './policyTypes';
+
+export interface CompiledPolicyRule {
+  rule: PolicyRule;
+  regexes: RegExp[];
+  detectors: PolicyDetectorType[];
+}
+
+export interface GovernanceVerdict {
+  violations: Violation[];
+  status: LLMInteraction['status'];
+  severity: LLMInteraction['severity'];
+  // Set when a session's risk score turned a pending verdict into a block
+  escalated?: boolean;
+}
+
+export type PolicyPackListener = (packs: PolicyPack[]) => void;
+
+export const POLICY_SCOPES: PolicyScope[];
+export const VIOLATION_TYPES: Violation['type'][];
+export const COMPLIANCE_LEVELS: PolicyRule['complianceLevel'][];
+export const POLICY_DETECTOR_TYPES: PolicyDetectorType[];
+
+export function validatePolicyPack(pack: unknown): PolicyPackValidationResult;
+export function isPolicyPack(pack: unknown): pack is PolicyPack;
+
+export function compileRule(rule: PolicyRule): CompiledPolicyRule;
+export function evaluateRules(rules: CompiledPolicyRule[], input: string, output: string): Violation[];
+
+export interface PiiDetector {
+  type: PiiDetectorType;
+  country?: string;
+  regex: RegExp;
+  validate?: (value: string) => boolean;
+}
+
+export const PII_DETECTORS: PiiDetector[];
+export const PII_DETECTOR_TYPES: PiiDetectorType[];
+export function detectPii(text: string, types?: PiiDetectorType[]): PiiMatch[];
+
+export const PROMPT_INJECTION_DETECTOR: 'prompt_injection';
+export const PROMPT_INJECTION_TECHNIQUES: Record<PromptInjectionTechnique, number>;
+export function analyzePromptInjection(text: string): PromptInjectionAnalysis;
+
+export function normalizePromptText(text: string): string;
+
+export const DEFAULT_RELOAD_INTERVAL_MS: number;
+
+export class PolicyRegistry {
+  constructor(initialPacks?: unknown[]);
+  loadPack(pack: unknown): PolicyPack;
+  loadPackFromText(text: string, format?: 'json' | 'yaml'): PolicyPack;
+  loadPackFromUrl(url: string): Promise<PolicyPack>;
+  removePack(id: string): boolean;
+  getPacks(): PolicyPack[];
+  getRules(): PolicyRule[];
+  evaluate(input: string, output: string): Violation[];
+  evaluateInput(input: string): Violation[];
+  subscribe(listener: PolicyPackListener): () => void;
+  watchPackUrl(url: string, intervalMs?: number): () => void;
+}
+
+export const policyRegistry: PolicyRegistry;
+
+export const DEFAULT_SEVERITY_THRESHOLD: number;
+
+export function mapSeverityToCategory(severity: number): LLMInteraction['severity'];
+export function determineStatus(
+  violations: Violation[],
+  severityThreshold?: number
+): Omit<GovernanceVerdict, 'violations'>;
+export function evaluateInteraction(
+  input: string,
+  output: string,
+  options?: { registry?: PolicyRegistry; severityThreshold?: number }
+): GovernanceVerdict;
+export function evaluateInput(
+  input: string,
+  options?: { registry?: PolicyRegistry; severityThreshold?: number }
+): GovernanceVerdict;
+export function toPhaseVerdict(phase: PhaseVerdict['phase'], verdict: GovernanceVerdict): PhaseVerdict;
+export function formatBlockedContent(violations: Violation[]): string;
+
+export const DEFAULT_CONVERSATION_WINDOW: number;
+export const SESSION_RISK_RECURRENCE_STEP: number;
+export const SESSION_RISK_DECAY: number;
+
+export function evaluateConversationInput(
+  turns: string[],
+  options?: { registry?: PolicyRegistry; severityThreshold?: number; windowSize?: number; session?: SessionRisk }
+): GovernanceVerdict;
+export function createSessionRisk(id: string): SessionRisk;
+export function updateSessionRisk(session: SessionRisk, violations: Violation[]): SessionRisk;
+
+export const AGENT_VERDICT_STATUSES: AgentVerdict['status'][];
+export const AGENT_VERDICT_SEVERITIES: AgentVerdict['severity'][];
+export const AGENT_VERDICT_FIELDS: Array<'input' | 'output'>;
+export const AGENT_VERDICT_SCHEMA: Record<string, unknown>;
+
+export function validateAgentVerdict(
+  verdict: unknown,
+  texts?: { input?: string; output?: string }
+): { valid: boolean; errors: string[] };
+export function parseAgentVerdict(text: string, texts?: { input?: string; output?: string }): AgentVerdict;
+export function agentVerdictViolations(verdict: AgentVerdict): Violation[];
+
+export const ENSEMBLE_STRATEGIES: EnsembleStrategy[];
+export const ENSEMBLE_PIPELINES: EnsemblePipeline[];
+
+export interface MergedVerdict extends GovernanceVerdict {
+  // null when fewer than two pipelines produced a verdict
+  agreement: boolean | null;
+  decidedBy: EnsemblePipeline[];
+}
+
+export function mergeVerdicts(
+  verdicts: EnsembleVerdicts,
+  options?: { strategy?: EnsembleStrategy; primary?: EnsemblePipeline }
+): MergedVerdict;
+
+export interface AgreementStats {
+  compared: number;
+  agreed: number;
+  // Legacy status -> Inkeep status -> interactions
+  matrix: Record<string, Record<string, number>>;
+}
+
+export function createAgreementStats(): AgreementStats;
+export function tallyAgreement(stats: AgreementStats, record: Pick<EnsembleRecord, 'agreement' | 'verdicts'>): AgreementStats;
+export function agreementRate(stats: AgreementStats): number | null;
+
+export const SETTINGS_AGENT_KEYS: Array<keyof Omit<AgentSettings, 'severityThreshold' | 'remediation'>>;
+export const GLOBAL_SETTINGS_SCOPE: 'global';
+
+export function createDefaultSettings(): AgentSettings;
+export function isSettingsScope(scope: unknown): scope is string;
+export function settingsScopes(scopes?: SettingsScopes): string[];
+export function validateSettingsOverride(settings: unknown): string[];
+export function mergeSettings(...layers: Array<SettingsOverride | null | undefined>): AgentSettings;
+export function settingsOverride(inherited: AgentSettings, settings: AgentSettings): SettingsOverride;
+export function diffSettings(before: SettingsOverride | undefined, after: SettingsOverride | undefined): SettingsChange[];
+
+export const REMEDIATION_MODES: RemediationMode[];
+
+export class Redactor {
+  redactions: Redaction[];
+  redact(text: string, field: Redaction['field']): string;
+  clone(): Redactor;
+}
+
+export interface RedactionOptions {
+  remediation?: AgentSettings['remediation'];
+  redactor?: Redactor;
+  registry?: PolicyRegistry;
+  severityThreshold?: number;
+}
+
+export interface RedactionResult {
+  input: string;
+  output: string;
+  redactions: Redaction[];
+  claims?: LLMInteraction['claims'];
+  status: LLMInteraction['status'];
+  severity: LLMInteraction['severity'];
+}
+
+export function redactedViolationTypes(remediation?: AgentSettings['remediation']): Set<Violation['type']>;
+export function redactInput(input: string, options?: RedactionOptions): string;
+export function redactInteraction(
+  interaction: Pick<LLMInteraction, 'input' | 'output' | 'violations' | 'claims'>,
+  options?: RedactionOptions
+): RedactionResult | null;
+
+export const CLAIM_VERDICTS: ClaimVerdict[];
+
+export function extractClaims(text: string, options?: { limit?: number }): Claim[];
+export function remapClaims<T extends Claim>(claims: T[], text: string, rewrite: (text: string) => string): T[];
@@ -0,0 +1,61 @@
+// Isomorphic governance package shared by server.js and the Vite app
+export {
+  POLICY_SCOPES,
+  VIOLATION_TYPES,
+  COMPLIANCE_LEVELS,
+  POLICY_DETECTOR_TYPES,
+  validatePolicyPack,
+  isPolicyPack
+} from './policyValidator.js';
+export { compileRule, evaluateRules } from './policyEngine.js';
+export { PII_DETECTORS, PII_DETECTOR_TYPES, detectPii } from './piiDetectors.js';
+export { PROMPT_INJECTION_DETECTOR, PROMPT_INJECTION_TECHNIQUES, analyzePromptInjection } from './promptInjection.js';
+export { normalizePromptText } from './promptText.js';
+export { PolicyRegistry, policyRegistry, DEFAULT_RELOAD_INTERVAL_MS } from './policyRegistry.js';
+export {
+  DEFAULT_SEVERITY_THRESHOLD,
+  mapSeverityToCategory,
+  determineStatus,
+  evaluateInteraction,
+  evaluateInput,
+  toPhaseVerdict,
+  formatBlockedContent
+} from './verdict.js';
+export {
+  DEFAULT_CONVERSATION_WINDOW,
+  SESSION_RISK_RECURRENCE_STEP,
+  SESSION_RISK_DECAY,
+  evaluateConversationInput,
+  createSessionRisk,
+  updateSessionRisk
+} from './conversation.js';
+export {
+  AGENT_VERDICT_STATUSES,
+  AGENT_VERDICT_SEVERITIES,
+  AGENT_VERDICT_FIELDS,
+  AGENT_VERDICT_SCHEMA,
+  validateAgentVerdict,
+  parseAgentVerdict,
+  agentVerdictViolations
+} from './agentVerdict.js';
+export {
+  ENSEMBLE_STRATEGIES,
+  ENSEMBLE_PIPELINES,
+  mergeVerdicts,
+  createAgreementStats,
+  tallyAgreement,
+  agreementRate
+} from './ensemble.js';
+export {
+  SETTINGS_AGENT_KEYS,
+  GLOBAL_SETTINGS_SCOPE,
+  createDefaultSettings,
+  isSettingsScope,
+  settingsScopes,
+  validateSettingsOverride,
+  mergeSettings,
+  settingsOverride,
+  diffSettings
+} from './settings.js';
+export { REMEDIATION_MODES, Redactor, redactedViolationTypes, redactInput, redactInteraction } from './redaction.js';
+export { CLAIM_VERDICTS, extractClaims, remapClaims } from './claims.js';
@@ -0,0 +1,221 @@
+// Checksum-validated personal data detectors shared by policy rules ("detectors": [...]) and redaction
+
+const digitsOf = (value) => value.replace(/\D/g, '');
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Remainder of a long numeric string, computed in chunks so it never overflows a Number
+function mod97(numeric) {
+  let remainder = 0;
+  for (let i = 0; i < numeric.length; i += 7) {
+    remainder = Number(`${remainder}${numeric.slice(i, i + 7)}`) % 97;
+  }
+  return remainder;
+}
+
+function isValidIban(value) {
+  const iban = value.replace(/\s/g, '').toUpperCase();
+  if (iban.length < 15 || iban.length > 34) return false;
+  const numeric = `${iban.slice(4)}${iban.slice(0, 4)}`.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  return mod97(numeric) === 1;
+}
+
+function isValidInternationalPhone(value) {
+  const digits = digitsOf(value);
+  // E.164: country code (never starting with 0) plus subscriber number, at most 15 digits
+  return digits.length >= 8 && digits.length <= 15 && digits[0] !== '0';
+}
+
+function isValidIpv4(value) {
+  return value.split('.').every(octet => Number(octet) <= 255 && (octet === '0' || !octet.startsWith('0')));
+}
+
+function isValidIpv6(value) {
+  const compressed = value.split('::');
+  if (compressed.length > 2) return false;
+
+  const groups = value.split(':').filter(Boolean);
+  if (groups.length < 3 || !groups.every(group => /^[0-9a-f]{1,4}$/i.test(group))) return false;
+  return compressed.length === 2 ? groups.length <= 7 : groups.length === 8;
+}
+
+function isValidSsn(value) {
+  const [area, group, serial] = value.split('-');
+  // SSA never issues area 000, 666 or 900-999, group 00 or serial 0000
+  return area !== '000' && area !== '666' && area[0] !== '9' && group !== '00' && serial !== '0000';
+}
+
+const DNI_LETTERS = 'TRWAGMYFPDXBNJZSQVHLCKE';
+
+// Spain: DNI (8 digits) and NIE (X/Y/Z + 7 digits), both with a mod-23 check letter
+function isValidSpanishId(value) {
+  const id = value.replace(/[\s-]/g, '').toUpperCase();
+  const number = id.replace(/^[XYZ]/, prefix => String('XYZ'.indexOf(prefix)));
+  return DNI_LETTERS[Number(number.slice(0, 8)) % 23] === id[id.length - 1];
+}
+
+// France: NIR (social security number) with a 97 - (n mod 97) key; Corsica uses 2A/2B
+function isValidFrenchNir(value) {
+  const nir = value.replace(/\s/g, '').toUpperCase();
+  const month = Number(nir.slice(3, 5));
+  if (!((month >= 1 && month <= 12) || month >= 20)) return false;
+
+  const body = nir.slice(0, 13).replace('2A', '19').replace('2B', '18');
+  return 97 - mod97(body) === Number(nir.slice(13));
+}
+
+const CODICE_ODD_VALUES = [1, 0, 5, 7, 9, 13, 15, 17, 19, 21, 2, 4, 18, 20, 11, 3, 6, 8, 12, 14, 16, 10, 22, 25, 24, 23];
+
+// Italy: codice fiscale, whose last letter is a check character over the first 15
+function isValidCodiceFiscale(value) {
+  const code = value.toUpperCase();
+  let sum = 0;
+  for (let i = 0; i < 15; i++) {
+    const char = code[i];
+    const index = /\d/.test(char) ? Number(char) : char.charCodeAt(0) - 65;
+    sum += i % 2 === 0 ? CODICE_ODD_VALUES[index] : index;
+  }
+  return String.fromCharCode(65 + (sum % 26)) === code[15];
+}
+
+// Poland: PESEL with a weighted checksum and a century-encoded birth month
+function isValidPesel(value) {
+  const weights = [1, 3, 7, 9, 1, 3, 7, 9, 1, 3];
+  const month = Number(value.slice(2, 4)) % 20;
+  const day = Number(value.slice(4, 6));
+  if (month < 1 || month > 12 || day < 1 || day > 31) return false;
+
+  const sum = weights.reduce((total, weight, i) => total + weight * Number(value[i]), 0);
+  return (10 - (sum % 10)) % 10 === Number(value[10]);
+}
+
+// Belgium: national register number; people born from 2000 on have a 2 prefixed for the check
+function isValidBelgianNationalNumber(value) {
+  const digits = digitsOf(value);
+  const body = digits.slice(0, 9);
+  const check = Number(digits.slice(9));
+  return 97 - (Number(body) % 97) === check || 97 - (Number(`2${body}`) % 97) === check;
+}
+
+/**
+ * Detectors in priority order: a candidate overlapping an earlier detector's match is
+ * dropped, so a card number is never also reported as a phone number. National IDs
+ * come before cards because their checksums are stricter than Luhn.
+ */
+export const PII_DETECTORS = [
+  {
+    type: 'email',
+    regex: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g
+  },
+  {
+    type: 'iban',
+    regex: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/gi,
+    validate: isValidIban
+  },
+  {
+    type: 'national_id',
+    country: 'ES',
+    regex: /\b(?:\d{8}|[XYZ][ -]?\d{7})[ -]?[A-Z]\b/gi,
+    validate: isValidSpanishId
+  },
+  {
+    type: 'national_id',
+    country: 'FR',
+    regex: /\b[12] ?\d{2} ?\d{2} ?(?:\d{2}|2[AB]) ?\d{3} ?\d{3} ?\d{2}\b/gi,
+    validate: isValidFrenchNir
+  },
+  {
+    type: 'national_id',
+    country: 'IT',
+    regex: /\b[A-Z]{6}\d{2}[A-EHLMPR-T]\d{2}[A-Z]\d{3}[A-Z]\b/gi,
+    validate: isValidCodiceFiscale
+  },
+  {
+    type: 'national_id',
+    country: 'PL',
+    regex: /\b\d{11}\b/g,
+    validate: isValidPesel
+  },
+  {
+    type: 'national_id',
+    country: 'BE',
+    regex: /\b\d{2}\.?\d{2}\.?\d{2}-?\d{3}\.?\d{2}\b/g,
+    validate: isValidBelgianNationalNumber
+  },
+  {
+    type: 'card',
+    regex: /\b(?:\d[ -]?){12,18}\d\b/g,
+    validate: value => passesLuhn(digitsOf(value))
+  },
+  {
+    type: 'ssn',
+    regex: /\b\d{3}-\d{2}-\d{4}\b/g,
+    validate: isValidSsn
+  },
+  {
+    type: 'phone',
+    regex: /\+\d(?:[ .()-]{0,2}\d){6,14}\b/g,
+    validate: isValidInternationalPhone
+  },
+  {
+    type: 'phone',
+    regex: /(?:\(\d{3}\) ?|\b\d{3}[ .-])\d{3}[ .-]\d{4}\b/g
+  },
+  {
+    type: 'mac',
+    regex: /\b[0-9a-f]{2}([:-])[0-9a-f]{2}(?:\1[0-9a-f]{2}){4}\b/gi
+  },
+  {
+    type: 'ip',
+    regex: /\b(?:\d{1,3}\.){3}\d{1,3}\b/g,
+    validate: isValidIpv4
+  },
+  {
+    type: 'ip',
+    regex: /(?:[0-9a-f]{0,4}:){2,7}[0-9a-f]{0,4}/gi,
+    validate: isValidIpv6
+  }
+];
+
+export const PII_DETECTOR_TYPES = [...new Set(PII_DETECTORS.map(detector => detector.type))];
+
+/**
+ * Find personal data in a text. Each match carries its [start, end) character span.
+ * Pass `types` to run only some detectors.
+ */
+export function detectPii(text, types = PII_DETECTOR_TYPES) {
+  const matches = [];
+
+  for (const detector of PII_DETECTORS) {
+    if (!types.includes(detector.type)) continue;
+
+    for (const match of text.matchAll(detector.regex)) {
+      const value = match[0];
+      const start = match.index;
+      const end = start + value.length;
+      if (detector.validate && !detector.validate(value)) continue;
+      if (matches.some(existing => start < existing.end && end > existing.start)) continue;
+
+      matches.push({
+        type: detector.type,
+        ...(detector.country ? { country: detector.country } : {}),
+        value,
+        start,
+        end
+      });
+    }
+  }
+
+  return matches.sort((a, b) => a.start - b.start);
+}
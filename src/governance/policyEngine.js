@@ -0,0 +1,112 @@
+import { detectPii } from './piiDetectors.js';
+import { PROMPT_INJECTION_DETECTOR, analyzePromptInjection } from './promptInjection.js';
+
+export function compileRule(rule) {
+  return {
+    rule,
+    regexes: (rule.patterns ?? []).map(pattern => new RegExp(pattern, rule.flags ?? 'i')),
+    detectors: rule.detectors ?? []
+  };
+}
+
+// Collect what fired on the given texts: the text matched by each pattern, and every detector hit
+function matchRule(compiled, texts, originalTexts) {
+  const matches = [];
+
+  for (const regex of compiled.regexes) {
+    for (const { field, text } of texts) {
+      const match = regex.exec(text);
+      if (match) {
+        matches.push({ text: match[0], field, start: match.index, end: match.index + match[0].length });
+        break;
+      }
+    }
+  }
+
+  if (compiled.detectors.length > 0) {
+    // Detectors see the original casing; the detector name stands in for the value so reasons never echo personal data
+    const piiTypes = compiled.detectors.filter(detector => detector !== PROMPT_INJECTION_DETECTOR);
+    for (const { field, text } of originalTexts) {
+      for (const hit of piiTypes.length > 0 ? detectPii(text, piiTypes) : []) {
+        matches.push({ text: hit.country ? `${hit.type} (${hit.country})` : hit.type, field, start: hit.start, end: hit.end });
+      }
+      if (compiled.detectors.includes(PROMPT_INJECTION_DETECTOR)) {
+        // Injection hits are named by technique and carry the text's score
+        const { score, signals } = analyzePromptInjection(text);
+        for (const signal of signals) {
+          matches.push({ text: signal.technique.replaceAll('_', ' '), field, start: signal.start, end: signal.end, score });
+        }
+      }
+    }
+  }
+
+  return matches;
+}
+
+function textsForScope(rule, input, output) {
+  switch (rule.scope) {
+    case 'combined':
+      return [{ field: 'combined', text: `${input} ${output}` }];
+    case 'either':
+      return [{ field: 'input', text: input }, { field: 'output', text: output }];
+    case 'input':
+      return [{ field: 'input', text: input }];
+    case 'output':
+      return [{ field: 'output', text: output }];
+    default:
+      return [];
+  }
+}
+
+// "input:4-15" / "output:20-39"; spans in the combined text are mapped back onto input or output
+function formatLocation(match, inputLength) {
+  if (match.field !== 'combined') return `${match.field}:${match.start}-${match.end}`;
+  if (match.start < inputLength) return `input:${match.start}-${Math.min(match.end, inputLength)}`;
+  return `output:${match.start - inputLength - 1}-${match.end - inputLength - 1}`;
+}
+
+// A scored detector sets the severity itself, never above the rule's own
+function severityOf(rule, matches) {
+  const scores = matches.filter(match => match.score !== undefined).map(match => match.score);
+  return scores.length > 0 ? Math.min(rule.severity, Math.max(...scores)) : rule.severity;
+}
+
+function toViolation(rule, matches, inputLength) {
+  return {
+    type: rule.violationType,
+    description: rule.description,
+    severity: severityOf(rule, matches),
+    confidence: rule.confidence,
+    reason: rule.reason.replace('{{matches}}', [...new Set(matches.map(match => match.text))].join(', ')),
+    location: matches.map(match => formatLocation(match, inputLength)).join(', '),
+    regulatoryFramework: rule.framework,
+    complianceLevel: rule.complianceLevel,
+    ruleId: rule.id,
+    ...(rule.remediationSteps ? { remediationSteps: [...rule.remediationSteps] } : {})
+  };
+}
+
+/**
+ * Run compiled policy rules over an interaction. Rules are evaluated in order;
+ * within a group only the first matching rule produces a violation.
+ */
+export function evaluateRules(rules, input, output) {
+  const inputText = input.toLowerCase();
+  const outputText = output.toLowerCase();
+  const matchedGroups = new Set();
+  const violations = [];
+
+  for (const compiled of rules) {
+    const { rule } = compiled;
+    if (!rule.enabled) continue;
+    if (rule.group && matchedGroups.has(rule.group)) continue;
+
+    const matches = matchRule(compiled, textsForScope(rule, inputText, outputText), textsForScope(rule, input, output));
+    if (matches.length === 0) continue;
+
+    if (rule.group) matchedGroups.add(rule.group);
+    violations.push(toViolation(rule, matches, input.length));
+  }
+
+  return violations;
+}
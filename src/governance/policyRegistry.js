@@ -0,0 +1,132 @@
+import { parse as parseYaml } from 'yaml';
+import { validatePolicyPack } from './policyValidator.js';
+import { compileRule, evaluateRules } from './policyEngine.js';
+import defaultPolicyPack from './packs/default.json' with { type: 'json' };
+
+export const DEFAULT_RELOAD_INTERVAL_MS = 60000;
+
+/**
+ * Holds the active policy packs and the compiled rule set derived from them.
+ * Packs are applied in load order; a rule whose id already exists replaces the
+ * earlier definition in place, so a pack can tune or disable a built-in rule.
+ */
+export class PolicyRegistry {
+  packs = new Map();
+  compiledRules = [];
+  listeners = new Set();
+
+  constructor(initialPacks = []) {
+    initialPacks.forEach(pack => this.loadPack(pack));
+  }
+
+  /**
+   * Validate and activate a pack. A pack with the same id is replaced.
+   */
+  loadPack(pack) {
+    const validation = validatePolicyPack(pack);
+    if (!validation.valid) {
+      throw new Error(`Invalid policy pack: ${validation.errors.join('; ')}`);
+    }
+
+    this.packs.set(pack.id, pack);
+    this.#rebuild();
+
+    console.log(`📜 Policy pack loaded: ${pack.id}@${pack.version} (${pack.rules.length} rules)`);
+    return pack;
+  }
+
+  loadPackFromText(text, format = 'json') {
+    let parsed;
+    try {
+      parsed = format === 'yaml' ? parseYaml(text) : JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Unable to parse ${format.toUpperCase()} policy pack: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+    return this.loadPack(parsed);
+  }
+
+  async loadPackFromUrl(url) {
+    const text = await this.#fetchPackText(url);
+    return this.loadPackFromText(text, this.#detectFormat(url));
+  }
+
+  removePack(id) {
+    const removed = this.packs.delete(id);
+    if (removed) this.#rebuild();
+    return removed;
+  }
+
+  getPacks() {
+    return [...this.packs.values()];
+  }
+
+  getRules() {
+    return this.compiledRules.map(compiled => compiled.rule);
+  }
+
+  evaluate(input, output) {
+    return evaluateRules(this.compiledRules, input, output);
+  }
+
+  // Input-only pass run before generation: output-scoped rules have nothing to look at yet
+  evaluateInput(input) {
+    return evaluateRules(this.compiledRules.filter(compiled => compiled.rule.scope !== 'output'), input, '');
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Load a remote pack and keep polling it. A changed pack is re-validated and
+   * swapped in; a pack that fails validation leaves the last good version active.
+   */
+  watchPackUrl(url, intervalMs = DEFAULT_RELOAD_INTERVAL_MS) {
+    let lastText = null;
+
+    const refresh = async () => {
+      try {
+        const text = await this.#fetchPackText(url);
+        if (text === lastText) return;
+        this.loadPackFromText(text, this.#detectFormat(url));
+        lastText = text;
+      } catch (error) {
+        console.error(`❌ Policy pack reload failed for ${url}:`, error);
+      }
+    };
+
+    refresh();
+    if (intervalMs <= 0) return () => {};
+
+    const timer = setInterval(refresh, intervalMs);
+    return () => clearInterval(timer);
+  }
+
+  #rebuild() {
+    const rulesById = new Map();
+    for (const pack of this.packs.values()) {
+      for (const rule of pack.rules) {
+        rulesById.set(rule.id, rule);
+      }
+    }
+
+    this.compiledRules = [...rulesById.values()].map(compileRule);
+    const packs = this.getPacks();
+    this.listeners.forEach(listener => listener(packs));
+  }
+
+  async #fetchPackText(url) {
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch policy pack ${url}: ${response.status} ${response.statusText}`);
+    }
+    return await response.text();
+  }
+
+  #detectFormat(url) {
+    return /\.ya?ml(\?|#|$)/i.test(url) ? 'yaml' : 'json';
+  }
+}
+
+export const policyRegistry = new PolicyRegistry([defaultPolicyPack]);
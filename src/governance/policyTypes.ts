@@ -0,0 +1,90 @@
+import { LLMInteraction, Violation } from '../types';
+
+export type PolicyScope = 'combined' | 'either' | 'input' | 'output';
+
+export type PiiDetectorType = 'email' | 'iban' | 'national_id' | 'card' | 'ssn' | 'phone' | 'mac' | 'ip';
+
+export type PromptInjectionTechnique = 'role_override' | 'delimiter_smuggling' | 'obfuscated_instruction' | 'indirect_injection';
+
+// 'prompt_injection' scores the text and sets the violation's severity (capped at the rule's)
+export type PolicyDetectorType = PiiDetectorType | 'prompt_injection';
+
+export interface PromptInjectionSignal {
+  technique: PromptInjectionTechnique;
+  start: number;
+  end: number;
+  encoding?: 'base64' | 'hex' | 'leetspeak'; // obfuscated_instruction only
+}
+
+export interface PromptInjectionAnalysis {
+  score: number; // 0-10 scale
+  signals: PromptInjectionSignal[];
+}
+
+export interface PiiMatch {
+  type: PiiDetectorType;
+  country?: string; // national_id only (ISO 3166 code)
+  value: string;
+  start: number;
+  end: number;
+}
+
+export interface PolicyRule {
+  id: string;
+  enabled: boolean;
+  violationType: Violation['type'];
+  framework: string;
+  // Rules sharing a group only report their first match (in pack order)
+  group?: string;
+  scope: PolicyScope;
+  // A rule needs patterns, detectors or both
+  patterns?: string[];
+  flags?: string;
+  detectors?: PolicyDetectorType[];
+  severity: number; // 0-10 scale
+  confidence: number; // 0-1
+  complianceLevel: 'low' | 'medium' | 'high' | 'critical';
+  description: string;
+  // May contain {{matches}}, replaced with the matched text(s) or, for detectors, the detector names
+  reason: string;
+  remediationSteps?: string[];
+}
+
+export interface PolicyPack {
+  schemaVersion: 1;
+  id: string;
+  name: string;
+  version: string;
+  description?: string;
+  rules: PolicyRule[];
+}
+
+export interface PolicyPackValidationResult {
+  valid: boolean;
+  errors: string[];
+}
+
+// Structured verdict returned by the Inkeep governance graphs
+export interface AgentVerdictSpan {
+  field: 'input' | 'output';
+  start: number;
+  end: number; // exclusive
+}
+
+export interface AgentVerdictViolation {
+  type: Violation['type'];
+  description: string;
+  severity: number; // 0-10 scale
+  confidence: number; // 0-1
+  reason: string;
+  regulatoryFramework: string;
+  spans: AgentVerdictSpan[];
+  remediationSteps: string[];
+}
+
+export interface AgentVerdict {
+  status: 'approved' | 'pending' | 'blocked';
+  severity: LLMInteraction['severity'];
+  violations: AgentVerdictViolation[];
+  reason: string;
+}
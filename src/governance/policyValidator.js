@@ -0,0 +1,141 @@
+// Policy pack schema checks (plain ESM so both the Vite app and the Node server can load it)
+import { PII_DETECTOR_TYPES } from './piiDetectors.js';
+import { PROMPT_INJECTION_DETECTOR } from './promptInjection.js';
+
+export const POLICY_SCOPES = ['combined', 'either', 'input', 'output'];
+
+export const VIOLATION_TYPES = [
+  'pii', 'hallucination', 'bias', 'misinformation', 'hate_speech', 'compliance', 'gdpr', 'fisma',
+  'eu_ai_act', 'dsa', 'nis2', 'iso_42001', 'ieee_ethics', 'violence', 'prompt_injection'
+];
+
+export const POLICY_DETECTOR_TYPES = [...PII_DETECTOR_TYPES, PROMPT_INJECTION_DETECTOR];
+
+export const COMPLIANCE_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(?:[-+][\w.-]+)?$/;
+const REGEX_FLAGS_PATTERN = /^[imsu]*$/;
+
+const isNonEmptyString = (value) =>
+  typeof value === 'string' && value.trim() !== '';
+
+const isNumberInRange = (value, min, max) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+/**
+ * Validate an untrusted policy pack (parsed JSON/YAML) before it is loaded.
+ * Every problem is reported so authors can fix a pack in one pass.
+ */
+export function validatePolicyPack(pack) {
+  const errors = [];
+
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    return { valid: false, errors: ['Policy pack must be an object'] };
+  }
+
+  if (pack.schemaVersion !== 1) {
+    errors.push(`Unsupported schemaVersion: ${JSON.stringify(pack.schemaVersion)} (expected 1)`);
+  }
+  if (!isNonEmptyString(pack.id)) {
+    errors.push('Pack "id" must be a non-empty string');
+  }
+  if (!isNonEmptyString(pack.name)) {
+    errors.push('Pack "name" must be a non-empty string');
+  }
+  if (typeof pack.version !== 'string' || !VERSION_PATTERN.test(pack.version)) {
+    errors.push('Pack "version" must be a semantic version such as "1.0.0"');
+  }
+  if (pack.description !== undefined && typeof pack.description !== 'string') {
+    errors.push('Pack "description" must be a string');
+  }
+  if (!Array.isArray(pack.rules)) {
+    errors.push('Pack "rules" must be an array');
+    return { valid: false, errors };
+  }
+
+  const seenIds = new Set();
+
+  pack.rules.forEach((rule, index) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(`rules[${index}] must be an object`);
+      return;
+    }
+
+    const label = isNonEmptyString(rule.id) ? `Rule "${rule.id}"` : `rules[${index}]`;
+
+    if (!isNonEmptyString(rule.id)) {
+      errors.push(`${label}: "id" must be a non-empty string`);
+    } else if (seenIds.has(rule.id)) {
+      errors.push(`${label}: duplicate rule id`);
+    } else {
+      seenIds.add(rule.id);
+    }
+
+    if (typeof rule.enabled !== 'boolean') {
+      errors.push(`${label}: "enabled" must be a boolean`);
+    }
+    if (!VIOLATION_TYPES.includes(rule.violationType)) {
+      errors.push(`${label}: "violationType" must be one of ${VIOLATION_TYPES.join(', ')}`);
+    }
+    if (!isNonEmptyString(rule.framework)) {
+      errors.push(`${label}: "framework" must be a non-empty string`);
+    }
+    if (rule.group !== undefined && !isNonEmptyString(rule.group)) {
+      errors.push(`${label}: "group" must be a non-empty string`);
+    }
+    if (!POLICY_SCOPES.includes(rule.scope)) {
+      errors.push(`${label}: "scope" must be one of ${POLICY_SCOPES.join(', ')}`);
+    }
+    if (rule.flags !== undefined && (typeof rule.flags !== 'string' || !REGEX_FLAGS_PATTERN.test(rule.flags))) {
+      errors.push(`${label}: "flags" may only contain the regex flags i, m, s and u`);
+    }
+
+    if (rule.detectors !== undefined &&
+        (!Array.isArray(rule.detectors) || !rule.detectors.every(detector => POLICY_DETECTOR_TYPES.includes(detector)))) {
+      errors.push(`${label}: "detectors" must be an array of ${POLICY_DETECTOR_TYPES.join(', ')}`);
+    }
+
+    const detectorOnly = rule.patterns === undefined && Array.isArray(rule.detectors) && rule.detectors.length > 0;
+    if (!detectorOnly && (!Array.isArray(rule.patterns) || rule.patterns.length === 0)) {
+      errors.push(`${label}: "patterns" must be a non-empty array of regular expressions (or use "detectors")`);
+    } else if (Array.isArray(rule.patterns)) {
+      rule.patterns.forEach((pattern, patternIndex) => {
+        if (!isNonEmptyString(pattern)) {
+          errors.push(`${label}: patterns[${patternIndex}] must be a non-empty string`);
+          return;
+        }
+        try {
+          new RegExp(pattern, typeof rule.flags === 'string' ? rule.flags : 'i');
+        } catch (error) {
+          errors.push(`${label}: patterns[${patternIndex}] is not a valid regular expression (${error instanceof Error ? error.message : String(error)})`);
+        }
+      });
+    }
+
+    if (!isNumberInRange(rule.severity, 0, 10)) {
+      errors.push(`${label}: "severity" must be a number between 0 and 10`);
+    }
+    if (!isNumberInRange(rule.confidence, 0, 1)) {
+      errors.push(`${label}: "confidence" must be a number between 0 and 1`);
+    }
+    if (!COMPLIANCE_LEVELS.includes(rule.complianceLevel)) {
+      errors.push(`${label}: "complianceLevel" must be one of ${COMPLIANCE_LEVELS.join(', ')}`);
+    }
+    if (!isNonEmptyString(rule.description)) {
+      errors.push(`${label}: "description" must be a non-empty string`);
+    }
+    if (!isNonEmptyString(rule.reason)) {
+      errors.push(`${label}: "reason" must be a non-empty string`);
+    }
+    if (rule.remediationSteps !== undefined &&
+        (!Array.isArray(rule.remediationSteps) || !rule.remediationSteps.every(step => typeof step === 'string'))) {
+      errors.push(`${label}: "remediationSteps" must be an array of strings`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+export function isPolicyPack(pack) {
+  return validatePolicyPack(pack).valid;
+}
@@ -0,0 +1,160 @@
+// Prompt-injection and jailbreak analysis, used by policy rules with "detectors": ["prompt_injection"]
+
+export const PROMPT_INJECTION_DETECTOR = 'prompt_injection';
+
+// Weight of the strongest signal a technique can contribute (0-10 scale)
+export const PROMPT_INJECTION_TECHNIQUES = {
+  role_override: 8.0,
+  delimiter_smuggling: 6.5,
+  obfuscated_instruction: 9.0,
+  indirect_injection: 8.5
+};
+
+// Each further distinct technique in the same text adds this to the score
+const COMBINED_TECHNIQUE_STEP = 0.5;
+
+const ROLE_OVERRIDE_PATTERNS = [
+  /\b(?:ignore|disregard|forget|override|bypass|skip)\s+(?:(?:all|any|the|your|of|these|those|my)\s+)*(?:previous|prior|above|earlier|preceding|system|original|initial)\s+(?:instructions?|prompts?|rules|directions|guidelines|directives|context)\b/gi,
+  /\bforget\s+(?:everything|all)\s+(?:you\s+(?:were|have\s+been)\s+told|above)\b/gi,
+  /\byou\s+are\s+(?:now|no\s+longer)\s+(?:an?\s+)?(?:unrestricted|unfiltered|uncensored|jailbroken|evil|dan|free\s+(?:of|from))\b/gi,
+  /\b(?:act|behave|respond)\s+as\s+(?:if\s+you\s+(?:have|had)\s+no\s+(?:restrictions|rules|filters|guidelines)|an?\s+(?:unrestricted|unfiltered|uncensored)|dan)\b/gi,
+  /\bpretend\s+(?:that\s+)?you\s+(?:have\s+no\s+(?:restrictions|rules|guidelines|filters)|are\s+(?:not\s+bound|unrestricted|unfiltered|jailbroken))\b/gi,
+  // A "mode" is only an override with override context around it, not in "developer mode in Chrome"
+  /\b(?:developer|god|jailbreak|dan|unrestricted)\s+mode\b[^.?!\n]{0,80}?\b(?:ignore|disregard|bypass|no\s+(?:restrictions|rules|filters|limits|guidelines)|without\s+(?:any\s+)?(?:restrictions|rules|filters|limits|guidelines)|unfiltered|uncensored)\b/gi,
+  /\b(?:ignore|disregard|bypass)\b[^.?!\n]{0,80}?\b(?:enable|enter|activate|switch\s+(?:to|into))\s+(?:the\s+)?(?:developer|god|jailbreak|dan|unrestricted)\s+mode\b/gi,
+  /\byou\s+are\s+now\s+(?:in|running\s+in)\s+(?:the\s+)?(?:developer|god|jailbreak|dan|unrestricted)\s+mode\b/gi,
+  /\bdo\s+anything\s+now\b/gi,
+  /\bsystem\s+override\b/gi,
+  /\bnew\s+(?:system\s+)?instructions\s*:/gi,
+  /\b(?:reveal|print|show|repeat|output)\s+(?:me\s+)?(?:your|the)\s+(?:system\s+prompt|hidden\s+instructions|initial\s+instructions|original\s+prompt)\b/gi
+];
+
+// Fake chat-template tokens and turn headers; '<' and '>' may arrive HTML-escaped from the input sanitizer
+const DELIMITER_PATTERNS = [
+  /(?:<|&lt;)\/?\|?\s*(?:im_start|im_end|endoftext|system|assistant)\s*\|?(?:>|&gt;)/gi,
+  /\[\/?(?:INST|SYS)\]|(?:<<|&lt;&lt;)\/?SYS(?:>>|&gt;&gt;)/gi,
+  /(?:^|\n)[ \t]*(?:system|assistant|developer)[ \t]*:/gi,
+  /(?:^|\n)[ \t]*#{2,}[ \t]*(?:system|instructions?|new\s+instructions)\b/gi,
+  /(?:^|\n)[ \t]*-{3,}[ \t]*end\s+of\s+(?:user\s+)?(?:input|prompt|document|context|instructions)\b/gi
+];
+
+// Asides to the model; ordinary in a prompt ("my note to the assistant team"), so they only count inside pasted material
+const ADDRESSED_PATTERNS = [
+  /\b(?:note|message|instructions?)\s+(?:to|for)\s+(?:the\s+|any\s+)?(?:ai|assistant|llm|language\s+model|chatbot|model)\b/gi,
+  /\bif\s+you\s+are\s+(?:an?\s+)?(?:ai|llm|language\s+model|assistant|chatbot)\b/gi
+];
+
+// Text addressed to the model from inside content it is asked to process
+const INDIRECT_PATTERNS = [
+  /\bwhen\s+(?:you\s+)?(?:summari[sz]e|summari[sz]ing|read|reading|process|processing|translate|translating)\s+this\b[^.\n]{0,80}?\b(?:instead|ignore|do\s+not|don't|always|must)\b/gi,
+  /(?:<|&lt;)!--[\s\S]*?\b(?:ignore|instructions?|assistant|ai|prompt)\b[\s\S]*?--(?:>|&gt;)/gi,
+  // Invisible characters used to hide text from a human reader
+  /[\u200B-\u200D\u2060\uFEFF]{3,}|[\u{E0000}-\u{E007F}]+/gu
+];
+
+// Pasted material: fenced blocks, quoted lines, and whatever follows "here is the document:"
+const DOCUMENT_PATTERNS = [
+  /```[\s\S]*?(?:```|$)/g,
+  /"""[\s\S]*?(?:"""|$)/g,
+  /(?:^|\n)(?:[ \t]*(?:>|&gt;)[^\n]*(?:\n|$))+/g,
+  /\b(?:here\s+is|below\s+is|summari[sz]e|translate|analy[sz]e|review)\s+(?:the|this)\s+(?:following\s+)?(?:document|email|article|text|page|webpage|file|message|transcript)\b[^:\n]*:[\s\S]*$/gi
+];
+
+const BASE64_BLOB = /[A-Za-z0-9+/]{16,}={0,2}/g;
+const HEX_BLOB = /\b(?:0x)?(?:[0-9a-f]{2}[\s:]?){12,}/gi;
+
+// One character in, one character out, so spans found in the normalised text apply to the original
+const LEET_MAP = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i', '|': 'l' };
+
+function findAll(patterns, text) {
+  const hits = [];
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(pattern)) {
+      // Leading-newline anchors are not part of the evidence
+      const offset = match[0].length - match[0].trimStart().length;
+      hits.push({ start: match.index + offset, end: match.index + match[0].length, text: match[0].trim() });
+    }
+  }
+  return hits;
+}
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+function isReadable(decoded) {
+  if (decoded.length < 8) return false;
+  const printable = decoded.replace(/[^\x20-\x7E\n\t]/g, '').length;
+  return printable / decoded.length > 0.9 && /[a-z]{3,}/i.test(decoded);
+}
+
+function decodeBase64(blob) {
+  try {
+    return globalThis.atob(blob);
+  } catch {
+    return '';
+  }
+}
+
+function decodeHex(blob) {
+  const hex = blob.replace(/^0x/i, '').replace(/[\s:]/g, '');
+  let decoded = '';
+  for (let i = 0; i + 1 < hex.length; i += 2) {
+    decoded += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+  }
+  return decoded;
+}
+
+const carriesInstruction = (decoded) => findAll([...ROLE_OVERRIDE_PATTERNS, ...DELIMITER_PATTERNS], decoded).length > 0;
+
+function findObfuscated(text) {
+  const signals = [];
+
+  for (const [blobs, decode, encoding] of [[BASE64_BLOB, decodeBase64, 'base64'], [HEX_BLOB, decodeHex, 'hex']]) {
+    for (const match of text.matchAll(blobs)) {
+      const decoded = decode(match[0].trim());
+      if (isReadable(decoded) && carriesInstruction(decoded)) {
+        signals.push({ start: match.index, end: match.index + match[0].trimEnd().length, encoding });
+      }
+    }
+  }
+
+  // Leetspeak only counts where the plain text did not already read as an override
+  const normalised = text.replace(/[013457@$!|]/g, char => LEET_MAP[char]);
+  if (normalised !== text) {
+    const plain = findAll(ROLE_OVERRIDE_PATTERNS, text);
+    for (const hit of findAll(ROLE_OVERRIDE_PATTERNS, normalised)) {
+      if (text.slice(hit.start, hit.end) !== hit.text && !plain.some(p => overlaps(p, hit))) {
+        signals.push({ start: hit.start, end: hit.end, encoding: 'leetspeak' });
+      }
+    }
+  }
+
+  return signals;
+}
+
+/**
+ * Score a text for prompt injection. Returns the evidence as signals with a
+ * technique and character span, and a 0-10 score: the weight of the strongest
+ * technique plus a step for each further technique combined with it. Role
+ * overrides and fake delimiters found inside pasted material are reported as
+ * indirect injection; asides to the model only count there.
+ */
+export function analyzePromptInjection(text) {
+  const documents = findAll(DOCUMENT_PATTERNS, text);
+  const inDocument = (hit) => documents.some(doc => hit.start >= doc.start && hit.end <= doc.end);
+  const direct = (technique) => (hit) => ({ technique: inDocument(hit) ? 'indirect_injection' : technique, start: hit.start, end: hit.end });
+
+  const signals = [
+    ...findAll(ROLE_OVERRIDE_PATTERNS, text).map(direct('role_override')),
+    ...findAll(DELIMITER_PATTERNS, text).map(direct('delimiter_smuggling')),
+    ...findAll(INDIRECT_PATTERNS, text).map(hit => ({ technique: 'indirect_injection', start: hit.start, end: hit.end })),
+    ...findAll(ADDRESSED_PATTERNS, text).filter(inDocument).map(hit => ({ technique: 'indirect_injection', start: hit.start, end: hit.end })),
+    ...findObfuscated(text).map(hit => ({ technique: 'obfuscated_instruction', ...hit }))
+  ].sort((a, b) => a.start - b.start);
+
+  const techniques = [...new Set(signals.map(signal => signal.technique))];
+  if (techniques.length === 0) return { score: 0, signals: [] };
+
+  const strongest = Math.max(...techniques.map(technique => PROMPT_INJECTION_TECHNIQUES[technique]));
+  const score = Math.min(10, strongest + COMBINED_TECHNIQUE_STEP * (techniques.length - 1));
+  return { score: Math.round(score * 10) / 10, signals };
+}
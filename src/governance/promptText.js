@@ -0,0 +1,11 @@
+// Prompt normalisation applied before governance by both the Vite app (InputSanitizer) and server.js
+
+/**
+ * The text the policy engine, the model and storage see for a caller's prompt:
+ * null bytes removed, then trimmed. Nothing is HTML-escaped; escaping would hide
+ * markup such as fake `<|im_start|>` delimiters from the rules, and React escapes
+ * text when it renders it.
+ */
+export function normalizePromptText(text) {
+  return text.replace(/\0/g, '').trim();
+}
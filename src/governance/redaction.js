@@ -0,0 +1,109 @@
+import { policyRegistry } from './policyRegistry.js';
+import { determineStatus } from './verdict.js';
+import { detectPii } from './piiDetectors.js';
+import { remapClaims } from './claims.js';
+
+export const REMEDIATION_MODES = ['block', 'redact'];
+
+const PLACEHOLDER_LABELS = {
+  email: 'EMAIL',
+  iban: 'IBAN',
+  national_id: 'NATIONAL_ID',
+  card: 'CARD',
+  ssn: 'SSN',
+  phone: 'PHONE',
+  mac: 'MAC',
+  ip: 'IP'
+};
+
+/**
+ * Replaces the personal data found by the PII detectors with typed placeholders
+ * such as [EMAIL_1]. One redactor is used per interaction, so a value that shows
+ * up in both the prompt and the response gets the same placeholder. Only the
+ * placeholders are recorded, never the values they replace.
+ */
+export class Redactor {
+  redactions = [];
+  #placeholders = new Map();
+  #counts = new Map();
+
+  redact(text, field) {
+    const matches = detectPii(text);
+    // Placeholders are numbered front to back, then spliced in from the end so earlier spans stay valid
+    const placeholders = matches.map(match => this.#placeholderFor(match, field));
+    return matches.reduceRight(
+      (masked, match, i) => `${masked.slice(0, match.start)}${placeholders[i]}${masked.slice(match.end)}`,
+      text
+    );
+  }
+
+  // Copy used to preview masking (e.g. of a partial stream) without recording placeholders
+  clone() {
+    const copy = new Redactor();
+    copy.redactions = [...this.redactions];
+    this.#placeholders.forEach((placeholder, key) => copy.#placeholders.set(key, placeholder));
+    this.#counts.forEach((count, label) => copy.#counts.set(label, count));
+    return copy;
+  }
+
+  #placeholderFor(match, field) {
+    const key = `${match.type}:${match.value}`;
+    if (!this.#placeholders.has(key)) {
+      const label = PLACEHOLDER_LABELS[match.type];
+      const count = (this.#counts.get(label) ?? 0) + 1;
+      const placeholder = `[${label}_${count}]`;
+      this.#counts.set(label, count);
+      this.#placeholders.set(key, placeholder);
+      this.redactions.push({ type: match.type, placeholder, field });
+    }
+    return this.#placeholders.get(key);
+  }
+}
+
+export function redactedViolationTypes(remediation = {}) {
+  return new Set(Object.keys(remediation).filter(type => remediation[type] === 'redact'));
+}
+
+/**
+ * Mask the prompt before the input pass when a rule whose violation type is set to
+ * 'redact' fires on it, so the model only ever sees placeholders.
+ */
+export function redactInput(input, options = {}) {
+  const { remediation, redactor = new Redactor(), registry = policyRegistry } = options;
+  const types = redactedViolationTypes(remediation);
+  if (types.size === 0 || !registry.evaluateInput(input).some(v => types.has(v.type))) {
+    return input;
+  }
+  return redactor.redact(input, 'input');
+}
+
+/**
+ * Safe-rewrite remediation for a governed interaction. Violations of a type set to
+ * 'redact' are resolved by masking the prompt and response; the masked text is
+ * re-checked and whatever is left decides the status. With nothing left the
+ * interaction is allowed as 'redacted'. Returns null when nothing was masked.
+ */
+export function redactInteraction(interaction, options = {}) {
+  const { remediation, redactor = new Redactor(), registry = policyRegistry, severityThreshold } = options;
+  const types = redactedViolationTypes(remediation);
+  // Once anything has been masked (in the prompt or a streamed response) the whole record is masked
+  if (!interaction.violations.some(v => types.has(v.type)) && redactor.redactions.length === 0) return null;
+
+  const input = redactor.redact(interaction.input, 'input');
+  const output = redactor.redact(interaction.output, 'output');
+  if (redactor.redactions.length === 0) return null;
+
+  const remaining = [
+    ...interaction.violations.filter(v => !types.has(v.type)),
+    ...registry.evaluate(input, output).filter(v => types.has(v.type))
+  ];
+
+  return {
+    input,
+    output,
+    redactions: [...redactor.redactions],
+    // Fact-checked claims quote the response, so they are masked too and their spans moved with it
+    ...(interaction.claims ? { claims: remapClaims(interaction.claims, interaction.output, text => redactor.redact(text, 'output')) } : {}),
+    ...(remaining.length === 0 ? { status: 'redacted', severity: 'low' } : determineStatus(remaining, severityThreshold))
+  };
+}
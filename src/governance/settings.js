@@ -0,0 +1,118 @@
+import { DEFAULT_SEVERITY_THRESHOLD } from './verdict.js';
+import { VIOLATION_TYPES } from './policyValidator.js';
+import { REMEDIATION_MODES } from './redaction.js';
+
+// Versioned AgentSettings: defaults, layered per-scope overrides and diffs between versions
+
+export const SETTINGS_AGENT_KEYS = ['policyEnforcer', 'verifier', 'auditLogger', 'responseAgent', 'feedbackAgent'];
+
+// Every deployment has the global scope; tenants and application keys override it, in that order
+export const GLOBAL_SETTINGS_SCOPE = 'global';
+const SCOPE_PATTERN = /^(global|tenant:[\w.-]{1,64}|app:[\w.-]{1,128})$/;
+
+export function createDefaultSettings() {
+  return {
+    ...Object.fromEntries(SETTINGS_AGENT_KEYS.map(key => [key, { enabled: true }])),
+    severityThreshold: DEFAULT_SEVERITY_THRESHOLD,
+    remediation: {}
+  };
+}
+
+export function isSettingsScope(scope) {
+  return typeof scope === 'string' && SCOPE_PATTERN.test(scope);
+}
+
+// Scopes that apply to a caller, least specific first
+export function settingsScopes({ tenant, appKey } = {}) {
+  return [
+    GLOBAL_SETTINGS_SCOPE,
+    ...(tenant ? [`tenant:${tenant}`] : []),
+    ...(appKey ? [`app:${appKey}`] : [])
+  ];
+}
+
+/**
+ * Problems with the settings stored for one scope. A scope's settings may be
+ * partial: what it leaves out is inherited from the scopes before it.
+ */
+export function validateSettingsOverride(settings) {
+  if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+    return ['settings must be an object'];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(settings)) {
+    if (SETTINGS_AGENT_KEYS.includes(key)) {
+      if (typeof value?.enabled !== 'boolean' || Object.keys(value).length !== 1) {
+        errors.push(`"${key}" must be { enabled: true | false }`);
+      }
+    } else if (key === 'severityThreshold') {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 10) {
+        errors.push('"severityThreshold" must be a number from 0 to 10');
+      }
+    } else if (key === 'remediation') {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors.push('"remediation" must map violation types to a mode');
+        continue;
+      }
+      for (const [type, mode] of Object.entries(value)) {
+        if (!VIOLATION_TYPES.includes(type)) errors.push(`remediation: unknown violation type "${type}"`);
+        if (!REMEDIATION_MODES.includes(mode)) errors.push(`remediation.${type} must be one of ${REMEDIATION_MODES.join(', ')}`);
+      }
+    } else {
+      errors.push(`unexpected setting "${key}"`);
+    }
+  }
+  return errors;
+}
+
+// Effective settings: the defaults with each layer applied in order (later layers win)
+export function mergeSettings(...layers) {
+  const merged = createDefaultSettings();
+  for (const layer of layers.filter(Boolean)) {
+    for (const key of SETTINGS_AGENT_KEYS) {
+      if (layer[key]) merged[key] = { ...layer[key] };
+    }
+    if (layer.severityThreshold !== undefined) merged.severityThreshold = layer.severityThreshold;
+    if (layer.remediation) merged.remediation = { ...merged.remediation, ...layer.remediation };
+  }
+  return merged;
+}
+
+// What a scope needs to store so that, over `inherited`, it ends up with `settings`
+export function settingsOverride(inherited, settings) {
+  const override = {};
+  for (const key of SETTINGS_AGENT_KEYS) {
+    if (settings[key].enabled !== inherited[key].enabled) override[key] = { enabled: settings[key].enabled };
+  }
+  if (settings.severityThreshold !== inherited.severityThreshold) override.severityThreshold = settings.severityThreshold;
+
+  const types = new Set([...Object.keys(inherited.remediation), ...Object.keys(settings.remediation)]);
+  const remediation = Object.fromEntries([...types]
+    .filter(type => (settings.remediation[type] ?? 'block') !== (inherited.remediation[type] ?? 'block'))
+    .map(type => [type, settings.remediation[type] ?? 'block']));
+  if (Object.keys(remediation).length > 0) override.remediation = remediation;
+  return override;
+}
+
+function flattenSettings(settings = {}) {
+  const flat = {};
+  for (const [key, value] of Object.entries(settings)) {
+    if (typeof value === 'object' && value !== null) {
+      for (const [inner, innerValue] of Object.entries(value)) flat[`${key}.${inner}`] = innerValue;
+    } else {
+      flat[key] = value;
+    }
+  }
+  return flat;
+}
+
+// Changed settings between two versions, as { path, before, after }; a missing value is undefined
+export function diffSettings(before, after) {
+  const flatBefore = flattenSettings(before);
+  const flatAfter = flattenSettings(after);
+  return [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])]
+    .filter(path => flatBefore[path] !== flatAfter[path])
+    .sort()
+    .map(path => ({ path, before: flatBefore[path], after: flatAfter[path] }));
+}
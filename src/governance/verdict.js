@@ -0,0 +1,75 @@
+import { policyRegistry } from './policyRegistry.js';
+
+// Matches the default AgentSettings.severityThreshold
+export const DEFAULT_SEVERITY_THRESHOLD = 7.0;
+
+export function mapSeverityToCategory(severity) {
+  if (severity >= 9) return 'critical';
+  if (severity >= 7) return 'high';
+  if (severity >= 5) return 'medium';
+  return 'low';
+}
+
+/**
+ * Derive an interaction's status from its violations: anything at or above the
+ * threshold is blocked, anything else is held for review.
+ */
+export function determineStatus(violations, severityThreshold = DEFAULT_SEVERITY_THRESHOLD) {
+  if (violations.length === 0) {
+    return { status: 'approved', severity: 'low' };
+  }
+
+  const maxSeverity = Math.max(...violations.map(v => v.severity));
+  return {
+    status: maxSeverity >= severityThreshold ? 'blocked' : 'pending',
+    severity: mapSeverityToCategory(maxSeverity)
+  };
+}
+
+/**
+ * Run the active policy packs over a prompt/response pair and decide its status.
+ * This is the single verdict used by both the Express backend and the Vite app.
+ */
+export function evaluateInteraction(input, output, options = {}) {
+  const registry = options.registry ?? policyRegistry;
+  const violations = registry.evaluate(input, output);
+  return { violations, ...determineStatus(violations, options.severityThreshold) };
+}
+
+/**
+ * Input-only verdict used to stop a prompt before it is sent to the model.
+ */
+export function evaluateInput(input, options = {}) {
+  const registry = options.registry ?? policyRegistry;
+  const violations = registry.evaluateInput(input);
+  return { violations, ...determineStatus(violations, options.severityThreshold) };
+}
+
+// Snapshot of one governance phase for LLMInteraction.inputVerdict / outputVerdict
+export function toPhaseVerdict(phase, verdict) {
+  return {
+    phase,
+    status: verdict.status,
+    severity: verdict.severity,
+    violations: [...verdict.violations],
+    ...(verdict.escalated ? { escalated: true } : {}),
+    checkedAt: new Date()
+  };
+}
+
+// Markdown shown in place of a blocked response
+export function formatBlockedContent(violations) {
+  // Format violations for display
+  const violationList = violations.map(v => {
+    const violationType = v.type.toUpperCase().replace('_', '_');
+    return `- **${violationType}**: ${v.description}`;
+  }).join('\n');
+
+  return `⚠️ **Content Blocked by EthosLens Governance**
+
+Your request has been blocked due to ${violations.length} policy violation(s):
+
+${violationList}
+
+Please rephrase your request to comply with our governance policies.`;
+}
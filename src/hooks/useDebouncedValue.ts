@@ -0,0 +1,13 @@
+import { useEffect, useState } from 'react';
+
+// `value` once it has stopped changing for `delayMs`, e.g. so a search box queries the backend after typing pauses
+export const useDebouncedValue = <T>(value: T, delayMs = 300): T => {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delayMs);
+    return () => clearTimeout(timer);
+  }, [value, delayMs]);
+
+  return debounced;
+};
@@ -0,0 +1,84 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { LLMInteraction } from '../types';
+import { InteractionQuery, fetchInteractionPage, interactionSearchParams } from '../api/interactions';
+
+const errorMessage = (error: unknown) => (error instanceof Error ? error.message : 'Unknown error');
+
+/**
+ * Stored interactions matching a query, a page at a time. The first page is fetched
+ * whenever the query changes; loadMore() appends the next one.
+ */
+export const useInteractions = (query: InteractionQuery) => {
+  const search = interactionSearchParams(query).toString();
+  const [interactions, setInteractions] = useState<LLMInteraction[]>([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  // False until the first page of any query has arrived, for a placeholder that replaces the whole page
+  const [hasLoaded, setHasLoaded] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  // Pages that arrive after the query has changed belong to the old results and are dropped
+  const activeSearch = useRef(search);
+
+  useEffect(() => {
+    activeSearch.current = search;
+    setIsLoading(true);
+    fetchInteractionPage(search)
+      .then(page => {
+        if (activeSearch.current !== search) return;
+        setInteractions(page.interactions);
+        setTotal(page.total);
+        setNextCursor(page.nextCursor);
+        setError(null);
+      })
+      .catch(error => {
+        if (activeSearch.current === search) setError(errorMessage(error));
+      })
+      .finally(() => {
+        if (activeSearch.current !== search) return;
+        setIsLoading(false);
+        setHasLoaded(true);
+      });
+  }, [search]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor) return;
+    setIsLoadingMore(true);
+    try {
+      const page = await fetchInteractionPage(search, nextCursor);
+      if (activeSearch.current !== search) return;
+      setInteractions(prev => [...prev, ...page.interactions]);
+      setTotal(page.total);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      setError(errorMessage(error));
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [search, nextCursor]);
+
+  // Back to the first page of the same query, e.g. to pick up new interactions; rejects when the fetch fails
+  const refresh = useCallback(async () => {
+    const page = await fetchInteractionPage(search);
+    if (activeSearch.current !== search) return;
+    setInteractions(page.interactions);
+    setTotal(page.total);
+    setNextCursor(page.nextCursor);
+    setError(null);
+  }, [search]);
+
+  return {
+    interactions,
+    // For showing local changes (a streaming reply, feedback) before they are stored
+    setInteractions,
+    total,
+    hasMore: nextCursor !== null,
+    isLoading,
+    hasLoaded,
+    isLoadingMore,
+    error,
+    loadMore,
+    refresh
+  };
+};
@@ -1,104 +1,78 @@
-interface OpenAIResponse {
-  id: string;
-  object: string;
-  created: number;
-  model: string;
-  choices: Array<{
-    index: number;
-    message: {
-      role: string;
-      content: string;
-    };
-    finish_reason: string;
-  }>;
-  usage: {
-    prompt_tokens: number;
-    completion_tokens: number;
-    total_tokens: number;
-  };
-}
+import { LLMAttempt, LLMGatewayError, LLMProviderName, LLMUsage, StubFixtures, createLLMGateway, createLLMProviders } from '../llm';
+import { llmConfig } from '../config/llm';
+import type { GenerationError } from '../types';
 
-interface LLMResult {
-  response: string;
-  source: 'openai' | 'groq' | 'fallback';
-  model?: string;
-  error?: string;
+type LLMResult =
+  | {
+      ok: true;
+      response: string;
+      // The provider that answered; 'stub' replies come from fixtures, not a model
+      source: LLMProviderName;
+      model: string;
+      latencyMs: number;
+      usage: LLMUsage;
+      attempts: LLMAttempt[];
+    }
+  | { ok: false; error: GenerationError };
+
+async function fetchStubFixtures(url: string): Promise<StubFixtures> {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Stub fixtures ${url} could not be loaded: ${response.status}`);
+  }
+  return response.json();
 }
 
-export async function callOpenAI(prompt: string): Promise<LLMResult> {
-  const apiKey = import.meta.env.VITE_OPENAI_API_KEY;
-  
-  if (!apiKey) {
-    console.warn('OPENAI_API_KEY not found, using fallback');
+// Every provider with its configured key; the chain decides which are tried
+export const llmGateway = createLLMGateway({
+  providers: createLLMProviders({
+    ...Object.fromEntries(
+      Object.entries(llmConfig.providers).map(([name, options]) => [name, { ...options, timeoutMs: llmConfig.timeout }])
+    ),
+    stub: { load: () => fetchStubFixtures(llmConfig.stubFixturesUrl) }
+  }),
+  defaultModel: llmConfig.defaultModel,
+  fallbacks: llmConfig.fallbacks,
+  retries: llmConfig.retries,
+  backoffMs: llmConfig.backoffMs
+});
+
+/**
+ * Generates a reply through the LLM gateway: `model` ("provider:model") picks the
+ * model for this request, otherwise VITE_LLM_MODEL, with VITE_LLM_FALLBACKS (or
+ * `fallbacks`) tried after it. Failures come back as a GenerationError, never as
+ * stand-in text.
+ */
+export async function callOpenAI(prompt: string, options: { model?: string; fallbacks?: string[] } = {}): Promise<LLMResult> {
+  if (!llmGateway.canComplete(options.model, options.fallbacks)) {
+    const models = llmGateway.chain(options.model, options.fallbacks).map(({ provider, model }) => `${provider}:${model}`);
+    console.warn('⚠️ No LLM provider configured for', models.join(', '));
     return {
-      response: `Simulated OpenAI reply for: "${prompt}"`,
-      source: 'fallback',
-      error: 'API key not configured'
+      ok: false,
+      error: { code: 'not_configured', message: `No configured provider for ${models.join(', ')}` }
     };
   }
 
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
-
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 1000,
-        temperature: 0.7,
-        top_p: 1,
-        stream: false
-      }),
-      signal: controller.signal
-    });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(`OpenAI API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
-    }
-
-    const data: OpenAIResponse = await response.json();
-    
-    if (!data.choices || data.choices.length === 0) {
-      throw new Error('No response choices returned from OpenAI API');
-    }
-
-    const content = data.choices[0].message.content;
-    if (!content) {
-      throw new Error('Empty response content from OpenAI API');
-    }
-
+    const completion = await llmGateway.complete(prompt, options);
     return {
-      response: content.trim(),
-      source: 'openai',
-      model: data.model
+      ok: true,
+      response: completion.content,
+      source: completion.provider as LLMProviderName,
+      model: completion.model,
+      latencyMs: completion.latencyMs,
+      usage: completion.usage,
+      attempts: completion.attempts
     };
-
   } catch (error) {
-    console.error('OpenAI API call failed:', error);
-    
-    // Return fallback response
+    console.error('❌ LLM gateway call failed:', error);
     return {
-      response: `Simulated OpenAI reply for: "${prompt}"`,
-      source: 'fallback',
-      error: error instanceof Error ? error.message : 'Unknown error'
+      ok: false,
+      error: {
+        code: 'provider_failed',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        attempts: (error as Partial<LLMGatewayError>)?.attempts
+      }
     };
   }
 }
-
-export function isOpenAIConfigured(): boolean {
-  return !!import.meta.env.VITE_OPENAI_API_KEY;
-}
@@ -0,0 +1,39 @@
+// Governance results per model, for comparing the models behind the gateway
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const round = (value, places = 1) => (value === null ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+/**
+ * One row per provider and model that produced output, busiest first: how many
+ * interactions it answered, the share flagged (blocked or held for review), its
+ * violations and their average severity, its average latency and the tokens used.
+ * Interactions without a model (blocked before generation) are left out.
+ */
+export function compareModels(interactions) {
+  const groups = new Map();
+  for (const interaction of interactions) {
+    if (!interaction.llmModel) continue;
+    const provider = interaction.llmSource ?? 'unknown';
+    const key = `${provider}:${interaction.llmModel}`;
+    if (!groups.has(key)) groups.set(key, { provider, model: interaction.llmModel, interactions: [] });
+    groups.get(key).interactions.push(interaction);
+  }
+
+  return [...groups.values()]
+    .map(({ provider, model, interactions: answered }) => {
+      const violations = answered.flatMap(interaction => interaction.violations ?? []);
+      const flagged = answered.filter(interaction => interaction.status === 'blocked' || interaction.status === 'pending').length;
+      return {
+        provider,
+        model,
+        interactions: answered.length,
+        flaggedRate: round(flagged / answered.length, 3),
+        violations: violations.length,
+        averageSeverity: round(average(violations.map(violation => violation.severity))),
+        averageLatencyMs: round(average(answered.map(interaction => interaction.llmLatencyMs).filter(latency => typeof latency === 'number')), 0),
+        totalTokens: answered.reduce((sum, interaction) => sum + (interaction.llmUsage?.totalTokens ?? 0), 0)
+      };
+    })
+    .sort((a, b) => b.interactions - a.interactions || a.model.localeCompare(b.model));
+}
@@ -0,0 +1,119 @@
+// Routes a completion along a chain of provider models, retrying and falling back
+import { isRetryable } from './providers.js';
+
+const sleepFor = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const errorMessage = (error) => (error instanceof Error ? error.message : String(error));
+
+/**
+ * `ref` as { provider, model }. A ref is "provider:model", or a bare model for the
+ * default provider; model names may contain colons themselves ("ollama" tags such
+ * as llama3.1:8b), so only a registered provider name is taken as the prefix.
+ */
+export function parseModelRef(ref, providerNames, defaultProvider) {
+  const separator = ref.indexOf(':');
+  if (separator > 0 && providerNames.includes(ref.slice(0, separator))) {
+    return { provider: ref.slice(0, separator), model: ref.slice(separator + 1) };
+  }
+  if (providerNames.includes(ref)) return { provider: ref, model: null };
+  return { provider: defaultProvider, model: ref };
+}
+
+/**
+ * A gateway over `providers` ({ name: provider }). Each completion goes to the
+ * requested model, else `defaultModel`, then down `fallbacks` until one answers.
+ * Every model gets `retries` more tries after a retryable failure (rate limits,
+ * timeouts, server errors), `backoffMs` apart and doubling up to `maxBackoffMs`.
+ * Models whose provider is not configured are skipped.
+ *
+ * complete() resolves to { content, provider, model, latencyMs, usage, attempts },
+ * where latencyMs is the answering call's and `attempts` lists every call made. When
+ * no model answers it throws an error that carries the same `attempts`.
+ */
+export function createLLMGateway({
+  providers,
+  defaultModel,
+  fallbacks = [],
+  retries = 2,
+  backoffMs = 500,
+  maxBackoffMs = 8000,
+  sleep = sleepFor,
+  now = Date.now
+}) {
+  const providerNames = Object.keys(providers);
+  const defaultProvider = parseModelRef(defaultModel, providerNames, providerNames[0]).provider;
+
+  const resolve = (ref) => {
+    const { provider, model } = parseModelRef(ref, providerNames, defaultProvider);
+    if (!providers[provider]) {
+      throw new Error(`Unknown LLM provider in "${ref}"; expected one of ${providerNames.join(', ')}`);
+    }
+    return { provider, model: model || providers[provider].defaultModel };
+  };
+
+  // The requested model and then the fallbacks, each once
+  const chain = (model, chainFallbacks = fallbacks) => {
+    const seen = new Set();
+    return [model || defaultModel, ...chainFallbacks].map(resolve).filter(({ provider, model: name }) => {
+      const key = `${provider}:${name}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  };
+
+  return {
+    providers: providerNames,
+    defaultModel,
+    fallbacks,
+
+    // Whether the default model or one of the fallbacks can be tried
+    get isConfigured() {
+      return this.canComplete();
+    },
+
+    chain,
+
+    // Whether a model in the chain for `model` and `fallbacks` has a configured provider
+    canComplete(model, chainFallbacks) {
+      return chain(model, chainFallbacks).some(({ provider }) => providers[provider].isConfigured);
+    },
+
+    async complete(request, { model, fallbacks: requestFallbacks } = {}) {
+      const { messages, maxTokens, temperature } = typeof request === 'string'
+        ? { messages: [{ role: 'user', content: request }] }
+        : request;
+      const attempts = [];
+
+      for (const target of chain(model, requestFallbacks)) {
+        const provider = providers[target.provider];
+        if (!provider.isConfigured) {
+          attempts.push({ ...target, latencyMs: 0, error: `${target.provider} not configured` });
+          continue;
+        }
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+          if (attempt > 0) await sleep(Math.min(maxBackoffMs, backoffMs * 2 ** (attempt - 1)));
+          const startedAt = now();
+          try {
+            const reply = await provider.complete({ model: target.model, messages, maxTokens, temperature });
+            const latencyMs = now() - startedAt;
+            attempts.push({ ...target, latencyMs });
+            return { content: reply.content, provider: target.provider, model: reply.model || target.model, latencyMs, usage: reply.usage, attempts };
+          } catch (error) {
+            attempts.push({ ...target, latencyMs: now() - startedAt, error: errorMessage(error) });
+            console.warn(`⚠️ ${target.provider}:${target.model} failed (attempt ${attempt + 1}):`, errorMessage(error));
+            if (!isRetryable(error)) break;
+          }
+        }
+      }
+
+      const tried = attempts.filter((attempt, index) => attempts.findLastIndex(other =>
+        other.provider === attempt.provider && other.model === attempt.model) === index);
+      throw Object.assign(
+        new Error(`No model answered: ${tried.map(attempt => `${attempt.provider}:${attempt.model} (${attempt.error})`).join('; ')}`),
+        { attempts }
+      );
+    }
+  };
+}
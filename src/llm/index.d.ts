@@ -0,0 +1,152 @@
+export type LLMProviderName = 'openai' | 'anthropic' | 'groq' | 'openai-compatible' | 'stub';
+
+export const LLM_PROVIDERS: LLMProviderName[];
+
+export const OPENAI_API_URL: string;
+export const GROQ_API_URL: string;
+export const ANTHROPIC_API_URL: string;
+
+export interface LLMMessage {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+}
+
+export interface LLMUsage {
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+}
+
+export interface LLMRequest {
+  messages: LLMMessage[];
+  maxTokens?: number;
+  temperature?: number;
+}
+
+export interface LLMReply {
+  content: string;
+  model: string;
+  usage: LLMUsage;
+}
+
+export interface LLMProvider {
+  name: LLMProviderName | string;
+  defaultModel: string;
+  isConfigured: boolean;
+  // Errors carry `status` for HTTP failures, or `retryable` when the provider knows
+  complete(request: LLMRequest & { model: string }): Promise<LLMReply>;
+}
+
+export interface LLMProviderOptions {
+  apiKey?: string;
+  apiUrl?: string;
+  defaultModel?: string;
+  timeoutMs?: number;
+}
+
+export interface LLMAttempt {
+  provider: string;
+  model: string;
+  latencyMs: number;
+  error?: string; // absent on the call that answered
+}
+
+export interface LLMCompletion {
+  content: string;
+  provider: string;
+  model: string;
+  latencyMs: number;
+  usage: LLMUsage;
+  attempts: LLMAttempt[];
+}
+
+// Thrown by complete() when no model in the chain answered
+export interface LLMGatewayError extends Error {
+  attempts: LLMAttempt[];
+}
+
+export interface LLMGatewayOptions {
+  providers: Record<string, LLMProvider>;
+  defaultModel: string; // "provider:model", or a bare model for the first provider
+  fallbacks?: string[];
+  retries?: number;
+  backoffMs?: number;
+  maxBackoffMs?: number;
+  sleep?: (ms: number) => Promise<void>;
+  now?: () => number;
+}
+
+export interface LLMGateway {
+  providers: string[];
+  defaultModel: string;
+  fallbacks: string[];
+  // Whether the default model or one of the fallbacks has a configured provider
+  readonly isConfigured: boolean;
+  // The models a completion would try, in order
+  chain(model?: string, fallbacks?: string[]): Array<{ provider: string; model: string }>;
+  // Whether the chain for this model and fallbacks has a configured provider
+  canComplete(model?: string, fallbacks?: string[]): boolean;
+  complete(request: string | LLMRequest, options?: { model?: string; fallbacks?: string[] }): Promise<LLMCompletion>;
+}
+
+export function isRetryable(error: unknown): boolean;
+export function createChatCompletionsLLM(options: LLMProviderOptions & { name: string; defaultModel: string; requiresKey?: boolean }): LLMProvider;
+export function createOpenAILLM(options?: LLMProviderOptions): LLMProvider;
+export function createAnthropicLLM(options?: LLMProviderOptions): LLMProvider;
+export function createGroqLLM(options?: LLMProviderOptions): LLMProvider;
+export function createOpenAICompatibleLLM(options?: LLMProviderOptions): LLMProvider;
+export function createLLMProvider(name: LLMProviderName, options?: LLMProviderOptions | StubLLMOptions): LLMProvider;
+export function createLLMProviders(config?: Partial<Record<Exclude<LLMProviderName, 'stub'>, LLMProviderOptions>> & { stub?: StubLLMOptions }): Partial<Record<LLMProviderName, LLMProvider>>;
+
+export function parseModelRef(ref: string, providerNames: string[], defaultProvider: string): { provider: string; model: string | null };
+export function createLLMGateway(options: LLMGatewayOptions): LLMGateway;
+
+export interface ModelComparison {
+  provider: string;
+  model: string;
+  interactions: number;
+  flaggedRate: number; // share blocked or held for review, 0-1
+  violations: number;
+  averageSeverity: number | null;
+  averageLatencyMs: number | null;
+  totalTokens: number;
+}
+
+export function compareModels(interactions: Array<{
+  llmSource?: string;
+  llmModel?: string;
+  llmLatencyMs?: number;
+  llmUsage?: LLMUsage;
+  status: string;
+  violations?: Array<{ severity: number }>;
+}>): ModelComparison[];
+
+// Scripted replies for demos and tests; see parseStubFixtures
+export const STUB_MODEL: string;
+
+export interface StubFixtureResponse {
+  id?: string;
+  match?: string; // case-insensitive substring of the prompt
+  pattern?: string; // case-insensitive regular expression
+  response: string;
+}
+
+export interface StubFixtures {
+  name?: string;
+  responses: StubFixtureResponse[];
+  default?: string;
+}
+
+export interface ParsedStubFixtures {
+  name: string;
+  responses: Array<{ id: string; response: string; fits(prompt: string): boolean }>;
+  default?: string;
+}
+
+export interface StubLLMOptions {
+  load: () => StubFixtures | Promise<StubFixtures>;
+}
+
+export function parseStubFixtures(fixtures: StubFixtures): ParsedStubFixtures;
+export function stubReply(fixtures: ParsedStubFixtures, prompt: string): { id: string | null; response: string };
+export function createStubLLM(options: StubLLMOptions): LLMProvider;
@@ -0,0 +1,48 @@
+// Multi-provider LLM gateway shared by the Vite app and Node scripts
+import { createOpenAILLM, createAnthropicLLM, createGroqLLM, createOpenAICompatibleLLM } from './providers.js';
+import { createStubLLM } from './stub.js';
+
+export const LLM_PROVIDERS = ['openai', 'anthropic', 'groq', 'openai-compatible', 'stub'];
+
+export {
+  OPENAI_API_URL,
+  GROQ_API_URL,
+  ANTHROPIC_API_URL,
+  isRetryable,
+  createChatCompletionsLLM,
+  createOpenAILLM,
+  createAnthropicLLM,
+  createGroqLLM,
+  createOpenAICompatibleLLM
+} from './providers.js';
+export { parseModelRef, createLLMGateway } from './gateway.js';
+export { compareModels } from './comparison.js';
+export { STUB_MODEL, parseStubFixtures, stubReply, createStubLLM } from './stub.js';
+
+// One registered provider, from its { apiKey, apiUrl, defaultModel, timeoutMs }, or { load } for the stub
+export function createLLMProvider(name, options = {}) {
+  const settings = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== ''));
+  switch (name) {
+    case 'openai':
+      return createOpenAILLM(settings);
+    case 'anthropic':
+      return createAnthropicLLM(settings);
+    case 'groq':
+      return createGroqLLM(settings);
+    case 'openai-compatible':
+      return createOpenAICompatibleLLM(settings);
+    case 'stub':
+      if (!settings.load) throw new Error('The stub LLM provider needs fixtures to load');
+      return createStubLLM({ load: settings.load });
+    default:
+      throw new Error(`Unknown LLM provider "${name}"; expected one of ${LLM_PROVIDERS.join(', ')}`);
+  }
+}
+
+// Every provider, each with the settings given for it in `config` ({ openai: {...}, groq: {...} });
+// the stub is only registered when `config.stub` says where its fixtures come from
+export function createLLMProviders(config = {}) {
+  return Object.fromEntries(LLM_PROVIDERS
+    .filter(name => name !== 'stub' || config.stub)
+    .map(name => [name, createLLMProvider(name, config[name])]));
+}
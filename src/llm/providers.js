@@ -0,0 +1,129 @@
+// LLM providers the gateway can route a completion to
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+export const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
+export const GROQ_API_URL = 'https://api.groq.com/openai/v1/chat/completions';
+export const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Rate limits, timeouts and server errors may pass on a retry; bad requests and auth failures will not
+const RETRYABLE_STATUS = new Set([408, 409, 425, 429, 500, 502, 503, 504, 529]);
+
+export function isRetryable(error) {
+  if (error?.retryable !== undefined) return error.retryable;
+  if (error?.status) return RETRYABLE_STATUS.has(error.status);
+  // No status: the request never got an answer (network failure or timeout)
+  return true;
+}
+
+async function post(name, apiUrl, headers, body, timeoutMs) {
+  let response;
+  try {
+    response = await fetch(apiUrl, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    throw new Error(`${name} request failed: ${error.message}`);
+  }
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw Object.assign(
+      new Error(`${name} API error: ${response.status} - ${errorData.error?.message || response.statusText}`),
+      { status: response.status }
+    );
+  }
+  return response.json();
+}
+
+const bareReply = (name) => Object.assign(new Error(`Empty response content from ${name}`), { retryable: true });
+
+/**
+ * A provider behind a chat completions API (OpenAI, Groq, vLLM, Ollama...). It is
+ * configured once it has a URL, and a key when `requiresKey` is set.
+ */
+export function createChatCompletionsLLM({ name, apiUrl, apiKey, defaultModel, requiresKey = true, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  return {
+    name,
+    defaultModel,
+    isConfigured: Boolean(apiUrl?.trim() && (!requiresKey || apiKey?.trim())),
+
+    async complete({ model, messages, maxTokens = 1000, temperature = 0.7 }) {
+      const data = await post(name, apiUrl, apiKey?.trim() ? { 'Authorization': `Bearer ${apiKey}` } : {}, {
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        stream: false
+      }, timeoutMs);
+
+      const content = data.choices?.[0]?.message?.content;
+      if (!content) throw bareReply(name);
+      return {
+        content: content.trim(),
+        model: data.model || model,
+        usage: {
+          promptTokens: data.usage?.prompt_tokens ?? 0,
+          completionTokens: data.usage?.completion_tokens ?? 0,
+          totalTokens: data.usage?.total_tokens ?? 0
+        }
+      };
+    }
+  };
+}
+
+export function createOpenAILLM({ apiKey, apiUrl = OPENAI_API_URL, defaultModel = 'gpt-4o-mini', timeoutMs } = {}) {
+  return createChatCompletionsLLM({ name: 'openai', apiUrl, apiKey, defaultModel, timeoutMs });
+}
+
+export function createGroqLLM({ apiKey, apiUrl = GROQ_API_URL, defaultModel = 'llama-3.1-8b-instant', timeoutMs } = {}) {
+  return createChatCompletionsLLM({ name: 'groq', apiUrl, apiKey, defaultModel, timeoutMs });
+}
+
+// Ollama (http://localhost:11434/v1/chat/completions) and other OpenAI-compatible servers; only a URL is needed
+export function createOpenAICompatibleLLM({ apiKey, apiUrl, defaultModel = 'llama3.1', timeoutMs } = {}) {
+  return createChatCompletionsLLM({ name: 'openai-compatible', apiUrl, apiKey, defaultModel, requiresKey: false, timeoutMs });
+}
+
+/**
+ * A provider behind an Anthropic-style messages API. System messages are sent as
+ * the `system` field, and the reply's text blocks are joined.
+ */
+export function createAnthropicLLM({ apiKey, apiUrl = ANTHROPIC_API_URL, defaultModel = 'claude-3-5-haiku-latest', timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  return {
+    name: 'anthropic',
+    defaultModel,
+    isConfigured: Boolean(apiUrl?.trim() && apiKey?.trim()),
+
+    async complete({ model, messages, maxTokens = 1000, temperature = 0.7 }) {
+      const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+      const data = await post('anthropic', apiUrl, {
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        // The Vite app calls the API from the browser
+        'anthropic-dangerous-direct-browser-access': 'true'
+      }, {
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        ...(system ? { system } : {}),
+        messages: messages.filter(message => message.role !== 'system')
+      }, timeoutMs);
+
+      const content = (data.content ?? []).filter(block => block.type === 'text').map(block => block.text).join('');
+      if (!content) throw bareReply('anthropic');
+      const promptTokens = data.usage?.input_tokens ?? 0;
+      const completionTokens = data.usage?.output_tokens ?? 0;
+      return {
+        content: content.trim(),
+        model: data.model || model,
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+      };
+    }
+  };
+}
@@ -0,0 +1,92 @@
+// Scripted replies from fixtures, for demos and tests that must not call a model
+
+export const STUB_MODEL = 'fixtures';
+
+/**
+ * Stub fixtures such as
+ *
+ *   { "name": "demo",
+ *     "responses": [{ "id": "capital", "match": "capital of france", "response": "Paris is the capital of France." },
+ *                   { "id": "greeting", "pattern": "^(hi|hello)\\b", "response": "Hello! How can I help?" }],
+ *     "default": "This is a scripted demo reply." }
+ *
+ * A response is chosen by `match`, a case-insensitive substring of the prompt, or
+ * `pattern`, a case-insensitive regular expression; the first that fits wins. Without
+ * a `default`, prompts nothing fits are an error. Throws with every problem found.
+ */
+export function parseStubFixtures(fixtures) {
+  const errors = [];
+  const responses = Array.isArray(fixtures?.responses) ? fixtures.responses : null;
+  if (!responses) errors.push('responses must be a list');
+  if (fixtures?.default !== undefined && typeof fixtures.default !== 'string') errors.push('default must be a string');
+
+  const parsed = (responses ?? []).flatMap((entry, index) => {
+    const where = `response ${entry?.id ?? index + 1}`;
+    if (typeof entry?.response !== 'string' || !entry.response.trim()) {
+      errors.push(`${where}: response must be a non-empty string`);
+      return [];
+    }
+    if (typeof entry.match === 'string' && entry.match.trim()) {
+      const match = entry.match.toLowerCase();
+      return [{ id: entry.id ?? String(index + 1), response: entry.response, fits: prompt => prompt.toLowerCase().includes(match) }];
+    }
+    if (typeof entry.pattern === 'string') {
+      try {
+        const pattern = new RegExp(entry.pattern, 'i');
+        return [{ id: entry.id ?? String(index + 1), response: entry.response, fits: prompt => pattern.test(prompt) }];
+      } catch (error) {
+        errors.push(`${where}: ${error.message}`);
+        return [];
+      }
+    }
+    errors.push(`${where}: needs a match or a pattern`);
+    return [];
+  });
+  if (errors.length > 0) throw new Error(`Invalid stub fixtures: ${errors.join('; ')}`);
+
+  return { name: typeof fixtures.name === 'string' && fixtures.name.trim() ? fixtures.name.trim() : STUB_MODEL, responses: parsed, default: fixtures.default };
+}
+
+// The scripted reply to `prompt` as { id, response }; id is null for the default
+export function stubReply(fixtures, prompt) {
+  const entry = fixtures.responses.find(candidate => candidate.fits(prompt));
+  if (entry) return { id: entry.id, response: entry.response };
+  if (fixtures.default !== undefined) return { id: null, response: fixtures.default };
+  // Asking again gives the same answer, so this is not retried
+  throw Object.assign(new Error('No stub fixture matches the prompt'), { retryable: false });
+}
+
+/**
+ * The `stub` provider: replies to the last user message from the fixtures `load`
+ * returns, the same reply every time. Its model is the fixture set's name. The
+ * fixtures are loaded on the first prompt and again after a failed load.
+ */
+export function createStubLLM({ load }) {
+  let loading = null;
+  const fixtures = () => {
+    loading ??= Promise.resolve()
+      .then(load)
+      .then(parseStubFixtures)
+      .catch(error => {
+        loading = null;
+        throw Object.assign(error, { retryable: false });
+      });
+    return loading;
+  };
+
+  return {
+    name: 'stub',
+    defaultModel: STUB_MODEL,
+    isConfigured: true,
+
+    async complete({ messages }) {
+      const loaded = await fixtures();
+      const prompt = messages.filter(message => message.role === 'user').at(-1)?.content ?? '';
+      return {
+        content: stubReply(loaded, prompt).response,
+        model: loaded.name,
+        usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+      };
+    }
+  };
+}
@@ -13,6 +13,7 @@ import {
   Clock,
   Zap
 } from 'lucide-react';
+import { InteractionStats, fetchInteractionStats } from '../api/interactions';
 
 interface Agent {
   id: string;
@@ -36,15 +37,9 @@ const Agents: React.FC = () => {
     const fetchAgentData = async () => {
       setIsLoading(true);
       try {
-        // Fetch interactions to calculate agent statistics
-        const response = await fetch('http://localhost:4000/api/interactions');
-        if (response.ok) {
-          const interactions = await response.json();
-          
-          // Generate agent data based on interactions
-          const agentStats = calculateAgentStats(interactions);
-          setAgents(agentStats);
-        }
+        // Counts over every stored interaction, not just the latest page
+        const stats = await fetchInteractionStats();
+        setAgents(calculateAgentStats(stats));
       } catch (error) {
         console.error('Error fetching agent data:', error);
         // Fallback to static data if backend is unavailable
@@ -57,10 +52,10 @@ const Agents: React.FC = () => {
     fetchAgentData();
   }, []);
 
-  const calculateAgentStats = (interactions: any[]): Agent[] => {
-    const totalInteractions = interactions.length;
-    const totalViolations = interactions.reduce((sum, i) => sum + (i.violations?.length || 0), 0);
-    const blockedInteractions = interactions.filter(i => i.status === 'blocked').length;
+  const calculateAgentStats = (stats: InteractionStats): Agent[] => {
+    const totalInteractions = stats.total;
+    const totalViolations = Object.values(stats.violationsByType).reduce((sum, count) => sum + count, 0);
+    const blockedInteractions = stats.statusCounts.blocked || 0;
     
     return [
       {
@@ -1,73 +1,140 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { Search, Download, Filter, Activity } from 'lucide-react';
+import { Search, Download, Filter, Activity, Calendar, Shield, ShieldCheck, ShieldAlert, KeyRound } from 'lucide-react';
 import { LLMInteraction, AuditLogEntry } from '../types';
 import { format } from 'date-fns';
 import EmptyState from '../components/EmptyState';
 import { FileText } from 'lucide-react';
+import { InteractionStats, fetchInteractionStats } from '../api/interactions';
+import { useInteractions } from '../hooks/useInteractions';
+import { useDebouncedValue } from '../hooks/useDebouncedValue';
+import {
+  AuditChainVerification,
+  fetchAuditPrincipal,
+  getAuditAccessToken,
+  setAuditAccessToken,
+  verifyAuditChain
+} from '../api/auditTrail';
+
+// Whether the backend's hash-chained audit trail verifies, with what was checked on hover
+const ChainBadge: React.FC<{ verification: AuditChainVerification | null; error: string | null }> = ({ verification, error }) => {
+  if (error) {
+    return (
+      <span title={error} className="inline-flex items-center space-x-1 px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-600">
+        <Shield className="h-3 w-3" />
+        <span>Audit chain unavailable</span>
+      </span>
+    );
+  }
+  if (!verification) {
+    return (
+      <span className="inline-flex items-center space-x-1 px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-600">
+        <Shield className="h-3 w-3" />
+        <span>Verifying audit chain…</span>
+      </span>
+    );
+  }
+
+  const { checkpoints } = verification;
+  const checkpointNote = checkpoints.lastCreatedAt
+    ? `last signed checkpoint at entry ${checkpoints.lastSequence} (${format(checkpoints.lastCreatedAt, 'MMM dd, HH:mm')})`
+    : 'no signed checkpoints yet';
+  if (verification.valid) {
+    return (
+      <span
+        title={`${verification.entries} entries checked ${format(verification.checkedAt, 'HH:mm:ss')}; ${checkpointNote}`}
+        className="inline-flex items-center space-x-1 px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800"
+      >
+        <ShieldCheck className="h-3 w-3" />
+        <span>Audit chain verified</span>
+      </span>
+    );
+  }
+  return (
+    <span
+      title={verification.problems.map(problem => problem.problem).join('\n')}
+      className="inline-flex items-center space-x-1 px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800"
+    >
+      <ShieldAlert className="h-3 w-3" />
+      <span>Audit chain broken: {verification.problemCount} problem{verification.problemCount === 1 ? '' : 's'}</span>
+    </span>
+  );
+};
+
+// Local midnight of a yyyy-mm-dd date input, moved on by `days`
+const startOfDay = (value: string, days = 0) => {
+  if (!value) return undefined;
+  const date = new Date(`${value}T00:00:00`);
+  date.setDate(date.getDate() + days);
+  return date;
+};
 
 const AuditLogs: React.FC = () => {
-  const [logs, setLogs] = useState<LLMInteraction[]>([]);
-  const [auditLogs, setAuditLogs] = useState<AuditLogEntry[]>([]);
-  const [filteredLogs, setFilteredLogs] = useState<LLMInteraction[]>([]);
   const [activeTab, setActiveTab] = useState<'interactions' | 'agent-logs'>('interactions');
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
   const [severityFilter, setSeverityFilter] = useState('all');
+  const [agentFilter, setAgentFilter] = useState('all');
+  const [modelFilter, setModelFilter] = useState('all');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [stats, setStats] = useState<InteractionStats | null>(null);
+  const [chain, setChain] = useState<AuditChainVerification | null>(null);
+  const [chainError, setChainError] = useState<string | null>(null);
+  // The AuditLoggerAgent appends to the trail with this token
+  const [accessToken, setAccessToken] = useState(getAuditAccessToken);
+  const [principal, setPrincipal] = useState('');
+  const search = useDebouncedValue(searchTerm);
 
-  useEffect(() => {
-    const fetchLogs = async () => {
-      try {
-        // Fetch interactions from new backend
-        const response = await fetch('http://localhost:4000/api/interactions');
-        if (response.ok) {
-          const interactions = await response.json();
-          setLogs(interactions);
-          setFilteredLogs(interactions);
-          
-          // Generate audit logs from interactions
-          const generatedAuditLogs = interactions.flatMap((interaction: any) => 
-            interaction.agentActions?.map((action: any, index: number) => ({
-              id: `${interaction.id}_${index}`,
-              timestamp: new Date(action.timestamp || interaction.timestamp),
-              agentName: action.agent || 'PolicyEnforcerAgent',
-              action: action.action || 'analyze',
-              interactionId: interaction.id,
-              details: action.result || `Processed interaction with ${interaction.violations?.length || 0} violations`
-            })) || []
-          );
-          setAuditLogs(generatedAuditLogs);
-        }
-      } catch (error) {
-        console.error('Error fetching audit logs:', error);
-      }
-    };
+  // Filtering happens on the server, so older interactions are reachable a page at a time
+  const { interactions: logs, total, hasMore, isLoadingMore, loadMore } = useInteractions({
+    q: search,
+    status: statusFilter === 'all' ? undefined : [statusFilter as LLMInteraction['status']],
+    severity: severityFilter === 'all' ? undefined : [severityFilter as LLMInteraction['severity']],
+    agent: agentFilter === 'all' ? undefined : [agentFilter],
+    model: modelFilter === 'all' ? undefined : [modelFilter],
+    from: startOfDay(fromDate),
+    to: startOfDay(toDate, 1)
+  });
 
-    fetchLogs();
-    // Auto-refresh removed - data updates only on manual page refresh
+  // Agent and model options cover every stored interaction, not just the loaded pages
+  useEffect(() => {
+    fetchInteractionStats()
+      .then(setStats)
+      .catch(error => console.error('Error fetching audit log stats:', error));
+    verifyAuditChain()
+      .then(setChain)
+      .catch(error => setChainError(error instanceof Error ? error.message : 'Unknown error'));
   }, []);
 
+  // Resolves the token to the name the agent's entries are appended as
   useEffect(() => {
-    let filtered = [...logs];
-
-    if (searchTerm) {
-      filtered = filtered.filter(log => 
-        log.input.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        log.output.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        log.id.toLowerCase().includes(searchTerm.toLowerCase())
-      );
-    }
-
-    if (statusFilter !== 'all') {
-      filtered = filtered.filter(log => log.status === statusFilter);
-    }
+    setPrincipal('');
+    if (!accessToken.trim()) return;
+    let cancelled = false;
+    fetchAuditPrincipal(accessToken.trim())
+      .then(name => { if (!cancelled) setPrincipal(name); })
+      .catch(() => { /* An unknown token leaves no principal; the agent's actions report why */ });
+    return () => { cancelled = true; };
+  }, [accessToken]);
 
-    if (severityFilter !== 'all') {
-      filtered = filtered.filter(log => log.severity === severityFilter);
-    }
+  const handleAccessTokenChange = (token: string) => {
+    setAccessToken(token);
+    setAuditAccessToken(token);
+  };
 
-    setFilteredLogs(filtered);
-  }, [logs, searchTerm, statusFilter, severityFilter]);
+  const auditLogs: AuditLogEntry[] = logs.flatMap(interaction =>
+    interaction.agentActions
+      .filter(action => agentFilter === 'all' || action.agentName === agentFilter)
+      .map((action, index) => ({
+        id: `${interaction.id}_${index}`,
+        timestamp: action.timestamp,
+        agentName: action.agentName,
+        action: action.action,
+        interactionId: interaction.id,
+        details: action.details
+      }))
+  );
 
   const getStatusColor = (status: string) => {
     switch (status) {
@@ -77,6 +144,8 @@ const AuditLogs: React.FC = () => {
         return 'bg-red-100 text-red-800';
       case 'pending':
         return 'bg-yellow-100 text-yellow-800';
+      case 'redacted':
+        return 'bg-sky-100 text-sky-800';
       default:
         return 'bg-gray-100 text-gray-800';
     }
@@ -104,8 +173,22 @@ const AuditLogs: React.FC = () => {
       className="p-6 space-y-6"
     >
       <div className="flex items-center justify-between">
-        <h1 className="text-2xl font-bold text-gray-900">Audit Logs</h1>
+        <div className="flex items-center space-x-3">
+          <h1 className="text-2xl font-bold text-gray-900">Audit Logs</h1>
+          <ChainBadge verification={chain} error={chainError} />
+        </div>
         <div className="flex items-center space-x-4">
+          <div className="relative">
+            <KeyRound className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+            <input
+              type="password"
+              placeholder="Audit access token"
+              title={principal ? `Agent entries are appended as ${principal}` : 'Needed for the Audit Logger Agent to append to the trail'}
+              value={accessToken}
+              onChange={(e) => handleAccessTokenChange(e.target.value)}
+              className="pl-10 pr-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
           <div className="flex bg-gray-100 rounded-lg p-1">
             <button
               onClick={() => setActiveTab('interactions')}
@@ -162,6 +245,7 @@ const AuditLogs: React.FC = () => {
               <option value="approved">Approved</option>
               <option value="blocked">Blocked</option>
               <option value="pending">Pending</option>
+              <option value="redacted">Redacted</option>
             </select>
             <select
               value={severityFilter}
@@ -174,9 +258,51 @@ const AuditLogs: React.FC = () => {
               <option value="high">High</option>
               <option value="critical">Critical</option>
             </select>
+            <select
+              value={agentFilter}
+              onChange={(e) => setAgentFilter(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="all">All Agents</option>
+              {Object.keys(stats?.actionsByAgent ?? {}).sort().map(agent => (
+                <option key={agent} value={agent}>{agent}</option>
+              ))}
+            </select>
+            <select
+              value={modelFilter}
+              onChange={(e) => setModelFilter(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="all">All Models</option>
+              {Object.keys(stats?.interactionsByModel ?? {}).sort().map(model => (
+                <option key={model} value={model}>{model}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex items-center space-x-2">
+            <Calendar className="h-4 w-4 text-gray-400" />
+            <input
+              type="date"
+              aria-label="From date"
+              value={fromDate}
+              onChange={(e) => setFromDate(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <span className="text-sm text-gray-500">to</span>
+            <input
+              type="date"
+              aria-label="To date"
+              value={toDate}
+              onChange={(e) => setToDate(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
           </div>
         </div>
 
+        <p className="text-sm text-gray-600 mb-4">
+          Showing {logs.length} of {total} matching interaction{total === 1 ? '' : 's'}
+        </p>
+
         {activeTab === 'interactions' ? (
           <div className="overflow-x-auto">
             <table className="w-full table-auto">
@@ -203,7 +329,7 @@ const AuditLogs: React.FC = () => {
                 </tr>
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
-                {filteredLogs.map((log) => (
+                {logs.map((log) => (
                   <motion.tr
                     key={log.id}
                     initial={{ opacity: 0 }}
@@ -299,7 +425,7 @@ const AuditLogs: React.FC = () => {
           </div>
         )}
 
-        {((activeTab === 'interactions' && filteredLogs.length === 0) || 
+        {((activeTab === 'interactions' && logs.length === 0) || 
           (activeTab === 'agent-logs' && auditLogs.length === 0)) && (
           <EmptyState
             icon={FileText}
@@ -311,6 +437,18 @@ const AuditLogs: React.FC = () => {
             }
           />
         )}
+
+        {hasMore && (
+          <div className="flex justify-center mt-6">
+            <button
+              onClick={loadMore}
+              disabled={isLoadingMore}
+              className="px-4 py-2 text-sm font-medium text-blue-600 border border-blue-200 rounded-md hover:bg-blue-50 disabled:opacity-50 transition-colors"
+            >
+              {isLoadingMore ? 'Loading...' : 'Load older interactions'}
+            </button>
+          </div>
+        )}
       </div>
     </motion.div>
   );
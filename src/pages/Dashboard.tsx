@@ -4,7 +4,7 @@ import { Activity, Shield, AlertTriangle, CheckCircle, TrendingUp } from 'lucide
 import StatsCard from '../components/StatsCard';
 import ViolationChart from '../components/ViolationChart';
 import { DashboardStats } from '../types';
-import PerplexityStatus from '../components/PerplexityStatus';
+import FactCheckStatus from '../components/FactCheckStatus';
 import Neo4jStatus from '../components/Neo4jStatus';
 import { apiService } from '../api/apiService';
 import EmptyState from '../components/EmptyState';
@@ -15,9 +15,11 @@ const Dashboard: React.FC = () => {
   const [stats, setStats] = useState<DashboardStats>({
     totalInteractions: 0,
     flaggedInteractions: 0,
+    failedInteractions: 0,
     averageSeverity: 0,
     topViolations: [],
-    agentActivity: []
+    agentActivity: [],
+    modelComparison: []
   });
 
   useEffect(() => {
@@ -34,8 +36,11 @@ const Dashboard: React.FC = () => {
     ? ((stats.flaggedInteractions / stats.totalInteractions) * 100).toFixed(1)
     : '0';
 
+  // Interactions that failed to generate were neither flagged nor approved
+  const approvedInteractions = stats.totalInteractions - stats.flaggedInteractions - stats.failedInteractions;
+
   const approvedPercentage = stats.totalInteractions > 0 
-    ? (((stats.totalInteractions - stats.flaggedInteractions) / stats.totalInteractions) * 100).toFixed(1)
+    ? ((approvedInteractions / stats.totalInteractions) * 100).toFixed(1)
     : '0';
 
   return (
@@ -56,6 +61,7 @@ const Dashboard: React.FC = () => {
         <StatsCard
           title="Total Interactions"
           value={stats.totalInteractions}
+          change={stats.failedInteractions > 0 ? `${stats.failedInteractions} not generated` : undefined}
           icon={Activity}
           color="blue"
         />
@@ -68,7 +74,7 @@ const Dashboard: React.FC = () => {
         />
         <StatsCard
           title="Approved Interactions"
-          value={stats.totalInteractions - stats.flaggedInteractions}
+          value={approvedInteractions}
           change={`${approvedPercentage}% of total`}
           icon={CheckCircle}
           color="green"
@@ -82,7 +88,7 @@ const Dashboard: React.FC = () => {
       </div>
 
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-        <PerplexityStatus />
+        <FactCheckStatus />
         <Neo4jStatus />
       </div>
 
@@ -95,6 +101,45 @@ const Dashboard: React.FC = () => {
         </div>
       )}
 
+      {stats.modelComparison.length > 0 && (
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Model Comparison</h2>
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                <tr>
+                  <th className="px-4 py-3">Model</th>
+                  <th className="px-4 py-3 text-right">Interactions</th>
+                  <th className="px-4 py-3 text-right">Flagged</th>
+                  <th className="px-4 py-3 text-right">Violations</th>
+                  <th className="px-4 py-3 text-right">Avg Severity</th>
+                  <th className="px-4 py-3 text-right">Avg Latency</th>
+                  <th className="px-4 py-3 text-right">Tokens</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {stats.modelComparison.map(row => (
+                  <tr key={`${row.provider}:${row.model}`}>
+                    <td className="px-4 py-3">
+                      <span className="font-medium text-gray-900">{row.model}</span>
+                      <span className="ml-2 text-xs text-gray-500">{row.provider}</span>
+                    </td>
+                    <td className="px-4 py-3 text-right text-gray-900">{row.interactions}</td>
+                    <td className={`px-4 py-3 text-right ${row.flaggedRate > 0.25 ? 'text-red-600 font-medium' : 'text-gray-900'}`}>
+                      {(row.flaggedRate * 100).toFixed(1)}%
+                    </td>
+                    <td className="px-4 py-3 text-right text-gray-900">{row.violations}</td>
+                    <td className="px-4 py-3 text-right text-gray-900">{row.averageSeverity?.toFixed(1) ?? '-'}</td>
+                    <td className="px-4 py-3 text-right text-gray-900">{row.averageLatencyMs === null ? '-' : `${row.averageLatencyMs} ms`}</td>
+                    <td className="px-4 py-3 text-right text-gray-900">{row.totalTokens.toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {stats.totalInteractions === 0 && (
         <div className="bg-white rounded-lg shadow-sm border border-gray-200">
           <EmptyState
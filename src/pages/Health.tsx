@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { Activity, CheckCircle, XCircle, AlertCircle, Server, Database, Zap, Globe, Clock } from 'lucide-react';
 import { API_URLS, API_CONFIG } from '../config/api';
+import { factCheckService } from '../services/factCheckService';
+import type { FactCheckStats } from '../factCheck';
 
 interface ServiceStatus {
   name: string;
@@ -22,11 +24,12 @@ const Health: React.FC = () => {
     { name: 'CopilotKit API', status: 'checking', url: API_URLS.copilotkit },
     { name: 'Neo4j Database', status: 'checking' },
     { name: 'OpenAI API', status: 'checking' },
-    { name: 'Perplexity API', status: 'checking' },
+    { name: 'Fact Checking', status: 'checking' },
     { name: 'LlamaIndex', status: 'checking' },
   ]);
 
   const [overallHealth, setOverallHealth] = useState<'healthy' | 'degraded' | 'down'>('healthy');
+  const [factCheckStats, setFactCheckStats] = useState<FactCheckStats | null>(null);
 
   useEffect(() => {
     checkAllServices();
@@ -193,13 +196,19 @@ const Health: React.FC = () => {
       lastChecked: new Date(),
     });
 
-    // Check Perplexity API
+    // Check the fact-check provider (indirect check via its configuration and budget)
+    const stats = factCheckService.stats();
     updatedServices.push({
-      name: 'Perplexity API',
-      status: import.meta.env.VITE_PERPLEXITY_API_KEY ? 'healthy' : 'error',
-      details: import.meta.env.VITE_PERPLEXITY_API_KEY ? 'API key configured' : 'API key missing',
+      name: 'Fact Checking',
+      status: factCheckService.isConfigured() ? 'healthy' : 'error',
+      details: !factCheckService.isConfigured()
+        ? `${factCheckService.label} not configured`
+        : stats?.budget.exhausted
+        ? `${factCheckService.label} configured - daily budget used up, claims left unverified`
+        : `${factCheckService.label} configured`,
       lastChecked: new Date(),
     });
+    setFactCheckStats(stats);
 
     setServices(updatedServices);
 
@@ -347,6 +356,65 @@ const Health: React.FC = () => {
           ))}
         </div>
 
+        {/* Fact-check usage */}
+        {factCheckStats && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.25 }}
+            className="mt-8 p-6 bg-white rounded-lg border border-gray-200"
+          >
+            <h3 className="text-lg font-semibold text-gray-900 mb-1">Fact-check usage</h3>
+            <p className="text-sm text-gray-500 mb-4">
+              {factCheckService.label}{factCheckStats.model ? ` (${factCheckStats.model})` : ''} - today, {factCheckStats.budget.day} UTC
+            </p>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+              <div>
+                <p className="text-gray-600 font-medium">Cache hits</p>
+                <p className="text-2xl font-bold text-gray-900">
+                  {factCheckStats.cache.hits}
+                  <span className="text-sm font-normal text-gray-500">
+                    {factCheckStats.cache.hitRate === null ? '' : ` (${Math.round(factCheckStats.cache.hitRate * 100)}%)`}
+                  </span>
+                </p>
+                <p className="text-xs text-gray-500">
+                  {factCheckStats.cache.entries} cached verdicts, kept {Math.round(factCheckStats.cache.ttlMs / 3600000)}h
+                </p>
+              </div>
+              <div>
+                <p className="text-gray-600 font-medium">Provider requests</p>
+                <p className="text-2xl font-bold text-gray-900">{factCheckStats.budget.requests}</p>
+                <p className="text-xs text-gray-500">{factCheckStats.budget.failures} failed</p>
+              </div>
+              <div>
+                <p className="text-gray-600 font-medium">Tokens used</p>
+                <p className={`text-2xl font-bold ${factCheckStats.budget.exhausted ? 'text-red-600' : 'text-gray-900'}`}>
+                  {factCheckStats.budget.totalTokens.toLocaleString()}
+                  {factCheckStats.budget.dailyTokenBudget !== null && (
+                    <span className="text-sm font-normal text-gray-500"> / {factCheckStats.budget.dailyTokenBudget.toLocaleString()}</span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {factCheckStats.budget.exhausted
+                    ? `Budget used up, ${factCheckStats.budget.refusals} claim(s) not checked`
+                    : factCheckStats.budget.remainingTokens !== null
+                    ? `${factCheckStats.budget.remainingTokens.toLocaleString()} remaining`
+                    : 'No daily budget set'}
+                </p>
+              </div>
+              <div>
+                <p className="text-gray-600 font-medium">Estimated spend</p>
+                <p className="text-2xl font-bold text-gray-900">
+                  {factCheckStats.budget.estimatedCost === null ? '-' : `$${factCheckStats.budget.estimatedCost.toFixed(4)}`}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {factCheckStats.budget.promptTokens.toLocaleString()} prompt / {factCheckStats.budget.completionTokens.toLocaleString()} completion tokens
+                </p>
+              </div>
+            </div>
+          </motion.div>
+        )}
+
         {/* Configuration Info */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -3,16 +3,36 @@ import { motion } from 'framer-motion';
 import { CopilotSidebar } from "@copilotkit/react-ui";
 import { useCopilotReadable, useCopilotAction } from "@copilotkit/react-core";
 import InteractionCard from '../components/InteractionCard';
+import SessionGroup from '../components/SessionGroup';
 import PromptTester from '../components/PromptTester';
 import AgentTypeSelector from '../components/AgentTypeSelector';
 import { LLMInteraction } from '../types';
+import { ChatMessage, streamGovernedChat } from '../api/copilotStream';
+import { fetchInteractionStats } from '../api/interactions';
+import { useInteractions } from '../hooks/useInteractions';
 import { useToast } from '../hooks/useToast';
 import { ToastContainer } from '../components/Toast';
 import EmptyState from '../components/EmptyState';
-import { Activity, RefreshCw, MessageSquare, Bot, Zap } from 'lucide-react';
+import { Activity, RefreshCw, MessageSquare, Bot, Zap, MessagesSquare, PlusCircle } from 'lucide-react';
+
+const createSessionId = () => `session_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+
+// Interactions bucketed by conversation, keeping the newest-first order of the list
+const groupBySessionId = (interactions: LLMInteraction[]) => {
+  const groups = new Map<string | undefined, LLMInteraction[]>();
+  for (const interaction of interactions) {
+    groups.set(interaction.sessionId, [...(groups.get(interaction.sessionId) ?? []), interaction]);
+  }
+  return [...groups.entries()];
+};
 
 const LiveMonitor: React.FC = () => {
-  const [interactions, setInteractions] = useState<LLMInteraction[]>([]);
+  // Newest first, a page at a time; prompts sent from this page are added locally as they stream
+  const { interactions, setInteractions, total, hasMore, isLoadingMore, loadMore, refresh } = useInteractions({});
+  // Prompts in the tester form one conversation, governed as a whole, until a new session is started
+  const [sessionId, setSessionId] = useState(createSessionId);
+  const [conversation, setConversation] = useState<ChatMessage[]>([]);
+  const [groupBySession, setGroupBySession] = useState(false);
   const [showCopilot, setShowCopilot] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [backendStatus, setBackendStatus] = useState<'checking' | 'connected' | 'error'>('checking');
@@ -59,17 +79,20 @@ const LiveMonitor: React.FC = () => {
           cutoffTime.setHours(now.getHours() - 24);
       }
 
-      const recentInteractions = interactions.filter(i => i.timestamp >= cutoffTime);
-      const totalViolations = recentInteractions.reduce((sum, i) => sum + i.violations.length, 0);
-      const blockedCount = recentInteractions.filter(i => i.status === 'blocked').length;
+      // Counted on the server, so the answer covers more than the interactions loaded here
+      const stats = await fetchInteractionStats({ from: cutoffTime });
+      const totalViolations = Object.values(stats.violationsByType).reduce((sum, count) => sum + count, 0);
+      const blockedCount = stats.statusCounts.blocked || 0;
       
       return {
-        totalInteractions: recentInteractions.length,
+        totalInteractions: stats.total,
         totalViolations,
         blockedCount,
-        approvalRate: recentInteractions.length > 0 ? 
-          ((recentInteractions.length - blockedCount) / recentInteractions.length * 100).toFixed(1) + '%' : '0%',
-        topViolationTypes: [...new Set(recentInteractions.flatMap(i => i.violations.map(v => v.type)))]
+        approvalRate: stats.total > 0 ? 
+          ((stats.total - blockedCount) / stats.total * 100).toFixed(1) + '%' : '0%',
+        topViolationTypes: Object.entries(stats.violationsByType)
+          .sort(([, a], [, b]) => b - a)
+          .map(([type]) => type)
       };
     }
   });
@@ -89,21 +112,7 @@ const LiveMonitor: React.FC = () => {
       }
     };
 
-    const fetchInteractions = async () => {
-      try {
-        const response = await fetch('http://localhost:4000/api/interactions');
-        if (response.ok) {
-          const data = await response.json();
-          setInteractions(data);
-        }
-      } catch (error) {
-        console.error('Error fetching interactions:', error);
-      }
-    };
-
-    // Check backend status and fetch interactions
     checkBackendStatus();
-    fetchInteractions();
   }, []);
 
   const handlePromptSubmit = async (prompt: string) => {
@@ -112,54 +121,82 @@ const LiveMonitor: React.FC = () => {
     try {
       console.log('🤖 Submitting prompt to backend:', prompt.substring(0, 100) + '...');
       
-      // Send prompt to our CopilotKit-compatible backend
-      const response = await fetch('http://localhost:4000/api/copilotkit', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          messages: [
-            { role: 'user', content: prompt }
-          ],
-          model: 'gpt-3.5-turbo'
-        })
-      });
+      // Stream the response from our CopilotKit-compatible backend, showing it as it arrives
+      const streamingId = `streaming_${Date.now()}`;
+      let blockedContent: string | null = null;
+
+      setInteractions(prev => [{
+        id: streamingId,
+        input: prompt,
+        output: '',
+        timestamp: new Date(),
+        status: 'pending',
+        severity: 'low',
+        violations: [],
+        agentActions: [],
+        userFeedback: undefined,
+        sessionId
+      }, ...prev]);
+
+      const updateStreaming = (changes: Partial<LLMInteraction>) => {
+        setInteractions(prev => prev.map(interaction =>
+          interaction.id === streamingId ? { ...interaction, ...changes } : interaction
+        ));
+      };
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+      let interaction: LLMInteraction;
+      try {
+        interaction = await streamGovernedChat(
+          [...conversation, { role: 'user', content: prompt }],
+          'gpt-3.5-turbo',
+          {
+            onToken: (_content, output) => updateStreaming({ output }),
+            onBlocked: event => {
+              blockedContent = event.content;
+              updateStreaming({
+                output: event.content,
+                status: event.status,
+                severity: event.severity,
+                violations: event.violations
+              });
+            }
+          },
+          sessionId
+        );
+      } catch (error) {
+        setInteractions(prev => prev.filter(interaction => interaction.id !== streamingId));
+        throw error;
       }
 
-      const result = await response.json();
-      console.log('Backend response:', result);
+      console.log('Backend response:', interaction);
 
-      // Extract EthosLens governance data
-      const ethosLens = result.ethosLens;
-      if (ethosLens) {
-        // Create interaction object from backend response
-        const interaction: LLMInteraction = {
-          id: ethosLens.interactionId,
-          input: prompt,
-          output: result.choices[0]?.message?.content || 'No response generated',
-          timestamp: new Date(),
-          status: ethosLens.status,
-          severity: ethosLens.severity,
-          violations: ethosLens.violations || [],
-          agentActions: [],
-          userFeedback: undefined
-        };
+      // Replace the streaming placeholder with the persisted record (never show text cut off by governance)
+      setInteractions(prev => prev.map(existing =>
+        existing.id === streamingId
+          ? { ...interaction, output: blockedContent ?? interaction.output, userFeedback: undefined }
+          : existing
+      ));
 
-        // Add to interactions list
-        setInteractions(prev => [interaction, ...prev]);
+      // Blocked turns stay out of the history: the model never answered them
+      if (interaction.status !== 'blocked') {
+        setConversation(prev => [
+          ...prev,
+          { role: 'user', content: interaction.input },
+          { role: 'assistant', content: interaction.output }
+        ]);
+      }
 
-        // Show appropriate toast based on governance decision
-        if (ethosLens.status === 'blocked') {
-          toast.error('Prompt Blocked', `${ethosLens.violations.length} violation(s) detected`);
-        } else if (ethosLens.status === 'pending') {
-          toast.warning('Prompt Flagged', 'Content requires review');
-        } else {
-          toast.success('Prompt Approved', 'No violations detected');
-        }
+      // Show appropriate toast based on governance decision
+      if (interaction.inputVerdict?.escalated || interaction.outputVerdict?.escalated) {
+        toast.error('Session Escalated', `Session risk ${interaction.sessionRisk?.riskScore ?? '-'}/10 - repeated violations are now blocked`);
+      } else if (interaction.status === 'blocked') {
+        toast.error('Prompt Blocked', `${interaction.violations.length} violation(s) detected`);
+      } else if (interaction.status === 'pending') {
+        toast.warning('Prompt Flagged', 'Content requires review');
+      } else if (interaction.status === 'redacted') {
+        toast.success('Prompt Redacted', `${interaction.redactions?.length ?? 0} personal data value(s) masked`);
+      } else {
+        toast.success('Prompt Approved', 'No violations detected');
       }
 
     } catch (error) {
@@ -170,14 +207,16 @@ const LiveMonitor: React.FC = () => {
     }
   };
 
+  const handleNewSession = () => {
+    setSessionId(createSessionId());
+    setConversation([]);
+    toast.info('New Session', 'Prompts now start a fresh conversation');
+  };
+
   const handleManualRefresh = async () => {
     try {
-      const response = await fetch('http://localhost:4000/api/interactions');
-      if (response.ok) {
-        const data = await response.json();
-        setInteractions(data);
-        toast.success('Refreshed', 'Interactions updated successfully');
-      }
+      await refresh();
+      toast.success('Refreshed', 'Interactions updated successfully');
     } catch (error) {
       toast.error('Refresh Failed', 'Unable to fetch latest interactions');
     }
@@ -321,9 +360,34 @@ const LiveMonitor: React.FC = () => {
       </div>
 
       <div className="space-y-4">
-        <h2 className="text-lg font-semibold text-gray-900">
-          Recent Interactions ({interactions.length})
-        </h2>
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900">
+            Recent Interactions ({hasMore ? `${interactions.length} of ${total}` : interactions.length})
+          </h2>
+          <div className="flex items-center space-x-2">
+            <span className="text-xs text-gray-500">
+              Session #{sessionId.slice(-8)} · {conversation.length / 2} turn(s) in context
+            </span>
+            <button
+              onClick={handleNewSession}
+              className="flex items-center space-x-2 px-3 py-2 text-sm bg-white border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors"
+              title="Start a new conversation"
+            >
+              <PlusCircle className="h-4 w-4" />
+              <span>New Session</span>
+            </button>
+            <button
+              onClick={() => setGroupBySession(!groupBySession)}
+              className={`flex items-center space-x-2 px-3 py-2 text-sm border rounded-lg transition-colors ${
+                groupBySession ? 'bg-blue-50 border-blue-300 text-blue-700' : 'bg-white border-gray-200 hover:bg-gray-50'
+              }`}
+              title="Group interactions by conversation session"
+            >
+              <MessagesSquare className="h-4 w-4" />
+              <span>Group by Session</span>
+            </button>
+          </div>
+        </div>
         
         {interactions.length === 0 ? (
           <div className="bg-white rounded-lg shadow-sm border border-gray-200">
@@ -340,6 +404,18 @@ const LiveMonitor: React.FC = () => {
               }}
             />
           </div>
+        ) : groupBySession ? (
+          <div className="space-y-6">
+            {groupBySessionId(interactions).map(([groupSessionId, sessionInteractions]) => (
+              <SessionGroup
+                key={groupSessionId ?? 'none'}
+                sessionId={groupSessionId}
+                interactions={sessionInteractions}
+                isCurrent={groupSessionId === sessionId}
+                onAction={handleInteractionAction}
+              />
+            ))}
+          </div>
         ) : (
           <div className="space-y-4">
             {interactions.map((interaction) => (
@@ -351,6 +427,18 @@ const LiveMonitor: React.FC = () => {
             ))}
           </div>
         )}
+
+        {hasMore && (
+          <div className="flex justify-center">
+            <button
+              onClick={loadMore}
+              disabled={isLoadingMore}
+              className="px-3 py-2 text-sm bg-white border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors"
+            >
+              {isLoadingMore ? 'Loading...' : 'Load older interactions'}
+            </button>
+          </div>
+        )}
       </div>
 
       {/* CopilotKit Sidebar */}
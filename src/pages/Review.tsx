@@ -0,0 +1,342 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { formatDistance } from 'date-fns';
+import {
+  ClipboardCheck,
+  Clock,
+  AlertTriangle,
+  ArrowUpCircle,
+  CheckCircle,
+  XCircle,
+  Hand,
+  RefreshCw,
+  KeyRound
+} from 'lucide-react';
+import { ReviewAction, ReviewItem, ReviewStatus } from '../types';
+import { fetchReviewer, fetchReviewQueue, submitReviewAction } from '../api/reviewQueue';
+import { useToast } from '../hooks/useToast';
+import { ToastContainer } from '../components/Toast';
+import EmptyState from '../components/EmptyState';
+
+// Kept for the browser session only, so the token is not left behind on a shared machine
+const ACCESS_TOKEN_STORAGE_KEY = 'ethoslens.reviewerToken';
+const DECIDED_STATUSES: ReviewStatus[] = ['approved', 'rejected'];
+
+const getReviewStatusColor = (status: ReviewStatus) => {
+  switch (status) {
+    case 'queued':
+      return 'bg-yellow-100 text-yellow-800';
+    case 'claimed':
+      return 'bg-blue-100 text-blue-800';
+    case 'escalated':
+      return 'bg-orange-100 text-orange-800';
+    case 'approved':
+      return 'bg-green-100 text-green-800';
+    case 'rejected':
+      return 'bg-red-100 text-red-800';
+  }
+};
+
+const Review: React.FC = () => {
+  const [reviews, setReviews] = useState<ReviewItem[]>([]);
+  const [view, setView] = useState<'open' | 'decided'>('open');
+  const [accessToken, setAccessToken] = useState(() => sessionStorage.getItem(ACCESS_TOKEN_STORAGE_KEY) || '');
+  // The token once the server has accepted it, with the reviewer it names
+  const [session, setSession] = useState<{ reviewer: string; accessToken: string } | null>(null);
+  const [reasons, setReasons] = useState<Record<string, string>>({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [now, setNow] = useState(() => new Date());
+  const toast = useToast();
+  const { error: showError } = toast;
+
+  const reviewer = session?.reviewer ?? '';
+
+  // The queue shows prompts and responses, so it is only fetched with an accepted reviewer token
+  const loadReviews = useCallback(async () => {
+    if (!session) {
+      setReviews([]);
+      setIsLoading(false);
+      return;
+    }
+    setIsLoading(true);
+    try {
+      setReviews(await fetchReviewQueue(session.accessToken, view === 'decided' ? DECIDED_STATUSES : undefined));
+    } catch (error) {
+      console.error('Error fetching review queue:', error);
+      showError('Review Queue Unavailable', error instanceof Error ? error.message : 'Unknown error');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [view, session, showError]);
+
+  useEffect(() => {
+    loadReviews();
+  }, [loadReviews]);
+
+  // Keeps the SLA countdowns current; the queue itself is only re-fetched on demand
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Resolves the token to the reviewer it names, which decides which claims are ours
+  useEffect(() => {
+    setSession(null);
+    const token = accessToken.trim();
+    if (!token) return;
+    let cancelled = false;
+    fetchReviewer(token)
+      .then(name => { if (!cancelled) setSession({ reviewer: name, accessToken: token }); })
+      .catch(() => { /* An unknown token leaves no reviewer; actions report why */ });
+    return () => { cancelled = true; };
+  }, [accessToken]);
+
+  const handleAccessTokenChange = (token: string) => {
+    setAccessToken(token);
+    sessionStorage.setItem(ACCESS_TOKEN_STORAGE_KEY, token);
+  };
+
+  const handleAction = async (review: ReviewItem, action: ReviewAction) => {
+    if (!accessToken.trim()) {
+      toast.warning('Access Token Required', 'Enter your reviewer access token before acting on a review');
+      return;
+    }
+
+    try {
+      const updated = await submitReviewAction(review.interactionId, action, accessToken.trim(), reasons[review.interactionId] || '');
+      setReviews(prev => prev
+        .map(existing => existing.interactionId === updated.interactionId ? updated : existing)
+        .filter(existing => view === 'open' ? !DECIDED_STATUSES.includes(existing.status) : true));
+      setReasons(prev => ({ ...prev, [review.interactionId]: '' }));
+      toast.success('Review Updated', `Interaction #${review.interactionId.slice(-8)} is now ${updated.status}`);
+    } catch (error) {
+      toast.error('Review Action Failed', error instanceof Error ? error.message : 'Unknown error');
+    }
+  };
+
+  const describeSla = (review: ReviewItem) => {
+    if (review.decidedAt) {
+      return `Decided ${formatDistance(review.decidedAt, now, { addSuffix: true })}`;
+    }
+    const distance = formatDistance(review.dueAt, now);
+    return review.dueAt < now ? `Overdue by ${distance}` : `Due in ${distance}`;
+  };
+
+  const stats = {
+    queued: reviews.filter(r => r.status === 'queued').length,
+    claimed: reviews.filter(r => r.status === 'claimed').length,
+    escalated: reviews.filter(r => r.status === 'escalated').length,
+    overdue: reviews.filter(r => !r.decidedAt && r.dueAt < now).length
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className="p-6 space-y-6"
+    >
+      <ToastContainer toasts={toast.toasts} onRemove={toast.removeToast} />
+
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900">Review Queue</h1>
+        <div className="flex items-center space-x-4">
+          <div className="relative">
+            <KeyRound className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+            <input
+              type="password"
+              placeholder="Reviewer access token"
+              title={reviewer ? `Acting as ${reviewer}` : undefined}
+              value={accessToken}
+              onChange={(e) => handleAccessTokenChange(e.target.value)}
+              className="pl-10 pr-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <select
+            value={view}
+            onChange={(e) => setView(e.target.value as 'open' | 'decided')}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="open">Open reviews</option>
+            <option value="decided">Decided reviews</option>
+          </select>
+          <button
+            onClick={loadReviews}
+            className="flex items-center space-x-2 px-3 py-2 text-sm bg-white border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors"
+            title="Refresh review queue"
+          >
+            <RefreshCw className="h-4 w-4" />
+            <span>Refresh</span>
+          </button>
+        </div>
+      </div>
+
+      {/* Statistics Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        {[
+          { label: 'Queued', value: stats.queued, icon: ClipboardCheck, color: 'text-yellow-600' },
+          { label: 'Claimed', value: stats.claimed, icon: Hand, color: 'text-blue-600' },
+          { label: 'Escalated', value: stats.escalated, icon: ArrowUpCircle, color: 'text-orange-600' },
+          { label: 'Past SLA', value: stats.overdue, icon: Clock, color: 'text-red-600' }
+        ].map((stat, index) => (
+          <motion.div
+            key={stat.label}
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: index * 0.1 }}
+            className="bg-white rounded-lg shadow-sm border border-gray-200 p-4"
+          >
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm text-gray-600">{stat.label}</p>
+                <p className={`text-2xl font-semibold ${stat.color}`}>{stat.value}</p>
+              </div>
+              <stat.icon className="h-8 w-8 text-gray-400" />
+            </div>
+          </motion.div>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+        {isLoading ? (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+            <p className="mt-2 text-gray-600">Loading review queue...</p>
+          </div>
+        ) : !session ? (
+          <EmptyState
+            icon={KeyRound}
+            title="Reviewer access token required"
+            description="Enter a token from REVIEWER_ACCESS_TOKENS to see the interactions held for review."
+          />
+        ) : reviews.length === 0 ? (
+          <EmptyState
+            icon={ClipboardCheck}
+            title={view === 'open' ? 'Nothing to review' : 'No decisions yet'}
+            description="Interactions held as pending by governance appear here until a reviewer approves or rejects them."
+          />
+        ) : (
+          <div className="space-y-4">
+            {reviews.map((review, index) => {
+              const isOpen = !DECIDED_STATUSES.includes(review.status);
+              const claimedByMe = review.status === 'claimed' && review.claimedBy === reviewer;
+              const isOverdue = isOpen && review.dueAt < now;
+
+              return (
+                <motion.div
+                  key={review.interactionId}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ delay: index * 0.05 }}
+                  className={`border rounded-lg p-4 ${isOverdue ? 'border-red-300 bg-red-50/40' : 'border-gray-200'}`}
+                >
+                  <div className="flex items-start justify-between mb-3">
+                    <div className="flex items-center space-x-2">
+                      <span className="text-sm font-medium text-gray-900">#{review.interactionId.slice(-8)}</span>
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${getReviewStatusColor(review.status)}`}>
+                        {review.status}
+                      </span>
+                      <span className="text-xs text-gray-500">severity: {review.severity}</span>
+                      {review.claimedBy && (
+                        <span className="text-xs text-gray-500">claimed by {review.claimedBy}</span>
+                      )}
+                    </div>
+                    <span className={`flex items-center space-x-1 text-xs ${isOverdue ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                      {isOverdue ? <AlertTriangle className="h-3 w-3" /> : <Clock className="h-3 w-3" />}
+                      <span>{describeSla(review)}</span>
+                    </span>
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+                    <div>
+                      <p className="text-xs font-medium text-gray-500 mb-1">Input</p>
+                      <p className="text-sm text-gray-800 bg-gray-50 rounded p-2 border line-clamp-4">{review.input}</p>
+                    </div>
+                    <div>
+                      <p className="text-xs font-medium text-gray-500 mb-1">Output</p>
+                      <p className="text-sm text-gray-800 bg-gray-50 rounded p-2 border line-clamp-4">{review.output}</p>
+                    </div>
+                  </div>
+
+                  <div className="flex flex-wrap gap-2 mb-3">
+                    {review.violations.map((violation, i) => (
+                      <span key={i} className="text-xs px-2 py-0.5 bg-yellow-50 text-yellow-800 border border-yellow-200 rounded-full">
+                        {violation.type.replace(/_/g, ' ')} · {violation.severity}/10 · {violation.description}
+                      </span>
+                    ))}
+                  </div>
+
+                  {review.history.length > 0 && (
+                    <ul className="text-xs text-gray-500 mb-3 space-y-0.5">
+                      {review.history.map((event, i) => (
+                        <li key={i}>
+                          {formatDistance(event.timestamp, now, { addSuffix: true })}: {event.action} by {event.reviewer}
+                          {event.reason && ` — ${event.reason}`}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  {isOpen && (
+                    <div className="flex items-center space-x-2">
+                      <input
+                        type="text"
+                        placeholder="Reason (required to approve, reject or escalate)"
+                        value={reasons[review.interactionId] || ''}
+                        onChange={(e) => setReasons(prev => ({ ...prev, [review.interactionId]: e.target.value }))}
+                        className="flex-1 px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                      {(review.status === 'queued' || review.status === 'escalated') && (
+                        <button
+                          onClick={() => handleAction(review, 'claim')}
+                          className="flex items-center space-x-1 px-3 py-1.5 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                        >
+                          <Hand className="h-4 w-4" />
+                          <span>Claim</span>
+                        </button>
+                      )}
+                      {claimedByMe && (
+                        <>
+                          <button
+                            onClick={() => handleAction(review, 'approve')}
+                            className="flex items-center space-x-1 px-3 py-1.5 text-sm bg-green-600 text-white rounded-md hover:bg-green-700"
+                          >
+                            <CheckCircle className="h-4 w-4" />
+                            <span>Approve</span>
+                          </button>
+                          <button
+                            onClick={() => handleAction(review, 'reject')}
+                            className="flex items-center space-x-1 px-3 py-1.5 text-sm bg-red-600 text-white rounded-md hover:bg-red-700"
+                          >
+                            <XCircle className="h-4 w-4" />
+                            <span>Reject</span>
+                          </button>
+                        </>
+                      )}
+                      {review.status !== 'escalated' && (
+                        <button
+                          onClick={() => handleAction(review, 'escalate')}
+                          className="flex items-center space-x-1 px-3 py-1.5 text-sm bg-white border border-orange-300 text-orange-700 rounded-md hover:bg-orange-50"
+                        >
+                          <ArrowUpCircle className="h-4 w-4" />
+                          <span>Escalate</span>
+                        </button>
+                      )}
+                    </div>
+                  )}
+
+                  {!isOpen && review.reason && (
+                    <p className="text-sm text-gray-700">
+                      <span className="font-medium">{review.decidedBy}:</span> {review.reason}
+                    </p>
+                  )}
+                </motion.div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+export default Review;
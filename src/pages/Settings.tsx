@@ -1,35 +1,79 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
-import { Save, RotateCcw, Shield, Activity, FileText, MessageSquare, CheckCircle } from 'lucide-react';
+import { Save, RotateCcw, Shield, Activity, FileText, MessageSquare, CheckCircle, EyeOff, History, Undo2, KeyRound } from 'lucide-react';
 import { apiService } from '../api/apiService';
-import { AgentSettings } from '../types';
-import PerplexityStatus from '../components/PerplexityStatus';
+import { fetchSettingsAuthor } from '../api/settings';
+import { AgentSettings, RemediationMode, SettingsScopes, SettingsVersion, Violation } from '../types';
+import { GLOBAL_SETTINGS_SCOPE, createDefaultSettings, isSettingsScope } from '../governance';
+import FactCheckStatus from '../components/FactCheckStatus';
 import Neo4jStatus from '../components/Neo4jStatus';
 import OpenAIStatus from '../components/OpenAIStatus';
 import { useToast } from '../hooks/useToast';
 
+type ScopeKind = 'global' | 'tenant' | 'app';
+
+// Kept for the browser session only, so the token is not left behind on a shared machine
+const ACCESS_TOKEN_STORAGE_KEY = 'ethoslens.settingsToken';
+
+const formatSettingValue = (value: unknown) => (value === undefined ? 'inherited' : String(value));
+
 const Settings: React.FC = () => {
-  const [settings, setSettings] = useState<AgentSettings>({
-    policyEnforcer: { enabled: true },
-    verifier: { enabled: true },
-    auditLogger: { enabled: true },
-    responseAgent: { enabled: true },
-    feedbackAgent: { enabled: true },
-    severityThreshold: 7.0
-  });
+  const [settings, setSettings] = useState<AgentSettings>(createDefaultSettings());
   const [isLoading, setIsLoading] = useState(false);
   const [isSaved, setIsSaved] = useState(false);
+  // Which scope is being edited; tenants and application keys only store what differs from global
+  const [scopeKind, setScopeKind] = useState<ScopeKind>('global');
+  const [scopeId, setScopeId] = useState('');
+  // Changes are authored by whoever the SETTINGS_ACCESS_TOKENS token names on the server
+  const [accessToken, setAccessToken] = useState(() => sessionStorage.getItem(ACCESS_TOKEN_STORAGE_KEY) || '');
+  const [author, setAuthor] = useState('');
+  const [comment, setComment] = useState('');
+  const [history, setHistory] = useState<SettingsVersion[]>([]);
   const toast = useToast();
+  const showError = toast.error;
 
-  useEffect(() => {
-    const fetchSettings = async () => {
-      const currentSettings = await apiService.getSettings();
+  const scope = scopeKind === 'global' ? GLOBAL_SETTINGS_SCOPE : `${scopeKind}:${scopeId.trim()}`;
+  const scopeValid = isSettingsScope(scope);
+
+  const fetchSettings = useCallback(async () => {
+    if (!scopeValid) return;
+    const scopes: SettingsScopes = scopeKind === 'tenant'
+      ? { tenant: scopeId.trim() }
+      : scopeKind === 'app' ? { appKey: scopeId.trim() } : {};
+    try {
+      const [currentSettings, versions] = await Promise.all([
+        apiService.getSettings(scopes),
+        apiService.getSettingsHistory(scope)
+      ]);
       setSettings(currentSettings);
-    };
+      setHistory(versions);
+    } catch (error) {
+      console.error('Failed to load settings:', error);
+      showError('Load Failed', 'Unable to load settings for this scope');
+    }
+  }, [scope, scopeKind, scopeId, scopeValid, showError]);
+
+  useEffect(() => {
     fetchSettings();
-  }, []);
+  }, [fetchSettings]);
+
+  // Resolves the token to the author it names, shown next to the token
+  useEffect(() => {
+    setAuthor('');
+    if (!accessToken.trim()) return;
+    let cancelled = false;
+    fetchSettingsAuthor(accessToken.trim())
+      .then(name => { if (!cancelled) setAuthor(name); })
+      .catch(() => { /* An unknown token leaves no author; saving reports why */ });
+    return () => { cancelled = true; };
+  }, [accessToken]);
 
-  const handleToggleAgent = (agentKey: keyof Omit<AgentSettings, 'severityThreshold'>) => {
+  const handleAccessTokenChange = (token: string) => {
+    setAccessToken(token);
+    sessionStorage.setItem(ACCESS_TOKEN_STORAGE_KEY, token);
+  };
+
+  const handleToggleAgent = (agentKey: keyof Omit<AgentSettings, 'severityThreshold' | 'remediation'>) => {
     setSettings(prev => ({
       ...prev,
       [agentKey]: { enabled: !prev[agentKey].enabled }
@@ -43,34 +87,72 @@ const Settings: React.FC = () => {
     }));
   };
 
+  const handleRemediationChange = (type: Violation['type'], mode: RemediationMode) => {
+    setSettings(prev => ({
+      ...prev,
+      remediation: { ...prev.remediation, [type]: mode }
+    }));
+  };
+
   const handleSave = async () => {
+    if (!scopeValid) {
+      toast.error('Invalid Scope', 'Enter a tenant id or application key (letters, digits, . _ -)');
+      return;
+    }
+    if (!accessToken.trim()) {
+      toast.error('Access Token Required', 'Enter your settings access token so the change can be traced');
+      return;
+    }
     setIsLoading(true);
     try {
-      await apiService.updateSettings(settings);
+      const saved = await apiService.updateSettings(settings, { scope, comment: comment.trim() || undefined }, accessToken.trim());
       setIsSaved(true);
-      toast.success('Settings Saved', 'Agent configuration updated successfully');
+      setComment('');
+      toast.success('Settings Saved', `Saved ${scope} settings as version ${saved.version}`);
       setTimeout(() => setIsSaved(false), 2000);
+      await fetchSettings();
     } catch (error) {
       console.error('Failed to save settings:', error);
-      toast.error('Save Failed', 'Unable to save settings');
+      toast.error('Save Failed', error instanceof Error ? error.message : 'Unable to save settings');
     } finally {
       setIsLoading(false);
     }
   };
 
   const handleReset = async () => {
-    const defaultSettings: AgentSettings = {
-      policyEnforcer: { enabled: true },
-      verifier: { enabled: true },
-      auditLogger: { enabled: true },
-      responseAgent: { enabled: true },
-      feedbackAgent: { enabled: true },
-      severityThreshold: 7.0
-    };
-    setSettings(defaultSettings);
+    setSettings(createDefaultSettings());
     toast.info('Settings Reset', 'All settings restored to defaults');
   };
 
+  const handleRollback = async (version: number) => {
+    if (!accessToken.trim()) {
+      toast.error('Access Token Required', 'Enter your settings access token so the rollback can be traced');
+      return;
+    }
+    try {
+      const saved = await apiService.rollbackSettings(scope, version, accessToken.trim());
+      toast.success('Settings Rolled Back', `Version ${version} restored as version ${saved.version}`);
+      await fetchSettings();
+    } catch (error) {
+      console.error('Failed to roll back settings:', error);
+      toast.error('Rollback Failed', error instanceof Error ? error.message : 'Unable to restore that version');
+    }
+  };
+
+  // Violation types raised by personal data, which redaction can mask instead of blocking
+  const remediationConfigs: { type: Violation['type']; name: string; description: string }[] = [
+    {
+      type: 'gdpr',
+      name: 'GDPR Personal Data',
+      description: 'Emails, IBANs, national IDs, card numbers, SSNs, phone numbers and IP/MAC addresses found by the GDPR rules'
+    },
+    {
+      type: 'pii',
+      name: 'PII',
+      description: 'Personal data reported by PII detectors'
+    }
+  ];
+
   const agentConfigs = [
     {
       key: 'policyEnforcer' as const,
@@ -82,7 +164,7 @@ const Settings: React.FC = () => {
     {
       key: 'verifier' as const,
       name: 'Verifier Agent',
-      description: 'Uses Perplexity API to verify high-risk content for misinformation',
+      description: 'Fact-checks the claims in high-risk responses with the configured provider',
       icon: CheckCircle,
       color: 'text-green-600'
     },
@@ -96,7 +178,7 @@ const Settings: React.FC = () => {
     {
       key: 'responseAgent' as const,
       name: 'Response Agent',
-      description: 'Provides safety recommendations for flagged content',
+      description: 'Redacts personal data and provides safety recommendations for flagged content',
       icon: MessageSquare,
       color: 'text-orange-600'
     },
@@ -150,12 +232,71 @@ const Settings: React.FC = () => {
         </div>
       </div>
 
+      {/* Scope and change details */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Scope</label>
+            <select
+              value={scopeKind}
+              onChange={(e) => setScopeKind(e.target.value as ScopeKind)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="global">Global</option>
+              <option value="tenant">Tenant</option>
+              <option value="app">Application key</option>
+            </select>
+          </div>
+          {scopeKind !== 'global' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {scopeKind === 'tenant' ? 'Tenant id' : 'Application key'}
+              </label>
+              <input
+                value={scopeId}
+                onChange={(e) => setScopeId(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {author ? `Access token (saving as ${author})` : 'Access token'}
+            </label>
+            <div className="relative">
+              <KeyRound className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <input
+                type="password"
+                value={accessToken}
+                onChange={(e) => handleAccessTokenChange(e.target.value)}
+                placeholder="Settings access token"
+                className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+          </div>
+          <div className={scopeKind === 'global' ? 'md:col-span-2' : ''}>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Change note</label>
+            <input
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              placeholder="Optional"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+        </div>
+        {scopeKind !== 'global' && (
+          <p className="text-sm text-gray-600 mt-3">
+            Only settings that differ from global are stored for this {scopeKind === 'tenant' ? 'tenant' : 'application key'}; the rest follow global.
+          </p>
+        )}
+      </div>
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* API Status */}
         <div className="lg:col-span-2 space-y-4">
           <OpenAIStatus />
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
-            <PerplexityStatus />
+            <FactCheckStatus />
             <Neo4jStatus />
           </div>
         </div>
@@ -257,16 +398,14 @@ const Settings: React.FC = () => {
             <div className="space-y-1 text-sm">
               <p className="text-blue-800">
                 <span className="font-medium">Active Agents:</span>{' '}
-                {Object.entries(settings).filter(([key, value]) => 
-                  key !== 'severityThreshold' && value.enabled
-                ).length} of 5
+                {agentConfigs.filter(agent => settings[agent.key].enabled).length} of 5
               </p>
               <p className="text-blue-800">
                 <span className="font-medium">Block Threshold:</span> {settings.severityThreshold.toFixed(1)}/10
               </p>
               <p className="text-blue-800">
                 <span className="font-medium">Status:</span>{' '}
-                {Object.entries(settings).filter(([key]) => key !== 'severityThreshold').every(([, value]) => value.enabled)
+                {agentConfigs.every(agent => settings[agent.key].enabled)
                   ? 'Full Protection' 
                   : 'Partial Protection'}
               </p>
@@ -275,6 +414,84 @@ const Settings: React.FC = () => {
         </div>
       </div>
 
+      {/* Remediation */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+        <div className="flex items-center space-x-2 mb-4">
+          <EyeOff className="h-5 w-5 text-sky-600" />
+          <h2 className="text-lg font-semibold text-gray-900">Remediation</h2>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          Redact masks personal data with placeholders such as [EMAIL_1] in the stored record and the returned
+          response, and allows the interaction as redacted. Requires the Response Agent.
+        </p>
+        <div className="space-y-3">
+          {remediationConfigs.map(config => (
+            <div key={config.type} className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
+              <div>
+                <h3 className="font-medium text-gray-900">{config.name}</h3>
+                <p className="text-sm text-gray-600 mt-1">{config.description}</p>
+              </div>
+              <select
+                value={settings.remediation?.[config.type] ?? 'block'}
+                onChange={(e) => handleRemediationChange(config.type, e.target.value as RemediationMode)}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="block">Block</option>
+                <option value="redact">Redact</option>
+              </select>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Version history */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+        <div className="flex items-center space-x-2 mb-4">
+          <History className="h-5 w-5 text-gray-700" />
+          <h2 className="text-lg font-semibold text-gray-900">History ({scope})</h2>
+        </div>
+        {history.length === 0 ? (
+          <p className="text-sm text-gray-600">No saved versions yet; {scope === GLOBAL_SETTINGS_SCOPE ? 'the defaults apply' : 'global settings apply'}.</p>
+        ) : (
+          <div className="space-y-3">
+            {history.map((entry, index) => {
+              const changes = entry.changes ?? [];
+              return (
+                <div key={entry.version} className="p-4 bg-gray-50 rounded-lg">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <span className="font-medium text-gray-900">Version {entry.version}</span>
+                      <span className="text-sm text-gray-600">
+                        {' '}by {entry.author} · {new Date(entry.createdAt).toLocaleString()}
+                      </span>
+                      {entry.comment && <p className="text-sm text-gray-600 mt-1">{entry.comment}</p>}
+                    </div>
+                    {index > 0 && (
+                      <button
+                        onClick={() => handleRollback(entry.version)}
+                        className="flex items-center space-x-1 px-3 py-1 text-sm bg-white border border-gray-300 rounded-md hover:bg-gray-100"
+                      >
+                        <Undo2 className="h-4 w-4" />
+                        <span>Roll back</span>
+                      </button>
+                    )}
+                  </div>
+                  {changes.length > 0 && (
+                    <ul className="mt-2 text-xs text-gray-700 space-y-0.5">
+                      {changes.map(change => (
+                        <li key={change.path} className="font-mono">
+                          {change.path}: {formatSettingValue(change.before)} → {formatSettingValue(change.after)}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
       {/* Agent Status Overview */}
       <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
         <h2 className="text-lg font-semibold text-gray-900 mb-4">System Status</h2>
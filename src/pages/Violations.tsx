@@ -5,10 +5,10 @@ import {
   Filter, 
   AlertTriangle, 
   Shield, 
+  ShieldAlert,
   AlertCircle, 
   XCircle,
   Calendar,
-  Download,
   Eye,
   Clock
 } from 'lucide-react';
@@ -16,6 +16,10 @@ import { Violation } from '../types';
 import { format } from 'date-fns';
 import EmptyState from '../components/EmptyState';
 import ViolationChart from '../components/ViolationChart';
+import ComplianceReportMenu from '../components/ComplianceReportMenu';
+import { InteractionSort, InteractionStats, fetchInteractionStats } from '../api/interactions';
+import { useInteractions } from '../hooks/useInteractions';
+import { useDebouncedValue } from '../hooks/useDebouncedValue';
 
 interface ViolationWithContext extends Violation {
   interactionId: string;
@@ -25,92 +29,65 @@ interface ViolationWithContext extends Violation {
   status: string;
 }
 
+// Scores from the lower bound up to (not including) the next band's
+const SEVERITY_BANDS: Record<string, { min: number; max?: number }> = {
+  low: { min: 0, max: 3 },
+  medium: { min: 3, max: 6 },
+  high: { min: 6, max: 8 },
+  critical: { min: 8 }
+};
+
+const SORTS: Record<string, { sort: InteractionSort; order: 'desc' | 'asc' }> = {
+  newest: { sort: 'timestamp', order: 'desc' },
+  oldest: { sort: 'timestamp', order: 'asc' },
+  severity: { sort: 'severity', order: 'desc' },
+  violations: { sort: 'violations', order: 'desc' }
+};
+
 const Violations: React.FC = () => {
-  const [violations, setViolations] = useState<ViolationWithContext[]>([]);
-  const [filteredViolations, setFilteredViolations] = useState<ViolationWithContext[]>([]);
   const [searchTerm, setSearchTerm] = useState('');
   const [typeFilter, setTypeFilter] = useState('all');
   const [severityFilter, setSeverityFilter] = useState('all');
   const [frameworkFilter, setFrameworkFilter] = useState('all');
+  const [sortOption, setSortOption] = useState('newest');
   const [selectedViolation, setSelectedViolation] = useState<ViolationWithContext | null>(null);
-  const [isLoading, setIsLoading] = useState(true);
-
+  const [violationStats, setViolationStats] = useState<InteractionStats | null>(null);
+  const search = useDebouncedValue(searchTerm);
+  const band = severityFilter === 'all' ? undefined : SEVERITY_BANDS[severityFilter];
+
+  // The server picks the interactions with a matching violation, a page at a time
+  const { interactions, total, hasMore, hasLoaded, isLoadingMore, loadMore } = useInteractions({
+    q: search,
+    violationType: typeFilter === 'all' ? undefined : [typeFilter],
+    framework: frameworkFilter === 'all' ? undefined : frameworkFilter,
+    minViolationSeverity: band?.min,
+    maxViolationSeverity: band?.max,
+    ...SORTS[sortOption]
+  });
+
+  // Totals, the chart and the filter options cover every stored violation
   useEffect(() => {
-    const fetchViolations = async () => {
-      setIsLoading(true);
-      try {
-        // Fetch interactions from new backend
-        const response = await fetch('http://localhost:4000/api/interactions');
-        if (response.ok) {
-          const interactions = await response.json();
-          const allViolations: ViolationWithContext[] = [];
-
-          interactions.forEach((interaction: any) => {
-            interaction.violations?.forEach((violation: any) => {
-              allViolations.push({
-                ...violation,
-                interactionId: interaction.id,
-                timestamp: new Date(interaction.timestamp),
-                input: interaction.input,
-                output: interaction.output,
-                status: interaction.status
-              });
-            });
-          });
-
-          // Sort by timestamp (newest first)
-          allViolations.sort((a, b) => b.timestamp.getTime() - a.timestamp.getTime());
-          
-          setViolations(allViolations);
-          setFilteredViolations(allViolations);
-        }
-      } catch (error) {
-        console.error('Error fetching violations:', error);
-      } finally {
-        setIsLoading(false);
-      }
-    };
-
-    fetchViolations();
-    // Auto-refresh removed - data updates only on manual page refresh
+    fetchInteractionStats()
+      .then(setViolationStats)
+      .catch(error => console.error('Error fetching violation stats:', error));
   }, []);
 
-  useEffect(() => {
-    let filtered = [...violations];
-
-    if (searchTerm) {
-      filtered = filtered.filter(violation => 
-        violation.description.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        violation.reason.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        violation.input.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        violation.output.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        violation.interactionId.toLowerCase().includes(searchTerm.toLowerCase())
-      );
-    }
-
-    if (typeFilter !== 'all') {
-      filtered = filtered.filter(violation => violation.type === typeFilter);
-    }
-
-    if (severityFilter !== 'all') {
-      const severityRanges = {
-        low: [0, 3],
-        medium: [3, 6],
-        high: [6, 8],
-        critical: [8, 10]
-      };
-      const [min, max] = severityRanges[severityFilter as keyof typeof severityRanges];
-      filtered = filtered.filter(violation => violation.severity >= min && violation.severity < max);
-    }
-
-    if (frameworkFilter !== 'all') {
-      filtered = filtered.filter(violation => 
-        violation.regulatoryFramework?.toLowerCase().includes(frameworkFilter.toLowerCase())
-      );
-    }
-
-    setFilteredViolations(filtered);
-  }, [violations, searchTerm, typeFilter, severityFilter, frameworkFilter]);
+  // Of each interaction, only the violations that match the filters themselves
+  const matchesFilters = (violation: Violation) =>
+    (typeFilter === 'all' || violation.type === typeFilter) &&
+    (frameworkFilter === 'all' || Boolean(violation.regulatoryFramework?.toLowerCase().includes(frameworkFilter.toLowerCase()))) &&
+    (!band || (violation.severity >= band.min && (band.max === undefined || violation.severity < band.max)));
+
+  const filteredViolations: ViolationWithContext[] = interactions.flatMap(interaction =>
+    interaction.violations.filter(matchesFilters).map(violation => ({
+      ...violation,
+      interactionId: interaction.id,
+      timestamp: interaction.timestamp,
+      input: interaction.input,
+      output: interaction.output,
+      status: interaction.status
+    }))
+  );
 
   const getViolationTypeColor = (type: string) => {
     const colors = {
@@ -126,7 +103,8 @@ const Violations: React.FC = () => {
       bias: 'bg-violet-100 text-violet-800 border-violet-200',
       hallucination: 'bg-yellow-100 text-yellow-800 border-yellow-200',
       hate_speech: 'bg-red-200 text-red-900 border-red-300',
-      compliance: 'bg-slate-100 text-slate-800 border-slate-200'
+      compliance: 'bg-slate-100 text-slate-800 border-slate-200',
+      prompt_injection: 'bg-fuchsia-100 text-fuchsia-800 border-fuchsia-200'
     };
     return colors[type as keyof typeof colors] || 'bg-gray-100 text-gray-800 border-gray-200';
   };
@@ -168,34 +146,36 @@ const Violations: React.FC = () => {
       case 'hate_speech':
       case 'compliance':
         return <XCircle className="h-4 w-4" />;
+      case 'prompt_injection':
+        return <ShieldAlert className="h-4 w-4" />;
       default:
         return <AlertTriangle className="h-4 w-4" />;
     }
   };
 
-  const uniqueTypes = [...new Set(violations.map(v => v.type))];
-  const uniqueFrameworks = [...new Set(violations.map(v => v.regulatoryFramework).filter(Boolean))];
+  const violationsByType = violationStats?.violationsByType ?? {};
+  const uniqueTypes = Object.keys(violationsByType).sort();
+  const uniqueFrameworks = Object.keys(violationStats?.violationsByFramework ?? {}).sort();
+
+  // Violations per whole score, summed into the same bands as the severity filter
+  const countScores = (min: number, max = 11) => Object.entries(violationStats?.violationsBySeverity ?? {})
+    .filter(([score]) => Number(score) >= min && Number(score) < max)
+    .reduce((sum, [, count]) => sum + count, 0);
 
-  // Calculate statistics
   const stats = {
-    total: violations.length,
-    critical: violations.filter(v => v.severity >= 8).length,
-    high: violations.filter(v => v.severity >= 6 && v.severity < 8).length,
-    medium: violations.filter(v => v.severity >= 3 && v.severity < 6).length,
-    low: violations.filter(v => v.severity < 3).length
+    total: Object.values(violationsByType).reduce((sum, count) => sum + count, 0),
+    critical: countScores(SEVERITY_BANDS.critical.min),
+    high: countScores(SEVERITY_BANDS.high.min, SEVERITY_BANDS.high.max),
+    medium: countScores(SEVERITY_BANDS.medium.min, SEVERITY_BANDS.medium.max),
+    low: countScores(SEVERITY_BANDS.low.min, SEVERITY_BANDS.low.max)
   };
 
-  const violationCounts = violations.reduce((counts, violation) => {
-    counts[violation.type] = (counts[violation.type] || 0) + 1;
-    return counts;
-  }, {} as Record<string, number>);
-
-  const topViolations = Object.entries(violationCounts)
+  const topViolations = Object.entries(violationsByType)
     .map(([type, count]) => ({ type, count }))
     .sort((a, b) => b.count - a.count)
     .slice(0, 5);
 
-  if (isLoading) {
+  if (!hasLoaded) {
     return (
       <div className="p-6 flex items-center justify-center">
         <div className="text-center">
@@ -217,16 +197,9 @@ const Violations: React.FC = () => {
         <div className="flex items-center space-x-4">
           <div className="flex items-center space-x-2">
             <div className="w-2 h-2 bg-red-400 rounded-full animate-pulse"></div>
-            <span className="text-sm text-gray-600">{violations.length} total violations</span>
+            <span className="text-sm text-gray-600">{stats.total} total violations</span>
           </div>
-          <motion.button
-            whileHover={{ scale: 1.05 }}
-            whileTap={{ scale: 0.95 }}
-            className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
-          >
-            <Download className="h-4 w-4" />
-            <span>Export Report</span>
-          </motion.button>
+          <ComplianceReportMenu />
         </div>
       </div>
 
@@ -322,7 +295,7 @@ const Violations: React.FC = () => {
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
             <input
               type="text"
-              placeholder="Search violations..."
+              placeholder="Search prompts and responses..."
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
               className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
@@ -365,9 +338,23 @@ const Violations: React.FC = () => {
                 </option>
               ))}
             </select>
+            <select
+              value={sortOption}
+              onChange={(e) => setSortOption(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="newest">Newest first</option>
+              <option value="oldest">Oldest first</option>
+              <option value="severity">Most severe first</option>
+              <option value="violations">Most violations first</option>
+            </select>
           </div>
         </div>
 
+        <p className="text-sm text-gray-600 mb-4">
+          Violations from {interactions.length} of {total} matching interaction{total === 1 ? '' : 's'}
+        </p>
+
         {/* Violations List */}
         {filteredViolations.length === 0 ? (
           <EmptyState
@@ -439,6 +426,18 @@ const Violations: React.FC = () => {
             ))}
           </div>
         )}
+
+        {hasMore && (
+          <div className="flex justify-center mt-6">
+            <button
+              onClick={loadMore}
+              disabled={isLoadingMore}
+              className="px-4 py-2 text-sm font-medium text-blue-600 border border-blue-200 rounded-md hover:bg-blue-50 disabled:opacity-50 transition-colors"
+            >
+              {isLoadingMore ? 'Loading...' : 'Load more violations'}
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Violation Detail Modal */}
@@ -565,6 +564,7 @@ const Violations: React.FC = () => {
                       <span className={`px-3 py-1 rounded-full text-sm font-medium ${
                         selectedViolation.status === 'blocked' ? 'bg-red-100 text-red-800' :
                         selectedViolation.status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
+                        selectedViolation.status === 'redacted' ? 'bg-sky-100 text-sky-800' :
                         'bg-green-100 text-green-800'
                       }`}>
                         {selectedViolation.status.toUpperCase()}
@@ -0,0 +1,3 @@
+// Retention, pseudonymisation and erasure for the Node server (JS runtime for Node server)
+export { RETENTION_ACTIONS, RETAINABLE_STATUSES, parseRetentionPolicy, retentionFilters } from './retention.js';
+export { ERASED_PLACEHOLDER, pseudonymiseText, pseudonymiseInteraction } from './pseudonymise.js';
@@ -0,0 +1,78 @@
+// Pseudonymisation and anonymisation of stored interactions (JS runtime for Node server)
+import { createHmac } from 'node:crypto';
+import { detectPii, remapClaims } from '../governance/index.js';
+
+// What an erased identifier is replaced with
+export const ERASED_PLACEHOLDER = '[ERASED]';
+
+// Hex characters of the keyed hash kept in a pseudonym
+const PSEUDONYM_LENGTH = 12;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// [EMAIL_3f9a1c2b7d0e] with a key, the same for the same value everywhere; [EMAIL] without one
+function pseudonym(match, key) {
+  const label = match.type.toUpperCase();
+  if (!key) return `[${label}]`;
+  const digest = createHmac('sha256', key).update(`${match.type}:${match.value.toLowerCase()}`).digest('hex');
+  return `[${label}_${digest.slice(0, PSEUDONYM_LENGTH)}]`;
+}
+
+/**
+ * Replace the personal data the PII detectors find, as Redactor does, but with a
+ * keyed hash of each value: records about one person stay linkable, and nobody
+ * without the key can recover the value. Without a key every value becomes its
+ * label alone, which cannot be linked at all. The `erase` terms (e.g. the subject
+ * of an erasure request) are replaced first, in any case.
+ */
+export function pseudonymiseText(text, { key = null, erase = [] } = {}) {
+  if (text == null) return text;
+  const scrubbed = erase.reduce(
+    (current, term) => current.replace(new RegExp(escapeRegExp(term), 'gi'), ERASED_PLACEHOLDER),
+    String(text)
+  );
+  return detectPii(scrubbed).reduceRight(
+    (masked, match) => `${masked.slice(0, match.start)}${pseudonym(match, key)}${masked.slice(match.end)}`,
+    scrubbed
+  );
+}
+
+// Every string in a verdict or ensemble object, which quote findings and the agents' reasoning
+function pseudonymiseValue(value, options) {
+  if (typeof value === 'string') return pseudonymiseText(value, options);
+  if (Array.isArray(value)) return value.map(item => pseudonymiseValue(item, options));
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, pseudonymiseValue(item, options)]));
+  }
+  return value;
+}
+
+/**
+ * A stored interaction with its free text pseudonymised: prompt, response, violation
+ * findings, agent action details and the verdicts kept with it. A session whose id
+ * is erased is left. Ids, statuses, scores and the review decision are kept as they
+ * are, so reports and the audit trail still add up.
+ */
+export function pseudonymiseInteraction(interaction, options = {}) {
+  const scrub = (text) => pseudonymiseText(text, options);
+  const erased = (options.erase ?? []).map(term => term.toLowerCase());
+  return {
+    ...interaction,
+    input: scrub(interaction.input),
+    output: scrub(interaction.output),
+    violations: interaction.violations.map(violation => ({
+      ...violation,
+      description: scrub(violation.description),
+      reason: scrub(violation.reason)
+    })),
+    agentActions: interaction.agentActions.map(agentAction => ({ ...agentAction, details: scrub(agentAction.details) })),
+    inputVerdict: pseudonymiseValue(interaction.inputVerdict, options),
+    outputVerdict: pseudonymiseValue(interaction.outputVerdict, options),
+    ensemble: pseudonymiseValue(interaction.ensemble, options),
+    // Claims quote the response; their spans follow it into the pseudonymised text
+    claims: interaction.claims && remapClaims(interaction.claims, interaction.output, scrub)
+      .map(claim => ({ ...claim, summary: scrub(claim.summary), error: scrub(claim.error) })),
+    sessionId: erased.includes(interaction.sessionId?.toLowerCase()) ? undefined : interaction.sessionId,
+    pseudonymisedAt: new Date()
+  };
+}
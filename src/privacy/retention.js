@@ -0,0 +1,78 @@
+// Retention policies for stored interactions (JS runtime for Node server)
+import { INTERACTION_STATUSES } from '../storage/query.js';
+import { SEVERITY_RANK } from '../storage/records.js';
+
+export const RETENTION_ACTIONS = ['delete', 'pseudonymise'];
+
+// Interactions awaiting a reviewer's decision are never purged
+export const RETAINABLE_STATUSES = INTERACTION_STATUSES.filter(status => status !== 'pending');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function listOf(name, value, allowed, errors) {
+  if (value == null) return null;
+  if (!Array.isArray(value) || value.length === 0) {
+    errors.push(`${name} must be a non-empty list`);
+    return null;
+  }
+  const unknown = value.filter(item => !allowed.includes(item));
+  if (unknown.length > 0) errors.push(`${name} must be among ${allowed.join(', ')}, not ${unknown.join(', ')}`);
+  return value;
+}
+
+/**
+ * Rules from a policy such as
+ *
+ *   { "rules": [
+ *     { "name": "clean", "statuses": ["approved"], "afterDays": 30, "action": "delete" },
+ *     { "name": "flagged", "severities": ["high", "critical"], "afterDays": 365, "action": "pseudonymise" }
+ *   ] }
+ *
+ * (or the list of rules alone). Each rule applies on its own to the interactions of its
+ * statuses and severities (any when left out) older than afterDays, so a rule that
+ * pseudonymises after a month and one that deletes after a year can cover the same ones.
+ * Throws with every problem found.
+ */
+export function parseRetentionPolicy(policy) {
+  const rules = Array.isArray(policy) ? policy : policy?.rules;
+  if (!Array.isArray(rules)) throw new Error('A retention policy is a list of rules, or { rules: [...] }');
+
+  const errors = [];
+  const parsed = rules.map((rule, index) => {
+    const name = typeof rule?.name === 'string' && rule.name.trim() ? rule.name.trim() : `rule ${index + 1}`;
+    const ruleErrors = [];
+    if (typeof rule !== 'object' || rule === null) {
+      errors.push(`${name}: must be an object`);
+      return null;
+    }
+    const statuses = listOf('statuses', rule.statuses, INTERACTION_STATUSES, ruleErrors);
+    if (statuses?.includes('pending')) ruleErrors.push('pending interactions are awaiting review and cannot be purged');
+    const severities = listOf('severities', rule.severities, Object.keys(SEVERITY_RANK), ruleErrors);
+    if (!(typeof rule.afterDays === 'number' && Number.isFinite(rule.afterDays) && rule.afterDays > 0)) {
+      ruleErrors.push('afterDays must be a number of days above 0');
+    }
+    if (!RETENTION_ACTIONS.includes(rule.action)) ruleErrors.push(`action must be one of ${RETENTION_ACTIONS.join(', ')}`);
+    const unexpected = Object.keys(rule).filter(key => !['name', 'statuses', 'severities', 'afterDays', 'action'].includes(key));
+    if (unexpected.length > 0) ruleErrors.push(`unexpected ${unexpected.join(', ')}`);
+
+    errors.push(...ruleErrors.map(error => `${name}: ${error}`));
+    return { name, statuses: statuses ?? RETAINABLE_STATUSES, severities, afterDays: rule.afterDays, action: rule.action };
+  });
+
+  const names = parsed.filter(Boolean).map(rule => rule.name);
+  const repeated = names.filter((name, index) => names.indexOf(name) !== index);
+  if (repeated.length > 0) errors.push(`rule names must be unique: ${[...new Set(repeated)].join(', ')}`);
+  if (errors.length > 0) throw new Error(`Invalid retention policy: ${errors.join('; ')}`);
+  return parsed;
+}
+
+// Storage filters for the interactions a rule is due to purge at `now`
+export function retentionFilters(rule, now = new Date()) {
+  return {
+    until: new Date(now.getTime() - rule.afterDays * DAY_MS),
+    statuses: rule.statuses,
+    ...(rule.severities ? { severities: rule.severities } : {}),
+    // Pseudonymising is done once; a later delete rule still applies to what was pseudonymised
+    ...(rule.action === 'pseudonymise' ? { pseudonymised: false } : {})
+  };
+}
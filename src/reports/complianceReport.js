@@ -0,0 +1,226 @@
+// Per-framework compliance reports over stored interactions (JS runtime for Node server)
+
+/**
+ * Frameworks a report covers, in report order. A violation belongs to the first whose
+ * pattern matches its regulatoryFramework (the rest of the match is the article), or
+ * failing that whose violation types include its type.
+ */
+export const REPORT_FRAMEWORKS = [
+  { id: 'gdpr', name: 'GDPR', pattern: /^GDPR\b(.*)$/i, types: ['gdpr', 'pii'] },
+  { id: 'eu_ai_act', name: 'EU AI Act', pattern: /^EU AI Act\b(.*)$/i, types: ['eu_ai_act'] },
+  { id: 'fisma', name: 'FISMA', pattern: /^FISMA\b(.*)$/i, types: ['fisma'] },
+  { id: 'dsa', name: 'Digital Services Act', pattern: /^(?:Digital Services Act|DSA)\b(.*)$/i, types: ['dsa'] },
+  { id: 'nis2', name: 'NIS2 Directive', pattern: /^NIS2(?: Directive)?\b(.*)$/i, types: ['nis2'] },
+  { id: 'iso_42001', name: 'ISO/IEC 42001', pattern: /^ISO(?:\/IEC)? ?42001\b(.*)$/i, types: ['iso_42001'] },
+  { id: 'ieee', name: 'IEEE Ethically Aligned Design', pattern: /^IEEE(?: Ethically Aligned Design)?\b(.*)$/i, types: ['ieee_ethics'] }
+];
+
+// Where each flagged interaction ended up, most final first
+export const REMEDIATION_STATUSES = {
+  reviewer_rejected: 'Blocked by reviewer',
+  reviewer_approved: 'Approved by reviewer',
+  under_review: 'Awaiting review',
+  blocked: 'Blocked automatically',
+  redacted: 'Redacted',
+  not_generated: 'No reply generated',
+  allowed: 'Allowed below the blocking threshold'
+};
+
+export const REPORT_FORMATS = ['json', 'html', 'csv'];
+
+// Range reported on when no `from` is given
+const DEFAULT_REPORT_DAYS = 30;
+
+// Error for a malformed report request; `status` is the HTTP status to answer with
+function reportError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function reportDate(name, value) {
+  if (value == null || String(value).trim() === '') return undefined;
+  const parsed = new Date(String(value));
+  if (Number.isNaN(parsed.getTime())) throw reportError(`${name} must be a date, e.g. 2025-01-31`);
+  return parsed;
+}
+
+/**
+ * { from, to, frameworks, format, print } from query parameters. `to` is exclusive and
+ * defaults to now, `from` to 30 days before it; `framework` takes comma-separated ids.
+ */
+export function parseReportQuery(params = {}) {
+  const to = reportDate('to', params.to) ?? new Date();
+  const from = reportDate('from', params.from) ?? new Date(to.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+  if (from >= to) throw reportError('from must be before to');
+
+  const ids = REPORT_FRAMEWORKS.map(framework => framework.id);
+  const frameworks = params.framework
+    ? [params.framework].flat().flatMap(value => String(value).split(',')).map(value => value.trim()).filter(Boolean)
+    : ids;
+  const unknown = frameworks.find(framework => !ids.includes(framework));
+  if (unknown) throw reportError(`Unknown framework "${unknown}"; expected one of ${ids.join(', ')}`);
+
+  const format = params.format ?? 'json';
+  if (!REPORT_FORMATS.includes(format)) throw reportError(`Unknown format "${format}"; expected one of ${REPORT_FORMATS.join(', ')}`);
+  return { from, to, frameworks, format, print: params.print === 'true' || params.print === '1' };
+}
+
+// Violations an article is cited for without naming one
+const GENERAL_ARTICLE = 'General';
+
+// Most severe violations shown as evidence per framework
+const EVIDENCE_SAMPLES = 5;
+
+// Characters of context either side of a violation's location in an evidence excerpt
+const EXCERPT_CONTEXT = 60;
+
+// { framework, article } for a violation, or null when it is not under a reported framework
+export function classifyViolation(violation) {
+  const cited = violation.regulatoryFramework?.trim() ?? '';
+  for (const framework of REPORT_FRAMEWORKS) {
+    const match = cited.match(framework.pattern);
+    if (match) {
+      const article = match[1].replace(/^[\s:,-]+/, '').trim();
+      return { framework, article: article || GENERAL_ARTICLE };
+    }
+  }
+  const byType = REPORT_FRAMEWORKS.find(framework => framework.types.includes(violation.type));
+  return byType ? { framework: byType, article: cited || GENERAL_ARTICLE } : null;
+}
+
+export function remediationOf(interaction) {
+  const review = interaction.review;
+  if (review?.status === 'rejected') return 'reviewer_rejected';
+  if (review?.status === 'approved') return 'reviewer_approved';
+  if (review || interaction.status === 'pending') return 'under_review';
+  if (interaction.status === 'blocked') return 'blocked';
+  if (interaction.status === 'redacted') return 'redacted';
+  if (interaction.status === 'failed') return 'not_generated';
+  return 'allowed';
+}
+
+// The text around the first span of a location such as "output:20-39, input:4-15"
+export function evidenceExcerpt(interaction, location) {
+  const span = location?.match(/(input|output):(\d+)-(\d+)/);
+  if (!span) return '';
+  const text = `${interaction[span[1]] ?? ''}`;
+  const start = Math.max(0, Number(span[2]) - EXCERPT_CONTEXT);
+  const end = Math.min(text.length, Number(span[3]) + EXCERPT_CONTEXT);
+  const excerpt = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${excerpt}${end < text.length ? '…' : ''}`;
+}
+
+// Interactions read from storage a page at a time while a report is built
+const READ_PAGE_SIZE = 500;
+
+// Stored interactions with violations in [from, to), oldest first
+export async function* interactionsInRange(storage, { from, to }) {
+  let after;
+  for (;;) {
+    const page = await storage.listInteractions({ since: from, until: to, sort: 'timestamp', order: 'asc', after, limit: READ_PAGE_SIZE });
+    yield* page.filter(interaction => interaction.violations.length > 0);
+    if (page.length < READ_PAGE_SIZE) return;
+    const last = page[page.length - 1];
+    after = { key: 0, timestamp: last.timestamp.toISOString(), id: last.id };
+  }
+}
+
+function emptySummary(framework) {
+  return {
+    id: framework.id,
+    name: framework.name,
+    violations: 0,
+    interactionIds: new Set(),
+    maxSeverity: 0,
+    articles: new Map(),
+    remediation: Object.fromEntries(Object.keys(REMEDIATION_STATUSES).map(status => [status, 0])),
+    reviewerDecisions: [],
+    evidence: []
+  };
+}
+
+const bySeverity = (a, b) => b.severity - a.severity || b.timestamp - a.timestamp;
+
+/**
+ * Summaries of every violation under the chosen frameworks (all by default) in the
+ * interactions given, which the caller has already limited to the report's date range.
+ * `findings` has one row per violation, for the CSV export.
+ */
+export async function buildComplianceReport(interactions, { from, to, frameworks = REPORT_FRAMEWORKS.map(f => f.id) }) {
+  const summaries = new Map(REPORT_FRAMEWORKS.filter(f => frameworks.includes(f.id)).map(f => [f.id, emptySummary(f)]));
+  const findings = [];
+
+  for await (const interaction of interactions) {
+    const remediation = remediationOf(interaction);
+    const review = interaction.review;
+    const counted = new Set();
+
+    for (const violation of interaction.violations) {
+      const classified = classifyViolation(violation);
+      const summary = classified && summaries.get(classified.framework.id);
+      if (!summary) continue;
+
+      const { article } = classified;
+      const finding = {
+        framework: summary.name,
+        article,
+        interactionId: interaction.id,
+        timestamp: interaction.timestamp,
+        type: violation.type,
+        severity: violation.severity,
+        description: violation.description,
+        reason: violation.reason,
+        location: violation.location ?? '',
+        excerpt: evidenceExcerpt(interaction, violation.location),
+        interactionStatus: interaction.status,
+        remediation,
+        decidedBy: review?.decidedBy ?? '',
+        decidedAt: review?.decidedAt ?? null,
+        reviewReason: review?.reason ?? ''
+      };
+      findings.push(finding);
+
+      summary.violations++;
+      summary.maxSeverity = Math.max(summary.maxSeverity, violation.severity);
+      const articleSummary = summary.articles.get(article) ?? { article, violations: 0, interactionIds: new Set(), maxSeverity: 0, types: {} };
+      articleSummary.violations++;
+      articleSummary.interactionIds.add(interaction.id);
+      articleSummary.maxSeverity = Math.max(articleSummary.maxSeverity, violation.severity);
+      articleSummary.types[violation.type] = (articleSummary.types[violation.type] ?? 0) + 1;
+      summary.articles.set(article, articleSummary);
+
+      // Only the most severe samples are kept, so memory stays flat over a long range
+      summary.evidence.push(finding);
+      summary.evidence.sort(bySeverity).splice(EVIDENCE_SAMPLES);
+
+      // Outcomes and decisions are per interaction, however many of its violations fall under the framework
+      if (counted.has(summary.id)) continue;
+      counted.add(summary.id);
+      summary.interactionIds.add(interaction.id);
+      summary.remediation[remediation]++;
+      if (review?.decidedAt) {
+        summary.reviewerDecisions.push({
+          interactionId: interaction.id,
+          decision: review.status,
+          decidedBy: review.decidedBy,
+          decidedAt: review.decidedAt,
+          reason: review.reason
+        });
+      }
+    }
+  }
+
+  return {
+    generatedAt: new Date(),
+    from,
+    to,
+    frameworks: [...summaries.values()].map(({ interactionIds, articles, reviewerDecisions, ...summary }) => ({
+      ...summary,
+      interactions: interactionIds.size,
+      articles: [...articles.values()]
+        .map(({ interactionIds: ids, ...article }) => ({ ...article, interactions: ids.size }))
+        .sort((a, b) => b.violations - a.violations || a.article.localeCompare(b.article)),
+      reviewerDecisions: reviewerDecisions.sort((a, b) => a.decidedAt - b.decidedAt)
+    })),
+    findings
+  };
+}
@@ -0,0 +1,13 @@
+// Compliance reports for the Node server (JS runtime for Node server)
+export {
+  REPORT_FRAMEWORKS,
+  REPORT_FORMATS,
+  REMEDIATION_STATUSES,
+  parseReportQuery,
+  classifyViolation,
+  remediationOf,
+  evidenceExcerpt,
+  interactionsInRange,
+  buildComplianceReport
+} from './complianceReport.js';
+export { reportFilename, renderReportHtml, renderReportCsv } from './render.js';
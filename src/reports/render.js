@@ -0,0 +1,140 @@
+// HTML and CSV renderings of a compliance report (JS runtime for Node server)
+import { REMEDIATION_STATUSES } from './complianceReport.js';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const day = (date) => new Date(date).toISOString().slice(0, 10);
+const time = (date) => (date ? new Date(date).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '');
+const score = (severity) => Number(severity).toFixed(1);
+
+// Name for a downloaded report, e.g. ethoslens-compliance-2025-01-01-to-2025-01-31.csv
+export function reportFilename(report, extension) {
+  // `to` is exclusive; the file is named after the last day covered
+  return `ethoslens-compliance-${day(report.from)}-to-${day(new Date(report.to).getTime() - 1)}.${extension}`;
+}
+
+function table(headings, rows) {
+  if (rows.length === 0) return '<p class="none">None.</p>';
+  return `<table>
+    <thead><tr>${headings.map(heading => `<th>${escapeHtml(heading)}</th>`).join('')}</tr></thead>
+    <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n')}</tbody>
+  </table>`;
+}
+
+function frameworkSection(summary) {
+  const remediation = Object.entries(summary.remediation)
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => [REMEDIATION_STATUSES[status], count]);
+
+  return `<section>
+    <h2>${escapeHtml(summary.name)}</h2>
+    <p class="totals">${summary.violations} violation(s) in ${summary.interactions} interaction(s)${summary.violations > 0 ? `, highest severity ${score(summary.maxSeverity)}/10` : ''}</p>
+    ${summary.violations === 0 ? '' : `
+    <h3>Violations by article</h3>
+    ${table(['Article', 'Violations', 'Interactions', 'Highest severity', 'Violation types'], summary.articles.map(article => [
+      article.article,
+      article.violations,
+      article.interactions,
+      score(article.maxSeverity),
+      Object.entries(article.types).map(([type, count]) => `${type} (${count})`).join(', ')
+    ]))}
+    <h3>Remediation status</h3>
+    ${table(['Outcome', 'Interactions'], remediation)}
+    <h3>Reviewer decisions</h3>
+    ${table(['Decided', 'Interaction', 'Decision', 'Reviewer', 'Reason'], summary.reviewerDecisions.map(decision => [
+      time(decision.decidedAt),
+      decision.interactionId,
+      decision.decision,
+      decision.decidedBy,
+      decision.reason
+    ]))}
+    <h3>Sample evidence</h3>
+    ${table(['When', 'Interaction', 'Article', 'Type', 'Severity', 'Finding', 'Excerpt', 'Outcome'], summary.evidence.map(finding => [
+      time(finding.timestamp),
+      finding.interactionId,
+      finding.article,
+      finding.type,
+      score(finding.severity),
+      finding.reason || finding.description,
+      finding.excerpt,
+      REMEDIATION_STATUSES[finding.remediation]
+    ]))}`}
+  </section>`;
+}
+
+/**
+ * A standalone page laid out for printing; `print` opens the browser's print dialog
+ * when it loads, which is how the dashboard saves a report as PDF.
+ */
+export function renderReportHtml(report, { print = false } = {}) {
+  const period = `${day(report.from)} to ${day(new Date(report.to).getTime() - 1)}`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>EthosLens compliance report, ${escapeHtml(period)}</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #111827; margin: 2rem; font-size: 13px; }
+    h1 { font-size: 22px; margin-bottom: 0.25rem; }
+    h2 { font-size: 17px; border-bottom: 2px solid #2563eb; padding-bottom: 0.25rem; margin-top: 2rem; }
+    h3 { font-size: 14px; margin: 1rem 0 0.4rem; color: #374151; }
+    .meta, .totals, .none { color: #4b5563; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 0.5rem; }
+    th, td { border: 1px solid #d1d5db; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #f3f4f6; }
+    .print { float: right; padding: 6px 12px; }
+    @media print {
+      .print { display: none; }
+      body { margin: 0; }
+      section { page-break-inside: avoid; }
+      @page { size: A4; margin: 15mm; }
+    }
+  </style>
+</head>
+<body>
+  <button class="print" onclick="window.print()">Print / save as PDF</button>
+  <h1>EthosLens compliance report</h1>
+  <p class="meta">Period: ${escapeHtml(period)} (UTC) · Generated ${escapeHtml(time(report.generatedAt))} · ${report.findings.length} violation(s) under ${report.frameworks.length} framework(s)</p>
+  ${report.frameworks.map(frameworkSection).join('\n')}
+  ${print ? '<script>window.addEventListener("load", () => window.print());</script>' : ''}
+</body>
+</html>
+`;
+}
+
+const CSV_COLUMNS = [
+  ['framework', 'Framework'],
+  ['article', 'Article'],
+  ['interactionId', 'Interaction'],
+  ['timestamp', 'Timestamp'],
+  ['type', 'Violation type'],
+  ['severity', 'Severity'],
+  ['description', 'Description'],
+  ['reason', 'Finding'],
+  ['location', 'Location'],
+  ['excerpt', 'Evidence excerpt'],
+  ['interactionStatus', 'Interaction status'],
+  ['remediation', 'Remediation'],
+  ['decidedBy', 'Reviewer'],
+  ['decidedAt', 'Decided at'],
+  ['reviewReason', 'Review reason']
+];
+
+// Quoted when needed; text a spreadsheet would run as a formula is prefixed with '
+function csvCell(value) {
+  let text = value instanceof Date ? value.toISOString() : String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per violation, oldest first
+export function renderReportCsv(report) {
+  const rows = report.findings.map(finding => CSV_COLUMNS.map(([field]) => (
+    field === 'remediation' ? REMEDIATION_STATUSES[finding.remediation] : finding[field]
+  )));
+  return [CSV_COLUMNS.map(([, heading]) => heading), ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,39 @@
+// Named bearer tokens for endpoints whose changes are attributed to the caller (JS runtime for Node server)
+import { createHash, timingSafeEqual } from 'node:crypto';
+
+const digest = (value) => createHash('sha256').update(value).digest();
+
+/**
+ * The principals in a variable such as SETTINGS_ACCESS_TOKENS="alice:s3cret,ci-bot:t0ken",
+ * as [{ name, token }]. An empty or unset variable gives none, which leaves the endpoints
+ * it guards disabled. Throws listing every malformed entry, by position so tokens are never echoed.
+ */
+export function parseAccessTokens(variable, value = '') {
+  const errors = [];
+  const principals = value.split(',').map(entry => entry.trim()).filter(Boolean).flatMap((entry, index) => {
+    const separator = entry.indexOf(':');
+    const name = entry.slice(0, Math.max(separator, 0)).trim();
+    const token = entry.slice(separator + 1).trim();
+    if (separator < 0 || !name || !token) {
+      errors.push(`entry ${index + 1} must be name:token`);
+      return [];
+    }
+    return [{ name, token }];
+  });
+
+  const tokens = principals.map(principal => principal.token);
+  if (new Set(tokens).size !== tokens.length) errors.push('tokens must be unique');
+  const names = principals.map(principal => principal.name);
+  if (new Set(names).size !== names.length) errors.push('names must be unique');
+  if (errors.length > 0) throw new Error(`Invalid ${variable}: ${errors.join('; ')}`);
+
+  return principals.map(({ name, token }) => ({ name, digest: digest(token) }));
+}
+
+// The principal whose token an "Authorization: Bearer <token>" header carries, or null
+export function principalFor(authorization, principals) {
+  const token = authorization?.match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (!token) return null;
+  const presented = digest(token);
+  return principals.find(principal => timingSafeEqual(principal.digest, presented))?.name ?? null;
+}
@@ -0,0 +1,217 @@
+// Append-only, hash-chained audit trail with signed checkpoints (JS runtime for Node server)
+import { createHash, createPrivateKey, createPublicKey, sign, verify } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { GENESIS_HASH, auditEntryHash } from '../storage/index.js';
+
+const DEFAULT_CHECKPOINT_INTERVAL_MS = 15 * 60 * 1000;
+
+// Entries read from storage at a time while walking the chain
+const VERIFY_BATCH_SIZE = 500;
+
+// Problems listed in a verification report; problemCount has them all
+const MAX_REPORTED_PROBLEMS = 100;
+
+// Error for a request the trail cannot act on; `status` is the HTTP status to answer with
+function auditError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// The bytes a checkpoint's signature covers
+function checkpointPayload({ sequence, hash, createdAt }) {
+  return Buffer.from(`ethoslens-audit-checkpoint:${sequence}:${hash}:${new Date(createdAt).toISOString()}`);
+}
+
+// Ed25519 key from AUDIT_SIGNING_KEY_FILE or AUDIT_SIGNING_KEY (PEM; \n escapes allowed), or null
+function loadSigningKey(env) {
+  const pem = env.AUDIT_SIGNING_KEY_FILE
+    ? readFileSync(env.AUDIT_SIGNING_KEY_FILE, 'utf8')
+    : env.AUDIT_SIGNING_KEY?.replace(/\\n/g, '\n');
+  if (!pem) return null;
+
+  const privateKey = createPrivateKey(pem);
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`expected an Ed25519 private key, got ${privateKey.asymmetricKeyType}`);
+  }
+  const publicKey = createPublicKey(privateKey);
+  // Checkpoints name the key that signed them, so a rotated key's checkpoints are told apart
+  const keyId = createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex').slice(0, 16);
+  return { privateKey, publicKey, keyId };
+}
+
+function requiredText(name, value) {
+  if (typeof value !== 'string' || !value.trim()) throw auditError(400, `${name} is required`);
+  return value;
+}
+
+/**
+ * Every audit entry is stored with its sequence number, the previous entry's hash and
+ * its own (src/storage/auditChain.js), so editing, removing or reordering stored entries
+ * breaks the chain. Checkpoints sign the chain's head with the server's Ed25519 key,
+ * so rewriting the whole chain from an edit onwards is detected too.
+ */
+class AuditTrailService {
+  static instance;
+  storage = null;
+  signingKey = null;
+  checkpointTimer = null;
+
+  constructor() {
+    this.checkpointIntervalMs = Number(process.env.AUDIT_CHECKPOINT_INTERVAL_MS || DEFAULT_CHECKPOINT_INTERVAL_MS);
+    try {
+      this.signingKey = loadSigningKey(process.env);
+    } catch (error) {
+      console.error('❌ Audit signing key unusable, no checkpoints will be signed:', error.message);
+    }
+  }
+
+  static getInstance() {
+    if (!AuditTrailService.instance) {
+      AuditTrailService.instance = new AuditTrailService();
+    }
+    return AuditTrailService.instance;
+  }
+
+  // Checkpoints are signed every AUDIT_CHECKPOINT_INTERVAL_MS while a signing key is configured
+  attach(storage) {
+    this.storage = storage;
+    clearInterval(this.checkpointTimer);
+    if (!this.signingKey) {
+      console.warn('⚠️ AUDIT_SIGNING_KEY not set; the audit chain can be verified but no checkpoints are signed');
+      return;
+    }
+    this.checkpointTimer = setInterval(() => {
+      this.checkpoint().catch(error => console.error('Audit checkpoint error:', error));
+    }, this.checkpointIntervalMs);
+    this.checkpointTimer.unref?.();
+  }
+
+  // Entry from a client such as the dashboard's audit logger; its interaction may be stored elsewhere
+  async append(interactionId, { agentName, action, details, violationType, severity } = {}) {
+    requiredText('interactionId', interactionId);
+    requiredText('agentName', agentName);
+    requiredText('action', action);
+    requiredText('details', details);
+    if (violationType != null && typeof violationType !== 'string') throw auditError(400, 'violationType must be a string');
+    if (severity != null && !(typeof severity === 'number' && severity >= 0 && severity <= 10)) {
+      throw auditError(400, 'severity must be a number from 0 to 10');
+    }
+    return this.storage.appendAuditLog(interactionId, { agentName, action, details, violationType, severity });
+  }
+
+  // Chained entries after `afterSequence`, oldest first, for exporting the trail
+  async chain({ afterSequence = 0, limit } = {}) {
+    return this.storage.listAuditChain({ afterSequence, limit });
+  }
+
+  async checkpoints() {
+    return this.storage.listAuditCheckpoints();
+  }
+
+  publicKey() {
+    if (!this.signingKey) return null;
+    return {
+      keyId: this.signingKey.keyId,
+      algorithm: 'Ed25519',
+      publicKey: this.signingKey.publicKey.export({ type: 'spki', format: 'pem' })
+    };
+  }
+
+  /**
+   * Walk the whole chain: every entry must hash to its stored hash, follow the entry
+   * numbered before it and carry its hash, and match any checkpoint at its number.
+   * Checkpoint signatures are checked when they were made with the configured key.
+   */
+  async verify() {
+    const checkpoints = await this.storage.listAuditCheckpoints();
+    const unmatched = new Map(checkpoints.map(checkpoint => [checkpoint.sequence, checkpoint]));
+    const problems = [];
+    const report = (sequence, problem) => problems.push({ sequence, problem });
+
+    let previous = null;
+    let entries = 0;
+    for (;;) {
+      const batch = await this.storage.listAuditChain({ afterSequence: previous?.sequence ?? 0, limit: VERIFY_BATCH_SIZE });
+      for (const entry of batch) {
+        const expected = (previous?.sequence ?? 0) + 1;
+        if (entry.sequence !== expected) {
+          report(entry.sequence, entry.sequence === expected + 1
+            ? `Entry ${expected} is missing`
+            : `Entries ${expected}-${entry.sequence - 1} are missing`);
+        } else if (entry.previousHash !== (previous?.hash ?? GENESIS_HASH)) {
+          report(entry.sequence, `Entry ${entry.sequence} does not carry the hash of entry ${expected - 1}`);
+        }
+        if (auditEntryHash(entry) !== entry.hash) {
+          report(entry.sequence, `Entry ${entry.sequence} has changed since it was written`);
+        }
+
+        const checkpoint = unmatched.get(entry.sequence);
+        if (checkpoint) {
+          unmatched.delete(entry.sequence);
+          if (checkpoint.hash !== entry.hash) {
+            report(entry.sequence, `Entry ${entry.sequence} differs from the checkpoint signed ${checkpoint.createdAt.toISOString()}`);
+          }
+        }
+        previous = entry;
+        entries++;
+      }
+      if (batch.length < VERIFY_BATCH_SIZE) break;
+    }
+
+    unmatched.forEach(checkpoint => {
+      report(checkpoint.sequence, `Entry ${checkpoint.sequence}, signed in a checkpoint ${checkpoint.createdAt.toISOString()}, is missing`);
+    });
+
+    let verifiedCheckpoints = 0;
+    checkpoints.forEach(checkpoint => {
+      if (checkpoint.keyId !== this.signingKey?.keyId) return;
+      if (verify(null, checkpointPayload(checkpoint), this.signingKey.publicKey, Buffer.from(checkpoint.signature, 'base64'))) {
+        verifiedCheckpoints++;
+      } else {
+        report(checkpoint.sequence, `The checkpoint at entry ${checkpoint.sequence} has an invalid signature`);
+      }
+    });
+
+    problems.sort((a, b) => a.sequence - b.sequence);
+    const lastCheckpoint = checkpoints[checkpoints.length - 1];
+    return {
+      valid: problems.length === 0,
+      checkedAt: new Date(),
+      entries,
+      head: previous ? { sequence: previous.sequence, hash: previous.hash, timestamp: previous.timestamp } : null,
+      checkpoints: {
+        total: checkpoints.length,
+        // Signed with the configured key and checked; others were made with another key
+        verified: verifiedCheckpoints,
+        lastSequence: lastCheckpoint?.sequence ?? null,
+        lastCreatedAt: lastCheckpoint?.createdAt ?? null
+      },
+      problemCount: problems.length,
+      problems: problems.slice(0, MAX_REPORTED_PROBLEMS)
+    };
+  }
+
+  // Sign the chain's head when it has moved on since the last checkpoint and the chain verifies;
+  // a broken chain is never signed. Returns the new checkpoint or null.
+  async checkpoint() {
+    if (!this.signingKey) throw auditError(503, 'No audit signing key is configured');
+
+    const verification = await this.verify();
+    if (!verification.valid) {
+      console.error(`❌ Audit chain does not verify (${verification.problemCount} problem(s)); not signing a checkpoint`);
+      return null;
+    }
+    const { head } = verification;
+    if (!head || head.sequence === verification.checkpoints.lastSequence) return null;
+
+    const unsigned = { sequence: head.sequence, hash: head.hash, createdAt: new Date() };
+    const checkpoint = await this.storage.saveAuditCheckpoint({
+      ...unsigned,
+      keyId: this.signingKey.keyId,
+      signature: sign(null, checkpointPayload(unsigned), this.signingKey.privateKey).toString('base64')
+    });
+    console.log(`🔏 Signed audit checkpoint at entry ${checkpoint.sequence}`);
+    return checkpoint;
+  }
+}
+
+export const auditTrailService = AuditTrailService.getInstance();
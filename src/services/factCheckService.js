@@ -0,0 +1,69 @@
+// Fact-checking with the provider this deployment selected (JS version for Node runtime)
+import { readFileSync, readdirSync, statSync } from 'node:fs';
+import path from 'node:path';
+import { createFactCheckProvider, withCostControls } from '../factCheck/index.js';
+
+// The corpus served with the Vite app, so both sides check against the same one by default
+const DEFAULT_KNOWLEDGE_BASE_PATH = 'public/knowledge-base';
+
+const numberFromEnv = (name) => (process.env[name] ? Number(process.env[name]) : undefined);
+
+// The .json and .md files at `location`, which is one file or a directory of them
+function readKnowledgeBase(location) {
+  const files = statSync(location).isDirectory()
+    ? readdirSync(location).filter(name => /\.(json|md)$/i.test(name)).sort().map(name => path.join(location, name))
+    : [location];
+  return files.map(file => ({ name: path.basename(file), content: readFileSync(file, 'utf8') }));
+}
+
+class FactCheckService {
+  static instance;
+  provider = null;
+
+  constructor() {
+    // Use non-VITE prefixed vars for Node.js backend
+    this.providerName = process.env.FACT_CHECK_PROVIDER || 'perplexity';
+    const perplexity = this.providerName === 'perplexity';
+    try {
+      const provider = createFactCheckProvider({
+        provider: this.providerName,
+        apiKey: perplexity ? process.env.PERPLEXITY_API_KEY || process.env.VITE_PERPLEXITY_API_KEY : process.env.FACT_CHECK_API_KEY,
+        apiUrl: perplexity ? process.env.PERPLEXITY_API_URL || process.env.VITE_PERPLEXITY_API_URL : process.env.FACT_CHECK_API_URL,
+        model: perplexity ? process.env.PERPLEXITY_MODEL || process.env.VITE_PERPLEXITY_MODEL : process.env.FACT_CHECK_MODEL,
+        loadKnowledgeBase: () => readKnowledgeBase(process.env.FACT_CHECK_KNOWLEDGE_BASE || DEFAULT_KNOWLEDGE_BASE_PATH)
+      });
+      // Verdicts are cached in memory by claim; token use is capped per UTC day
+      this.provider = withCostControls(provider, {
+        ttlMs: numberFromEnv('FACT_CHECK_CACHE_TTL_MS'),
+        dailyTokenBudget: numberFromEnv('FACT_CHECK_DAILY_TOKEN_BUDGET') ?? null,
+        costPer1kTokens: numberFromEnv('FACT_CHECK_COST_PER_1K_TOKENS') ?? null
+      });
+    } catch (error) {
+      console.error('❌ Fact-check provider unusable, fact-checking is off:', error.message);
+    }
+  }
+
+  static getInstance() {
+    if (!FactCheckService.instance) {
+      FactCheckService.instance = new FactCheckService();
+    }
+    return FactCheckService.instance;
+  }
+
+  get isConfigured() {
+    return Boolean(this.provider?.isConfigured);
+  }
+
+  async factCheck(claim) {
+    if (!this.isConfigured) {
+      throw new Error(`Fact-check provider "${this.providerName}" not configured (see FACT_CHECK_PROVIDER)`);
+    }
+    return this.provider.factCheck(claim);
+  }
+
+  stats() {
+    return this.provider?.stats() ?? null;
+  }
+}
+
+export const factCheckService = FactCheckService.getInstance();
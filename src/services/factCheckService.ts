@@ -0,0 +1,105 @@
+import {
+  CostControlledProvider,
+  FactCheckProvider,
+  FactCheckProviderName,
+  FactCheckResult,
+  FactCheckStats,
+  FactCheckStore,
+  KnowledgeBaseFile,
+  createFactCheckProvider,
+  withCostControls
+} from '../factCheck';
+import { factCheckConfig } from '../config/factCheck';
+import { perplexityConfig } from '../config/perplexity';
+import { perplexityService } from './perplexityService';
+
+export const FACT_CHECK_PROVIDER_LABELS: Record<FactCheckProviderName, string> = {
+  perplexity: 'Perplexity',
+  'openai-compatible': 'OpenAI-compatible model',
+  'knowledge-base': 'Local knowledge base'
+};
+
+// The corpus files, fetched from wherever the deployment serves them
+async function fetchKnowledgeBase(urls: string[]): Promise<KnowledgeBaseFile[]> {
+  return Promise.all(urls.map(async url => {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Knowledge base file ${url} could not be loaded: ${response.status}`);
+    }
+    return { name: new URL(url, window.location.href).pathname.split('/').pop() || url, content: await response.text() };
+  }));
+}
+
+// Cached verdicts and the day's usage, kept across reloads
+const CACHE_STORAGE_KEY = 'ethoslens.factCheck';
+
+const localStore: FactCheckStore = {
+  load: () => JSON.parse(localStorage.getItem(CACHE_STORAGE_KEY) ?? 'null'),
+  save: state => localStorage.setItem(CACHE_STORAGE_KEY, JSON.stringify(state))
+};
+
+/**
+ * Fact-checks claims with the provider selected by VITE_FACT_CHECK_PROVIDER. Perplexity
+ * goes through PerplexityService; the others come from the shared fact-check package.
+ * Verdicts are cached by claim and token use is capped per day (see factCheckConfig).
+ */
+export class FactCheckService {
+  readonly providerName: FactCheckProviderName;
+  private provider: CostControlledProvider | null = null;
+
+  constructor() {
+    this.providerName = factCheckConfig.provider;
+    try {
+      const provider: FactCheckProvider = this.providerName === 'perplexity'
+        ? {
+            name: 'perplexity',
+            model: perplexityConfig.model,
+            get isConfigured() {
+              return perplexityService.isConfigured();
+            },
+            factCheck: async claim => {
+              const result = await perplexityService.factCheck(claim);
+              return { ...result, reasoning: result.reasoning ?? result.summary, sources: result.sources ?? [] };
+            }
+          }
+        : createFactCheckProvider({
+            provider: this.providerName,
+            apiUrl: factCheckConfig.apiUrl,
+            apiKey: factCheckConfig.apiKey,
+            model: factCheckConfig.model,
+            timeoutMs: factCheckConfig.timeout,
+            loadKnowledgeBase: () => fetchKnowledgeBase(factCheckConfig.knowledgeBaseUrls)
+          });
+      this.provider = withCostControls(provider, {
+        ttlMs: factCheckConfig.cacheTtlMs,
+        dailyTokenBudget: factCheckConfig.dailyTokenBudget,
+        costPer1kTokens: factCheckConfig.costPer1kTokens,
+        store: localStore
+      });
+    } catch (error) {
+      console.error('❌ Fact-check provider unusable, fact-checking is off:', error);
+    }
+  }
+
+  get label(): string {
+    return FACT_CHECK_PROVIDER_LABELS[this.providerName] ?? this.providerName;
+  }
+
+  isConfigured(): boolean {
+    return Boolean(this.provider?.isConfigured);
+  }
+
+  async factCheck(claim: string): Promise<FactCheckResult> {
+    if (!this.provider?.isConfigured) {
+      throw new Error(`${this.label} fact-checking not configured`);
+    }
+    return this.provider.factCheck(claim);
+  }
+
+  // Cache hits and today's token use, or null when no provider could be created
+  stats(): FactCheckStats | null {
+    return this.provider?.stats() ?? null;
+  }
+}
+
+export const factCheckService = new FactCheckService();
@@ -1,15 +1,55 @@
 // Unified governance service (JS runtime for Node server)
 import { inkeepAgentsService } from './inkeepAgentsService.js';
+import {
+  policyRegistry,
+  determineStatus,
+  evaluateInteraction,
+  evaluateInput,
+  evaluateConversationInput,
+  createSessionRisk,
+  updateSessionRisk,
+  toPhaseVerdict,
+  Redactor,
+  redactInput,
+  redactInteraction,
+  DEFAULT_SEVERITY_THRESHOLD,
+  DEFAULT_CONVERSATION_WINDOW,
+  DEFAULT_RELOAD_INTERVAL_MS,
+  ENSEMBLE_STRATEGIES,
+  ENSEMBLE_PIPELINES,
+  mergeVerdicts,
+  createAgreementStats,
+  tallyAgreement,
+  agreementRate,
+  mergeSettings
+} from '../governance/index.js';
+
+// Oldest sessions are dropped from memory past this; their risk is reloaded from storage when they return
+const MAX_TRACKED_SESSIONS = 1000;
 
 class GovernanceService {
   static instance;
   useInkeepAgents;
   inkeepAvailable = false;
+  sessions = new Map();
+  // Agreement between the pipelines in ensemble mode since this process started
+  agreementStats = createAgreementStats();
 
   constructor() {
     // Default to true (Inkeep Agents) unless explicitly set to false
     // Check both backend (USE_INKEEP_AGENTS) and frontend (VITE_USE_INKEEP_AGENTS) vars
     this.useInkeepAgents = process.env.USE_INKEEP_AGENTS !== 'false' && process.env.VITE_USE_INKEEP_AGENTS !== 'false';
+    this.severityThreshold = Number(process.env.SEVERITY_THRESHOLD || DEFAULT_SEVERITY_THRESHOLD);
+    this.remediation = this.#parseRemediation(process.env.REDACT_VIOLATION_TYPES);
+    this.conversationWindow = Number(process.env.CONVERSATION_WINDOW_TURNS || DEFAULT_CONVERSATION_WINDOW);
+    // ENSEMBLE_STRATEGY=strictest|majority|primary runs both pipelines on every interaction
+    try {
+      this.setEnsemble(process.env.ENSEMBLE_STRATEGY || null, process.env.ENSEMBLE_PRIMARY || 'legacy');
+    } catch (error) {
+      console.warn(`⚠️ ${error.message}; ensemble mode disabled`);
+      this.setEnsemble(null, 'legacy');
+    }
+    this.#watchPolicyPacks();
     this.#checkInkeepAvailability();
   }
 
@@ -20,11 +60,40 @@ class GovernanceService {
     return GovernanceService.instance;
   }
 
+  // Same extra packs as the frontend (POLICY_PACK_URLS, falling back to VITE_POLICY_PACK_URLS)
+  #watchPolicyPacks() {
+    const urls = (process.env.POLICY_PACK_URLS || process.env.VITE_POLICY_PACK_URLS || '')
+      .split(',')
+      .map(url => url.trim())
+      .filter(Boolean);
+    const intervalMs = Number(process.env.POLICY_PACK_RELOAD_MS || process.env.VITE_POLICY_PACK_RELOAD_MS || DEFAULT_RELOAD_INTERVAL_MS);
+    urls.forEach(url => policyRegistry.watchPackUrl(url, intervalMs));
+  }
+
+  // REDACT_VIOLATION_TYPES=gdpr,pii is the backend equivalent of AgentSettings.remediation
+  #parseRemediation(types = '') {
+    return Object.fromEntries(
+      types.split(',').map(type => type.trim()).filter(Boolean).map(type => [type, 'redact'])
+    );
+  }
+
+  // Settings used when a caller has none stored: the defaults with the env threshold and redaction types
+  get baseSettings() {
+    return mergeSettings({ severityThreshold: this.severityThreshold, remediation: this.remediation });
+  }
+
+  isRedactionEnabled(settings = this.baseSettings) {
+    return Object.values(settings.remediation).includes('redact');
+  }
+
   async #checkInkeepAvailability() {
     this.inkeepAvailable = await inkeepAgentsService.isAvailable();
   }
 
-  async processInteraction(input, output, context) {
+  // Pass the verdict from checkInput() so it is recorded; a blocked one skips the output pass.
+  // Pass the redactor used by redactInput() so placeholders stay consistent in the response,
+  // and the caller's effective settings (severityThreshold, remediation) when it has any stored.
+  async processInteraction(input, output, context, inputVerdict = null, redactor = new Redactor(), settings = this.baseSettings) {
     const interaction = {
       id: `interaction_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`,
       input,
@@ -36,6 +105,89 @@ class GovernanceService {
       agentActions: [],
     };
 
+    if (context.model) {
+      interaction.llmModel = context.model;
+    }
+
+    if (inputVerdict) {
+      interaction.inputVerdict = inputVerdict;
+    }
+
+    if (inputVerdict?.status === 'blocked') {
+      interaction.violations.push(...inputVerdict.violations);
+      interaction.agentActions.push({
+        agentName: 'LegacyPolicyEnforcer',
+        action: 'block',
+        details: inputVerdict.escalated
+          ? `Prompt blocked before generation: ${inputVerdict.violations.length} violation(s) in a high-risk session`
+          : `Prompt blocked before generation: ${inputVerdict.violations.length} violation(s)`,
+        timestamp: new Date()
+      });
+      Object.assign(interaction, determineStatus(interaction.violations, settings.severityThreshold));
+      if (inputVerdict.escalated) interaction.status = 'blocked';
+      if (redactor.redactions.length > 0) interaction.redactions = [...redactor.redactions];
+      this.#recordSessionTurn(interaction, context.sessionId);
+      return interaction;
+    }
+
+    // Nothing was generated (context.generationError), so there is no output to govern
+    if (context.generationError) {
+      interaction.violations.push(...(inputVerdict?.violations ?? []));
+      interaction.agentActions.push({
+        agentName: 'LLMGateway',
+        action: 'log',
+        details: `No response generated (${context.generationError.code}): ${context.generationError.message}`,
+        timestamp: new Date()
+      });
+      Object.assign(interaction, determineStatus(interaction.violations, settings.severityThreshold), { status: 'failed' });
+      interaction.generationError = context.generationError;
+      if (redactor.redactions.length > 0) interaction.redactions = [...redactor.redactions];
+      this.#recordSessionTurn(interaction, context.sessionId);
+      return interaction;
+    }
+
+    if (this.ensembleStrategy) {
+      await this.#runEnsemble(interaction, input, output, context, settings);
+    } else {
+      await this.#runWithFallback(interaction, input, output, context, settings);
+    }
+    interaction.outputVerdict = toPhaseVerdict('output', interaction);
+
+    // Safe-rewrite: mask the stored record and the returned response instead of blocking
+    const redaction = redactInteraction(interaction, {
+      remediation: settings.remediation,
+      redactor,
+      severityThreshold: settings.severityThreshold
+    });
+    if (redaction) {
+      Object.assign(interaction, redaction);
+      interaction.agentActions.push({
+        agentName: 'ResponseAgent',
+        action: redaction.status === 'redacted' ? 'approve' : 'suggest',
+        details: `Redacted ${redaction.redactions.length} value(s): ${redaction.redactions.map(r => r.placeholder).join(', ')}`,
+        timestamp: new Date()
+      });
+    }
+
+    // Violations that keep recurring in a session are no longer left for review
+    if (interaction.status === 'pending' && context.sessionId &&
+        this.getSession(context.sessionId).riskScore >= settings.severityThreshold) {
+      interaction.status = 'blocked';
+      interaction.outputVerdict = { ...interaction.outputVerdict, status: 'blocked', escalated: true };
+      interaction.agentActions.push({
+        agentName: 'SessionGovernance',
+        action: 'block',
+        details: `Escalated to blocked: session risk ${this.getSession(context.sessionId).riskScore}/10`,
+        timestamp: new Date()
+      });
+    }
+
+    this.#recordSessionTurn(interaction, context.sessionId);
+    return interaction;
+  }
+
+  // Inkeep first when enabled and reachable; the shared policy engine ALWAYS runs as well
+  async #runWithFallback(interaction, input, output, context, settings) {
     const useInkeep = this.useInkeepAgents && this.inkeepAvailable;
     
     // Try Inkeep first, but ALWAYS fall back to legacy detection
@@ -44,28 +196,26 @@ class GovernanceService {
       try {
         console.log(`[Governance] Attempting Inkeep analysis for: ${input.substring(0, 50)}...`);
         const result = await inkeepAgentsService.processAdvancedGovernance(input, output, context);
-        
-        if (result && result.violations && result.violations.length > 0) {
-          interaction.violations.push(...result.violations);
-          interaction.agentActions.push(...(result.agentActions || []));
-          inkeepSuccess = true;
-          console.log(`[Governance] Inkeep found ${result.violations.length} violations`);
-        } else {
-          console.log('[Governance] Inkeep returned no violations, using legacy fallback');
-        }
+
+        interaction.violations.push(...result.violations);
+        interaction.agentActions.push(...result.agentActions);
+        inkeepSuccess = true;
+        console.log(`[Governance] Inkeep verdict: ${result.verdict.status} with ${result.violations.length} violation(s)`);
       } catch (e) {
+        // Unreachable graph or a reply that breaks the verdict contract: the legacy agents decide alone
         console.log(`[Governance] Inkeep error: ${e.message}, falling back to legacy`);
+        interaction.fallbackReason = e.message;
         interaction.agentActions.push({ 
           agentName: 'InkeepGovernance', 
-          action: 'error', 
-          details: `Inkeep error: ${e.message}`, 
+          action: 'log', 
+          details: `Falling back to legacy agents: ${e.message}`, 
           timestamp: new Date() 
         });
       }
     }
     
-    // ALWAYS run legacy detection as well to ensure safety
-    const violations = this.#detectViolations(input, output);
+    // ALWAYS run the shared policy engine as well to ensure safety
+    const violations = policyRegistry.evaluate(input, output);
     
     if (violations.length > 0) {
       // Add legacy violations if not already detected by Inkeep
@@ -86,34 +236,120 @@ class GovernanceService {
       console.log(`[Governance] Legacy detection found ${violations.length} violations`);
     }
 
-    // Finalize status
-    if (interaction.violations.length === 0) {
-      interaction.status = 'approved';
-      interaction.severity = 'low';
-    } else if (interaction.violations.some(v => v.severity >= 9)) {
-      interaction.status = 'blocked';
-      interaction.severity = 'critical';
-    } else if (interaction.violations.some(v => v.severity >= 7)) {
-      interaction.status = 'pending';
-      interaction.severity = 'high';
-    } else {
-      interaction.status = 'pending';
-      interaction.severity = 'medium';
+    // Finalize status with the same rules the frontend uses
+    Object.assign(interaction, determineStatus(interaction.violations, settings.severityThreshold));
+  }
+
+  // Ensemble mode: both pipelines on every interaction, merged by the configured strategy.
+  // Both verdicts are kept on the interaction so agreement can be measured.
+  async #runEnsemble(interaction, input, output, context, settings) {
+    const [inkeep, legacy] = await Promise.all([
+      this.#inkeepVerdict(interaction, input, output, context),
+      this.evaluate(input, output, settings)
+    ]);
+    const verdicts = { legacy, inkeep };
+    const result = mergeVerdicts(verdicts, { strategy: this.ensembleStrategy, primary: this.ensemblePrimary });
+
+    interaction.violations.push(...result.violations);
+    interaction.status = result.status;
+    interaction.severity = result.severity;
+    interaction.ensemble = {
+      strategy: this.ensembleStrategy,
+      primary: this.ensemblePrimary,
+      agreement: result.agreement,
+      decidedBy: result.decidedBy,
+      verdicts
+    };
+    tallyAgreement(this.agreementStats, interaction.ensemble);
+
+    const summary = ENSEMBLE_PIPELINES.map(pipeline => `${pipeline} ${verdicts[pipeline].error ? 'failed' : verdicts[pipeline].status}`).join(', ');
+    interaction.agentActions.push({
+      agentName: 'EnsembleGovernance',
+      action: result.status === 'blocked' ? 'block' : result.status === 'pending' ? 'flag' : 'approve',
+      details: `${this.ensembleStrategy}: ${summary} -> ${result.status}${result.agreement === false ? ' (pipelines disagree)' : ''}`,
+      timestamp: new Date()
+    });
+    console.log(`[Governance] Ensemble (${this.ensembleStrategy}): ${summary} -> ${result.status}`);
+  }
+
+  // Inkeep's verdict for the ensemble, or { error } when it could not give one
+  async #inkeepVerdict(interaction, input, output, context) {
+    if (!this.inkeepAvailable) {
+      interaction.fallbackReason = 'Inkeep agents unavailable';
+      return { error: interaction.fallbackReason };
+    }
+    try {
+      const result = await inkeepAgentsService.processAdvancedGovernance(input, output, context);
+      interaction.agentActions.push(...result.agentActions);
+      return { status: result.verdict.status, severity: result.verdict.severity, violations: result.violations };
+    } catch (e) {
+      console.log(`[Governance] Inkeep error in ensemble: ${e.message}`);
+      interaction.fallbackReason = e.message;
+      return { error: e.message };
     }
+  }
 
-    return interaction;
+  #recordSessionTurn(interaction, sessionId) {
+    if (!sessionId) return;
+
+    const session = updateSessionRisk(this.getSession(sessionId), interaction.violations);
+    this.restoreSession(session);
+    interaction.sessionId = sessionId;
+    interaction.sessionRisk = session;
+  }
+
+  getSession(sessionId) {
+    return this.sessions.get(sessionId) ?? createSessionRisk(sessionId);
+  }
+
+  hasSession(sessionId) {
+    return this.sessions.has(sessionId);
+  }
+
+  // Track a session's risk (also used to bring back one from storage)
+  restoreSession(session) {
+    this.sessions.delete(session.id);
+    this.sessions.set(session.id, session);
+    if (this.sessions.size > MAX_TRACKED_SESSIONS) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+  }
+
+  // Mask personal data in a prompt before it is checked or sent to the model (no-op unless redaction is configured)
+  redactInput(input, redactor, settings = this.baseSettings) {
+    return redactInput(input, { remediation: settings.remediation, redactor });
+  }
+
+  // Input-only pass run before generation; a blocked verdict means the model must not be called.
+  // `history` holds the caller's earlier turns, checked together with the new one over a sliding window.
+  checkInput(input, history = [], sessionId = null, settings = this.baseSettings) {
+    if (history.length === 0 && !sessionId) {
+      return toPhaseVerdict('input', evaluateInput(input, { severityThreshold: settings.severityThreshold }));
+    }
+    return toPhaseVerdict('input', evaluateConversationInput([...history, input], {
+      severityThreshold: settings.severityThreshold,
+      windowSize: this.conversationWindow,
+      session: sessionId ? this.getSession(sessionId) : undefined
+    }));
+  }
+
+  // Policy-engine verdict only (no Inkeep round-trip), cheap enough for incremental checks on streamed output
+  evaluate(input, output, settings = this.baseSettings) {
+    return evaluateInteraction(input, output, { severityThreshold: settings.severityThreshold });
   }
 
   async getStatus() {
     // Re-check availability to ensure it's up to date
-    if (this.useInkeepAgents) {
+    if (this.useInkeepAgents || this.ensembleStrategy) {
       this.inkeepAvailable = await inkeepAgentsService.isAvailable();
     }
     
     return {
       usingInkeep: this.useInkeepAgents,
       inkeepAvailable: this.inkeepAvailable,
-      agentType: this.useInkeepAgents && this.inkeepAvailable ? 'inkeep' : 'legacy',
+      agentType: this.ensembleStrategy ? 'ensemble' : this.useInkeepAgents && this.inkeepAvailable ? 'inkeep' : 'legacy',
+      ensembleStrategy: this.ensembleStrategy,
+      ensemblePrimary: this.ensemblePrimary
     };
   }
 
@@ -122,111 +358,27 @@ class GovernanceService {
     if (this.useInkeepAgents) await this.#checkInkeepAvailability();
   }
 
-  async getGovernanceInsights(timeframe = 'today') {
-    if (this.useInkeepAgents && this.inkeepAvailable) {
-      return await inkeepAgentsService.getGovernanceInsights(timeframe);
+  // A strategy turns ensemble mode on, null turns it off; the primary only matters to 'primary' and ties
+  setEnsemble(strategy, primary = this.ensemblePrimary) {
+    if (strategy !== null && !ENSEMBLE_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown ensemble strategy "${strategy}"; expected one of ${ENSEMBLE_STRATEGIES.join(', ')}`);
     }
-    return { totalInteractions: 0, totalViolations: 0, blockedCount: 0, approvalRate: '100%' };
-  }
-
-  #detectViolations(input, output) {
-    const violations = [];
-    const text = `${input} ${output}`.toLowerCase();
-
-    // WiFi hacking detection patterns (with hyphen support)
-    const wifiHackingPatterns = [
-      /hack\s+into\s+someone.*wi[-\s]?fi/i,
-      /hack\s+into.*wi[-\s]?fi/i,
-      /break\s+into.*wi[-\s]?fi.*without.*knowing/i,
-      /crack.*wi[-\s]?fi.*password/i,
-      /bypass.*wi[-\s]?fi.*security/i,
-      /steal.*wi[-\s]?fi.*password/i,
-      /unauthorized.*wi[-\s]?fi.*access/i,
-      /how\s+(do|can|to)\s+i.*hack.*wi[-\s]?fi/i,
-    ];
-
-    for (const pattern of wifiHackingPatterns) {
-      if (pattern.test(text)) {
-        violations.push({
-          type: 'illegal_activity',
-          description: 'WiFi hacking attempt detected',
-          reason: 'Content requests assistance with unauthorized WiFi access (hacking)',
-          severity: 9.0,
-          confidence: 0.95,
-          regulatoryFramework: 'Computer Fraud and Abuse Act'
-        });
-        break;
-      }
-    }
-
-    // General hacking patterns
-    const hackingPatterns = [
-      /hack\s+into/i,
-      /break\s+into\s+(account|system|network)/i,
-      /crack\s+password/i,
-      /bypass\s+security/i,
-      /unauthorized\s+access/i,
-      /exploit\s+vulnerability/i,
-    ];
-
-    for (const pattern of hackingPatterns) {
-      if (pattern.test(text) && violations.length === 0) {
-        violations.push({
-          type: 'illegal_activity',
-          description: 'Illegal hacking or cybersecurity violation detected',
-          reason: 'Content requests assistance with unauthorized access or hacking',
-          severity: 9.5,
-          confidence: 0.9,
-          regulatoryFramework: 'Computer Fraud and Abuse Act'
-        });
-        break;
-      }
+    if (!ENSEMBLE_PIPELINES.includes(primary)) {
+      throw new Error(`Unknown ensemble primary "${primary}"; expected one of ${ENSEMBLE_PIPELINES.join(', ')}`);
     }
+    this.ensembleStrategy = strategy;
+    this.ensemblePrimary = primary;
+  }
 
-    // Violence patterns
-    const violencePatterns = [
-      /how\s+to\s+kill/i,
-      /how\s+to\s+murder/i,
-      /how\s+to\s+hurt\s+someone/i,
-      /ways\s+to\s+kill/i,
-      /murder\s+someone/i,
-    ];
-
-    for (const pattern of violencePatterns) {
-      if (pattern.test(text)) {
-        violations.push({
-          type: 'violence',
-          description: 'Violent content detected',
-          reason: 'Content contains requests for violence or harm',
-          severity: 9.8,
-          confidence: 0.95,
-          regulatoryFramework: 'Safety Standards'
-        });
-        break;
-      }
-    }
+  getAgreementStats() {
+    return { ...this.agreementStats, agreementRate: agreementRate(this.agreementStats) };
+  }
 
-    // Personal information request patterns
-    const piiPatterns = [
-      /(phone\s+number|address|email).*of.*(celebrity|taylor\s+swift|elon\s+musk)/i,
-      /give\s+me.*(phone\s+number|address|email)/i,
-    ];
-
-    for (const pattern of piiPatterns) {
-      if (pattern.test(text)) {
-        violations.push({
-          type: 'gdpr',
-          description: 'Personal information request detected',
-          reason: 'Content requests private personal information',
-          severity: 8.5,
-          confidence: 0.9,
-          regulatoryFramework: 'GDPR'
-        });
-        break;
-      }
+  async getGovernanceInsights(timeframe = 'today') {
+    if (this.useInkeepAgents && this.inkeepAvailable) {
+      return await inkeepAgentsService.getGovernanceInsights(timeframe);
     }
-
-    return violations;
+    return { totalInteractions: 0, totalViolations: 0, blockedCount: 0, approvalRate: '100%' };
   }
 }
 
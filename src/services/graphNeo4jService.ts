@@ -1,12 +1,24 @@
+import { Integer } from 'neo4j-driver';
 import { neo4jService } from '../config/neo4j';
+import { WriteBehindQueue } from '../utils/writeBehindQueue';
+import { compareModels } from '../llm';
 import { 
   LLMInteraction, 
   AuditLogEntry, 
   FeedbackEntry, 
-  AgentSettings, 
-  DashboardStats
+  DashboardStats,
+  PhaseVerdict
 } from '../types';
 
+// An interaction to persist, with the unmasked text when it was redacted
+export interface InteractionWrite {
+  interaction: LLMInteraction;
+  original?: Pick<LLMInteraction, 'input' | 'output'>;
+}
+
+// Neo4j integers come back as Integer objects
+const toNumber = (value: number | Integer) => (typeof value === 'number' ? value : value.toNumber());
+
 export class GraphNeo4jService {
   // Helper method to generate unique IDs
   private generateId(): string {
@@ -23,6 +35,13 @@ export class GraphNeo4jService {
     return new Date(dateString);
   }
 
+  // Phase verdicts are nested objects, so they are stored as JSON strings on the Interaction node
+  private parseVerdict(json: string | null | undefined): PhaseVerdict | undefined {
+    if (!json) return undefined;
+    const verdict = JSON.parse(json);
+    return { ...verdict, checkedAt: this.stringToDate(verdict.checkedAt) };
+  }
+
   // Initialize database schema with proper graph structure
   async initializeSchema(): Promise<void> {
     const session = neo4jService.getSession();
@@ -74,31 +93,21 @@ export class GraphNeo4jService {
     }
   }
 
-  // Save interaction with proper graph relationships
-  async saveInteraction(interaction: LLMInteraction): Promise<string> {
+  /**
+   * Save interactions with their violations, agent actions, feedback and redacted
+   * originals in one write transaction, a few UNWIND statements for the whole
+   * batch. Child nodes get ids derived from the interaction id and everything is
+   * MERGEd, so writing the same interaction again updates it instead of duplicating it.
+   */
+  async saveInteractions(items: InteractionWrite[]): Promise<void> {
     const session = neo4jService.getSession();
     if (!session) {
       throw new Error('Neo4j not configured');
     }
 
-    try {
-      const id = interaction.id || this.generateId();
-      
-      // Create the main interaction node
-      await session.run(`
-        CREATE (i:Interaction {
-          id: $id,
-          timestamp: $timestamp,
-          input: $input,
-          output: $output,
-          status: $status,
-          severity: $severity,
-          llmSource: $llmSource,
-          llmModel: $llmModel,
-          llmError: $llmError
-        })
-      `, {
-        id,
+    const rows = items.map(({ interaction }) => ({
+      id: interaction.id,
+      props: {
         timestamp: this.dateToString(interaction.timestamp),
         input: interaction.input,
         output: interaction.output,
@@ -106,108 +115,138 @@ export class GraphNeo4jService {
         severity: interaction.severity,
         llmSource: interaction.llmSource || null,
         llmModel: interaction.llmModel || null,
-        llmError: interaction.llmError || null
-      });
-
-      // Create violation nodes and relationships
-      for (const violation of interaction.violations) {
-        const violationId = this.generateId();
-        await session.run(`
-          CREATE (v:Violation {
-            id: $violationId,
-            type: $type,
-            description: $description,
-            severity: $severity,
-            confidence: $confidence,
-            reason: $reason,
-            location: $location,
-            regulatoryFramework: $regulatoryFramework,
-            complianceLevel: $complianceLevel
-          })
-          WITH v
-          MATCH (i:Interaction {id: $interactionId})
-          CREATE (i)-[:HAS_VIOLATION]->(v)
-        `, {
-          violationId,
-          type: violation.type,
-          description: violation.description,
-          severity: violation.severity,
-          confidence: violation.confidence,
-          reason: violation.reason,
-          location: violation.location || null,
-          regulatoryFramework: violation.regulatoryFramework || null,
-          complianceLevel: violation.complianceLevel || null,
-          interactionId: id
-        });
+        generationError: interaction.generationError ? JSON.stringify(interaction.generationError) : null,
+        llmLatencyMs: interaction.llmLatencyMs ?? null,
+        llmUsage: interaction.llmUsage ? JSON.stringify(interaction.llmUsage) : null,
+        llmAttempts: interaction.llmAttempts ? JSON.stringify(interaction.llmAttempts) : null,
+        // Phase verdicts are nested objects, so they are stored as JSON strings
+        inputVerdict: interaction.inputVerdict ? JSON.stringify(interaction.inputVerdict) : null,
+        outputVerdict: interaction.outputVerdict ? JSON.stringify(interaction.outputVerdict) : null,
+        redactions: interaction.redactions ? JSON.stringify(interaction.redactions) : null,
+        claims: interaction.claims ? JSON.stringify(interaction.claims) : null
+      }
+    }));
+    const violationId = (interaction: LLMInteraction, index: number) => `${interaction.id}:violation:${index}`;
+    const violations = items.flatMap(({ interaction }) => interaction.violations.map((violation, index) => ({
+      interactionId: interaction.id,
+      id: violationId(interaction, index),
+      props: {
+        position: index,
+        type: violation.type,
+        description: violation.description,
+        severity: violation.severity,
+        confidence: violation.confidence,
+        reason: violation.reason,
+        location: violation.location || null,
+        regulatoryFramework: violation.regulatoryFramework || null,
+        complianceLevel: violation.complianceLevel || null,
+        ruleId: violation.ruleId || null,
+        remediationSteps: violation.remediationSteps ? JSON.stringify(violation.remediationSteps) : null
       }
+    })));
+    // A save with fewer violations than before drops the ones past the new last position
+    const keptViolations = items.map(({ interaction }) => ({
+      interactionId: interaction.id,
+      ids: interaction.violations.map((_, index) => violationId(interaction, index))
+    }));
+    // Agent actions are stored as AgentAction nodes only; AuditLog entries belong to the backend's hash chain
+    const actions = items.flatMap(({ interaction }) => interaction.agentActions.map((agentAction, index) => ({
+      interactionId: interaction.id,
+      id: `${interaction.id}:action:${index}`,
+      props: {
+        agentName: agentAction.agentName,
+        action: agentAction.action,
+        details: agentAction.details,
+        timestamp: this.dateToString(agentAction.timestamp)
+      }
+    })));
+    const feedback = items.filter(({ interaction }) => interaction.userFeedback).map(({ interaction }) => ({
+      interactionId: interaction.id,
+      id: `${interaction.id}:feedback`,
+      props: {
+        rating: interaction.userFeedback!.rating,
+        comment: interaction.userFeedback!.comment || null,
+        timestamp: this.dateToString(interaction.userFeedback!.timestamp)
+      }
+    }));
+    // Unmasked text of redacted interactions lives on its own node, which none of the read queries here return
+    const originals = items.filter(({ interaction, original }) => original && interaction.redactions?.length).map(({ interaction, original }) => ({
+      interactionId: interaction.id,
+      props: { input: original!.input, output: original!.output, timestamp: this.dateToString(interaction.timestamp) }
+    }));
 
-      // Create agent action nodes and relationships
-      for (const agentAction of interaction.agentActions) {
-        const actionId = this.generateId();
-        await session.run(`
-          CREATE (a:AgentAction {
-            id: $actionId,
-            agentName: $agentName,
-            action: $action,
-            details: $details,
-            timestamp: $timestamp
-          })
-          WITH a
-          MATCH (i:Interaction {id: $interactionId})
-          CREATE (i)-[:PROCESSED_BY]->(a)
-        `, {
-          actionId,
-          agentName: agentAction.agentName,
-          action: agentAction.action,
-          details: agentAction.details,
-          timestamp: this.dateToString(agentAction.timestamp),
-          interactionId: id
-        });
+    try {
+      await session.executeWrite(async tx => {
+        await tx.run(`
+          UNWIND $rows AS row
+          MERGE (i:Interaction {id: row.id})
+          SET i += row.props
+        `, { rows });
+
+        await tx.run(`
+          UNWIND $keptViolations AS row
+          MATCH (:Interaction {id: row.interactionId})-[:HAS_VIOLATION]->(stale:Violation)
+          WHERE NOT stale.id IN row.ids
+          DETACH DELETE stale
+        `, { keptViolations });
+
+        if (violations.length > 0) {
+          await tx.run(`
+            UNWIND $violations AS row
+            MATCH (i:Interaction {id: row.interactionId})
+            MERGE (v:Violation {id: row.id})
+            SET v += row.props
+            MERGE (i)-[:HAS_VIOLATION]->(v)
+          `, { violations });
+        }
 
-        // Create relationships between violations and agent actions
-        if (interaction.violations.length > 0) {
-          await session.run(`
-            MATCH (i:Interaction {id: $interactionId})-[:HAS_VIOLATION]->(v:Violation)
-            MATCH (i)-[:PROCESSED_BY]->(a:AgentAction {id: $actionId})
-            CREATE (v)-[:TRIGGERED_ACTION]->(a)
-          `, {
-            interactionId: id,
-            actionId
-          });
+        if (actions.length > 0) {
+          await tx.run(`
+            UNWIND $actions AS row
+            MATCH (i:Interaction {id: row.interactionId})
+            MERGE (a:AgentAction {id: row.id})
+            SET a += row.props
+            MERGE (i)-[:PROCESSED_BY]->(a)
+            WITH i, a
+            MATCH (i)-[:HAS_VIOLATION]->(v:Violation)
+            MERGE (v)-[:TRIGGERED_ACTION]->(a)
+          `, { actions });
         }
-      }
 
-      // Create user feedback node and relationship if exists
-      if (interaction.userFeedback) {
-        const feedbackId = this.generateId();
-        await session.run(`
-          CREATE (f:UserFeedback {
-            id: $feedbackId,
-            rating: $rating,
-            comment: $comment,
-            timestamp: $timestamp
-          })
-          WITH f
-          MATCH (i:Interaction {id: $interactionId})
-          CREATE (i)-[:HAS_FEEDBACK]->(f)
-        `, {
-          feedbackId,
-          rating: interaction.userFeedback.rating,
-          comment: interaction.userFeedback.comment || null,
-          timestamp: this.dateToString(interaction.userFeedback.timestamp),
-          interactionId: id
-        });
-      }
+        if (feedback.length > 0) {
+          await tx.run(`
+            UNWIND $feedback AS row
+            MATCH (i:Interaction {id: row.interactionId})
+            MERGE (f:UserFeedback {id: row.id})
+            SET f += row.props
+            MERGE (i)-[:HAS_FEEDBACK]->(f)
+          `, { feedback });
+        }
 
-      return id;
+        if (originals.length > 0) {
+          await tx.run(`
+            UNWIND $originals AS row
+            MATCH (i:Interaction {id: row.interactionId})
+            MERGE (i)-[:HAS_ORIGINAL]->(o:RedactedOriginal)
+            SET o += row.props
+          `, { originals });
+        }
+      });
     } catch (error) {
-      console.error('Error saving interaction with graph relationships:', error);
-      throw new Error('Failed to save interaction');
+      console.error('Error saving interactions with graph relationships:', error);
+      throw new Error('Failed to save interactions');
     } finally {
       await session.close();
     }
   }
 
+  // Save one interaction right away (the request path uses interactionWriteQueue instead)
+  async saveInteraction(interaction: LLMInteraction, original?: InteractionWrite['original']): Promise<string> {
+    const id = interaction.id || this.generateId();
+    await this.saveInteractions([{ interaction: { ...interaction, id }, original }]);
+    return id;
+  }
+
   // Get interactions with their graph relationships
   async getInteractions(limitCount: number = 50): Promise<LLMInteraction[]> {
     const session = neo4jService.getSession();
@@ -248,7 +287,9 @@ export class GraphNeo4jService {
             reason: v.reason,
             location: v.location,
             regulatoryFramework: v.regulatoryFramework,
-            complianceLevel: v.complianceLevel
+            complianceLevel: v.complianceLevel,
+            ruleId: v.ruleId ?? undefined,
+            remediationSteps: v.remediationSteps ? JSON.parse(v.remediationSteps) : undefined
           })),
           agentActions: agentActions.map((a: any) => ({
             agentName: a.agentName,
@@ -263,7 +304,20 @@ export class GraphNeo4jService {
           } : undefined,
           llmSource: interaction.llmSource,
           llmModel: interaction.llmModel,
-          llmError: interaction.llmError
+          generationError: interaction.generationError ? JSON.parse(interaction.generationError) : undefined,
+          llmLatencyMs: interaction.llmLatencyMs != null ? toNumber(interaction.llmLatencyMs) : undefined,
+          llmUsage: interaction.llmUsage ? JSON.parse(interaction.llmUsage) : undefined,
+          llmAttempts: interaction.llmAttempts ? JSON.parse(interaction.llmAttempts) : undefined,
+          inputVerdict: this.parseVerdict(interaction.inputVerdict),
+          outputVerdict: this.parseVerdict(interaction.outputVerdict),
+          redactions: interaction.redactions ? JSON.parse(interaction.redactions) : undefined,
+          // Written by the backend for interactions that belong to a conversation session
+          sessionId: interaction.sessionId ?? undefined,
+          sessionRisk: interaction.sessionRisk ? JSON.parse(interaction.sessionRisk) : undefined,
+          fallbackReason: interaction.fallbackReason ?? undefined,
+          ensemble: interaction.ensemble ? JSON.parse(interaction.ensemble) : undefined,
+          settingsVersions: interaction.settingsVersions ? JSON.parse(interaction.settingsVersions) : undefined,
+          claims: interaction.claims ? JSON.parse(interaction.claims) : undefined
         } as LLMInteraction;
       });
     } catch (error) {
@@ -280,9 +334,10 @@ export class GraphNeo4jService {
     if (!session) return { nodes: [], links: [] };
 
     try {
-      // Get all nodes
+      // Get all nodes (unmasked originals of redacted interactions are never exposed)
       const nodesResult = await session.run(`
         MATCH (n)
+        WHERE NOT n:RedactedOriginal
         RETURN n, labels(n)[0] as type, id(n) as nodeId
       `);
 
@@ -304,6 +359,7 @@ export class GraphNeo4jService {
       // Get all relationships
       const linksResult = await session.run(`
         MATCH (a)-[r]->(b)
+        WHERE NOT b:RedactedOriginal
         RETURN id(a) as sourceId, id(b) as targetId, type(r) as relType, r as relationship
       `);
 
@@ -329,7 +385,8 @@ export class GraphNeo4jService {
       'Violation': '#E74C3C',
       'AgentAction': '#2ECC71',
       'UserFeedback': '#F39C12',
-      'AuditLog': '#9B59B6'
+      'AuditLog': '#9B59B6',
+      'Session': '#1ABC9C'
     };
     return colors[type as keyof typeof colors] || '#95A5A6';
   }
@@ -341,48 +398,8 @@ export class GraphNeo4jService {
     return type === 'Interaction' ? 15 : 10;
   }
 
-  // Additional methods for audit logs, feedback, etc. with proper relationships
-  async saveAuditLog(auditLog: AuditLogEntry): Promise<string> {
-    const session = neo4jService.getSession();
-    if (!session) throw new Error('Neo4j not configured');
-
-    try {
-      const id = auditLog.id || this.generateId();
-      
-      await session.run(`
-        CREATE (al:AuditLog {
-          id: $id,
-          timestamp: $timestamp,
-          agentName: $agentName,
-          action: $action,
-          violationType: $violationType,
-          severity: $severity,
-          details: $details
-        })
-        WITH al
-        MATCH (i:Interaction {id: $interactionId})
-        CREATE (al)-[:AUDITS]->(i)
-      `, {
-        id,
-        timestamp: this.dateToString(auditLog.timestamp),
-        agentName: auditLog.agentName,
-        action: auditLog.action,
-        violationType: auditLog.violationType || null,
-        severity: auditLog.severity || null,
-        details: auditLog.details,
-        interactionId: auditLog.interactionId
-      });
-
-      return id;
-    } catch (error) {
-      console.error('Error saving audit log:', error);
-      throw error;
-    } finally {
-      await session.close();
-    }
-  }
-
-  // Get audit logs with relationships
+  // Get audit logs with relationships. Entries are only appended through the backend (POST /api/audit),
+  // which hash-chains them; AuditLog nodes created here would sit outside the chain
   async getAuditLogs(limitCount: number = 50): Promise<AuditLogEntry[]> {
     const session = neo4jService.getSession();
     if (!session) return [];
@@ -406,7 +423,9 @@ export class GraphNeo4jService {
           violationType: auditLog.violationType,
           severity: auditLog.severity,
           interactionId: record.get('interactionId') || auditLog.interactionId,
-          details: auditLog.details
+          details: auditLog.details,
+          reviewer: auditLog.reviewer ?? undefined,
+          reason: auditLog.reason ?? undefined
         } as AuditLogEntry;
       });
     } catch (error) {
@@ -484,27 +503,6 @@ export class GraphNeo4jService {
     }
   }
 
-  // Get settings (simplified for now)
-  async getSettings(): Promise<AgentSettings> {
-    // For now, return default settings
-    // In a full implementation, this would be stored in Neo4j as well
-    return {
-      policyEnforcer: { enabled: true },
-      verifier: { enabled: true },
-      auditLogger: { enabled: true },
-      responseAgent: { enabled: true },
-      feedbackAgent: { enabled: true },
-      severityThreshold: 7.0
-    };
-  }
-
-  // Save settings (simplified for now)
-  async saveSettings(settings: AgentSettings): Promise<void> {
-    // For now, just log the settings
-    // In a full implementation, this would be stored in Neo4j
-    console.log('Settings saved:', settings);
-  }
-
   // Update interaction with additional data
   async updateInteraction(id: string, updates: Partial<LLMInteraction>): Promise<void> {
     const session = neo4jService.getSession();
@@ -549,9 +547,11 @@ export class GraphNeo4jService {
       return {
         totalInteractions: 0,
         flaggedInteractions: 0,
+        failedInteractions: 0,
         averageSeverity: 0,
         topViolations: [],
-        agentActivity: []
+        agentActivity: [],
+        modelComparison: []
       };
     }
 
@@ -562,13 +562,15 @@ export class GraphNeo4jService {
         OPTIONAL MATCH (i)-[:HAS_VIOLATION]->(v:Violation)
         RETURN 
           count(DISTINCT i) as totalInteractions,
-          count(DISTINCT CASE WHEN v IS NOT NULL THEN i END) as flaggedInteractions,
+          count(DISTINCT CASE WHEN v IS NOT NULL AND i.status <> 'failed' THEN i END) as flaggedInteractions,
+          count(DISTINCT CASE WHEN i.status = 'failed' THEN i END) as failedInteractions,
           avg(CASE WHEN v IS NOT NULL THEN v.severity END) as avgSeverity
       `);
 
       const stats = statsResult.records[0];
       const totalInteractions = stats.get('totalInteractions').toNumber();
       const flaggedInteractions = stats.get('flaggedInteractions').toNumber();
+      const failedInteractions = stats.get('failedInteractions').toNumber();
       const averageSeverity = stats.get('avgSeverity') || 0;
 
       // Get top violations
@@ -596,21 +598,43 @@ export class GraphNeo4jService {
         actions: record.get('actions').toNumber()
       }));
 
+      // Per-model governance results, from each interaction that produced output
+      const modelResult = await session.run(`
+        MATCH (i:Interaction)
+        WHERE i.llmModel IS NOT NULL
+        OPTIONAL MATCH (i)-[:HAS_VIOLATION]->(v:Violation)
+        RETURN i.llmSource as llmSource, i.llmModel as llmModel, i.status as status,
+          i.llmLatencyMs as llmLatencyMs, i.llmUsage as llmUsage, collect(v.severity) as severities
+      `);
+
+      const modelComparison = compareModels(modelResult.records.map(record => ({
+        llmSource: record.get('llmSource') ?? undefined,
+        llmModel: record.get('llmModel'),
+        status: record.get('status'),
+        llmLatencyMs: record.get('llmLatencyMs') != null ? toNumber(record.get('llmLatencyMs')) : undefined,
+        llmUsage: record.get('llmUsage') ? JSON.parse(record.get('llmUsage')) : undefined,
+        violations: record.get('severities').map((severity: number | Integer) => ({ severity: toNumber(severity) }))
+      })));
+
       return {
         totalInteractions,
         flaggedInteractions,
+        failedInteractions,
         averageSeverity: Number(averageSeverity.toFixed(2)),
         topViolations,
-        agentActivity
+        agentActivity,
+        modelComparison
       };
     } catch (error) {
       console.error('Error fetching dashboard stats:', error);
       return {
         totalInteractions: 0,
         flaggedInteractions: 0,
+        failedInteractions: 0,
         averageSeverity: 0,
         topViolations: [],
-        agentActivity: []
+        agentActivity: [],
+        modelComparison: []
       };
     } finally {
       await session.close();
@@ -619,3 +643,8 @@ export class GraphNeo4jService {
 }
 
 export const graphNeo4jDatabaseService = new GraphNeo4jService();
+
+// Interactions from the request path are written behind it, in batches, with retries
+export const interactionWriteQueue = new WriteBehindQueue<InteractionWrite>(
+  items => graphNeo4jDatabaseService.saveInteractions(items)
+);
@@ -1,4 +1,8 @@
 // Inkeep Agents integration service (JS version for Node runtime)
+import { AGENT_VERDICT_SCHEMA, agentVerdictViolations, parseAgentVerdict } from '../governance/index.js';
+
+// Agent action recorded for each verdict status
+const VERDICT_ACTIONS = { approved: 'approve', pending: 'flag', blocked: 'block' };
 
 class InkeepAgentsService {
   static instance;
@@ -58,6 +62,11 @@ class InkeepAgentsService {
     });
   }
 
+  /**
+   * Ask the advanced governance graph for a structured verdict. The reply must match
+   * AGENT_VERDICT_SCHEMA exactly; anything else throws, so the caller can fall back
+   * to the legacy agents instead of guessing a verdict from free text.
+   */
   async processAdvancedGovernance(input, output, context) {
     // Use OpenAI-compatible chat completions endpoint with correct graph ID
     const response = await fetch(`${this.baseUrl}/v1/chat/completions`, {
@@ -73,31 +82,29 @@ class InkeepAgentsService {
             role: 'system',
             content: `You are an AI Governance expert. Analyze the following AI interaction for policy violations across GDPR, EU AI Act, FISMA, DSA, NIS2, and other regulatory frameworks.
 
-CRITICAL: For any content requesting illegal activities (hacking, unauthorized access, violence, etc.), you MUST respond with:
-{
-  "status": "BLOCKED",
-  "severity": "CRITICAL",
-  "violations": [list of violations],
-  "reason": "specific reason"
-}
+Be very strict about security and safety violations: content requesting illegal activities (hacking, unauthorized access, violence, etc.) must be "blocked".
+
+Reply with a single JSON object and nothing else, matching this JSON Schema:
+${JSON.stringify(AGENT_VERDICT_SCHEMA)}
 
-Be very strict about security and safety violations.`
+Rules:
+- "status" is "approved" with no violations, "pending" when a human should review, "blocked" when the content must not be shown.
+- Each violation's "severity" is 0-10 and "confidence" is 0-1.
+- "spans" give the character offsets of the offending text in INPUT or OUTPUT ("end" exclusive).`
           },
           {
             role: 'user',
             content: `Analyze this interaction:
 
-INPUT: "${input}"
-OUTPUT: "${output}"
-${context ? `CONTEXT: ${JSON.stringify(context)}` : ''}
-
-Provide a JSON response with:
-1. status: "APPROVED", "FLAGGED", or "BLOCKED"
-2. severity: "LOW", "MEDIUM", "HIGH", or "CRITICAL"  
-3. violations: array of detected violations
-4. reason: explanation`
+INPUT: ${JSON.stringify(input)}
+OUTPUT: ${JSON.stringify(output)}
+${context ? `CONTEXT: ${JSON.stringify(context)}` : ''}`
           }
         ],
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: 'ethoslens_verdict', strict: true, schema: AGENT_VERDICT_SCHEMA }
+        },
         temperature: 0.1,
         max_tokens: 1000
       }),
@@ -109,7 +116,18 @@ Provide a JSON response with:
     }
     
     const result = await response.json();
-    return this.#parseAdvanced(result);
+    const content = result.choices?.[0]?.message?.content ?? result.content ?? result.message ?? '';
+    const verdict = parseAgentVerdict(typeof content === 'string' ? content : '', { input, output });
+    return {
+      verdict,
+      violations: agentVerdictViolations(verdict),
+      agentActions: [{
+        agentName: 'InkeepGovernanceCoordinator',
+        action: VERDICT_ACTIONS[verdict.status],
+        details: verdict.reason,
+        timestamp: new Date()
+      }]
+    };
   }
 
   async processFeedback(interactionId, feedback) {
@@ -139,23 +157,6 @@ Provide a JSON response with:
     const result = await response.json();
     return { raw: result };
   }
-
-  #parseBasic(response) {
-    const content = response.content || response.message || '';
-    const hasViolation = /violation|blocked/i.test(content);
-    const severity = /critical/i.test(content) ? 'critical' : hasViolation ? 'high' : 'low';
-    return {
-      violations: hasViolation ? [{ type: 'compliance', description: 'Detected by Inkeep', severity: /critical/i.test(content) ? 9 : 7, confidence: 0.85, reason: 'Inkeep analysis' }] : [],
-      agentActions: [{ agentName: 'InkeepGovernanceCoordinator', action: hasViolation ? 'flag' : 'approve', details: content.slice(0, 200) + '...', timestamp: new Date() }],
-      status: hasViolation ? (/critical/i.test(content) ? 'blocked' : 'pending') : 'approved',
-      severity,
-    };
-  }
-
-  #parseAdvanced(response) {
-    const basic = this.#parseBasic(response);
-    return { ...basic, verificationResults: { isAccurate: !/misinformation/i.test(response.content || ''), confidence: 0.85 } };
-  }
 }
 
 export const inkeepAgentsService = InkeepAgentsService.getInstance();
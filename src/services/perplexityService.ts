@@ -22,6 +22,8 @@ export interface PerplexityResponse {
     completion_tokens: number;
     total_tokens: number;
   };
+  // URLs of the search results the answer drew on
+  citations?: string[];
 }
 
 export interface VerificationResult {
@@ -30,6 +32,12 @@ export interface VerificationResult {
   summary: string;
   sources?: string[];
   reasoning?: string;
+  // Tokens the request used, for budget accounting
+  usage?: {
+    promptTokens: number;
+    completionTokens: number;
+    totalTokens: number;
+  };
 }
 
 export class PerplexityService {
@@ -67,8 +75,15 @@ export class PerplexityService {
     try {
       const prompt = this.buildFactCheckPrompt(claim);
       const response = await this.callPerplexityAPI(prompt);
-      
-      return this.parseVerificationResponse(response);
+
+      return {
+        ...this.parseVerificationResponse(response),
+        usage: {
+          promptTokens: response.usage?.prompt_tokens ?? 0,
+          completionTokens: response.usage?.completion_tokens ?? 0,
+          totalTokens: response.usage?.total_tokens ?? 0
+        }
+      };
     } catch (error) {
       console.error('Perplexity fact-check failed:', error);
       throw new Error(`Fact-check failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
@@ -191,13 +206,17 @@ Fact-checking process:
 Be confident in your assessment - if something is clearly false, mark it as such with high confidence.`;
   }
 
+  /**
+   * A reply that cannot be read as a verdict throws, so callers record the content
+   * as unverified rather than treating it as false.
+   */
   private parseVerificationResponse(response: PerplexityResponse): VerificationResult {
-    try {
-      const content = response.choices[0]?.message?.content;
-      if (!content) {
-        throw new Error('No content in Perplexity response');
-      }
+    const content = response.choices[0]?.message?.content;
+    if (!content) {
+      throw new Error('No content in Perplexity response');
+    }
 
+    try {
       // First try to extract JSON from markdown code blocks
       let jsonString = this.extractJsonFromMarkdown(content);
       
@@ -209,10 +228,13 @@ Be confident in your assessment - if something is clearly false, mark it as such
       // Try to parse the extracted JSON
       if (jsonString) {
         const parsed = JSON.parse(jsonString);
+        if (typeof parsed.isAccurate !== 'boolean') {
+          throw new Error('No isAccurate verdict in verification response');
+        }
         
         // Enhanced validation and confidence adjustment
         let confidence = Math.max(0, Math.min(1, parsed.confidence || 0));
-        let isAccurate = parsed.isAccurate || false;
+        const isAccurate = parsed.isAccurate;
         
         // Special handling for known false claims
         const content = response.choices[0]?.message?.content?.toLowerCase() || '';
@@ -236,32 +258,34 @@ Be confident in your assessment - if something is clearly false, mark it as such
           isAccurate,
           confidence,
           summary: parsed.summary || 'Verification completed',
-          sources: parsed.sources || [],
+          sources: this.mergeSources(parsed.sources, response.citations),
           reasoning: parsed.reasoning || content
         };
       }
-
-      // Fallback: analyze text response
-      const isAccurate = this.analyzeTextForAccuracy(content);
-      const confidence = this.extractConfidenceFromText(content);
-
-      return {
-        isAccurate,
-        confidence,
-        summary: content.substring(0, 200) + (content.length > 200 ? '...' : ''),
-        reasoning: content
-      };
     } catch (error) {
       console.error('Failed to parse Perplexity response:', error);
-      
-      // Return conservative result on parsing failure
-      return {
-        isAccurate: false,
-        confidence: 0.8, // Higher confidence when we can't parse - assume potentially problematic
-        summary: 'Unable to parse verification response',
-        reasoning: 'Response parsing failed, treating as potentially inaccurate for safety'
-      };
+      throw new Error('Unable to parse verification response');
+    }
+
+    // Fallback: analyze text response
+    const isAccurate = this.analyzeTextForAccuracy(content);
+    if (isAccurate === null) {
+      throw new Error('Verification response gave no verdict');
     }
+
+    return {
+      isAccurate,
+      confidence: this.extractConfidenceFromText(content),
+      summary: content.substring(0, 200) + (content.length > 200 ? '...' : ''),
+      sources: this.mergeSources([], response.citations),
+      reasoning: content
+    };
+  }
+
+  // Sources named in the verdict, then the citations Perplexity returned with it
+  private mergeSources(sources: unknown, citations: string[] = []): string[] {
+    const named = Array.isArray(sources) ? sources.filter((source): source is string => typeof source === 'string') : [];
+    return [...new Set([...named, ...citations])];
   }
 
   private extractJsonFromMarkdown(content: string): string | null {
@@ -308,7 +332,8 @@ Be confident in your assessment - if something is clearly false, mark it as such
     return braceCount === 0;
   }
 
-  private analyzeTextForAccuracy(text: string): boolean {
+  // null when the text has no wording either way
+  private analyzeTextForAccuracy(text: string): boolean | null {
     const inaccurateIndicators = [
       'false', 'incorrect', 'inaccurate', 'misleading', 'misinformation',
       'not true', 'fabricated', 'unverified', 'disputed', 'debunked',
@@ -343,6 +368,10 @@ Be confident in your assessment - if something is clearly false, mark it as such
     const accurateScore = accurateIndicators.reduce((score, indicator) => 
       score + (textLower.includes(indicator) ? 1 : 0), 0);
 
+    if (accurateScore === 0 && inaccurateScore === 0) {
+      return null;
+    }
+
     // Be more conservative - require stronger evidence for accuracy
     return accurateScore > inaccurateScore && inaccurateScore === 0;
   }
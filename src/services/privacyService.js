@@ -0,0 +1,229 @@
+// Retention policies, subject access and right-to-erasure for stored interactions (JS runtime for Node server)
+import { readFileSync } from 'node:fs';
+import {
+  parseRetentionPolicy,
+  retentionFilters,
+  pseudonymiseText,
+  pseudonymiseInteraction
+} from '../privacy/index.js';
+import { generateId } from '../storage/records.js';
+
+const DEFAULT_RETENTION_INTERVAL_MS = 60 * 60 * 1000;
+
+// Interactions purged per storage call
+const PURGE_BATCH_SIZE = 200;
+
+export const ERASURE_MODES = ['delete', 'anonymise'];
+
+// Shorter identifiers would match far more than one person's records
+const MIN_IDENTIFIER_LENGTH = 3;
+
+// Error for a request the service cannot act on; `status` is the HTTP status to answer with
+function privacyError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Rules from RETENTION_POLICY_FILE or RETENTION_POLICY (JSON), or none
+function loadRetentionPolicy(env) {
+  const json = env.RETENTION_POLICY_FILE ? readFileSync(env.RETENTION_POLICY_FILE, 'utf8') : env.RETENTION_POLICY;
+  return json ? parseRetentionPolicy(JSON.parse(json)) : [];
+}
+
+function subjectIdentifier(identifier) {
+  const trimmed = typeof identifier === 'string' ? identifier.trim() : '';
+  if (trimmed.length < MIN_IDENTIFIER_LENGTH) {
+    throw privacyError(400, `identifier must be at least ${MIN_IDENTIFIER_LENGTH} characters`);
+  }
+  return trimmed;
+}
+
+function requiredText(name, value) {
+  if (typeof value !== 'string' || !value.trim()) throw privacyError(400, `${name} is required`);
+  return value.trim();
+}
+
+/**
+ * Raw prompts and responses are kept only as long as a retention rule allows: due
+ * interactions are deleted or pseudonymised every RETENTION_INTERVAL_MS. Erasure
+ * requests delete or anonymise everything stored about an identifier, and subject
+ * access exports it. Every purge appends an audit entry for each interaction; the
+ * entries name the rule or request, never the identifier.
+ */
+class PrivacyService {
+  static instance;
+  storage = null;
+  rules = [];
+  retentionTimer = null;
+  lastRetentionRun = null;
+  listeners = new Set();
+  #retentionRun = null;
+
+  constructor() {
+    this.retentionIntervalMs = Number(process.env.RETENTION_INTERVAL_MS || DEFAULT_RETENTION_INTERVAL_MS);
+    this.pseudonymKey = process.env.PSEUDONYMISATION_KEY || null;
+    try {
+      this.rules = loadRetentionPolicy(process.env);
+    } catch (error) {
+      console.error('❌ Retention policy unusable, nothing will be purged:', error.message);
+    }
+  }
+
+  static getInstance() {
+    if (!PrivacyService.instance) {
+      PrivacyService.instance = new PrivacyService();
+    }
+    return PrivacyService.instance;
+  }
+
+  // Retention runs every RETENTION_INTERVAL_MS while a policy is configured
+  attach(storage) {
+    this.storage = storage;
+    clearInterval(this.retentionTimer);
+    if (this.rules.length === 0) return;
+    if (!this.pseudonymKey && this.rules.some(rule => rule.action === 'pseudonymise')) {
+      console.warn('⚠️ PSEUDONYMISATION_KEY not set; pseudonymised values are replaced by their type alone and cannot be linked');
+    }
+    this.retentionTimer = setInterval(() => {
+      this.applyRetention().catch(error => console.error('Retention error:', error));
+    }, this.retentionIntervalMs);
+    this.retentionTimer.unref?.();
+  }
+
+  // Listeners get (interactionId, rewritten) after each purge; rewritten is null when it was deleted
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  policy() {
+    return {
+      rules: this.rules,
+      intervalMs: this.retentionIntervalMs,
+      pseudonymisationKeyConfigured: Boolean(this.pseudonymKey),
+      lastRun: this.lastRetentionRun
+    };
+  }
+
+  /**
+   * Delete or pseudonymise `interactions` in one storage call, then audit each one.
+   * Pseudonymising with `options.erase` anonymises: no key, and the terms are erased.
+   */
+  async #purge(interactions, action, options, audit) {
+    let rewrites = [];
+    if (action === 'delete') {
+      await this.storage.deleteInteractions(interactions.map(interaction => interaction.id));
+    } else {
+      rewrites = await Promise.all(interactions.map(async interaction => ({
+        interaction: pseudonymiseInteraction(interaction, options),
+        feedback: (await this.storage.listFeedback(interaction.id))
+          .filter(entry => entry.comment)
+          .map(entry => ({ id: entry.id, comment: pseudonymiseText(entry.comment, options) }))
+      })));
+      await this.storage.pseudonymiseInteractions(rewrites);
+    }
+
+    for (const [index, interaction] of interactions.entries()) {
+      await this.storage.appendAuditLog(interaction.id, { agentName: 'PrivacyService', ...audit });
+      const rewritten = rewrites[index]?.interaction ?? null;
+      this.listeners.forEach(listener => {
+        Promise.resolve(listener(interaction.id, rewritten)).catch(error => console.error('Privacy listener error:', error));
+      });
+    }
+  }
+
+  // Apply every rule once; a run already under way is joined rather than started again
+  async applyRetention(now = new Date()) {
+    this.#retentionRun ??= this.#runRetention(now).finally(() => { this.#retentionRun = null; });
+    return this.#retentionRun;
+  }
+
+  async #runRetention(now) {
+    const rules = [];
+    for (const rule of this.rules) {
+      let purged = 0;
+      // Purged interactions no longer match the rule's filters, so each batch is the next one due
+      for (;;) {
+        const due = await this.storage.listInteractions({ ...retentionFilters(rule, now), sort: 'timestamp', order: 'asc', limit: PURGE_BATCH_SIZE });
+        if (due.length === 0) break;
+        await this.#purge(due, rule.action, { key: this.pseudonymKey }, {
+          action: `retention_${rule.action}`,
+          details: `${rule.action === 'delete' ? 'Deleted' : 'Pseudonymised'} under retention rule "${rule.name}" (older than ${rule.afterDays} day(s))`
+        });
+        purged += due.length;
+        if (due.length < PURGE_BATCH_SIZE) break;
+      }
+      rules.push({ rule: rule.name, action: rule.action, interactions: purged });
+    }
+
+    this.lastRetentionRun = { ranAt: now, rules };
+    const total = rules.reduce((sum, rule) => sum + rule.interactions, 0);
+    if (total > 0) console.log(`🗑️ Retention purged ${total} interaction(s)`);
+    return this.lastRetentionRun;
+  }
+
+  /**
+   * Everything stored about an identifier (an email address, a name, a session or
+   * interaction id): each interaction it appears in with its unmasked original,
+   * feedback and audit entries, and the sessions they belong to.
+   */
+  async subjectAccess(identifier) {
+    const subject = subjectIdentifier(identifier);
+    const interactions = [];
+    const sessionIds = new Set();
+    for (const id of await this.storage.subjectInteractionIds(subject)) {
+      const interaction = await this.storage.getInteraction(id);
+      if (!interaction) continue;
+      if (interaction.sessionId) sessionIds.add(interaction.sessionId);
+      interactions.push({
+        ...interaction,
+        original: await this.storage.getRedactedOriginal(id),
+        feedback: await this.storage.listFeedback(id),
+        auditLogs: await this.storage.listAuditLogs(id)
+      });
+    }
+    const sessions = [];
+    for (const id of sessionIds) {
+      const session = await this.storage.getSession(id);
+      if (session) sessions.push(session);
+    }
+
+    console.log(`🔎 Subject access export: ${interactions.length} interaction(s)`);
+    return { generatedAt: new Date(), interactions, sessions };
+  }
+
+  /**
+   * Right to erasure: every interaction the identifier appears in is deleted, or
+   * anonymised (the identifier and all detected personal data replaced for good).
+   * `dryRun` lists what would be erased. The request id is in every audit entry
+   * made, for the requester's records; the identifier is not.
+   */
+  async erase(identifier, { mode = 'delete', requestedBy, reason, dryRun = false } = {}) {
+    const subject = subjectIdentifier(identifier);
+    if (!ERASURE_MODES.includes(mode)) throw privacyError(400, `mode must be one of ${ERASURE_MODES.join(', ')}`);
+    const reviewer = requiredText('requestedBy', requestedBy);
+    const why = requiredText('reason', reason);
+
+    const interactionIds = await this.storage.subjectInteractionIds(subject);
+    if (dryRun) return { requestId: null, mode, dryRun: true, interactionIds };
+
+    const requestId = generateId('erasure');
+    for (let start = 0; start < interactionIds.length; start += PURGE_BATCH_SIZE) {
+      const batch = [];
+      for (const id of interactionIds.slice(start, start + PURGE_BATCH_SIZE)) {
+        const interaction = await this.storage.getInteraction(id);
+        if (interaction) batch.push(interaction);
+      }
+      await this.#purge(batch, mode === 'delete' ? 'delete' : 'pseudonymise', { key: null, erase: [subject] }, {
+        action: `erasure_${mode}`,
+        details: `${mode === 'delete' ? 'Deleted' : 'Anonymised'} for erasure request ${requestId}`,
+        reviewer,
+        reason: why
+      });
+    }
+
+    console.log(`🗑️ Erasure request ${requestId}: ${interactionIds.length} interaction(s) ${mode === 'delete' ? 'deleted' : 'anonymised'}`);
+    return { requestId, mode, dryRun: false, erasedAt: new Date(), interactionIds };
+  }
+}
+
+export const privacyService = PrivacyService.getInstance();
@@ -0,0 +1,200 @@
+// Human review queue for interactions held as 'pending' (JS runtime for Node server)
+
+export const REVIEW_ACTIONS = ['claim', 'approve', 'reject', 'escalate'];
+
+// Reviews that have not reached a decision
+export const OPEN_REVIEW_STATUSES = ['queued', 'claimed', 'escalated'];
+
+// How often overdue reviews are looked for
+const SLA_CHECK_INTERVAL_MS = 30000;
+
+// Decided reviews stay in memory this long for pollers; after that the decision is read from storage
+const DECIDED_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Interaction status each final decision resolves to
+const DECISION_STATUS = { approve: 'approved', reject: 'blocked' };
+
+// Which review statuses each action may be taken from
+const ALLOWED_FROM = {
+  claim: ['queued', 'escalated'],
+  approve: ['claimed'],
+  reject: ['claimed'],
+  escalate: ['queued', 'claimed']
+};
+
+const REVIEW_STATUS_AFTER = { claim: 'claimed', approve: 'approved', reject: 'rejected', escalate: 'escalated' };
+
+// Error for a request the queue cannot act on; `status` is the HTTP status to answer with
+function reviewError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+class ReviewQueueService {
+  static instance;
+  reviews = new Map();
+  listeners = new Set();
+
+  constructor() {
+    this.slaMs = Number(process.env.REVIEW_SLA_MINUTES || 60) * 60000;
+    // Overdue reviews are escalated once; an escalated review gets a fresh SLA
+    this.slaTimer = setInterval(() => {
+      this.escalateOverdue();
+      this.#pruneDecided();
+    }, SLA_CHECK_INTERVAL_MS);
+    this.slaTimer.unref?.();
+  }
+
+  static getInstance() {
+    if (!ReviewQueueService.instance) {
+      ReviewQueueService.instance = new ReviewQueueService();
+    }
+    return ReviewQueueService.instance;
+  }
+
+  // Listeners get (review, event) after every change, e.g. to persist it
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  #notify(review, event) {
+    this.listeners.forEach(listener => {
+      Promise.resolve(listener(review, event)).catch(error => console.error('Review listener error:', error));
+    });
+  }
+
+  enqueue(interaction) {
+    if (this.reviews.has(interaction.id)) return this.reviews.get(interaction.id);
+
+    const queuedAt = new Date();
+    const review = {
+      interactionId: interaction.id,
+      status: 'queued',
+      queuedAt,
+      dueAt: new Date(queuedAt.getTime() + this.slaMs),
+      input: interaction.input,
+      output: interaction.output,
+      severity: interaction.severity,
+      violations: interaction.violations,
+      sessionId: interaction.sessionId,
+      history: []
+    };
+    this.reviews.set(interaction.id, review);
+    console.log(`🧑‍⚖️ Interaction ${interaction.id} queued for review (due ${review.dueAt.toISOString()})`);
+    this.#notify(review, { action: 'queue', reviewer: 'system', reason: 'Held for review by governance', timestamp: queuedAt });
+    return review;
+  }
+
+  // Bring back an open review persisted before a restart
+  restore(review) {
+    this.reviews.set(review.interactionId, { history: [], ...review });
+  }
+
+  // After a purge: a deleted interaction's review is dropped, a rewritten one keeps only the rewritten text
+  erase(interactionId, rewritten = null) {
+    const review = this.reviews.get(interactionId);
+    if (!review) return;
+    if (!rewritten) {
+      this.reviews.delete(interactionId);
+      return;
+    }
+    Object.assign(review, {
+      input: rewritten.input,
+      output: rewritten.output,
+      violations: rewritten.violations,
+      sessionId: rewritten.sessionId
+    });
+  }
+
+  get(interactionId) {
+    return this.reviews.get(interactionId) ?? null;
+  }
+
+  // Reviews in the given statuses, soonest due first, flagged when past their SLA
+  list(statuses = OPEN_REVIEW_STATUSES) {
+    const now = Date.now();
+    return [...this.reviews.values()]
+      .filter(review => statuses.includes(review.status))
+      .sort((a, b) => a.dueAt - b.dueAt)
+      .map(review => ({ ...review, overdue: OPEN_REVIEW_STATUSES.includes(review.status) && review.dueAt.getTime() < now }));
+  }
+
+  /**
+   * Apply a reviewer action. Only the reviewer holding the claim can approve or
+   * reject; escalating releases the claim and restarts the SLA. Every action keeps
+   * the reviewer and reason in the review's history.
+   */
+  act(interactionId, action, { reviewer, reason = '' } = {}) {
+    if (!REVIEW_ACTIONS.includes(action)) {
+      throw reviewError(400, `Unknown review action "${action}"; expected one of ${REVIEW_ACTIONS.join(', ')}`);
+    }
+    if (typeof reviewer !== 'string' || !reviewer.trim()) {
+      throw reviewError(400, 'A reviewer is required');
+    }
+    if (typeof reason !== 'string') {
+      throw reviewError(400, 'reason must be a string');
+    }
+    if (action !== 'claim' && !reason.trim()) {
+      throw reviewError(400, `A reason is required to ${action}`);
+    }
+
+    const review = this.reviews.get(interactionId);
+    if (!review) {
+      throw reviewError(404, `No review found for interaction ${interactionId}`);
+    }
+    if (!ALLOWED_FROM[action].includes(review.status)) {
+      throw reviewError(409, `Cannot ${action} a review that is ${review.status}`);
+    }
+    if (review.status === 'claimed' && review.claimedBy !== reviewer.trim() && action !== 'escalate') {
+      throw reviewError(409, `Review is claimed by ${review.claimedBy}`);
+    }
+
+    return this.#transition(review, action, reviewer.trim(), reason.trim());
+  }
+
+  #transition(review, action, reviewer, reason) {
+    const timestamp = new Date();
+    const event = { action, reviewer, reason, timestamp };
+
+    review.status = REVIEW_STATUS_AFTER[action];
+    review.history.push(event);
+
+    if (action === 'claim') {
+      review.claimedBy = reviewer;
+      review.claimedAt = timestamp;
+    } else if (action === 'escalate') {
+      review.claimedBy = undefined;
+      review.claimedAt = undefined;
+      review.escalatedAt = timestamp;
+      review.dueAt = new Date(timestamp.getTime() + this.slaMs);
+    } else {
+      review.decidedBy = reviewer;
+      review.decidedAt = timestamp;
+      review.reason = reason;
+      review.finalStatus = DECISION_STATUS[action];
+    }
+
+    console.log(`🧑‍⚖️ Review ${review.interactionId}: ${action} by ${reviewer}`);
+    this.#notify(review, event);
+    return review;
+  }
+
+  // SLA timer: queued or claimed reviews past their due time are escalated by the system
+  escalateOverdue(now = Date.now()) {
+    for (const review of this.reviews.values()) {
+      if ((review.status === 'queued' || review.status === 'claimed') && review.dueAt.getTime() < now) {
+        this.#transition(review, 'escalate', 'system', `Review SLA of ${this.slaMs / 60000} minute(s) breached`);
+      }
+    }
+  }
+
+  #pruneDecided(now = Date.now()) {
+    for (const [interactionId, review] of this.reviews) {
+      if (review.decidedAt && now - review.decidedAt.getTime() > DECIDED_RETENTION_MS) {
+        this.reviews.delete(interactionId);
+      }
+    }
+  }
+}
+
+export const reviewQueueService = ReviewQueueService.getInstance();
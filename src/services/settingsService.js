@@ -0,0 +1,119 @@
+// Versioned, per-scope governance settings (JS runtime for Node server)
+import {
+  isSettingsScope,
+  validateSettingsOverride,
+  mergeSettings,
+  diffSettings
+} from '../governance/index.js';
+
+// Settings saved by another server process sharing the storage backend are picked up after this long
+const DEFAULT_CACHE_MS = 5000;
+
+// Error for a request the store cannot act on; `status` is the HTTP status to answer with
+function settingsError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Each save stores a new version of its scope's settings, numbered from 1; nothing
+ * is overwritten, so any version can be diffed against another or restored. The
+ * versions live in the server's storage backend (see src/storage).
+ */
+class SettingsService {
+  static instance;
+  storage = null;
+  // Latest version per scope, with when it was read
+  cache = new Map();
+
+  constructor() {
+    this.cacheMs = Number(process.env.SETTINGS_CACHE_MS || DEFAULT_CACHE_MS);
+  }
+
+  static getInstance() {
+    if (!SettingsService.instance) {
+      SettingsService.instance = new SettingsService();
+    }
+    return SettingsService.instance;
+  }
+
+  attach(storage) {
+    this.storage = storage;
+    this.cache.clear();
+  }
+
+  #checkScope(scope) {
+    if (!isSettingsScope(scope)) {
+      throw settingsError(400, `Invalid settings scope "${scope}"; expected global, tenant:<id> or app:<key>`);
+    }
+  }
+
+  async latest(scope) {
+    this.#checkScope(scope);
+    const cached = this.cache.get(scope);
+    if (cached && Date.now() - cached.readAt < this.cacheMs) return cached.version;
+
+    const version = await this.storage.latestSettings(scope);
+    this.cache.set(scope, { version, readAt: Date.now() });
+    return version;
+  }
+
+  // Newest first, each with its `changes` from the version before it
+  async history(scope) {
+    this.#checkScope(scope);
+    const versions = await this.storage.settingsHistory(scope);
+    return versions.map((entry, index) => ({ ...entry, changes: diffSettings(versions[index + 1]?.settings, entry.settings) }));
+  }
+
+  async getVersion(scope, version) {
+    this.#checkScope(scope);
+    const found = await this.storage.getSettingsVersion(scope, version);
+    if (!found) throw settingsError(404, `No version ${version} of ${scope} settings`);
+    return found;
+  }
+
+  /**
+   * Effective settings for the given scopes (least specific first), applied over
+   * `base`. Also returns the version each scope contributed, for the audit trail.
+   */
+  async resolve(scopes, base) {
+    const layers = await Promise.all(scopes.map(scope => this.latest(scope)));
+    return {
+      settings: mergeSettings(base, ...layers.map(layer => layer?.settings)),
+      versions: Object.fromEntries(layers.filter(Boolean).map(layer => [layer.scope, layer.version]))
+    };
+  }
+
+  // Store `settings` as the scope's next version; it replaces the scope's previous settings as a whole
+  async save(scope, settings, { author, comment, rolledBackFrom } = {}) {
+    this.#checkScope(scope);
+    if (typeof author !== 'string' || !author.trim()) {
+      throw settingsError(400, 'author is required');
+    }
+    const errors = validateSettingsOverride(settings);
+    if (errors.length > 0) {
+      throw settingsError(400, `Invalid settings: ${errors.join('; ')}`);
+    }
+
+    const saved = await this.storage.saveSettings(scope, { settings, author: author.trim(), comment, rolledBackFrom });
+    this.cache.set(scope, { version: saved, readAt: Date.now() });
+    console.log(`⚙️ Saved ${scope} settings v${saved.version} by ${saved.author}`);
+    return saved;
+  }
+
+  async diff(scope, from, to) {
+    const [before, after] = await Promise.all([this.getVersion(scope, from), this.getVersion(scope, to)]);
+    return diffSettings(before.settings, after.settings);
+  }
+
+  // Restoring an old version saves a copy of it as the newest one, so the history keeps every change
+  async rollback(scope, version, { author, comment } = {}) {
+    const target = await this.getVersion(scope, version);
+    return this.save(scope, target.settings, {
+      author,
+      comment: comment ?? `Rolled back to version ${version}`,
+      rolledBackFrom: version
+    });
+  }
+}
+
+export const settingsService = SettingsService.getInstance();
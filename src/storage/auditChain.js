@@ -0,0 +1,33 @@
+// Hash chain over the audit log, shared by the storage backends (JS runtime for Node server)
+import { createHash } from 'node:crypto';
+import { toNumber } from './records.js';
+
+// previousHash of the first entry
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Fields an entry's hash covers, in a fixed order so every backend hashes the same bytes
+const HASHED_FIELDS = ['sequence', 'previousHash', 'id', 'interactionId', 'timestamp', 'agentName', 'action', 'details', 'violationType', 'severity', 'reviewer', 'reason'];
+
+// SHA-256 of the entry's fields; the entry may be a stored row or one read back (Date timestamp, Neo4j integers)
+export function auditEntryHash(entry) {
+  const normalized = {
+    ...entry,
+    sequence: toNumber(entry.sequence),
+    // A Date's toString() would drop the milliseconds
+    timestamp: (entry.timestamp instanceof Date ? entry.timestamp : new Date(entry.timestamp.toString())).toISOString(),
+    severity: toNumber(entry.severity)
+  };
+  return createHash('sha256')
+    .update(JSON.stringify(HASHED_FIELDS.map(field => normalized[field] ?? null)))
+    .digest('hex');
+}
+
+// The audit log row as the entry after `previous` (the chain's last entry, or none for the first)
+export function chainAuditEntry(row, previous) {
+  const chained = {
+    ...row,
+    sequence: previous ? toNumber(previous.sequence) + 1 : 1,
+    previousHash: previous?.hash ?? GENESIS_HASH
+  };
+  return { ...chained, hash: auditEntryHash(chained) };
+}
@@ -0,0 +1,106 @@
+// Storage backends for the Node server (JS runtime for Node server)
+
+export { parseInteractionQuery, parseInteractionFilters, encodeCursor } from './query.js';
+export { GENESIS_HASH, auditEntryHash } from './auditChain.js';
+export { InteractionWriter } from './interactionWriter.js';
+
+export const STORAGE_BACKENDS = ['neo4j', 'sqlite', 'jsonl', 'memory'];
+
+const DEFAULT_SQLITE_PATH = 'data/ethoslens.db';
+const DEFAULT_JSONL_PATH = 'data/ethoslens.jsonl';
+
+/**
+ * Every backend has the same async methods, checked by test-storage.js:
+ *
+ *   init() / close()
+ *   saveInteraction(interaction, original?)   upsert on interaction.id with its violations, agent actions,
+ *                                             session and (when redacted) unmasked original; saving
+ *                                             again overwrites rather than duplicates
+ *   getInteraction(id)                        stored interaction with violations, agent actions and
+ *                                             review, or null
+ *   listInteractions({ limit, sort, order, after, ...filters })
+ *                                             newest first by default; limit defaults to 50, null for all.
+ *                                             sort is timestamp, severity or violations (order desc or
+ *                                             asc), ties broken by timestamp then id; `after` is a
+ *                                             { key, timestamp, id } position to continue past (query.js)
+ *   countInteractions(filters)                how many interactions pass the filters
+ *   interactionStats(filters)                 { total, statusCounts, violationsByType, violationsByFramework,
+ *                                             violationsBySeverity (by whole score), actionsByAgent,
+ *                                             interactionsByModel } over the interactions passing the filters
+ *   getRedactedOriginal(id)                   { input, output } or null
+ *   deleteInteractions(ids)                   erase interactions with their violations, agent actions,
+ *                                             original and feedback; returns how many were stored
+ *   pseudonymiseInteractions([{ interaction, feedback? }])
+ *                                             overwrite each stored interaction with the rewrite given (its
+ *                                             review is kept), drop its original and replace the feedback
+ *                                             comments listed by id; returns how many were stored
+ *   subjectInteractionIds(identifier)         ids of the interactions with that id or session id, or whose
+ *                                             input, output, original or feedback mentions it (any case),
+ *                                             oldest first
+ *   saveReview(review)                        review state onto its interaction; a final decision
+ *                                             also becomes the interaction's status
+ *   getSession(id) / listSessions({ limit })  session risk with its interaction ids in turn order;
+ *                                             listed riskiest first
+ *   addAuditLog(interactionId, entry)         saved entry, or null when there is no such interaction
+ *   appendAuditLog(interactionId, entry)      saved entry, whether or not the interaction is stored here
+ *   listAuditLogs(interactionId)              oldest first
+ *   listAuditChain({ afterSequence, limit })  chained audit entries with sequence > afterSequence, in order
+ *   saveAuditCheckpoint(checkpoint) / listAuditCheckpoints()
+ *                                             signed { sequence, hash, createdAt, keyId, signature };
+ *                                             listed oldest first
+ *   addFeedback(interactionId, feedback)      saved { rating, comment? }, or null likewise
+ *   listFeedback(interactionId)               oldest first
+ *   latestSettings(scope) / settingsHistory(scope) (newest first) / getSettingsVersion(scope, version)
+ *   saveSettings(scope, { settings, author, comment?, rolledBackFrom? })
+ *                                             stored as the scope's next version, numbered from 1
+ *
+ * Filters: since / until (Dates, until exclusive), statuses, severities, violationTypes, framework,
+ * minViolationSeverity / maxViolationSeverity (max exclusive; all violation criteria must hold for one
+ * violation), agents, models, search (case-insensitive, input or output), reviewStatuses, hasEnsemble,
+ * pseudonymised (true or false).
+ *
+ * Erasing an interaction leaves its audit entries in place, as the chain needs them, and removes its
+ * session once no interaction is left in it. Erased text does not stay behind in the JSONL file (it is
+ * rewritten) or SQLite's free pages and WAL.
+ *
+ * Audit entries form a hash chain (auditChain.js): each append takes the next sequence number and the
+ * previous entry's hash atomically, so concurrent appends never share a position in the chain.
+ *
+ * Backends also expose `kind` (one of STORAGE_BACKENDS) and `durable` (false for memory).
+ */
+
+/**
+ * Backend chosen by STORAGE_BACKEND; without it, Neo4j when NEO4J_* is configured and
+ * memory otherwise. Backends are imported on demand, so only the chosen one's driver loads.
+ */
+export async function createStorage(env = process.env) {
+  const neo4jConfigured = Boolean(env.NEO4J_URI && env.NEO4J_USERNAME && env.NEO4J_PASSWORD);
+  const backend = env.STORAGE_BACKEND || (neo4jConfigured ? 'neo4j' : 'memory');
+
+  switch (backend) {
+    case 'neo4j': {
+      if (!neo4jConfigured) throw new Error('STORAGE_BACKEND=neo4j needs NEO4J_URI, NEO4J_USERNAME and NEO4J_PASSWORD');
+      const { Neo4jStorage } = await import('./neo4jStorage.js');
+      return new Neo4jStorage({ uri: env.NEO4J_URI, username: env.NEO4J_USERNAME, password: env.NEO4J_PASSWORD });
+    }
+    case 'sqlite': {
+      const { SqliteStorage } = await import('./sqliteStorage.js');
+      return new SqliteStorage(env.SQLITE_PATH || DEFAULT_SQLITE_PATH);
+    }
+    case 'jsonl': {
+      const { JsonlStorage } = await import('./jsonlStorage.js');
+      return new JsonlStorage(env.JSONL_PATH || DEFAULT_JSONL_PATH);
+    }
+    case 'memory': {
+      const { MemoryStorage } = await import('./memoryStorage.js');
+      return new MemoryStorage();
+    }
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}"; expected one of ${STORAGE_BACKENDS.join(', ')}`);
+  }
+}
+
+// Where the backend keeps its data, for startup logs
+export function describeStorage(storage) {
+  return storage.path ? `${storage.kind} (${storage.path})` : storage.kind;
+}
@@ -0,0 +1,40 @@
+// Interaction writes for the Node server, through the write-behind queue the Vite app uses (JS runtime for Node server)
+import { WriteBehindQueue } from '../utils/writeBehindQueue.js';
+
+/**
+ * Saves governed interactions to a storage backend. Saves made while a write is in
+ * flight share the next batch, and a failed batch is retried with backoff;
+ * saveInteraction is an upsert, so a retried batch never duplicates rows. A save
+ * resolves once its interaction is stored or given up on, so the caller's next
+ * read (the conversation's risk, the review queue, the decision endpoint) sees it.
+ * Interactions given up on are written again with the next save.
+ */
+export class InteractionWriter {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.queue = new WriteBehindQueue(items => this.#write(items), options);
+  }
+
+  async #write(items) {
+    for (const { interaction, original } of items) {
+      await this.storage.saveInteraction(interaction, original);
+    }
+  }
+
+  // Interactions whose writes were given up on and wait for the next save
+  get unsaved() {
+    return this.queue.failed.reduce((count, batch) => count + batch.items.length, 0);
+  }
+
+  // Resolves true once the interaction is stored, false when every attempt failed
+  async save(interaction, original = null) {
+    this.queue.enqueue({ interaction, original });
+    await this.queue.retryFailed();
+    return !this.queue.failed.some(batch => batch.items.some(item => item.interaction === interaction));
+  }
+
+  // Write everything still queued or given up on, e.g. before the storage is closed
+  flush() {
+    return this.queue.retryFailed();
+  }
+}
@@ -0,0 +1,109 @@
+// Append-only JSONL file storage backend (JS runtime for Node server)
+import { mkdir, open, readFile, rename, truncate } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { MemoryStorage } from './memoryStorage.js';
+
+// Erasures are not appended: the file is rewritten without the erased records instead
+const REWRITING_KINDS = ['deleteInteractions', 'pseudonymiseInteractions'];
+
+/**
+ * Every change is appended to one file as a JSON line and synced before it is
+ * applied, so nothing reported as saved is lost in a crash. On start the lines are
+ * replayed in order to rebuild the state. The file is only ever rewritten to erase
+ * interactions, so their text does not stay on disk in older lines.
+ */
+export class JsonlStorage extends MemoryStorage {
+  kind = 'jsonl';
+  durable = true;
+  #file = null;
+  #writes = Promise.resolve();
+
+  constructor(path) {
+    super();
+    this.path = path;
+  }
+
+  async init() {
+    await mkdir(dirname(this.path), { recursive: true });
+    const replayed = await this.#replay();
+    this.#file = await open(this.path, 'a');
+    console.log(`📒 Replayed ${replayed} record(s) from ${this.path}`);
+  }
+
+  async #replay() {
+    let text = '';
+    try {
+      text = await readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    // A line without its newline was cut short by a crash during an append; it was never reported saved
+    const complete = text.slice(0, text.lastIndexOf('\n') + 1);
+    if (complete.length < text.length) {
+      console.warn(`⚠️ Dropping an incomplete last line from ${this.path}`);
+      await truncate(this.path, Buffer.byteLength(complete));
+    }
+
+    const lines = complete.split('\n');
+    let replayed = 0;
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${this.path}:${index + 1} is not valid JSON: ${error.message}`);
+      }
+      this.apply(record);
+      replayed++;
+    });
+    return replayed;
+  }
+
+  async close() {
+    await this.#writes;
+    await this.#file?.close();
+    this.#file = null;
+  }
+
+  // One append at a time, applied in file order, so a replay rebuilds exactly this state
+  async write(record) {
+    const line = JSON.stringify(record);
+    const written = this.#writes.then(async () => {
+      if (REWRITING_KINDS.includes(record.kind)) return this.#rewrite(JSON.parse(line));
+      await this.#file.appendFile(`${line}\n`);
+      await this.#file.sync();
+      return this.apply(JSON.parse(line));
+    });
+    this.#writes = written.catch(() => {});
+    return written;
+  }
+
+  // Apply the erasure, then swap in a file of the records that rebuild what is left.
+  // If that fails the file is unchanged, and the state is replayed from it again.
+  async #rewrite(record) {
+    const result = this.apply(record);
+    const rewritten = `${this.path}.rewrite`;
+    await this.#file.close();
+    try {
+      const file = await open(rewritten, 'w');
+      try {
+        await file.writeFile(this.snapshotRecords().map(snapshot => `${JSON.stringify(snapshot)}\n`).join(''));
+        await file.sync();
+      } finally {
+        await file.close();
+      }
+      await rename(rewritten, this.path);
+      const directory = await open(dirname(this.path), 'r');
+      await directory.sync().finally(() => directory.close());
+    } catch (error) {
+      this.reset();
+      await this.#replay();
+      throw error;
+    } finally {
+      this.#file = await open(this.path, 'a');
+    }
+    return result;
+  }
+}
@@ -0,0 +1,412 @@
+// In-memory storage backend, and the state the JSONL backend replays its log into (JS runtime for Node server)
+import {
+  DEFAULT_LIST_LIMIT,
+  SEVERITY_RANK,
+  interactionRow,
+  violationRows,
+  agentActionRows,
+  interactionFromRow,
+  reviewState,
+  sessionRow,
+  sessionFromRow,
+  auditLogRow,
+  auditLogFromRow,
+  auditCheckpointFromRow,
+  feedbackRow,
+  feedbackFromRow,
+  settingsFromRow
+} from './records.js';
+import { chainAuditEntry } from './auditChain.js';
+
+const VIOLATION_FILTERS = ['violationTypes', 'framework', 'minViolationSeverity', 'maxViolationSeverity'];
+
+function matchesViolation(violation, { violationTypes, framework, minViolationSeverity, maxViolationSeverity }) {
+  return (!violationTypes || violationTypes.includes(violation.type)) &&
+    (!framework || violation.regulatoryFramework.toLowerCase().includes(framework.toLowerCase())) &&
+    (minViolationSeverity == null || violation.severity >= minViolationSeverity) &&
+    (maxViolationSeverity == null || violation.severity < maxViolationSeverity);
+}
+
+// Whether a stored interaction passes the filters listInteractions, countInteractions and interactionStats take
+function matchesFilters(stored, filters) {
+  const { since, until, statuses, severities, reviewStatuses, hasEnsemble, agents, models, search, pseudonymised } = filters;
+  if (since && stored.timestamp < since.toISOString()) return false;
+  if (until && stored.timestamp >= until.toISOString()) return false;
+  if (statuses && !statuses.includes(stored.status)) return false;
+  if (severities && !severities.includes(stored.severity)) return false;
+  if (reviewStatuses && !reviewStatuses.includes(stored.review?.status)) return false;
+  if (hasEnsemble && !stored.ensemble) return false;
+  if (models && !models.includes(stored.llmModel)) return false;
+  if (pseudonymised != null && Boolean(stored.pseudonymisedAt) !== pseudonymised) return false;
+  if (agents && !stored.agentActions.some(agentAction => agents.includes(agentAction.agentName))) return false;
+  if (VIOLATION_FILTERS.some(field => filters[field] != null) &&
+      !stored.violations.some(violation => matchesViolation(violation, filters))) return false;
+  if (search) {
+    const needle = search.toLowerCase();
+    if (!`${stored.input ?? ''}`.toLowerCase().includes(needle) && !`${stored.output ?? ''}`.toLowerCase().includes(needle)) return false;
+  }
+  return true;
+}
+
+// Position in a listing: the sort value, then timestamp and id so no two interactions tie
+function sortPosition(stored, sort) {
+  const key = sort === 'severity' ? SEVERITY_RANK[stored.severity] ?? 0
+    : sort === 'violations' ? stored.violations.length
+    : 0;
+  return [key, stored.timestamp, stored.id];
+}
+
+function comparePositions(a, b) {
+  for (let index = 0; index < a.length; index++) {
+    if (a[index] < b[index]) return -1;
+    if (a[index] > b[index]) return 1;
+  }
+  return 0;
+}
+
+function count(counts, key) {
+  if (key != null) counts[key] = (counts[key] ?? 0) + 1;
+}
+
+/**
+ * Every change is a record ({ kind, ... }) passed to write(), which applies it to
+ * the maps below. Records are plain JSON, so a subclass can log them and rebuild
+ * the same state by applying them again in order.
+ */
+export class MemoryStorage {
+  kind = 'memory';
+  durable = false;
+  // Audit entries are chained one at a time, each onto the entry written before it
+  #auditAppends = Promise.resolve();
+
+  constructor() {
+    this.reset();
+  }
+
+  // Empty every map, e.g. before a log is replayed again
+  reset() {
+    this.interactions = new Map();
+    this.originals = new Map();
+    this.sessions = new Map();
+    this.auditLogs = new Map();
+    this.auditChain = [];
+    this.auditCheckpoints = [];
+    this.feedback = new Map();
+    this.settings = new Map();
+  }
+
+  async init() {}
+
+  async close() {}
+
+  // Records are copied, so later changes to the caller's objects are not stored
+  async write(record) {
+    return this.apply(JSON.parse(JSON.stringify(record)));
+  }
+
+  apply(record) {
+    switch (record.kind) {
+      case 'interaction': {
+        // Records logged before agent actions were stored have none
+        const { row, violations, agentActions = [], session, original } = record;
+        const existing = this.interactions.get(row.id);
+        this.interactions.set(row.id, { ...row, violations, agentActions, review: existing?.review ?? null });
+        if (session) {
+          const previous = this.sessions.get(session.id);
+          const { timestamp, ...risk } = session;
+          this.sessions.set(session.id, { ...risk, createdAt: previous?.createdAt ?? timestamp, updatedAt: timestamp });
+        }
+        if (original) this.originals.set(row.id, original);
+        return undefined;
+      }
+      // Only written when a log is rewritten (snapshotRecords); sessions otherwise come with their interactions
+      case 'session':
+        this.sessions.set(record.session.id, record.session);
+        return undefined;
+      case 'deleteInteractions': {
+        const sessionIds = new Set();
+        const deleted = record.ids.filter(id => {
+          const stored = this.interactions.get(id);
+          if (!stored) return false;
+          if (stored.sessionId) sessionIds.add(stored.sessionId);
+          this.interactions.delete(id);
+          this.originals.delete(id);
+          this.feedback.delete(id);
+          return true;
+        });
+        this.#dropEmptySessions(sessionIds);
+        return deleted.length;
+      }
+      case 'pseudonymiseInteractions': {
+        const sessionIds = new Set();
+        const rewritten = record.rewrites.filter(({ row, violations, agentActions, feedback }) => {
+          const existing = this.interactions.get(row.id);
+          if (!existing) return false;
+          if (existing.sessionId) sessionIds.add(existing.sessionId);
+          this.interactions.set(row.id, { ...row, violations, agentActions, review: existing.review });
+          this.originals.delete(row.id);
+          const comments = new Map(feedback.map(entry => [entry.id, entry.comment]));
+          if (this.feedback.has(row.id)) {
+            this.feedback.set(row.id, this.feedback.get(row.id).map(entry => (
+              comments.has(entry.id) ? { ...entry, comment: comments.get(entry.id) } : entry
+            )));
+          }
+          return true;
+        });
+        this.#dropEmptySessions(sessionIds);
+        return rewritten.length;
+      }
+      case 'review': {
+        const stored = this.interactions.get(record.interactionId);
+        if (!stored) return undefined;
+        stored.review = record.review;
+        if (record.review.finalStatus) stored.status = record.review.finalStatus;
+        return undefined;
+      }
+      case 'audit':
+        this.#append(this.auditLogs, record.entry.interactionId, record.entry);
+        // Entries logged before the hash chain have no sequence and stay out of it
+        if (record.entry.sequence != null) this.auditChain.push(record.entry);
+        return auditLogFromRow(record.entry);
+      case 'auditCheckpoint':
+        this.auditCheckpoints.push(record.checkpoint);
+        return auditCheckpointFromRow(record.checkpoint);
+      case 'feedback':
+        this.#append(this.feedback, record.entry.interactionId, record.entry);
+        return feedbackFromRow(record.entry);
+      case 'settings': {
+        // Numbered as applied, so replaying the records in order gives every version its original number
+        const versions = this.settings.get(record.entry.scope) ?? [];
+        const stored = { ...record.entry, version: versions.length + 1 };
+        this.settings.set(record.entry.scope, [...versions, stored]);
+        return settingsFromRow(stored);
+      }
+      default:
+        throw new Error(`Unknown storage record kind "${record.kind}"`);
+    }
+  }
+
+  #dropEmptySessions(sessionIds) {
+    const inUse = new Set([...this.interactions.values()].map(stored => stored.sessionId));
+    sessionIds.forEach(id => {
+      if (!inUse.has(id)) this.sessions.delete(id);
+    });
+  }
+
+  #append(map, key, value) {
+    map.set(key, [...(map.get(key) ?? []), value]);
+  }
+
+  #read(stored) {
+    return interactionFromRow(stored, stored.violations, stored.review, stored.agentActions);
+  }
+
+  async saveInteraction(interaction, original = null) {
+    await this.write({
+      kind: 'interaction',
+      row: interactionRow(interaction),
+      violations: violationRows(interaction),
+      agentActions: agentActionRows(interaction),
+      session: interaction.sessionId ? sessionRow(interaction) : null,
+      original: interaction.redactions?.length && original ? { input: original.input, output: original.output } : null
+    });
+  }
+
+  async getInteraction(id) {
+    const stored = this.interactions.get(id);
+    return stored ? this.#read(stored) : null;
+  }
+
+  #matching(filters) {
+    return [...this.interactions.values()].filter(stored => matchesFilters(stored, filters));
+  }
+
+  async listInteractions({ limit = DEFAULT_LIST_LIMIT, sort = 'timestamp', order = 'desc', after, ...filters } = {}) {
+    const direction = order === 'asc' ? 1 : -1;
+    const afterPosition = after && [after.key, after.timestamp, after.id];
+    const matching = this.#matching(filters)
+      .map(stored => ({ stored, position: sortPosition(stored, sort) }))
+      .filter(({ position }) => !afterPosition || comparePositions(position, afterPosition) === direction)
+      .sort((a, b) => direction * comparePositions(a.position, b.position))
+      .map(({ stored }) => stored);
+    return (limit == null ? matching : matching.slice(0, limit)).map(stored => this.#read(stored));
+  }
+
+  async countInteractions(filters = {}) {
+    return this.#matching(filters).length;
+  }
+
+  async interactionStats(filters = {}) {
+    const stats = {
+      total: 0,
+      statusCounts: {},
+      violationsByType: {},
+      violationsByFramework: {},
+      violationsBySeverity: {},
+      actionsByAgent: {},
+      interactionsByModel: {}
+    };
+    for (const stored of this.#matching(filters)) {
+      stats.total++;
+      count(stats.statusCounts, stored.status);
+      count(stats.interactionsByModel, stored.llmModel);
+      stored.violations.forEach(violation => {
+        count(stats.violationsByType, violation.type);
+        count(stats.violationsByFramework, violation.regulatoryFramework);
+        count(stats.violationsBySeverity, Math.floor(violation.severity));
+      });
+      stored.agentActions.forEach(agentAction => count(stats.actionsByAgent, agentAction.agentName));
+    }
+    return stats;
+  }
+
+  async getRedactedOriginal(id) {
+    return this.originals.get(id) ?? null;
+  }
+
+  async deleteInteractions(ids) {
+    return this.write({ kind: 'deleteInteractions', ids });
+  }
+
+  async pseudonymiseInteractions(rewrites) {
+    return this.write({
+      kind: 'pseudonymiseInteractions',
+      rewrites: rewrites.map(({ interaction, feedback = [] }) => ({
+        row: interactionRow(interaction),
+        violations: violationRows(interaction),
+        agentActions: agentActionRows(interaction),
+        feedback: feedback.map(({ id, comment }) => ({ id, comment: comment ?? null }))
+      }))
+    });
+  }
+
+  async subjectInteractionIds(identifier) {
+    const needle = identifier.toLowerCase();
+    const mentions = (text) => text != null && `${text}`.toLowerCase().includes(needle);
+    const original = (id) => this.originals.get(id) ?? {};
+    return [...this.interactions.values()]
+      .filter(stored => stored.id === identifier || stored.sessionId === identifier ||
+        mentions(stored.input) || mentions(stored.output) ||
+        mentions(original(stored.id).input) || mentions(original(stored.id).output) ||
+        (this.feedback.get(stored.id) ?? []).some(entry => mentions(entry.comment)))
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.id.localeCompare(b.id))
+      .map(stored => stored.id);
+  }
+
+  async saveReview(review) {
+    if (!this.interactions.has(review.interactionId)) return;
+    await this.write({ kind: 'review', interactionId: review.interactionId, review: reviewState(review) });
+  }
+
+  #sessionInteractionIds(sessionId) {
+    return [...this.interactions.values()]
+      .filter(stored => stored.sessionId === sessionId)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+      .map(stored => stored.id);
+  }
+
+  async getSession(id) {
+    const stored = this.sessions.get(id);
+    return stored ? sessionFromRow(stored, this.#sessionInteractionIds(id)) : null;
+  }
+
+  async listSessions({ limit = DEFAULT_LIST_LIMIT } = {}) {
+    return [...this.sessions.values()]
+      .sort((a, b) => b.riskScore - a.riskScore || b.updatedAt.localeCompare(a.updatedAt))
+      .slice(0, limit)
+      .map(stored => sessionFromRow(stored, this.#sessionInteractionIds(stored.id)));
+  }
+
+  async addAuditLog(interactionId, entry) {
+    if (!this.interactions.has(interactionId)) return null;
+    return this.appendAuditLog(interactionId, entry);
+  }
+
+  async appendAuditLog(interactionId, entry) {
+    const appended = this.#auditAppends.then(() => this.write({
+      kind: 'audit',
+      entry: chainAuditEntry(auditLogRow(interactionId, entry), this.auditChain.at(-1))
+    }));
+    this.#auditAppends = appended.catch(() => {});
+    return appended;
+  }
+
+  async listAuditLogs(interactionId) {
+    return (this.auditLogs.get(interactionId) ?? []).map(auditLogFromRow);
+  }
+
+  async listAuditChain({ afterSequence = 0, limit = DEFAULT_LIST_LIMIT } = {}) {
+    return this.auditChain
+      .filter(entry => entry.sequence > afterSequence)
+      .slice(0, limit)
+      .map(auditLogFromRow);
+  }
+
+  async saveAuditCheckpoint(checkpoint) {
+    return this.write({
+      kind: 'auditCheckpoint',
+      checkpoint: { ...checkpoint, createdAt: new Date(checkpoint.createdAt).toISOString() }
+    });
+  }
+
+  async listAuditCheckpoints() {
+    return this.auditCheckpoints.map(auditCheckpointFromRow);
+  }
+
+  async addFeedback(interactionId, feedback) {
+    if (!this.interactions.has(interactionId)) return null;
+    return this.write({ kind: 'feedback', entry: feedbackRow(interactionId, feedback) });
+  }
+
+  async listFeedback(interactionId) {
+    return (this.feedback.get(interactionId) ?? []).map(feedbackFromRow);
+  }
+
+  /**
+   * Records that rebuild the current state when applied in order to an empty store,
+   * for rewriting a log without what has been erased from it. Unchained audit entries
+   * come before the chain, as they were written before it.
+   */
+  snapshotRecords() {
+    const auditEntries = [...this.auditLogs.values()].flat().filter(entry => entry.sequence == null);
+    return [
+      ...[...this.sessions.values()].map(session => ({ kind: 'session', session })),
+      ...[...this.interactions.values()].flatMap(({ violations, agentActions, review, ...row }) => [
+        { kind: 'interaction', row, violations, agentActions, session: null, original: this.originals.get(row.id) ?? null },
+        ...(review ? [{ kind: 'review', interactionId: row.id, review }] : [])
+      ]),
+      ...[...auditEntries, ...this.auditChain].map(entry => ({ kind: 'audit', entry })),
+      ...this.auditCheckpoints.map(checkpoint => ({ kind: 'auditCheckpoint', checkpoint })),
+      ...[...this.feedback.values()].flat().map(entry => ({ kind: 'feedback', entry })),
+      ...[...this.settings.values()].flat().map(({ version, ...entry }) => ({ kind: 'settings', entry }))
+    ];
+  }
+
+  async latestSettings(scope) {
+    const versions = this.settings.get(scope);
+    return versions?.length ? settingsFromRow(versions[versions.length - 1]) : null;
+  }
+
+  async settingsHistory(scope) {
+    return [...(this.settings.get(scope) ?? [])].reverse().map(settingsFromRow);
+  }
+
+  async getSettingsVersion(scope, version) {
+    const stored = this.settings.get(scope)?.find(entry => entry.version === version);
+    return stored ? settingsFromRow(stored) : null;
+  }
+
+  async saveSettings(scope, { settings, author, comment, rolledBackFrom }) {
+    return this.write({
+      kind: 'settings',
+      entry: {
+        scope,
+        settings,
+        author,
+        comment: comment ?? null,
+        createdAt: new Date().toISOString(),
+        rolledBackFrom: rolledBackFrom ?? null
+      }
+    });
+  }
+}
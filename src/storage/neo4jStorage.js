@@ -0,0 +1,552 @@
+// Neo4j storage backend: the graph the Vite app's graphNeo4jService also reads and writes (JS runtime for Node server)
+import neo4j from 'neo4j-driver';
+import {
+  DEFAULT_LIST_LIMIT,
+  SEVERITY_RANK,
+  interactionRow,
+  violationRows,
+  agentActionRows,
+  interactionFromRow,
+  reviewState,
+  sessionRow,
+  sessionFromRow,
+  auditLogRow,
+  auditLogFromRow,
+  auditCheckpointFromRow,
+  feedbackRow,
+  feedbackFromRow,
+  settingsFromRow,
+  toNumber
+} from './records.js';
+import { chainAuditEntry } from './auditChain.js';
+
+// Times an audit append is retried after another append took the same sequence number
+const AUDIT_APPEND_ATTEMPTS = 5;
+
+// Review state is kept on the Interaction node as review* properties
+const REVIEW_PROPERTIES = {
+  status: 'reviewStatus',
+  queuedAt: 'reviewQueuedAt',
+  dueAt: 'reviewDueAt',
+  claimedBy: 'reviewClaimedBy',
+  claimedAt: 'reviewClaimedAt',
+  decidedBy: 'reviewDecidedBy',
+  decidedAt: 'reviewDecidedAt',
+  reason: 'reviewReason'
+};
+
+// Violations and agent actions the Vite app wrote have no position and keep the order they were read in
+const inPosition = (nodes) => nodes
+  .map(node => node.properties)
+  .sort((a, b) => toNumber(a.position ?? 0) - toNumber(b.position ?? 0));
+
+function fromNode(node, violations, agentActions = []) {
+  const props = node.properties;
+  const review = Object.fromEntries(Object.entries(REVIEW_PROPERTIES).map(([field, property]) => [field, props[property]]));
+  return interactionFromRow(
+    props,
+    inPosition(violations).map(violation => ({ ...violation, regulatoryFramework: violation.regulatoryFramework ?? violation.framework })),
+    review,
+    inPosition(agentActions)
+  );
+}
+
+// What listInteractions orders by before timestamp and id
+const SORT_KEYS = {
+  timestamp: '0',
+  severity: `CASE i.severity ${Object.entries(SEVERITY_RANK).map(([severity, rank]) => `WHEN '${severity}' THEN ${rank}`).join(' ')} ELSE 0 END`,
+  violations: 'size([(i)-[:HAS_VIOLATION]->(counted:Violation) | counted])'
+};
+
+// WHERE clause over `(i:Interaction)` for the filters listInteractions, countInteractions and interactionStats take
+function whereClause(filters) {
+  const conditions = [];
+  const { since, until, statuses, severities, reviewStatuses, hasEnsemble, models, agents, search, pseudonymised } = filters;
+  if (since) conditions.push('i.timestamp >= datetime($since)');
+  if (until) conditions.push('i.timestamp < datetime($until)');
+  if (statuses) conditions.push('i.status IN $statuses');
+  if (severities) conditions.push('i.severity IN $severities');
+  if (reviewStatuses) conditions.push('i.reviewStatus IN $reviewStatuses');
+  if (hasEnsemble) conditions.push('i.ensemble IS NOT NULL');
+  if (models) conditions.push('i.llmModel IN $models');
+  if (pseudonymised != null) conditions.push(`i.pseudonymisedAt IS ${pseudonymised ? 'NOT NULL' : 'NULL'}`);
+  if (agents) conditions.push('any(acted IN [(i)-[:PROCESSED_BY]->(a:AgentAction) | a] WHERE acted.agentName IN $agents)');
+
+  // Every violation criterion applies to the same violation
+  const violationConditions = [];
+  if (filters.violationTypes) violationConditions.push('matched.type IN $violationTypes');
+  if (filters.framework) violationConditions.push(`toLower(coalesce(matched.regulatoryFramework, matched.framework, '')) CONTAINS $framework`);
+  if (filters.minViolationSeverity != null) violationConditions.push('matched.severity >= $minViolationSeverity');
+  if (filters.maxViolationSeverity != null) violationConditions.push('matched.severity < $maxViolationSeverity');
+  if (violationConditions.length > 0) {
+    conditions.push(`any(matched IN [(i)-[:HAS_VIOLATION]->(v:Violation) | v] WHERE ${violationConditions.join(' AND ')})`);
+  }
+
+  if (search) conditions.push('(toLower(i.input) CONTAINS $search OR toLower(i.output) CONTAINS $search)');
+
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+    params: {
+      since: since?.toISOString() ?? null,
+      until: until?.toISOString() ?? null,
+      statuses: statuses ?? null,
+      severities: severities ?? null,
+      reviewStatuses: reviewStatuses ?? null,
+      models: models ?? null,
+      agents: agents ?? null,
+      violationTypes: filters.violationTypes ?? null,
+      framework: filters.framework?.toLowerCase() ?? null,
+      minViolationSeverity: filters.minViolationSeverity ?? null,
+      maxViolationSeverity: filters.maxViolationSeverity ?? null,
+      search: search?.toLowerCase() ?? null
+    }
+  };
+}
+
+function counts(records) {
+  return Object.fromEntries(records
+    .filter(record => record.get('key') != null)
+    .map(record => [toNumber(record.get('key')), toNumber(record.get('count'))]));
+}
+
+export class Neo4jStorage {
+  kind = 'neo4j';
+  durable = true;
+  driver = null;
+
+  constructor({ uri, username, password }) {
+    this.uri = uri;
+    this.username = username;
+    this.password = password;
+  }
+
+  async init() {
+    this.driver = neo4j.driver(this.uri, neo4j.auth.basic(this.username, this.password));
+    await this.#run('RETURN 1');
+    await this.#run(`
+      CREATE CONSTRAINT settings_scope_version IF NOT EXISTS
+      FOR (s:Settings) REQUIRE (s.scope, s.version) IS UNIQUE
+    `);
+    // AuditLog nodes the Vite app writes have no sequence and are not constrained
+    await this.#run(`
+      CREATE CONSTRAINT audit_log_sequence IF NOT EXISTS
+      FOR (al:AuditLog) REQUIRE al.sequence IS UNIQUE
+    `);
+    await this.#run(`
+      CREATE CONSTRAINT audit_checkpoint_sequence IF NOT EXISTS
+      FOR (c:AuditCheckpoint) REQUIRE c.sequence IS UNIQUE
+    `);
+  }
+
+  async close() {
+    await this.driver?.close();
+    this.driver = null;
+  }
+
+  async #run(cypher, params) {
+    const session = this.driver.session();
+    try {
+      return (await session.run(cypher, params)).records;
+    } finally {
+      await session.close();
+    }
+  }
+
+  // Everything is written in one transaction and MERGEd on ids derived from the interaction id,
+  // so a failure leaves nothing behind and saving the same interaction again does not duplicate it
+  async saveInteraction(interaction, original = null) {
+    const { id, timestamp, ...props } = interactionRow(interaction);
+    const session = this.driver.session();
+    try {
+      await session.executeWrite(async tx => {
+        await tx.run(`
+          MERGE (i:Interaction {id: $id})
+          SET i += $props, i.timestamp = datetime($timestamp)
+        `, { id, timestamp, props });
+
+        // Interactions of one conversation hang off a Session node, chained in turn order
+        if (interaction.sessionId) {
+          const risk = sessionRow(interaction);
+          await tx.run(`
+            MATCH (i:Interaction {id: $interactionId})
+            MERGE (s:Session {id: $sessionId})
+            ON CREATE SET s.createdAt = datetime($timestamp)
+            WITH s, i, s.lastInteractionId AS previousId
+            SET s.updatedAt = datetime($timestamp),
+                s.lastInteractionId = i.id,
+                s.turnCount = $turnCount,
+                s.flaggedTurns = $flaggedTurns,
+                s.riskScore = $riskScore,
+                s.riskLevel = $riskLevel
+            MERGE (s)-[:HAS_INTERACTION]->(i)
+            WITH i, previousId
+            OPTIONAL MATCH (previous:Interaction {id: previousId})
+            WHERE previous.id <> i.id
+            FOREACH (_ IN CASE WHEN previous IS NULL THEN [] ELSE [1] END | MERGE (previous)-[:NEXT_TURN]->(i))
+          `, { ...risk, interactionId: id, sessionId: risk.id });
+        }
+
+        // Unmasked text goes on its own node, readable only through the token-protected endpoint
+        if (interaction.redactions?.length && original) {
+          await tx.run(`
+            MATCH (i:Interaction {id: $id})
+            MERGE (i)-[:HAS_ORIGINAL]->(o:RedactedOriginal)
+            SET o.input = $input, o.output = $output
+          `, { id, input: original.input, output: original.output });
+        }
+
+        await this.#writeFindings(tx, interaction);
+      });
+    } finally {
+      await session.close();
+    }
+  }
+
+  async #writeFindings(tx, interaction) {
+    const { id } = interaction;
+    const violations = violationRows(interaction);
+    await tx.run(`
+      MATCH (:Interaction {id: $id})-[:HAS_VIOLATION]->(stale:Violation)
+      WHERE NOT stale.id IN $ids
+      DETACH DELETE stale
+    `, { id, ids: violations.map(row => row.id) });
+    if (violations.length > 0) {
+      await tx.run(`
+        MATCH (i:Interaction {id: $id})
+        UNWIND $violations AS row
+        MERGE (v:Violation {id: row.id})
+        SET v += row
+        MERGE (i)-[:HAS_VIOLATION]->(v)
+      `, { id, violations });
+    }
+
+    // Same AgentAction nodes graphNeo4jService writes, PROCESSED_BY from the interaction
+    const agentActions = agentActionRows(interaction);
+    if (agentActions.length > 0) {
+      await tx.run(`
+        MATCH (i:Interaction {id: $id})
+        UNWIND $agentActions AS row
+        MERGE (a:AgentAction {id: row.id})
+        SET a += row
+        MERGE (i)-[:PROCESSED_BY]->(a)
+      `, { id, agentActions });
+    }
+  }
+
+  async getInteraction(id) {
+    const records = await this.#run(`
+      MATCH (i:Interaction {id: $id})
+      OPTIONAL MATCH (i)-[:HAS_VIOLATION]->(v:Violation)
+      WITH i, collect(v) AS violations
+      OPTIONAL MATCH (i)-[:PROCESSED_BY]->(a:AgentAction)
+      RETURN i, violations, collect(a) AS agentActions
+    `, { id });
+    return records.length > 0
+      ? fromNode(records[0].get('i'), records[0].get('violations'), records[0].get('agentActions'))
+      : null;
+  }
+
+  async listInteractions({ limit = DEFAULT_LIST_LIMIT, sort = 'timestamp', order = 'desc', after, ...filters } = {}) {
+    const { where, params } = whereClause(filters);
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const beyond = direction === 'ASC' ? '>' : '<';
+    const orderBy = `sortKey ${direction}, i.timestamp ${direction}, i.id ${direction}`;
+
+    const records = await this.#run(`
+      MATCH (i:Interaction)
+      ${where}
+      WITH i, ${SORT_KEYS[sort]} AS sortKey
+      ${after ? `WHERE sortKey ${beyond} $afterKey OR (sortKey = $afterKey AND (
+        i.timestamp ${beyond} datetime($afterTimestamp) OR (i.timestamp = datetime($afterTimestamp) AND i.id ${beyond} $afterId)))` : ''}
+      WITH i, sortKey ORDER BY ${orderBy}
+      ${limit != null ? 'LIMIT $limit' : ''}
+      OPTIONAL MATCH (i)-[:HAS_VIOLATION]->(v:Violation)
+      WITH i, sortKey, collect(v) AS violations
+      OPTIONAL MATCH (i)-[:PROCESSED_BY]->(a:AgentAction)
+      RETURN i, sortKey, violations, collect(a) AS agentActions
+      ORDER BY ${orderBy}
+    `, {
+      ...params,
+      afterKey: after ? neo4j.int(after.key) : null,
+      afterTimestamp: after?.timestamp ?? null,
+      afterId: after?.id ?? null,
+      limit: limit != null ? neo4j.int(limit) : null
+    });
+    return records.map(record => fromNode(record.get('i'), record.get('violations'), record.get('agentActions')));
+  }
+
+  async countInteractions(filters = {}) {
+    const { where, params } = whereClause(filters);
+    const records = await this.#run(`MATCH (i:Interaction) ${where} RETURN count(i) AS count`, params);
+    return toNumber(records[0].get('count'));
+  }
+
+  async interactionStats(filters = {}) {
+    const { where, params } = whereClause(filters);
+    const grouped = async (tail) => counts(await this.#run(`MATCH (i:Interaction) ${where} WITH i ${tail}`, params));
+    return {
+      total: await this.countInteractions(filters),
+      statusCounts: await grouped('RETURN i.status AS key, count(i) AS count'),
+      violationsByType: await grouped('MATCH (i)-[:HAS_VIOLATION]->(v:Violation) RETURN v.type AS key, count(v) AS count'),
+      violationsByFramework: await grouped(
+        'MATCH (i)-[:HAS_VIOLATION]->(v:Violation) RETURN coalesce(v.regulatoryFramework, v.framework) AS key, count(v) AS count'
+      ),
+      violationsBySeverity: await grouped('MATCH (i)-[:HAS_VIOLATION]->(v:Violation) RETURN toInteger(floor(v.severity)) AS key, count(v) AS count'),
+      actionsByAgent: await grouped('MATCH (i)-[:PROCESSED_BY]->(a:AgentAction) RETURN a.agentName AS key, count(a) AS count'),
+      interactionsByModel: await grouped('RETURN i.llmModel AS key, count(i) AS count')
+    };
+  }
+
+  async getRedactedOriginal(id) {
+    const records = await this.#run(`
+      MATCH (:Interaction {id: $id})-[:HAS_ORIGINAL]->(o:RedactedOriginal)
+      RETURN o
+    `, { id });
+    if (records.length === 0) return null;
+    const { input, output } = records[0].get('o').properties;
+    return { input, output };
+  }
+
+  // Erased interactions take their violations, agent actions, original and feedback with them.
+  // AuditLogs only lose their AUDITS link; they keep the interaction id, and the chain stays whole.
+  // Neo4j reuses the freed store records rather than zeroing them.
+  async deleteInteractions(ids) {
+    const session = this.driver.session();
+    try {
+      return await session.executeWrite(async tx => {
+        const result = await tx.run(`
+          MATCH (i:Interaction) WHERE i.id IN $ids
+          OPTIONAL MATCH (i)-[:HAS_VIOLATION|PROCESSED_BY|HAS_ORIGINAL|HAS_FEEDBACK]->(linked)
+          WITH i, collect(linked) AS linked
+          FOREACH (node IN linked | DETACH DELETE node)
+          DETACH DELETE i
+          RETURN count(*) AS deleted
+        `, { ids });
+        await tx.run('MATCH (s:Session) WHERE NOT (s)-[:HAS_INTERACTION]->() DETACH DELETE s');
+        return toNumber(result.records[0]?.get('deleted') ?? 0);
+      });
+    } finally {
+      await session.close();
+    }
+  }
+
+  async pseudonymiseInteractions(rewrites) {
+    const session = this.driver.session();
+    try {
+      return await session.executeWrite(async tx => {
+        let rewritten = 0;
+        for (const { interaction, feedback = [] } of rewrites) {
+          const { id, timestamp, ...props } = interactionRow(interaction);
+          const found = await tx.run(`
+            MATCH (i:Interaction {id: $id})
+            SET i += $props
+            WITH i
+            OPTIONAL MATCH (i)-[:HAS_VIOLATION|PROCESSED_BY|HAS_ORIGINAL]->(replaced)
+            DETACH DELETE replaced
+            WITH DISTINCT i
+            OPTIONAL MATCH (s:Session)-[link:HAS_INTERACTION]->(i)
+            WHERE s.id <> coalesce(i.sessionId, '')
+            DELETE link
+            RETURN count(DISTINCT i) AS found
+          `, { id, props });
+          if (toNumber(found.records[0].get('found')) === 0) continue;
+
+          await this.#writeFindings(tx, interaction);
+          await tx.run(`
+            UNWIND $feedback AS row
+            MATCH (:Interaction {id: $id})-[:HAS_FEEDBACK]->(f:UserFeedback {id: row.id})
+            SET f.comment = row.comment
+          `, { id, feedback: feedback.map(({ id: feedbackId, comment }) => ({ id: feedbackId, comment: comment ?? null })) });
+          rewritten++;
+        }
+        await tx.run('MATCH (s:Session) WHERE NOT (s)-[:HAS_INTERACTION]->() DETACH DELETE s');
+        return rewritten;
+      });
+    } finally {
+      await session.close();
+    }
+  }
+
+  async subjectInteractionIds(identifier) {
+    const records = await this.#run(`
+      MATCH (i:Interaction)
+      WHERE i.id = $identifier OR i.sessionId = $identifier
+        OR toLower(i.input) CONTAINS $needle OR toLower(i.output) CONTAINS $needle
+        OR any(o IN [(i)-[:HAS_ORIGINAL]->(o:RedactedOriginal) | o] WHERE toLower(o.input) CONTAINS $needle OR toLower(o.output) CONTAINS $needle)
+        OR any(f IN [(i)-[:HAS_FEEDBACK]->(f:UserFeedback) | f] WHERE toLower(f.comment) CONTAINS $needle)
+      RETURN i.id AS id ORDER BY i.timestamp, i.id
+    `, { identifier, needle: identifier.toLowerCase() });
+    return records.map(record => record.get('id'));
+  }
+
+  async saveReview(review) {
+    const { finalStatus, ...state } = reviewState(review);
+    await this.#run(`
+      MATCH (i:Interaction {id: $id})
+      SET i += $review, i.status = coalesce($finalStatus, i.status)
+    `, {
+      id: review.interactionId,
+      review: Object.fromEntries(Object.entries(REVIEW_PROPERTIES).map(([field, property]) => [property, state[field]])),
+      finalStatus
+    });
+  }
+
+  async getSession(id) {
+    const records = await this.#run(`
+      MATCH (s:Session {id: $id})
+      OPTIONAL MATCH (s)-[:HAS_INTERACTION]->(i:Interaction)
+      WITH s, i ORDER BY i.timestamp
+      RETURN s, collect(i.id) AS interactionIds
+    `, { id });
+    return records.length > 0 ? sessionFromRow(records[0].get('s').properties, records[0].get('interactionIds')) : null;
+  }
+
+  async listSessions({ limit = DEFAULT_LIST_LIMIT } = {}) {
+    const records = await this.#run(`
+      MATCH (s:Session)
+      OPTIONAL MATCH (s)-[:HAS_INTERACTION]->(i:Interaction)
+      WITH s, i ORDER BY i.timestamp
+      WITH s, collect(i.id) AS interactionIds
+      RETURN s, interactionIds
+      ORDER BY s.riskScore DESC, s.updatedAt DESC
+      LIMIT $limit
+    `, { limit: neo4j.int(limit) });
+    return records.map(record => sessionFromRow(record.get('s').properties, record.get('interactionIds')));
+  }
+
+  async addAuditLog(interactionId, entry) {
+    const records = await this.#run('MATCH (i:Interaction {id: $interactionId}) RETURN i.id', { interactionId });
+    return records.length > 0 ? this.appendAuditLog(interactionId, entry) : null;
+  }
+
+  // Same AuditLog shape graphNeo4jService writes, AUDITing the interaction when it is in the graph.
+  // Two appends that read the same head both take its next sequence; the constraint rejects one, which retries.
+  async appendAuditLog(interactionId, entry) {
+    const row = auditLogRow(interactionId, entry);
+    for (let attempt = 1; ; attempt++) {
+      const session = this.driver.session();
+      try {
+        return await session.executeWrite(async tx => {
+          const head = await tx.run(`
+            MATCH (al:AuditLog) WHERE al.sequence IS NOT NULL
+            RETURN al ORDER BY al.sequence DESC LIMIT 1
+          `);
+          const chained = chainAuditEntry(row, head.records[0]?.get('al').properties);
+          await tx.run(`
+            CREATE (al:AuditLog)
+            SET al = $props
+            WITH al
+            OPTIONAL MATCH (i:Interaction {id: $interactionId})
+            FOREACH (_ IN CASE WHEN i IS NULL THEN [] ELSE [1] END | CREATE (al)-[:AUDITS]->(i))
+          `, { interactionId, props: { ...chained, sequence: neo4j.int(chained.sequence) } });
+          return auditLogFromRow(chained);
+        });
+      } catch (error) {
+        if (error.code !== 'Neo.ClientError.Schema.ConstraintValidationFailed' || attempt === AUDIT_APPEND_ATTEMPTS) throw error;
+      } finally {
+        await session.close();
+      }
+    }
+  }
+
+  async listAuditLogs(interactionId) {
+    const records = await this.#run(`
+      MATCH (al:AuditLog)
+      WHERE al.interactionId = $interactionId OR (al)-[:AUDITS]->(:Interaction {id: $interactionId})
+      RETURN al ORDER BY al.timestamp
+    `, { interactionId });
+    return records.map(record => auditLogFromRow({ ...record.get('al').properties, interactionId }));
+  }
+
+  async listAuditChain({ afterSequence = 0, limit = DEFAULT_LIST_LIMIT } = {}) {
+    const records = await this.#run(`
+      MATCH (al:AuditLog) WHERE al.sequence > $afterSequence
+      RETURN al ORDER BY al.sequence LIMIT $limit
+    `, { afterSequence: neo4j.int(afterSequence), limit: neo4j.int(limit) });
+    return records.map(record => auditLogFromRow(record.get('al').properties));
+  }
+
+  async saveAuditCheckpoint(checkpoint) {
+    const row = { ...checkpoint, createdAt: new Date(checkpoint.createdAt).toISOString() };
+    await this.#run(`
+      CREATE (c:AuditCheckpoint)
+      SET c = $props, c.createdAt = datetime($props.createdAt)
+    `, { props: { ...row, sequence: neo4j.int(row.sequence) } });
+    return auditCheckpointFromRow(row);
+  }
+
+  async listAuditCheckpoints() {
+    const records = await this.#run('MATCH (c:AuditCheckpoint) RETURN c ORDER BY c.sequence');
+    return records.map(record => auditCheckpointFromRow(record.get('c').properties));
+  }
+
+  async addFeedback(interactionId, feedback) {
+    const row = feedbackRow(interactionId, feedback);
+    const records = await this.#run(`
+      MATCH (i:Interaction {id: $interactionId})
+      CREATE (f:UserFeedback)
+      SET f = $row
+      CREATE (i)-[:HAS_FEEDBACK]->(f)
+      RETURN f.id AS id
+    `, { interactionId, row });
+    return records.length > 0 ? feedbackFromRow(row) : null;
+  }
+
+  async listFeedback(interactionId) {
+    const records = await this.#run(`
+      MATCH (:Interaction {id: $interactionId})-[:HAS_FEEDBACK]->(f:UserFeedback)
+      RETURN f ORDER BY f.timestamp
+    `, { interactionId });
+    return records.map(record => feedbackFromRow({ ...record.get('f').properties, interactionId }));
+  }
+
+  async latestSettings(scope) {
+    const records = await this.#run(`
+      MATCH (s:Settings {scope: $scope})
+      RETURN s ORDER BY s.version DESC LIMIT 1
+    `, { scope });
+    return records.length > 0 ? settingsFromRow(records[0].get('s').properties) : null;
+  }
+
+  async settingsHistory(scope) {
+    const records = await this.#run(`
+      MATCH (s:Settings {scope: $scope})
+      RETURN s ORDER BY s.version DESC
+    `, { scope });
+    return records.map(record => settingsFromRow(record.get('s').properties));
+  }
+
+  async getSettingsVersion(scope, version) {
+    const records = await this.#run(`
+      MATCH (s:Settings {scope: $scope, version: $version})
+      RETURN s
+    `, { scope, version: neo4j.int(version) });
+    return records.length > 0 ? settingsFromRow(records[0].get('s').properties) : null;
+  }
+
+  // Numbered in the same statement; the (scope, version) constraint rejects a concurrent save
+  async saveSettings(scope, { settings, author, comment, rolledBackFrom }) {
+    const records = await this.#run(`
+      OPTIONAL MATCH (previous:Settings {scope: $scope})
+      WITH coalesce(max(previous.version), 0) + 1 AS version
+      CREATE (s:Settings {
+        scope: $scope,
+        version: version,
+        settings: $settings,
+        author: $author,
+        comment: $comment,
+        createdAt: datetime($createdAt),
+        rolledBackFrom: $rolledBackFrom
+      })
+      RETURN s
+    `, {
+      scope,
+      settings: JSON.stringify(settings),
+      author,
+      comment: comment ?? null,
+      createdAt: new Date().toISOString(),
+      rolledBackFrom: rolledBackFrom != null ? neo4j.int(rolledBackFrom) : null
+    });
+    return settingsFromRow(records[0].get('s').properties);
+  }
+}
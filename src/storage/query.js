@@ -0,0 +1,123 @@
+// Query parameters of GET /api/interactions and the cursors it pages with (JS runtime for Node server)
+import { DEFAULT_LIST_LIMIT, SEVERITY_RANK } from './records.js';
+
+export const INTERACTION_STATUSES = ['approved', 'blocked', 'pending', 'redacted', 'failed'];
+export const INTERACTION_SORTS = ['timestamp', 'severity', 'violations'];
+export const MAX_PAGE_LIMIT = 200;
+
+// Error for a malformed query; `status` is the HTTP status to answer with
+function queryError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// ?status=a,b and ?status=a&status=b both give ['a', 'b']
+function list(value) {
+  if (value == null) return undefined;
+  const values = [value].flat().flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+  return values.length > 0 ? values : undefined;
+}
+
+function oneOf(name, values, allowed) {
+  const unknown = values?.find(value => !allowed.includes(value));
+  if (unknown) throw queryError(`Unknown ${name} "${unknown}"; expected one of ${allowed.join(', ')}`);
+  return values;
+}
+
+function text(value) {
+  const trimmed = value == null ? '' : String(value).trim();
+  return trimmed || undefined;
+}
+
+function date(name, value) {
+  if (text(value) === undefined) return undefined;
+  const parsed = new Date(String(value));
+  if (Number.isNaN(parsed.getTime())) throw queryError(`${name} must be a date, e.g. 2025-01-31 or 2025-01-31T12:00:00Z`);
+  return parsed;
+}
+
+function severityScore(name, value) {
+  if (text(value) === undefined) return undefined;
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0 || parsed > 10) throw queryError(`${name} must be a number from 0 to 10`);
+  return parsed;
+}
+
+/**
+ * Filters understood by every storage backend, from query parameters:
+ *
+ *   status, severity        interaction status / severity, comma-separated
+ *   violationType, framework, minViolationSeverity, maxViolationSeverity
+ *                           at least one violation of one of the types, whose framework contains
+ *                           `framework` (any case) and whose score is >= min and < max
+ *   agent, model            an action by one of the agents / governed for one of the models
+ *   from, to                timestamp >= from and < to
+ *   q                       text in the input or output, any case
+ */
+export function parseInteractionFilters(params = {}) {
+  const filters = {
+    statuses: oneOf('status', list(params.status), INTERACTION_STATUSES),
+    severities: oneOf('severity', list(params.severity), Object.keys(SEVERITY_RANK)),
+    violationTypes: list(params.violationType),
+    framework: text(params.framework),
+    minViolationSeverity: severityScore('minViolationSeverity', params.minViolationSeverity),
+    maxViolationSeverity: severityScore('maxViolationSeverity', params.maxViolationSeverity),
+    agents: list(params.agent),
+    models: list(params.model),
+    since: date('from', params.from),
+    until: date('to', params.to),
+    search: text(params.q)
+  };
+  return Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined));
+}
+
+// Filters plus sort (timestamp, severity or violations), order (desc or asc), limit and cursor
+export function parseInteractionQuery(params = {}) {
+  const filters = parseInteractionFilters(params);
+  const [sort = 'timestamp'] = oneOf('sort', list(params.sort), INTERACTION_SORTS) ?? [];
+  const [order = 'desc'] = oneOf('order', list(params.order), ['desc', 'asc']) ?? [];
+
+  let limit = DEFAULT_LIST_LIMIT;
+  if (text(params.limit) !== undefined) {
+    limit = Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+      throw queryError(`limit must be a whole number from 1 to ${MAX_PAGE_LIMIT}`);
+    }
+  }
+
+  const after = text(params.cursor) ? decodeCursor(text(params.cursor), { sort, order }) : undefined;
+  return { filters, sort, order, limit, after };
+}
+
+// What an interaction is ordered by before its timestamp and id (a constant when sorting by time)
+export function sortKey(interaction, sort) {
+  if (sort === 'severity') return SEVERITY_RANK[interaction.severity] ?? 0;
+  if (sort === 'violations') return interaction.violations.length;
+  return 0;
+}
+
+// Opaque to callers: the position of the last interaction on a page, in the order it was listed by
+export function encodeCursor(interaction, { sort, order }) {
+  return Buffer.from(JSON.stringify({
+    sort,
+    order,
+    key: sortKey(interaction, sort),
+    timestamp: new Date(interaction.timestamp).toISOString(),
+    id: interaction.id
+  })).toString('base64url');
+}
+
+function decodeCursor(cursor, { sort, order }) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw queryError('Invalid cursor');
+  }
+  if (typeof position?.key !== 'number' || typeof position.id !== 'string' || Number.isNaN(Date.parse(position.timestamp))) {
+    throw queryError('Invalid cursor');
+  }
+  if (position.sort !== sort || position.order !== order) {
+    throw queryError('Cursor is for a different sort order; request the first page again');
+  }
+  return { key: position.key, timestamp: new Date(position.timestamp).toISOString(), id: position.id };
+}
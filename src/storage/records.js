@@ -0,0 +1,225 @@
+// Record shapes shared by the storage backends (JS runtime for Node server)
+
+// Listings without an explicit limit return this many records
+export const DEFAULT_LIST_LIMIT = 50;
+
+// Interaction fields that are nested objects; backends without documents store them as JSON strings
+export const INTERACTION_JSON_FIELDS = ['inputVerdict', 'outputVerdict', 'redactions', 'sessionRisk', 'ensemble', 'settingsVersions', 'claims', 'generationError'];
+
+// Interaction severities from least to most severe, for sorting by severity
+export const SEVERITY_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+
+export const generateId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+
+// Backends hand back integers and dates in their own types (Neo4j Integer and DateTime, ISO strings)
+export const toNumber = (value) => (typeof value?.toNumber === 'function' ? value.toNumber() : value);
+
+export const toDate = (value) => (value == null ? undefined : new Date(value.toString()));
+
+// Leave out empty fields, so every backend returns the same shape
+export function compact(record) {
+  return Object.fromEntries(Object.entries(record).filter(([, value]) => value != null));
+}
+
+// The interaction's own fields as flat values: dates as ISO strings, nested objects as JSON
+export function interactionRow(interaction) {
+  return {
+    id: interaction.id,
+    timestamp: new Date(interaction.timestamp).toISOString(),
+    input: interaction.input,
+    output: interaction.output,
+    status: interaction.status,
+    severity: interaction.severity,
+    sessionId: interaction.sessionId ?? null,
+    llmModel: interaction.llmModel ?? null,
+    fallbackReason: interaction.fallbackReason ?? null,
+    pseudonymisedAt: interaction.pseudonymisedAt ? new Date(interaction.pseudonymisedAt).toISOString() : null,
+    ...Object.fromEntries(INTERACTION_JSON_FIELDS.map(field => [
+      field,
+      interaction[field] ? JSON.stringify(interaction[field]) : null
+    ]))
+  };
+}
+
+// Violations keyed on the interaction id and their position, so saving an interaction again overwrites them.
+// Backends drop the rows past the last position, which a save with fewer violations leaves behind.
+export function violationRows(interaction) {
+  return interaction.violations.map((violation, index) => ({
+    id: `${interaction.id}:violation:${index}`,
+    position: index,
+    type: violation.type,
+    description: violation.description,
+    reason: violation.reason ?? null,
+    severity: violation.severity,
+    confidence: violation.confidence ?? null,
+    regulatoryFramework: violation.regulatoryFramework || 'Unknown',
+    location: violation.location ?? null,
+    ruleId: violation.ruleId ?? null,
+    remediationSteps: violation.remediationSteps ? JSON.stringify(violation.remediationSteps) : null
+  }));
+}
+
+export function violationFromRow(row) {
+  return compact({
+    type: row.type,
+    description: row.description,
+    reason: row.reason,
+    severity: toNumber(row.severity),
+    confidence: toNumber(row.confidence),
+    regulatoryFramework: row.regulatoryFramework,
+    location: row.location,
+    ruleId: row.ruleId,
+    remediationSteps: row.remediationSteps ? JSON.parse(row.remediationSteps) : null
+  });
+}
+
+// Agent actions keyed like violations, kept in the order the agents acted
+export function agentActionRows(interaction) {
+  return (interaction.agentActions ?? []).map((agentAction, index) => ({
+    id: `${interaction.id}:action:${index}`,
+    position: index,
+    agentName: agentAction.agentName,
+    action: agentAction.action,
+    details: agentAction.details ?? null,
+    timestamp: new Date(agentAction.timestamp ?? interaction.timestamp).toISOString()
+  }));
+}
+
+export function agentActionFromRow(row) {
+  return compact({
+    agentName: row.agentName,
+    action: row.action,
+    details: row.details,
+    timestamp: toDate(row.timestamp)
+  });
+}
+
+// Review state kept with the interaction; the queue's working copy also holds the prompt and its history
+export function reviewState(review) {
+  return {
+    status: review.status,
+    queuedAt: review.queuedAt.toISOString(),
+    dueAt: review.dueAt.toISOString(),
+    claimedBy: review.claimedBy ?? null,
+    claimedAt: review.claimedAt?.toISOString() ?? null,
+    decidedBy: review.decidedBy ?? null,
+    decidedAt: review.decidedAt?.toISOString() ?? null,
+    reason: review.reason ?? null,
+    finalStatus: review.finalStatus ?? null
+  };
+}
+
+export function reviewFromState(state) {
+  return compact({
+    status: state.status,
+    queuedAt: toDate(state.queuedAt),
+    dueAt: toDate(state.dueAt),
+    claimedBy: state.claimedBy,
+    claimedAt: toDate(state.claimedAt),
+    decidedBy: state.decidedBy,
+    decidedAt: toDate(state.decidedAt),
+    reason: state.reason,
+    finalStatus: state.finalStatus
+  });
+}
+
+// A stored interaction as every backend returns it
+export function interactionFromRow(row, violations, review, agentActions = []) {
+  return compact({
+    id: row.id,
+    timestamp: toDate(row.timestamp),
+    input: row.input,
+    output: row.output,
+    status: row.status,
+    severity: row.severity,
+    violations: violations.map(violationFromRow),
+    agentActions: agentActions.map(agentActionFromRow),
+    sessionId: row.sessionId,
+    llmModel: row.llmModel,
+    fallbackReason: row.fallbackReason,
+    pseudonymisedAt: toDate(row.pseudonymisedAt),
+    ...Object.fromEntries(INTERACTION_JSON_FIELDS.map(field => [field, row[field] ? JSON.parse(row[field]) : null])),
+    review: review?.status ? reviewFromState(review) : null
+  });
+}
+
+// Session risk as of the interaction, for the session the interaction belongs to
+export function sessionRow(interaction) {
+  return {
+    id: interaction.sessionId,
+    timestamp: new Date(interaction.timestamp).toISOString(),
+    turnCount: interaction.sessionRisk.turnCount,
+    flaggedTurns: interaction.sessionRisk.flaggedTurns,
+    riskScore: interaction.sessionRisk.riskScore,
+    riskLevel: interaction.sessionRisk.riskLevel
+  };
+}
+
+export function sessionFromRow(row, interactionIds) {
+  return compact({
+    id: row.id,
+    turnCount: toNumber(row.turnCount),
+    flaggedTurns: toNumber(row.flaggedTurns),
+    riskScore: toNumber(row.riskScore),
+    riskLevel: row.riskLevel,
+    createdAt: toDate(row.createdAt),
+    updatedAt: toDate(row.updatedAt),
+    interactionIds
+  });
+}
+
+export function auditLogRow(interactionId, entry) {
+  return {
+    id: entry.id ?? generateId('audit'),
+    interactionId,
+    timestamp: (entry.timestamp ?? new Date()).toISOString(),
+    agentName: entry.agentName,
+    action: entry.action,
+    details: entry.details,
+    violationType: entry.violationType ?? null,
+    severity: entry.severity ?? null,
+    reviewer: entry.reviewer ?? null,
+    reason: entry.reason ?? null
+  };
+}
+
+export function auditLogFromRow(row) {
+  return compact({ ...row, timestamp: toDate(row.timestamp), severity: toNumber(row.severity), sequence: toNumber(row.sequence) });
+}
+
+// A signed checkpoint of the audit chain's head
+export function auditCheckpointFromRow(row) {
+  return compact({
+    sequence: toNumber(row.sequence),
+    hash: row.hash,
+    createdAt: toDate(row.createdAt),
+    keyId: row.keyId,
+    signature: row.signature
+  });
+}
+
+export function feedbackRow(interactionId, feedback) {
+  return {
+    id: feedback.id ?? generateId('feedback'),
+    interactionId,
+    rating: feedback.rating,
+    comment: feedback.comment ?? null,
+    timestamp: (feedback.timestamp ?? new Date()).toISOString()
+  };
+}
+
+export function feedbackFromRow(row) {
+  return compact({ ...row, timestamp: toDate(row.timestamp) });
+}
+
+export function settingsFromRow(row) {
+  return compact({
+    scope: row.scope,
+    version: toNumber(row.version),
+    settings: typeof row.settings === 'string' ? JSON.parse(row.settings) : row.settings,
+    author: row.author,
+    comment: row.comment,
+    createdAt: toDate(row.createdAt),
+    rolledBackFrom: toNumber(row.rolledBackFrom)
+  });
+}
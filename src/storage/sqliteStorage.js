@@ -0,0 +1,576 @@
+// SQLite storage backend (JS runtime for Node server)
+import { mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import Database from 'better-sqlite3';
+import {
+  DEFAULT_LIST_LIMIT,
+  SEVERITY_RANK,
+  interactionRow,
+  violationRows,
+  agentActionRows,
+  interactionFromRow,
+  reviewState,
+  sessionRow,
+  sessionFromRow,
+  auditLogRow,
+  auditLogFromRow,
+  auditCheckpointFromRow,
+  feedbackRow,
+  feedbackFromRow,
+  settingsFromRow
+} from './records.js';
+import { chainAuditEntry } from './auditChain.js';
+
+// No foreign key: entries may be for interactions stored elsewhere, e.g. by the dashboard's own Neo4j writes
+const AUDIT_LOGS_TABLE = `
+  CREATE TABLE IF NOT EXISTS audit_logs (
+    id TEXT PRIMARY KEY,
+    interactionId TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    agentName TEXT,
+    action TEXT,
+    details TEXT,
+    violationType TEXT,
+    severity REAL,
+    reviewer TEXT,
+    reason TEXT,
+    sequence INTEGER,
+    previousHash TEXT,
+    hash TEXT
+  );
+`;
+
+// Created after migrating, as an older audit_logs table has no sequence column
+const AUDIT_LOG_INDEXES = `
+  CREATE INDEX IF NOT EXISTS audit_logs_interaction ON audit_logs (interactionId, timestamp);
+  CREATE UNIQUE INDEX IF NOT EXISTS audit_logs_sequence ON audit_logs (sequence);
+`;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS interactions (
+    id TEXT PRIMARY KEY,
+    timestamp TEXT NOT NULL,
+    input TEXT,
+    output TEXT,
+    status TEXT,
+    severity TEXT,
+    sessionId TEXT,
+    llmModel TEXT,
+    fallbackReason TEXT,
+    inputVerdict TEXT,
+    outputVerdict TEXT,
+    redactions TEXT,
+    sessionRisk TEXT,
+    ensemble TEXT,
+    settingsVersions TEXT,
+    review TEXT,
+    pseudonymisedAt TEXT,
+    claims TEXT,
+    generationError TEXT
+  );
+  CREATE INDEX IF NOT EXISTS interactions_timestamp ON interactions (timestamp);
+  CREATE INDEX IF NOT EXISTS interactions_session ON interactions (sessionId, timestamp);
+
+  CREATE TABLE IF NOT EXISTS violations (
+    id TEXT PRIMARY KEY,
+    interactionId TEXT NOT NULL REFERENCES interactions (id),
+    position INTEGER NOT NULL,
+    type TEXT,
+    description TEXT,
+    reason TEXT,
+    severity REAL,
+    confidence REAL,
+    regulatoryFramework TEXT,
+    location TEXT,
+    ruleId TEXT,
+    remediationSteps TEXT
+  );
+  CREATE INDEX IF NOT EXISTS violations_interaction ON violations (interactionId, position);
+
+  CREATE TABLE IF NOT EXISTS agent_actions (
+    id TEXT PRIMARY KEY,
+    interactionId TEXT NOT NULL REFERENCES interactions (id),
+    position INTEGER NOT NULL,
+    agentName TEXT,
+    action TEXT,
+    details TEXT,
+    timestamp TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS agent_actions_interaction ON agent_actions (interactionId, position);
+  CREATE INDEX IF NOT EXISTS agent_actions_agent ON agent_actions (agentName, interactionId);
+
+  CREATE TABLE IF NOT EXISTS redacted_originals (
+    interactionId TEXT PRIMARY KEY REFERENCES interactions (id),
+    input TEXT,
+    output TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    createdAt TEXT NOT NULL,
+    updatedAt TEXT NOT NULL,
+    turnCount INTEGER,
+    flaggedTurns INTEGER,
+    riskScore REAL,
+    riskLevel TEXT
+  );
+
+  ${AUDIT_LOGS_TABLE}
+
+  CREATE TABLE IF NOT EXISTS audit_checkpoints (
+    sequence INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    createdAt TEXT NOT NULL,
+    keyId TEXT NOT NULL,
+    signature TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS feedback (
+    id TEXT PRIMARY KEY,
+    interactionId TEXT NOT NULL REFERENCES interactions (id),
+    rating TEXT,
+    comment TEXT,
+    timestamp TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS settings (
+    scope TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    settings TEXT NOT NULL,
+    author TEXT,
+    comment TEXT,
+    createdAt TEXT NOT NULL,
+    rolledBackFrom INTEGER,
+    PRIMARY KEY (scope, version)
+  );
+`;
+
+// Columns added since the first schema, for databases created before them
+const ADDED_COLUMNS = {
+  interactions: {
+    llmModel: 'ALTER TABLE interactions ADD COLUMN llmModel TEXT',
+    pseudonymisedAt: 'ALTER TABLE interactions ADD COLUMN pseudonymisedAt TEXT',
+    claims: 'ALTER TABLE interactions ADD COLUMN claims TEXT',
+    generationError: 'ALTER TABLE interactions ADD COLUMN generationError TEXT'
+  },
+  violations: {
+    ruleId: 'ALTER TABLE violations ADD COLUMN ruleId TEXT',
+    remediationSteps: 'ALTER TABLE violations ADD COLUMN remediationSteps TEXT'
+  }
+};
+
+const AUDIT_LOG_COLUMNS = 'id, interactionId, timestamp, agentName, action, details, violationType, severity, reviewer, reason';
+
+// What listInteractions orders by before timestamp and id
+const SORT_KEYS = {
+  timestamp: '0',
+  severity: `CASE i.severity ${Object.entries(SEVERITY_RANK).map(([severity, rank]) => `WHEN '${severity}' THEN ${rank}`).join(' ')} ELSE 0 END`,
+  violations: '(SELECT count(*) FROM violations counted WHERE counted.interactionId = i.id)'
+};
+
+// Named parameters for a list of values: `name IN (@name0, @name1)`
+function inList(column, name, values, params) {
+  values.forEach((value, index) => { params[`${name}${index}`] = value; });
+  return `${column} IN (${values.map((_, index) => `@${name}${index}`).join(', ') || 'NULL'})`;
+}
+
+// WHERE clause over `interactions i` for the filters listInteractions, countInteractions and interactionStats take.
+// lower() only folds ASCII in SQLite, so search and framework are case-insensitive for ASCII letters only.
+function whereClause(filters) {
+  const conditions = [];
+  const params = {};
+  const { since, until, statuses, severities, reviewStatuses, hasEnsemble, models, agents, search, pseudonymised } = filters;
+  if (since) {
+    conditions.push('i.timestamp >= @since');
+    params.since = since.toISOString();
+  }
+  if (until) {
+    conditions.push('i.timestamp < @until');
+    params.until = until.toISOString();
+  }
+  if (statuses) conditions.push(inList('i.status', 'status', statuses, params));
+  if (severities) conditions.push(inList('i.severity', 'severity', severities, params));
+  if (reviewStatuses) conditions.push(inList(`json_extract(i.review, '$.status')`, 'reviewStatus', reviewStatuses, params));
+  if (hasEnsemble) conditions.push('i.ensemble IS NOT NULL');
+  if (models) conditions.push(inList('i.llmModel', 'model', models, params));
+  if (pseudonymised != null) conditions.push(`i.pseudonymisedAt IS ${pseudonymised ? 'NOT NULL' : 'NULL'}`);
+  if (agents) {
+    conditions.push(`EXISTS (SELECT 1 FROM agent_actions acted WHERE acted.interactionId = i.id AND ${inList('acted.agentName', 'agent', agents, params)})`);
+  }
+
+  // Every violation criterion applies to the same violation
+  const violationConditions = [];
+  if (filters.violationTypes) violationConditions.push(inList('matched.type', 'violationType', filters.violationTypes, params));
+  if (filters.framework) {
+    violationConditions.push('instr(lower(matched.regulatoryFramework), lower(@framework)) > 0');
+    params.framework = filters.framework;
+  }
+  if (filters.minViolationSeverity != null) {
+    violationConditions.push('matched.severity >= @minViolationSeverity');
+    params.minViolationSeverity = filters.minViolationSeverity;
+  }
+  if (filters.maxViolationSeverity != null) {
+    violationConditions.push('matched.severity < @maxViolationSeverity');
+    params.maxViolationSeverity = filters.maxViolationSeverity;
+  }
+  if (violationConditions.length > 0) {
+    conditions.push(`EXISTS (SELECT 1 FROM violations matched WHERE matched.interactionId = i.id AND ${violationConditions.join(' AND ')})`);
+  }
+
+  if (search) {
+    conditions.push('(instr(lower(i.input), lower(@search)) > 0 OR instr(lower(i.output), lower(@search)) > 0)');
+    params.search = search;
+  }
+  return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+/**
+ * One database file, written in WAL mode. Interactions are upserted on their id
+ * in a single transaction with their violations, session and redacted original.
+ * Deleted content is zeroed (secure_delete) and the WAL is truncated after an
+ * erasure, so erased text does not linger in free pages or the log.
+ * better-sqlite3 is synchronous; the methods are async to match the other backends.
+ */
+export class SqliteStorage {
+  kind = 'sqlite';
+  durable = true;
+  db = null;
+
+  constructor(path) {
+    this.path = path;
+  }
+
+  async init() {
+    if (this.path !== ':memory:') mkdirSync(dirname(this.path), { recursive: true });
+    this.db = new Database(this.path);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.pragma('secure_delete = ON');
+    this.db.exec(SCHEMA);
+    Object.entries(ADDED_COLUMNS).forEach(([table, added]) => {
+      const columns = this.db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+      Object.entries(added)
+        .filter(([column]) => !columns.includes(column))
+        .forEach(([, statement]) => this.db.exec(statement));
+    });
+
+    // audit_logs from before the hash chain is rebuilt without its foreign key; its entries stay unchained
+    const auditColumns = this.db.prepare('PRAGMA table_info(audit_logs)').all().map(column => column.name);
+    if (!auditColumns.includes('hash')) {
+      this.db.transaction(() => {
+        this.db.exec('ALTER TABLE audit_logs RENAME TO audit_logs_unchained');
+        this.db.exec(AUDIT_LOGS_TABLE);
+        this.db.exec(`INSERT INTO audit_logs (${AUDIT_LOG_COLUMNS}) SELECT ${AUDIT_LOG_COLUMNS} FROM audit_logs_unchained`);
+        this.db.exec('DROP TABLE audit_logs_unchained');
+      })();
+    }
+    this.db.exec(AUDIT_LOG_INDEXES);
+
+    const upsertInteraction = this.db.prepare(`
+      INSERT INTO interactions (id, timestamp, input, output, status, severity, sessionId, llmModel, fallbackReason,
+        inputVerdict, outputVerdict, redactions, sessionRisk, ensemble, settingsVersions, pseudonymisedAt, claims,
+        generationError)
+      VALUES (@id, @timestamp, @input, @output, @status, @severity, @sessionId, @llmModel, @fallbackReason,
+        @inputVerdict, @outputVerdict, @redactions, @sessionRisk, @ensemble, @settingsVersions, @pseudonymisedAt, @claims,
+        @generationError)
+      ON CONFLICT (id) DO UPDATE SET
+        timestamp = excluded.timestamp, input = excluded.input, output = excluded.output,
+        status = excluded.status, severity = excluded.severity, sessionId = excluded.sessionId,
+        llmModel = excluded.llmModel, fallbackReason = excluded.fallbackReason, inputVerdict = excluded.inputVerdict,
+        outputVerdict = excluded.outputVerdict, redactions = excluded.redactions,
+        sessionRisk = excluded.sessionRisk, ensemble = excluded.ensemble,
+        settingsVersions = excluded.settingsVersions, pseudonymisedAt = excluded.pseudonymisedAt,
+        claims = excluded.claims, generationError = excluded.generationError
+    `);
+    const upsertViolation = this.db.prepare(`
+      INSERT OR REPLACE INTO violations (id, interactionId, position, type, description, reason, severity,
+        confidence, regulatoryFramework, location, ruleId, remediationSteps)
+      VALUES (@id, @interactionId, @position, @type, @description, @reason, @severity,
+        @confidence, @regulatoryFramework, @location, @ruleId, @remediationSteps)
+    `);
+    const deleteStaleViolations = this.db.prepare('DELETE FROM violations WHERE interactionId = ? AND position >= ?');
+    const upsertAgentAction = this.db.prepare(`
+      INSERT OR REPLACE INTO agent_actions (id, interactionId, position, agentName, action, details, timestamp)
+      VALUES (@id, @interactionId, @position, @agentName, @action, @details, @timestamp)
+    `);
+    const upsertSession = this.db.prepare(`
+      INSERT INTO sessions (id, createdAt, updatedAt, turnCount, flaggedTurns, riskScore, riskLevel)
+      VALUES (@id, @timestamp, @timestamp, @turnCount, @flaggedTurns, @riskScore, @riskLevel)
+      ON CONFLICT (id) DO UPDATE SET
+        updatedAt = excluded.updatedAt, turnCount = excluded.turnCount, flaggedTurns = excluded.flaggedTurns,
+        riskScore = excluded.riskScore, riskLevel = excluded.riskLevel
+    `);
+    const upsertOriginal = this.db.prepare(`
+      INSERT OR REPLACE INTO redacted_originals (interactionId, input, output) VALUES (?, ?, ?)
+    `);
+
+    this.saveInteractionTx = this.db.transaction((interaction, original) => {
+      upsertInteraction.run(interactionRow(interaction));
+      deleteStaleViolations.run(interaction.id, interaction.violations.length);
+      violationRows(interaction).forEach(row => upsertViolation.run({ ...row, interactionId: interaction.id }));
+      agentActionRows(interaction).forEach(row => upsertAgentAction.run({ ...row, interactionId: interaction.id }));
+      if (interaction.sessionId) upsertSession.run(sessionRow(interaction));
+      if (interaction.redactions?.length && original) {
+        upsertOriginal.run(interaction.id, original.input, original.output);
+      }
+    });
+
+    // Erasure takes an interaction's rows with it; its audit entries stay, as the chain needs them
+    const sessionOf = this.db.prepare('SELECT sessionId FROM interactions WHERE id = ?').pluck();
+    const dropSession = this.db.prepare('DELETE FROM sessions WHERE id = @id AND NOT EXISTS (SELECT 1 FROM interactions WHERE sessionId = @id)');
+    const dropEmptySessions = (sessionIds) => sessionIds.forEach(id => dropSession.run({ id }));
+    const deleteRows = ['violations', 'agent_actions', 'redacted_originals', 'feedback', 'interactions']
+      .map(table => this.db.prepare(`DELETE FROM ${table} WHERE ${table === 'interactions' ? 'id' : 'interactionId'} = ?`));
+    this.deleteInteractionsTx = this.db.transaction(ids => {
+      const sessionIds = new Set();
+      const deleted = ids.filter(id => {
+        const sessionId = sessionOf.get(id);
+        if (sessionId === undefined) return false;
+        if (sessionId) sessionIds.add(sessionId);
+        deleteRows.forEach(statement => statement.run(id));
+        return true;
+      });
+      dropEmptySessions(sessionIds);
+      return deleted.length;
+    });
+
+    const deleteViolations = this.db.prepare('DELETE FROM violations WHERE interactionId = ?');
+    const deleteAgentActions = this.db.prepare('DELETE FROM agent_actions WHERE interactionId = ?');
+    const deleteOriginal = this.db.prepare('DELETE FROM redacted_originals WHERE interactionId = ?');
+    const updateFeedback = this.db.prepare('UPDATE feedback SET comment = ? WHERE id = ? AND interactionId = ?');
+    this.pseudonymiseInteractionsTx = this.db.transaction(rewrites => {
+      const sessionIds = new Set();
+      const rewritten = rewrites.filter(({ interaction, feedback = [] }) => {
+        const sessionId = sessionOf.get(interaction.id);
+        if (sessionId === undefined) return false;
+        if (sessionId) sessionIds.add(sessionId);
+        upsertInteraction.run(interactionRow(interaction));
+        deleteViolations.run(interaction.id);
+        deleteAgentActions.run(interaction.id);
+        violationRows(interaction).forEach(row => upsertViolation.run({ ...row, interactionId: interaction.id }));
+        agentActionRows(interaction).forEach(row => upsertAgentAction.run({ ...row, interactionId: interaction.id }));
+        deleteOriginal.run(interaction.id);
+        feedback.forEach(({ id, comment }) => updateFeedback.run(comment ?? null, id, interaction.id));
+        return true;
+      });
+      dropEmptySessions(sessionIds);
+      return rewritten.length;
+    });
+
+    // Numbered inside the transaction; the (scope, version) key rejects anything that slips past
+    const insertSettings = this.db.prepare(`
+      INSERT INTO settings (scope, version, settings, author, comment, createdAt, rolledBackFrom)
+      VALUES (@scope, (SELECT coalesce(max(version), 0) + 1 FROM settings WHERE scope = @scope),
+        @settings, @author, @comment, @createdAt, @rolledBackFrom)
+      RETURNING *
+    `);
+    this.saveSettingsTx = this.db.transaction(entry => insertSettings.get(entry));
+
+    // Run IMMEDIATE so the write lock is held from reading the chain's head until the entry after it is in
+    const chainHead = this.db.prepare('SELECT * FROM audit_logs WHERE sequence IS NOT NULL ORDER BY sequence DESC LIMIT 1');
+    const insertAuditLog = this.db.prepare(`
+      INSERT INTO audit_logs (${AUDIT_LOG_COLUMNS}, sequence, previousHash, hash)
+      VALUES (@id, @interactionId, @timestamp, @agentName, @action, @details, @violationType, @severity, @reviewer, @reason,
+        @sequence, @previousHash, @hash)
+    `);
+    this.appendAuditLogTx = this.db.transaction(row => {
+      const entry = chainAuditEntry(row, chainHead.get());
+      insertAuditLog.run(entry);
+      return entry;
+    });
+  }
+
+  async close() {
+    this.db?.close();
+    this.db = null;
+  }
+
+  #read(row) {
+    const violations = this.db.prepare('SELECT * FROM violations WHERE interactionId = ? ORDER BY position').all(row.id);
+    const agentActions = this.db.prepare('SELECT * FROM agent_actions WHERE interactionId = ? ORDER BY position').all(row.id);
+    return interactionFromRow(row, violations, row.review ? JSON.parse(row.review) : null, agentActions);
+  }
+
+  async saveInteraction(interaction, original = null) {
+    this.saveInteractionTx(interaction, original);
+  }
+
+  async getInteraction(id) {
+    const row = this.db.prepare('SELECT * FROM interactions WHERE id = ?').get(id);
+    return row ? this.#read(row) : null;
+  }
+
+  async listInteractions({ limit = DEFAULT_LIST_LIMIT, sort = 'timestamp', order = 'desc', after, ...filters } = {}) {
+    const { where, params } = whereClause(filters);
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    if (after) Object.assign(params, { afterKey: after.key, afterTimestamp: after.timestamp, afterId: after.id });
+    if (limit != null) params.limit = limit;
+
+    const rows = this.db.prepare(`
+      SELECT * FROM (SELECT i.*, ${SORT_KEYS[sort]} AS sortKey FROM interactions i ${where})
+      ${after ? `WHERE (sortKey, timestamp, id) ${direction === 'ASC' ? '>' : '<'} (@afterKey, @afterTimestamp, @afterId)` : ''}
+      ORDER BY sortKey ${direction}, timestamp ${direction}, id ${direction}
+      ${limit != null ? 'LIMIT @limit' : ''}
+    `).all(params);
+    return rows.map(row => this.#read(row));
+  }
+
+  async countInteractions(filters = {}) {
+    const { where, params } = whereClause(filters);
+    return this.db.prepare(`SELECT count(*) AS count FROM interactions i ${where}`).get(params).count;
+  }
+
+  async interactionStats(filters = {}) {
+    const { where, params } = whereClause(filters);
+    const counts = (key, from) => Object.fromEntries(
+      this.db.prepare(`SELECT ${key} AS key, count(*) AS count FROM ${from} ${where} GROUP BY 1`)
+        .all(params)
+        .filter(row => row.key != null)
+        .map(row => [row.key, row.count])
+    );
+    const withViolations = 'violations v JOIN interactions i ON i.id = v.interactionId';
+    return {
+      total: await this.countInteractions(filters),
+      statusCounts: counts('i.status', 'interactions i'),
+      violationsByType: counts('v.type', withViolations),
+      violationsByFramework: counts('v.regulatoryFramework', withViolations),
+      violationsBySeverity: counts('CAST(v.severity AS INTEGER)', withViolations),
+      actionsByAgent: counts('a.agentName', 'agent_actions a JOIN interactions i ON i.id = a.interactionId'),
+      interactionsByModel: counts('i.llmModel', 'interactions i')
+    };
+  }
+
+  async getRedactedOriginal(id) {
+    const row = this.db.prepare('SELECT input, output FROM redacted_originals WHERE interactionId = ?').get(id);
+    return row ?? null;
+  }
+
+  async deleteInteractions(ids) {
+    const deleted = this.deleteInteractionsTx(ids);
+    this.db.pragma('wal_checkpoint(TRUNCATE)');
+    return deleted;
+  }
+
+  async pseudonymiseInteractions(rewrites) {
+    const rewritten = this.pseudonymiseInteractionsTx(rewrites);
+    this.db.pragma('wal_checkpoint(TRUNCATE)');
+    return rewritten;
+  }
+
+  async subjectInteractionIds(identifier) {
+    const mentions = (column) => `instr(lower(${column}), lower(@identifier)) > 0`;
+    return this.db.prepare(`
+      SELECT i.id FROM interactions i
+      LEFT JOIN redacted_originals o ON o.interactionId = i.id
+      WHERE i.id = @identifier OR i.sessionId = @identifier
+        OR ${mentions('i.input')} OR ${mentions('i.output')} OR ${mentions('o.input')} OR ${mentions('o.output')}
+        OR EXISTS (SELECT 1 FROM feedback f WHERE f.interactionId = i.id AND ${mentions('f.comment')})
+      ORDER BY i.timestamp, i.id
+    `).pluck().all({ identifier });
+  }
+
+  async saveReview(review) {
+    const state = reviewState(review);
+    this.db.prepare(`
+      UPDATE interactions SET review = @review, status = coalesce(@finalStatus, status) WHERE id = @id
+    `).run({ id: review.interactionId, review: JSON.stringify(state), finalStatus: state.finalStatus });
+  }
+
+  #sessionInteractionIds(sessionId) {
+    return this.db.prepare('SELECT id FROM interactions WHERE sessionId = ? ORDER BY timestamp')
+      .all(sessionId)
+      .map(row => row.id);
+  }
+
+  async getSession(id) {
+    const row = this.db.prepare('SELECT * FROM sessions WHERE id = ?').get(id);
+    return row ? sessionFromRow(row, this.#sessionInteractionIds(id)) : null;
+  }
+
+  async listSessions({ limit = DEFAULT_LIST_LIMIT } = {}) {
+    return this.db.prepare('SELECT * FROM sessions ORDER BY riskScore DESC, updatedAt DESC LIMIT ?')
+      .all(limit)
+      .map(row => sessionFromRow(row, this.#sessionInteractionIds(row.id)));
+  }
+
+  #hasInteraction(id) {
+    return Boolean(this.db.prepare('SELECT 1 FROM interactions WHERE id = ?').get(id));
+  }
+
+  async addAuditLog(interactionId, entry) {
+    if (!this.#hasInteraction(interactionId)) return null;
+    return this.appendAuditLog(interactionId, entry);
+  }
+
+  async appendAuditLog(interactionId, entry) {
+    return auditLogFromRow(this.appendAuditLogTx.immediate(auditLogRow(interactionId, entry)));
+  }
+
+  async listAuditLogs(interactionId) {
+    return this.db.prepare('SELECT * FROM audit_logs WHERE interactionId = ? ORDER BY timestamp, rowid')
+      .all(interactionId)
+      .map(auditLogFromRow);
+  }
+
+  async listAuditChain({ afterSequence = 0, limit = DEFAULT_LIST_LIMIT } = {}) {
+    return this.db.prepare('SELECT * FROM audit_logs WHERE sequence > ? ORDER BY sequence LIMIT ?')
+      .all(afterSequence, limit)
+      .map(auditLogFromRow);
+  }
+
+  async saveAuditCheckpoint(checkpoint) {
+    const row = { ...checkpoint, createdAt: new Date(checkpoint.createdAt).toISOString() };
+    this.db.prepare(`
+      INSERT INTO audit_checkpoints (sequence, hash, createdAt, keyId, signature)
+      VALUES (@sequence, @hash, @createdAt, @keyId, @signature)
+    `).run(row);
+    return auditCheckpointFromRow(row);
+  }
+
+  async listAuditCheckpoints() {
+    return this.db.prepare('SELECT * FROM audit_checkpoints ORDER BY sequence').all().map(auditCheckpointFromRow);
+  }
+
+  async addFeedback(interactionId, feedback) {
+    if (!this.#hasInteraction(interactionId)) return null;
+    const row = feedbackRow(interactionId, feedback);
+    this.db.prepare(`
+      INSERT INTO feedback (id, interactionId, rating, comment, timestamp)
+      VALUES (@id, @interactionId, @rating, @comment, @timestamp)
+    `).run(row);
+    return feedbackFromRow(row);
+  }
+
+  async listFeedback(interactionId) {
+    return this.db.prepare('SELECT * FROM feedback WHERE interactionId = ? ORDER BY timestamp, rowid')
+      .all(interactionId)
+      .map(feedbackFromRow);
+  }
+
+  async latestSettings(scope) {
+    const row = this.db.prepare('SELECT * FROM settings WHERE scope = ? ORDER BY version DESC LIMIT 1').get(scope);
+    return row ? settingsFromRow(row) : null;
+  }
+
+  async settingsHistory(scope) {
+    return this.db.prepare('SELECT * FROM settings WHERE scope = ? ORDER BY version DESC')
+      .all(scope)
+      .map(settingsFromRow);
+  }
+
+  async getSettingsVersion(scope, version) {
+    const row = this.db.prepare('SELECT * FROM settings WHERE scope = ? AND version = ?').get(scope, version);
+    return row ? settingsFromRow(row) : null;
+  }
+
+  async saveSettings(scope, { settings, author, comment, rolledBackFrom }) {
+    return settingsFromRow(this.saveSettingsTx({
+      scope,
+      settings: JSON.stringify(settings),
+      author,
+      comment: comment ?? null,
+      createdAt: new Date().toISOString(),
+      rolledBackFrom: rolledBackFrom ?? null
+    }));
+  }
+}
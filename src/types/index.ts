@@ -1,20 +1,154 @@
+import { PiiDetectorType } from '../governance/policyTypes';
+import type { LLMAttempt, LLMProviderName, LLMUsage, ModelComparison } from '../llm';
+
+// Why no response was generated: no provider could be tried, or every model tried failed
+export type GenerationErrorCode = 'not_configured' | 'provider_failed';
+
+export interface GenerationError {
+  code: GenerationErrorCode;
+  message: string;
+  attempts?: LLMAttempt[];
+}
+
 export interface LLMInteraction {
   id: string;
   timestamp: Date;
   input: string;
   output: string;
-  status: 'approved' | 'blocked' | 'pending';
+  // 'failed' when no response could be generated; see generationError
+  status: 'approved' | 'blocked' | 'pending' | 'redacted' | 'failed';
   severity: 'low' | 'medium' | 'high' | 'critical';
   violations: Violation[];
   agentActions: AgentAction[];
   userFeedback?: UserFeedback;
-  llmSource?: 'openai' | 'mock' | 'fallback';
+  // Gateway provider that answered ('stub' for scripted fixture replies)
+  llmSource?: LLMProviderName;
   llmModel?: string;
-  llmError?: string;
+  generationError?: GenerationError;
+  // The answering call's latency and tokens, and every call the gateway made (retries and fallbacks)
+  llmLatencyMs?: number;
+  llmUsage?: LLMUsage;
+  llmAttempts?: LLMAttempt[];
+  // Separate verdicts for the pre-generation input pass and the post-generation output pass
+  inputVerdict?: PhaseVerdict;
+  outputVerdict?: PhaseVerdict; // absent when the input pass blocked generation
+  // Placeholders substituted into input/output; the unmasked text is stored separately
+  redactions?: Redaction[];
+  // Conversation the interaction belongs to, and that session's risk right after it
+  sessionId?: string;
+  sessionRisk?: SessionRisk;
+  // Human review of a pending interaction; poll `review.pollUrl` for the final decision
+  review?: ReviewSummary;
+  // Why the Inkeep verdict was not used (unreachable graph or a reply that broke the verdict contract)
+  fallbackReason?: string;
+  // Set in ensemble mode: what each pipeline decided and how the verdicts were merged
+  ensemble?: EnsembleRecord;
+  // Version of each settings scope in force when the interaction was governed
+  settingsVersions?: Record<string, number>;
+  // Factual claims in the output, each fact-checked on its own by the VerifierAgent
+  claims?: ClaimVerification[];
+}
+
+export type ClaimVerdict = 'supported' | 'refuted' | 'unverified';
+
+export interface Claim {
+  text: string;
+  start: number; // character span in the output: output.slice(start, end) === text
+  end: number;
+}
+
+export interface ClaimVerification extends Claim {
+  verdict: ClaimVerdict; // 'unverified' when the fact-check failed or gave no usable answer
+  confidence: number; // 0 when unverified
+  summary: string;
+  citations: string[]; // URLs
+  cached?: boolean; // verdict reused from an earlier check of the same claim
+  error?: string;
+}
+
+export type EnsembleStrategy = 'strictest' | 'majority' | 'primary';
+export type EnsemblePipeline = 'legacy' | 'inkeep';
+
+export type PipelineVerdict =
+  | { status: 'approved' | 'pending' | 'blocked'; severity: LLMInteraction['severity']; violations: Violation[] }
+  | { error: string };
+
+export type EnsembleVerdicts = Partial<Record<EnsemblePipeline, PipelineVerdict>>;
+
+export interface EnsembleRecord {
+  strategy: EnsembleStrategy;
+  primary: EnsemblePipeline;
+  agreement: boolean | null; // null when only one pipeline produced a verdict
+  decidedBy: EnsemblePipeline[];
+  verdicts: EnsembleVerdicts;
+}
+
+export type ReviewStatus = 'queued' | 'claimed' | 'escalated' | 'approved' | 'rejected';
+export type ReviewAction = 'claim' | 'approve' | 'reject' | 'escalate';
+
+export interface ReviewSummary {
+  status: ReviewStatus;
+  dueAt: Date;
+  claimedBy?: string;
+  decidedBy?: string;
+  decidedAt?: Date;
+  reason?: string;
+  pollUrl: string;
+}
+
+export interface ReviewEvent {
+  action: ReviewAction | 'queue';
+  reviewer: string; // 'system' for SLA escalations
+  reason: string;
+  timestamp: Date;
+}
+
+// A queue entry as returned by GET /api/reviews
+export interface ReviewItem {
+  interactionId: string;
+  status: ReviewStatus;
+  queuedAt: Date;
+  dueAt: Date;
+  overdue: boolean;
+  claimedBy?: string;
+  claimedAt?: Date;
+  escalatedAt?: Date;
+  decidedBy?: string;
+  decidedAt?: Date;
+  reason?: string;
+  input: string;
+  output: string;
+  severity: LLMInteraction['severity'];
+  violations: Violation[];
+  sessionId?: string;
+  history: ReviewEvent[];
+}
+
+export interface SessionRisk {
+  id: string;
+  turnCount: number;
+  flaggedTurns: number;
+  riskScore: number; // 0-10, escalates while violations keep recurring
+  riskLevel: LLMInteraction['severity'];
+}
+
+export interface Redaction {
+  type: PiiDetectorType;
+  placeholder: string;
+  field: 'input' | 'output';
+}
+
+export interface PhaseVerdict {
+  phase: 'input' | 'output';
+  status: LLMInteraction['status'];
+  severity: LLMInteraction['severity'];
+  violations: Violation[];
+  escalated?: boolean; // pending verdict blocked because of the session's risk
+  checkedAt: Date;
 }
 
 export interface Violation {
-  type: 'pii' | 'hallucination' | 'bias' | 'misinformation' | 'hate_speech' | 'compliance' | 'gdpr' | 'fisma' | 'eu_ai_act' | 'dsa' | 'nis2' | 'iso_42001' | 'ieee_ethics' | 'violence';
+  type: 'pii' | 'hallucination' | 'bias' | 'misinformation' | 'hate_speech' | 'compliance' | 'gdpr' | 'fisma' | 'eu_ai_act' | 'dsa' | 'nis2' | 'iso_42001' | 'ieee_ethics' | 'violence' | 'prompt_injection';
   description: string;
   severity: number; // 0-10 scale
   confidence: number;
@@ -23,6 +157,7 @@ export interface Violation {
   regulatoryFramework?: string;
   complianceLevel?: 'low' | 'medium' | 'high' | 'critical';
   remediationSteps?: string[];
+  ruleId?: string;
 }
 
 export interface AgentAction {
@@ -57,6 +192,38 @@ export interface AgentSettings {
   responseAgent: { enabled: boolean };
   feedbackAgent: { enabled: boolean };
   severityThreshold: number;
+  // Violation types not listed here are blocked or flagged as before
+  remediation: Partial<Record<Violation['type'], RemediationMode>>;
+}
+
+export type RemediationMode = 'block' | 'redact';
+
+// What one scope stores; anything left out is inherited from the scopes before it
+export type SettingsOverride = Partial<AgentSettings>;
+
+// Who settings are resolved for: global, then the tenant, then the application key
+export interface SettingsScopes {
+  tenant?: string;
+  appKey?: string;
+}
+
+export interface SettingsVersion {
+  scope: string; // 'global', 'tenant:<id>' or 'app:<key>'
+  version: number;
+  settings: SettingsOverride;
+  author: string;
+  comment?: string;
+  createdAt: Date;
+  // Set when this version restored an earlier one
+  rolledBackFrom?: number;
+  // Changes from the version before it, as the backend's history lists them
+  changes?: SettingsChange[];
+}
+
+export interface SettingsChange {
+  path: string; // e.g. 'severityThreshold' or 'remediation.gdpr'
+  before: unknown;
+  after: unknown;
 }
 
 export interface AuditLogEntry {
@@ -68,6 +235,13 @@ export interface AuditLogEntry {
   severity?: number;
   interactionId: string;
   details: string;
+  // Human review decisions record who made them and why
+  reviewer?: string;
+  reason?: string;
+  // Position in the backend's hash-chained trail; entries from before the chain have none
+  sequence?: number;
+  previousHash?: string;
+  hash?: string;
 }
 
 export interface FeedbackEntry {
@@ -81,7 +255,11 @@ export interface FeedbackEntry {
 export interface DashboardStats {
   totalInteractions: number;
   flaggedInteractions: number;
+  // Interactions for which no response could be generated
+  failedInteractions: number;
   averageSeverity: number;
   topViolations: Array<{ type: string; count: number }>;
   agentActivity: Array<{ agent: string; actions: number }>;
+  // Governance results per model that produced output
+  modelComparison: ModelComparison[];
 }
\ No newline at end of file
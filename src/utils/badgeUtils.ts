@@ -1,4 +1,4 @@
-import { CheckCircle, XCircle, AlertTriangle, Clock, Shield, Eye, FileText, MessageSquare, Activity } from 'lucide-react';
+import { CheckCircle, XCircle, AlertTriangle, Clock, Shield, Eye, FileText, MessageSquare, Activity, EyeOff } from 'lucide-react';
 
 // Agent badge configurations
 export const getAgentIcon = (name: string) => {
@@ -66,7 +66,7 @@ export const getAgentActionConfig = (action: string) => {
 };
 
 // Safety badge configurations
-export const getSafetyStatusConfig = (status: 'safe' | 'flagged' | 'blocked', violationCount: number = 0) => {
+export const getSafetyStatusConfig = (status: 'safe' | 'flagged' | 'blocked' | 'redacted' | 'failed', violationCount: number = 0) => {
   switch (status) {
     case 'safe':
       return {
@@ -92,5 +92,21 @@ export const getSafetyStatusConfig = (status: 'safe' | 'flagged' | 'blocked', vi
         label: '❌ BLOCKED',
         description: `${violationCount} violation${violationCount !== 1 ? 's' : ''} detected`
       };
+    case 'redacted':
+      return {
+        icon: EyeOff,
+        color: 'bg-gradient-to-r from-sky-50 to-sky-100 text-sky-800 border-sky-300 shadow-lg',
+        iconColor: 'text-sky-600',
+        label: '🔒 REDACTED',
+        description: 'Personal data masked'
+      };
+    case 'failed':
+      return {
+        icon: AlertTriangle,
+        color: 'bg-gradient-to-r from-gray-50 to-gray-100 text-gray-800 border-gray-300 shadow-lg',
+        iconColor: 'text-gray-600',
+        label: '⚠️ NOT GENERATED',
+        description: 'No model reply'
+      };
   }
 };
@@ -1,29 +1,7 @@
-export class InputSanitizer {
-  private static readonly DANGEROUS_PATTERNS = [
-    // Prompt injection patterns
-    /ignore\s+previous\s+instructions/i,
-    /forget\s+everything/i,
-    /system\s*:\s*/i,
-    /assistant\s*:\s*/i,
-    /human\s*:\s*/i,
-    /\[INST\]/i,
-    /\[\/INST\]/i,
-    /<\|.*?\|>/g,
-    
-    // Script injection
-    /<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi,
-    /javascript:/i,
-    /on\w+\s*=/i,
-    
-    // SQL injection patterns
-    /(\b(SELECT|INSERT|UPDATE|DELETE|DROP|CREATE|ALTER|EXEC|UNION)\b)/i,
-    /(--|\/\*|\*\/|;)/,
-    
-    // XSS patterns
-    /<[^>]*>/g,
-    /&[#\w]+;/g,
-  ];
+import { analyzePromptInjection, normalizePromptText } from '../governance';
 
+// Shape checks only: prompt injection is scored by governance as a 'prompt_injection' violation
+export class InputSanitizer {
   private static readonly MAX_LENGTH = 5000;
   private static readonly MIN_LENGTH = 1;
 
@@ -41,28 +19,8 @@ export class InputSanitizer {
       throw new Error(`Input too long. Maximum ${this.MAX_LENGTH} characters allowed`);
     }
 
-    // Trim whitespace
-    let sanitized = input.trim();
-
-    // Remove null bytes
-    sanitized = sanitized.replace(/\0/g, '');
-
-    // Check for dangerous patterns
-    for (const pattern of this.DANGEROUS_PATTERNS) {
-      if (pattern.test(sanitized)) {
-        throw new Error('Input contains potentially dangerous content');
-      }
-    }
-
-    // Escape HTML entities
-    sanitized = sanitized
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#x27;');
-
-    return sanitized;
+    // Same normalisation server.js applies, so both sides govern the same text
+    return normalizePromptText(input);
   }
 
   static validatePrompt(prompt: string): { isValid: boolean; error?: string; sanitized?: string } {
@@ -77,18 +35,8 @@ export class InputSanitizer {
     }
   }
 
+  // Early hint for the UI; the prompt still goes through the governance pipeline
   static isPromptInjection(input: string): boolean {
-    const injectionPatterns = [
-      /ignore\s+previous\s+instructions/i,
-      /forget\s+everything/i,
-      /you\s+are\s+now/i,
-      /new\s+instructions/i,
-      /system\s+override/i,
-      /developer\s+mode/i,
-      /jailbreak/i,
-      /roleplay\s+as/i,
-    ];
-
-    return injectionPatterns.some(pattern => pattern.test(input));
+    return analyzePromptInjection(input).signals.length > 0;
   }
-}
\ No newline at end of file
+}
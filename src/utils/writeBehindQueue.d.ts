@@ -0,0 +1,20 @@
+export interface WriteBehindOptions {
+  // Most items written in one call to the writer
+  batchSize?: number;
+  // How long an enqueued item may wait for more to batch with
+  flushDelayMs?: number;
+  maxAttempts?: number;
+  // Delay before the first retry; doubled for every further attempt
+  retryDelayMs?: number;
+}
+
+export class WriteBehindQueue<T> {
+  readonly failed: { items: T[]; error: unknown }[];
+  constructor(writer: (items: T[]) => Promise<void>, options?: WriteBehindOptions);
+  get size(): number;
+  enqueue(item: T): void;
+  // Resolves once everything enqueued so far has been written or given up on
+  flush(): Promise<void>;
+  // Puts the failed batches back in the queue and flushes it
+  retryFailed(): Promise<void>;
+}
@@ -0,0 +1,80 @@
+// Write-behind queue shared by the Vite app (Neo4j writes) and server.js (storage backend writes)
+
+/**
+ * Write-behind queue: callers enqueue and carry on while batches are handed to the
+ * writer in the background. A failed batch is retried with backoff, so the writer
+ * must be idempotent. Batches that still fail are kept in `failed` for retryFailed().
+ */
+export class WriteBehindQueue {
+  #pending = [];
+  #timer = null;
+  #flushing = null;
+  failed = [];
+
+  constructor(writer, options = {}) {
+    this.writer = writer;
+    this.options = { batchSize: 50, flushDelayMs: 100, maxAttempts: 5, retryDelayMs: 500, ...options };
+  }
+
+  get size() {
+    return this.#pending.length;
+  }
+
+  enqueue(item) {
+    this.#pending.push(item);
+    if (this.#pending.length >= this.options.batchSize) {
+      void this.flush();
+    } else if (!this.#timer) {
+      this.#timer = setTimeout(() => void this.flush(), this.options.flushDelayMs);
+    }
+  }
+
+  // Resolves once everything enqueued so far has been written or given up on
+  async flush() {
+    if (this.#timer) {
+      clearTimeout(this.#timer);
+      this.#timer = null;
+    }
+    // One batch in flight at a time; items enqueued meanwhile go out in the next one
+    while (this.#flushing) await this.#flushing;
+    if (this.#pending.length === 0) return;
+
+    this.#flushing = this.#drain();
+    try {
+      await this.#flushing;
+    } finally {
+      this.#flushing = null;
+    }
+  }
+
+  retryFailed() {
+    const batches = this.failed.splice(0);
+    batches.forEach(batch => this.#pending.push(...batch.items));
+    return this.flush();
+  }
+
+  async #drain() {
+    while (this.#pending.length > 0) {
+      const batch = this.#pending.splice(0, this.options.batchSize);
+      await this.#writeWithRetry(batch);
+    }
+  }
+
+  async #writeWithRetry(batch) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.writer(batch);
+        return;
+      } catch (error) {
+        if (attempt >= this.options.maxAttempts) {
+          console.error(`❌ Write of ${batch.length} item(s) failed after ${attempt} attempts:`, error);
+          this.failed.push({ items: batch, error });
+          return;
+        }
+        const delay = this.options.retryDelayMs * 2 ** (attempt - 1);
+        console.warn(`⚠️ Write of ${batch.length} item(s) failed (attempt ${attempt}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the agent verdict contract
+ * Parses well-formed agent replies and malformed ones: prose around the JSON,
+ * spans outside the governed text, and statuses that disagree with the
+ * violations. Well-formed replies are returned, malformed ones throw naming the
+ * problem. Then checks the violations a verdict becomes.
+ */
+
+import { agentVerdictViolations, parseAgentVerdict, validateAgentVerdict } from './src/governance/index.js';
+import { check, finish } from './test-helpers.js';
+
+const texts = { input: 'My email is jane@example.com', output: 'Noted, I will email jane@example.com.' };
+
+const violation = {
+  type: 'gdpr',
+  description: 'Email address',
+  severity: 7.5,
+  confidence: 0.9,
+  reason: 'The prompt and the response contain an email address',
+  regulatoryFramework: 'GDPR Art. 5',
+  spans: [{ field: 'input', start: 12, end: 28 }, { field: 'output', start: 20, end: 36 }],
+  remediationSteps: ['Remove the email address']
+};
+const blocked = { status: 'blocked', severity: 'high', reason: 'Personal data', violations: [violation] };
+const approved = { status: 'approved', severity: 'low', reason: 'Nothing found', violations: [] };
+
+// The problem a malformed reply is rejected with, or null when it parses
+function rejection(text) {
+  try {
+    parseAgentVerdict(text, texts);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function runAgentVerdictTests() {
+  console.log('🧪 Testing the agent verdict contract...\n');
+
+  // Well-formed replies
+  check('A bare JSON verdict is parsed', parseAgentVerdict(JSON.stringify(blocked), texts).status === 'blocked');
+  check('A verdict in a single json fence is parsed', parseAgentVerdict(`\`\`\`json\n${JSON.stringify(approved)}\n\`\`\``, texts).status === 'approved');
+  check('A span may end at the end of the text', rejection(JSON.stringify({
+    ...blocked, violations: [{ ...violation, spans: [{ field: 'output', start: 0, end: texts.output.length }] }]
+  })) === null);
+
+  // Prose
+  const prose = [
+    ['Plain prose', 'The content looks fine to me.'],
+    ['Prose before the JSON', `Here is my verdict: ${JSON.stringify(approved)}`],
+    ['Prose after the JSON', `${JSON.stringify(approved)}\nLet me know if you need more.`],
+    ['Prose around a fence', `Verdict:\n\`\`\`json\n${JSON.stringify(approved)}\n\`\`\``]
+  ];
+  for (const [name, text] of prose) {
+    const problem = rejection(text);
+    check(`${name} is rejected as not JSON`, problem?.startsWith('Agent verdict is not valid JSON'), problem);
+  }
+
+  // Spans outside the governed text
+  const spans = [
+    ['A span past the end of the text', { field: 'input', start: 12, end: texts.input.length + 1 }, '0 <= start < end <= 28'],
+    ['A negative span start', { field: 'output', start: -1, end: 4 }, '0 <= start < end <= 37'],
+    ['An empty span', { field: 'input', start: 12, end: 12 }, '0 <= start < end'],
+    ['A fractional offset', { field: 'input', start: 1.5, end: 4 }, '0 <= start < end'],
+    ['A span on an unknown field', { field: 'context', start: 0, end: 4 }, '"field" must be one of input, output']
+  ];
+  for (const [name, span, expected] of spans) {
+    const problem = rejection(JSON.stringify({ ...blocked, violations: [{ ...violation, spans: [span] }] }));
+    check(`${name} is rejected`, problem?.includes(`violations[0].spans[0]: `) && problem.includes(expected), problem);
+  }
+  const noSpans = rejection(JSON.stringify({ ...blocked, violations: [{ ...violation, spans: [] }] }));
+  check('A violation without spans is rejected', noSpans?.includes('"spans" must be a non-empty array'), noSpans);
+
+  // Statuses that disagree with the violations
+  const approvedWithViolations = rejection(JSON.stringify({ ...blocked, status: 'approved' }));
+  check('An approved verdict with violations is rejected', approvedWithViolations?.includes('an approved verdict cannot list violations'),
+    approvedWithViolations);
+  for (const status of ['pending', 'blocked']) {
+    const problem = rejection(JSON.stringify({ ...approved, status }));
+    check(`A ${status} verdict without violations is rejected`, problem?.includes(`a ${status} verdict must list its violations`), problem);
+  }
+
+  // Every problem is named
+  const { valid, errors } = validateAgentVerdict({ ...blocked, severity: 'extreme', extra: true, violations: [{ ...violation, confidence: 2 }] }, texts);
+  check('Validation names every problem', !valid && errors.length === 3 && errors.some(error => error.includes('unexpected property "extra"')) &&
+    errors.some(error => error.includes('"severity" must be one of')) && errors.some(error => error.includes('"confidence" must be a number from 0 to 1')), errors);
+
+  // Violations from a verdict
+  const [converted] = agentVerdictViolations(parseAgentVerdict(JSON.stringify(blocked), texts));
+  check('Spans become policy-engine locations', converted?.location === 'input:12-28, output:20-36', converted);
+  check('Remediation steps are kept and empty ones left out', converted?.remediationSteps?.join() === 'Remove the email address' &&
+    !('remediationSteps' in agentVerdictViolations({ ...blocked, violations: [{ ...violation, remediationSteps: [] }] })[0]), converted);
+
+  finish('All agent verdict checks passed');
+}
+
+runAgentVerdictTests();
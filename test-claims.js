@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Test for claim-level fact verification
+ * Splits responses into checkable claims and checks their spans, follows the spans
+ * through redaction and pseudonymisation, stores verified claims in the memory
+ * backend, and checks that fact-check replies without a readable verdict are
+ * refused instead of counting as false.
+ */
+
+import { extractClaims, Redactor, redactInteraction } from './src/governance/index.js';
+import { pseudonymiseInteraction } from './src/privacy/index.js';
+import { createStorage } from './src/storage/index.js';
+import { createPerplexityProvider } from './src/factCheck/index.js';
+import { check, finish } from './test-helpers.js';
+
+const OUTPUT = `Sure! Here are a few facts:
+- Elon Musk won the Nobel Peace Prize in 2021.
+- The Eiffel Tower is located in Paris and is about 330 m tall.
+I think you should visit it. Dr. Smith has led the U.S. Department of Energy lab since 2010. What else would you like to know?
+Contact jane@example.com for the 2.1 million records held in Lyon.`;
+
+// Replies from the fact-checking API, one per request
+function stubFetch(replies) {
+  globalThis.fetch = async () => {
+    const reply = replies.shift();
+    return { ok: true, json: async () => reply };
+  };
+}
+
+const reply = (content, citations = []) => ({ choices: [{ message: { content } }], citations });
+
+async function runClaimTests() {
+  console.log('🧪 Testing claim extraction and verification...\n');
+
+  const claims = extractClaims(OUTPUT);
+  check('Factual sentences are extracted as claims', claims.map(claim => claim.text).join(' | ') === [
+    'Elon Musk won the Nobel Peace Prize in 2021.',
+    'The Eiffel Tower is located in Paris and is about 330 m tall.',
+    'Dr. Smith has led the U.S. Department of Energy lab since 2010.',
+    'Contact jane@example.com for the 2.1 million records held in Lyon.'
+  ].join(' | '), claims.map(claim => claim.text));
+  check('Every span points at its claim in the output', claims.every(claim => OUTPUT.slice(claim.start, claim.end) === claim.text));
+  check('Questions, opinions and list markers are left out', !claims.some(claim => /\?|I think|^- /.test(claim.text)));
+  check('The number of claims can be capped', extractClaims(OUTPUT, { limit: 2 }).length === 2);
+  check('Text without claims gives none', extractClaims('Thanks, happy to help!').length === 0 && extractClaims('').length === 0);
+
+  const verified = claims.map((claim, index) => ({
+    ...claim,
+    verdict: index === 0 ? 'refuted' : index === 3 ? 'unverified' : 'supported',
+    confidence: index === 3 ? 0 : 0.9,
+    summary: index === 3 ? 'Could not be verified' : 'Checked against sources',
+    citations: index === 3 ? [] : ['https://example.org/source'],
+    ...(index === 3 ? { error: 'Unable to parse verification response' } : {})
+  }));
+  const interaction = {
+    id: 'claims-1',
+    timestamp: new Date(Date.UTC(2025, 0, 10)),
+    input: 'Tell me some facts',
+    output: OUTPUT,
+    status: 'approved',
+    severity: 'low',
+    violations: [{ type: 'pii', description: 'Email address', reason: 'Matched an email', severity: 7, confidence: 0.9 }],
+    agentActions: [],
+    claims: verified
+  };
+
+  const redacted = redactInteraction(interaction, { remediation: { pii: 'redact' }, redactor: new Redactor() });
+  check('Redaction masks the claims and moves their spans', redacted?.claims.every(claim => redacted.output.slice(claim.start, claim.end) === claim.text) &&
+    redacted.claims[3].text.includes('[EMAIL_1]') && !JSON.stringify(redacted.claims).includes('jane@'), redacted?.claims);
+
+  const shifted = { ...interaction, output: `Note: jane@example.com asked. ${OUTPUT}` };
+  shifted.claims = extractClaims(shifted.output).map(claim => ({ ...claim, verdict: 'supported', confidence: 0.9, summary: 'ok', citations: [] }));
+  const pseudonymised = pseudonymiseInteraction(shifted, { key: 'k' });
+  check('Pseudonymisation keeps claim spans on the rewritten output', pseudonymised.claims.length === shifted.claims.length &&
+    pseudonymised.claims.every(claim => pseudonymised.output.slice(claim.start, claim.end) === claim.text) &&
+    !JSON.stringify(pseudonymised.claims).includes('jane@'), pseudonymised.claims);
+
+  const storage = await createStorage({ STORAGE_BACKEND: 'memory' });
+  await storage.init();
+  await storage.saveInteraction(interaction);
+  const stored = await storage.getInteraction('claims-1');
+  check('Verified claims are stored with the interaction', JSON.stringify(stored?.claims) === JSON.stringify(verified), stored?.claims);
+  await storage.close();
+
+  const perplexity = createPerplexityProvider({ apiKey: 'test-key' });
+  stubFetch([
+    reply('```json\n{"isAccurate": false, "confidence": 0.92, "summary": "No such prize", "sources": ["https://nobelprize.org"]}\n```', ['https://nobelprize.org', 'https://en.wikipedia.org/wiki/Elon_Musk']),
+    reply('I could not find anything conclusive about this.'),
+    reply('{"confidence": 0.7, "summary": "Partly"}')
+  ]);
+  const refuted = await perplexity.factCheck(claims[0].text);
+  check('A verdict is parsed with its sources and citations merged', refuted.isAccurate === false && refuted.confidence === 0.92 &&
+    refuted.sources.join() === 'https://nobelprize.org,https://en.wikipedia.org/wiki/Elon_Musk', refuted);
+  const unreadable = await perplexity.factCheck(claims[1].text).then(() => null, error => error.message);
+  check('An unparseable reply is an error, not a false verdict', unreadable === 'Unable to parse verification response', unreadable);
+  const noVerdict = await perplexity.factCheck(claims[1].text).then(() => null, error => error.message);
+  check('A reply without isAccurate is an error too', noVerdict?.includes('isAccurate'), noVerdict);
+
+  finish('All claim checks passed');
+}
+
+runClaimTests().catch(error => {
+  console.error('❌ Claim test failed:', error);
+  process.exit(1);
+});
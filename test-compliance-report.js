@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the compliance report generator
+ * Stores a handful of interactions in the memory backend, builds a report over
+ * part of their time range and checks the per-framework summaries, then the
+ * HTML and CSV renderings of it.
+ */
+
+import { createStorage } from './src/storage/index.js';
+import {
+  parseReportQuery,
+  interactionsInRange,
+  buildComplianceReport,
+  classifyViolation,
+  renderReportHtml,
+  renderReportCsv,
+  reportFilename
+} from './src/reports/index.js';
+import { check, finish } from './test-helpers.js';
+
+const BASE_TIME = Date.UTC(2025, 0, 10);
+const at = (hours) => new Date(BASE_TIME + hours * 60 * 60 * 1000);
+
+const violation = (type, regulatoryFramework, severity, fields = {}) => ({
+  type,
+  description: `${type} violation`,
+  reason: `Matched ${type}`,
+  severity,
+  confidence: 0.9,
+  regulatoryFramework,
+  ...fields
+});
+
+function interaction(id, hours, status, violations, fields = {}) {
+  return {
+    id,
+    timestamp: at(hours),
+    input: 'Please list the records',
+    output: 'Patient Jane Roe, diagnosed with diabetes, lives at 1 Main St.',
+    status,
+    severity: 'high',
+    violations,
+    agentActions: [],
+    ...fields
+  };
+}
+
+const decided = (status, decidedBy, reason) => ({
+  status,
+  queuedAt: at(0),
+  dueAt: at(1),
+  decidedBy,
+  decidedAt: at(2),
+  reason
+});
+
+async function runReportTests() {
+  console.log('🧪 Testing compliance reports...\n');
+
+  check('Article is split from the framework', classifyViolation(violation('pii', 'GDPR Article 9', 8)).article === 'Article 9');
+  check('Framework without an article is General', classifyViolation(violation('dsa', 'Digital Services Act', 5)).article === 'General');
+  check('Violation without a framework is classified by type', classifyViolation(violation('fisma', undefined, 5))?.framework.id === 'fisma');
+  check('Other standards are not reported', classifyViolation(violation('violence', 'Safety Standards, Criminal Law', 9)) === null);
+
+  const storage = await createStorage({ STORAGE_BACKEND: 'memory' });
+  await storage.init();
+  await storage.saveInteraction(interaction('before', -1, 'blocked', [violation('pii', 'GDPR Article 9', 9)]));
+  await storage.saveInteraction(interaction('blocked', 1, 'blocked', [
+    violation('pii', 'GDPR Article 9', 9, { location: 'output:8-16' }),
+    violation('gdpr', 'GDPR Article 6', 7)
+  ]));
+  await storage.saveInteraction(interaction('redacted', 2, 'redacted', [violation('pii', 'GDPR Article 9', 6)]));
+  await storage.saveInteraction(interaction('reviewed', 3, 'pending', [violation('eu_ai_act', 'EU AI Act Article 5(1)(c)', 8)]));
+  await storage.saveReview({ interactionId: 'reviewed', ...decided('rejected', 'alice', 'Social scoring'), finalStatus: 'blocked' });
+  await storage.saveInteraction(interaction('clean', 4, 'approved', []));
+  await storage.saveInteraction(interaction('after', 30, 'approved', [violation('pii', 'GDPR Article 9', 4)]));
+
+  const query = parseReportQuery({ from: at(0).toISOString(), to: at(24).toISOString(), format: 'csv' });
+  const report = await buildComplianceReport(interactionsInRange(storage, query), query);
+  const gdpr = report.frameworks.find(framework => framework.id === 'gdpr');
+  const euAiAct = report.frameworks.find(framework => framework.id === 'eu_ai_act');
+
+  check('Every framework has a section', report.frameworks.length === 7, report.frameworks.map(f => f.id));
+  check('Only the date range is reported', report.findings.length === 4 && !report.findings.some(f => ['before', 'after'].includes(f.interactionId)), report.findings.map(f => f.interactionId));
+  check('Framework totals count violations and interactions', gdpr.violations === 3 && gdpr.interactions === 2 && gdpr.maxSeverity === 9, gdpr);
+  check('Violations are grouped by article, most first', gdpr.articles.map(a => `${a.article}:${a.violations}`).join() === 'Article 9:2,Article 6:1', gdpr.articles);
+  check('Remediation is counted per interaction', gdpr.remediation.blocked === 1 && gdpr.remediation.redacted === 1, gdpr.remediation);
+  check('Reviewer decisions are listed', euAiAct.reviewerDecisions.length === 1 && euAiAct.reviewerDecisions[0].decidedBy === 'alice' &&
+    euAiAct.remediation.reviewer_rejected === 1, euAiAct);
+  check('Evidence is the most severe first', gdpr.evidence.map(e => e.severity).join() === '9,7,6', gdpr.evidence.map(e => e.severity));
+  check('Evidence quotes the text around the location', gdpr.evidence[0].excerpt.includes('Jane Roe'), gdpr.evidence[0].excerpt);
+  check('Frameworks without violations are empty', report.frameworks.find(f => f.id === 'nis2')?.violations === 0);
+
+  const only = parseReportQuery({ from: at(0).toISOString(), to: at(24).toISOString(), framework: 'eu_ai_act' });
+  const narrowed = await buildComplianceReport(interactionsInRange(storage, only), only);
+  check('Reports can be limited to frameworks', narrowed.frameworks.map(f => f.id).join() === 'eu_ai_act' && narrowed.findings.length === 1, narrowed.frameworks);
+
+  const rejects = (params) => { try { parseReportQuery(params); return false; } catch (error) { return error.status === 400; } };
+  check('Unknown framework is refused', rejects({ framework: 'hipaa' }));
+  check('Unknown format is refused', rejects({ format: 'docx' }));
+  check('Empty range is refused', rejects({ from: '2025-02-01', to: '2025-01-01' }));
+  check('Default range is the last 30 days', (() => {
+    const { from, to } = parseReportQuery({});
+    return Math.round((to - from) / 86400000) === 30;
+  })());
+
+  const html = renderReportHtml(report, { print: true });
+  check('HTML has a section per framework', (html.match(/<section>/g) ?? []).length === 7);
+  check('HTML opens the print dialog when asked', html.includes('window.print()') && html.includes('addEventListener("load"'));
+  const hostile = await buildComplianceReport([interaction('x', 1, 'blocked', [violation('gdpr', 'GDPR <script>alert(1)</script>', 5)])], query);
+  check('HTML escapes stored text', !renderReportHtml(hostile).includes('<script>alert(1)'));
+  check('Report file is named after the days covered', reportFilename(report, 'csv') === 'ethoslens-compliance-2025-01-10-to-2025-01-10.csv', reportFilename(report, 'csv'));
+
+  const csv = renderReportCsv(report).trim().split('\r\n');
+  check('CSV has a header and a row per violation', csv.length === 5 && csv[0].startsWith('Framework,Article,Interaction'), csv[0]);
+  const formula = renderReportCsv(await buildComplianceReport([interaction('y', 1, 'blocked', [violation('gdpr', 'GDPR Article 6', 5, { reason: '=HYPERLINK("x")' })])], query));
+  check('CSV quotes and defuses formulas', formula.includes(`"'=HYPERLINK(""x"")"`), formula.split('\r\n')[1]);
+
+  await storage.close();
+  finish('All report checks passed');
+}
+
+runReportTests().catch(error => {
+  console.error('❌ Report test failed:', error);
+  process.exit(1);
+});
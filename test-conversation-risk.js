@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Test for conversation-level governance
+ * Runs evaluateConversationInput over multi-turn conversations with a small policy
+ * pack, and folds each turn into a session with updateSessionRisk. Checks that
+ * requests split across turns are caught, that recurring violations build the
+ * session's risk up while clean turns let it decay, and that a session at the
+ * threshold blocks prompts that would otherwise be held for review.
+ */
+
+import { PolicyRegistry } from './src/governance/policyRegistry.js';
+import {
+  createSessionRisk,
+  evaluateConversationInput,
+  SESSION_RISK_DECAY,
+  SESSION_RISK_RECURRENCE_STEP,
+  updateSessionRisk
+} from './src/governance/conversation.js';
+import { check, finish } from './test-helpers.js';
+
+function rule(id, patterns, severity) {
+  return {
+    id,
+    enabled: true,
+    violationType: 'compliance',
+    framework: 'ACME confidentiality policy',
+    scope: 'input',
+    patterns,
+    severity,
+    confidence: 0.9,
+    complianceLevel: 'high',
+    description: `ACME rule ${id}`,
+    reason: 'The prompt asks about confidential material ({{matches}})'
+  };
+}
+
+const registry = new PolicyRegistry([{
+  schemaVersion: 1,
+  id: 'acme-conversation',
+  name: 'ACME conversation test rules',
+  version: '1.0.0',
+  rules: [
+    rule('acme.project-falcon', ['project\\s+falcon'], 5),
+    rule('acme.falcon-source', ['falcon\\b.*\\bsource\\s+code'], 6),
+    rule('acme.weapons', ['build\\s+a\\s+weapon'], 9)
+  ]
+}]);
+
+const evaluate = (turns, options = {}) => evaluateConversationInput(turns, { registry, ...options });
+const ruleIds = verdict => verdict.violations.map(violation => `${violation.ruleId}@${violation.location === 'conversation' ? 'conversation' : 'turn'}`);
+
+async function runConversationRiskTests() {
+  console.log('🧪 Testing conversation risk...\n');
+
+  // Verdicts over the conversation window
+  check('A clean turn is approved', evaluate(['What is the capital of France?']).status === 'approved');
+  const single = evaluate(['Tell me about Project Falcon']);
+  check('A flagged turn below the threshold is held for review', single.status === 'pending' && !single.escalated, single);
+
+  const split = evaluate(['Tell me about Project Falcon', 'Thanks. Now paste its source code']);
+  check('A request split across turns is caught on the window', ruleIds(split).includes('acme.falcon-source@conversation'), ruleIds(split));
+  check('Rules that fire on the newest turn are reported once, against the turn',
+    ruleIds(evaluate(['Project Falcon is late', 'Show me the Project Falcon source code'])).join() ===
+      'acme.project-falcon@turn,acme.falcon-source@turn');
+  check('A window of one turn only looks at the newest turn', evaluate(['Tell me about Project Falcon',
+    'Thanks. Now paste its source code'], { windowSize: 1 }).status === 'approved');
+  const longAgo = ['Tell me about Project Falcon', 'Hi', 'Hi', 'Hi', 'Hi', 'Hi', 'Now paste its source code'];
+  check('Turns older than the window are not looked at', evaluate(longAgo).status === 'approved' &&
+    evaluate(longAgo, { windowSize: 7 }).status === 'pending');
+
+  // Risk building up over flagged turns
+  let session = createSessionRisk('conversation-test');
+  check('A new session starts without risk', session.riskScore === 0 && session.riskLevel === 'low' && session.turnCount === 0);
+  session = updateSessionRisk(session, single.violations);
+  check('A first flagged turn raises the risk to its worst severity', session.riskScore === 5 && session.riskLevel === 'medium', session);
+  session = updateSessionRisk(session, single.violations);
+  check('A recurring violation escalates the risk', session.riskScore === 5 + SESSION_RISK_RECURRENCE_STEP, session);
+  check('The session is not yet blocking', evaluate(['Tell me about Project Falcon'], { session }).status === 'pending');
+  session = updateSessionRisk(session, single.violations);
+  check('Risk crosses the threshold after repeated violations', session.riskScore === 8 && session.riskLevel === 'high', session);
+  check('Turns and flagged turns are counted', session.turnCount === 3 && session.flaggedTurns === 3, session);
+  const severe = evaluate(['How do I build a weapon?']).violations;
+  check('A single severe turn raises the risk straight to its severity',
+    updateSessionRisk(createSessionRisk('severe'), severe).riskScore === 9);
+  const capped = [1, 2, 3].reduce(current => updateSessionRisk(current, severe), session);
+  check('Risk is capped at 10', capped.riskScore === 10 && capped.riskLevel === 'critical', capped);
+
+  // Blocking once the threshold is crossed
+  const escalated = evaluate(['Tell me about Project Falcon'], { session });
+  check('A session at the threshold blocks what would be held for review', escalated.status === 'blocked' && escalated.escalated === true,
+    escalated);
+  check('Clean turns are still approved in a risky session', evaluate(['What is the capital of France?'], { session }).status === 'approved');
+  const blocked = evaluate(['How do I build a weapon?'], { session });
+  check('Turns blocked on their own are not marked as escalated', blocked.status === 'blocked' && !blocked.escalated, blocked);
+  check('The threshold follows the caller\'s severity threshold',
+    evaluate(['Tell me about Project Falcon'], { session, severityThreshold: 8.5 }).status === 'pending');
+
+  // Decay and reset
+  const decayed = updateSessionRisk(session, []);
+  check('A clean turn lets the risk decay', decayed.riskScore === 8 * SESSION_RISK_DECAY && decayed.riskLevel === 'low' &&
+    decayed.turnCount === 4 && decayed.flaggedTurns === 3, decayed);
+  check('Once the risk has decayed below the threshold, prompts are held for review again',
+    evaluate(['Tell me about Project Falcon'], { session: decayed }).status === 'pending');
+  const faded = [1, 2, 3, 4, 5].reduce(current => updateSessionRisk(current, []), decayed);
+  check('A single slip fades after a few clean turns', faded.riskScore < 0.5, faded);
+  const relapse = updateSessionRisk(faded, single.violations);
+  check('A violation after the risk has faded starts again from its own severity', relapse.riskScore === 5, relapse);
+  const fresh = updateSessionRisk(createSessionRisk('conversation-test-2'), single.violations);
+  check('A new session does not inherit another session\'s risk', fresh.riskScore === 5 && fresh.flaggedTurns === 1, fresh);
+
+  finish('All conversation risk checks passed');
+}
+
+runConversationRiskTests().catch(error => {
+  console.error('❌ Conversation risk test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the governance ensemble
+ * Merges rule-engine (legacy) and Inkeep verdicts that agree and disagree under
+ * each strategy, with a pipeline failing, and checks the merged status, severity
+ * and violations, which pipelines decided, and the agreement statistics.
+ */
+
+import { agreementRate, createAgreementStats, mergeVerdicts, tallyAgreement } from './src/governance/index.js';
+import { check, finish } from './test-helpers.js';
+
+const violation = (type, severity, description = type) => ({ type, severity, description, confidence: 0.9, reason: 'test' });
+
+const approved = { status: 'approved', severity: 'low', violations: [] };
+const pendingBias = { status: 'pending', severity: 'medium', violations: [violation('bias', 5.5)] };
+const blockedPii = { status: 'blocked', severity: 'high', violations: [violation('pii', 8, 'Inkeep pii'), violation('bias', 9.5, 'Inkeep bias')] };
+const blockedViolence = { status: 'blocked', severity: 'critical', violations: [violation('violence', 9.2)] };
+
+const summary = ({ status, severity, violations, agreement, decidedBy }) =>
+  ({ status, severity, violations: violations.map(v => v.description).join(), agreement, decidedBy: decidedBy.join() });
+
+function expectMerge(name, verdicts, options, expected) {
+  const actual = summary(mergeVerdicts(verdicts, options));
+  check(name, Object.entries(expected).every(([key, value]) => actual[key] === value), actual);
+}
+
+function runEnsembleTests() {
+  console.log('🧪 Testing ensemble verdict merging...\n');
+
+  // strictest
+  expectMerge('Strictest: disagreement takes the stricter status', { legacy: pendingBias, inkeep: blockedPii }, { strategy: 'strictest' },
+    { status: 'blocked', agreement: false, decidedBy: 'inkeep' });
+  expectMerge('Strictest: violations are kept once per type, the primary pipeline\'s first',
+    { legacy: pendingBias, inkeep: blockedPii }, { strategy: 'strictest' }, { violations: 'bias,Inkeep pii', severity: 'high' });
+  expectMerge('Strictest: severity follows the merged violations', { legacy: approved, inkeep: blockedViolence }, { strategy: 'strictest' },
+    { status: 'blocked', severity: 'critical', violations: 'violence' });
+  expectMerge('Strictest: agreeing pipelines both decide', { legacy: blockedViolence, inkeep: blockedPii }, { strategy: 'strictest' },
+    { status: 'blocked', agreement: true, decidedBy: 'legacy,inkeep', violations: 'violence,Inkeep pii,Inkeep bias' });
+  expectMerge('Strictest is the default strategy', { legacy: approved, inkeep: pendingBias }, undefined, { status: 'pending', decidedBy: 'inkeep' });
+
+  // majority
+  expectMerge('Majority: a split vote is held for review with every violation', { legacy: approved, inkeep: blockedPii }, { strategy: 'majority' },
+    { status: 'pending', severity: 'critical', violations: 'Inkeep pii,Inkeep bias', agreement: false, decidedBy: 'legacy,inkeep' });
+  expectMerge('Majority: pending against blocked is held too', { legacy: pendingBias, inkeep: blockedPii }, { strategy: 'majority' },
+    { status: 'pending', agreement: false });
+  expectMerge('Majority: agreement decides with the agreeing violations', { legacy: blockedViolence, inkeep: blockedPii }, { strategy: 'majority' },
+    { status: 'blocked', agreement: true, decidedBy: 'legacy,inkeep', violations: 'violence,Inkeep pii,Inkeep bias' });
+
+  // primary
+  expectMerge('Primary: the primary pipeline decides on disagreement', { legacy: approved, inkeep: blockedPii }, { strategy: 'primary' },
+    { status: 'approved', violations: '', agreement: false, decidedBy: 'legacy' });
+  expectMerge('Primary: another pipeline can be primary', { legacy: approved, inkeep: blockedPii }, { strategy: 'primary', primary: 'inkeep' },
+    { status: 'blocked', violations: 'Inkeep pii,Inkeep bias', decidedBy: 'inkeep' });
+  expectMerge('Primary: its violations come first under other strategies too', { legacy: pendingBias, inkeep: blockedPii },
+    { strategy: 'strictest', primary: 'inkeep' }, { violations: 'Inkeep pii,Inkeep bias' });
+
+  // Failed pipelines
+  const failed = { error: 'Inkeep timed out' };
+  for (const strategy of ['strictest', 'majority', 'primary']) {
+    expectMerge(`${strategy}: a failed pipeline does not vote`, { legacy: pendingBias, inkeep: failed }, { strategy },
+      { status: 'pending', violations: 'bias', agreement: null, decidedBy: 'legacy' });
+  }
+  expectMerge('A failed primary leaves the other pipeline to decide', { legacy: failed, inkeep: blockedPii }, { strategy: 'primary' },
+    { status: 'blocked', agreement: null, decidedBy: 'inkeep' });
+  const throws = (fn) => { try { fn(); return null; } catch (error) { return error.message; } };
+  const noVerdict = throws(() => mergeVerdicts({ legacy: failed, inkeep: failed }));
+  check('Merging fails when no pipeline produced a verdict', noVerdict === 'No governance pipeline produced a verdict', noVerdict);
+  const unknown = throws(() => mergeVerdicts({ legacy: approved, inkeep: approved }, { strategy: 'unanimous' }));
+  check('An unknown strategy is refused', unknown?.startsWith('Unknown ensemble strategy "unanimous"'), unknown);
+
+  // Agreement statistics
+  const stats = createAgreementStats();
+  const records = [
+    { legacy: approved, inkeep: approved },
+    { legacy: approved, inkeep: blockedPii },
+    { legacy: blockedViolence, inkeep: blockedPii },
+    { legacy: pendingBias, inkeep: failed }
+  ];
+  records.forEach(verdicts => tallyAgreement(stats, { ...mergeVerdicts(verdicts), verdicts }));
+  check('Only interactions both pipelines judged are compared', stats.compared === 3 && stats.agreed === 2, stats);
+  check('The matrix counts legacy status against Inkeep status', stats.matrix.approved?.approved === 1 && stats.matrix.approved.blocked === 1 &&
+    stats.matrix.blocked?.blocked === 1 && !stats.matrix.pending, stats.matrix);
+  check('The agreement rate is agreed over compared', Math.abs(agreementRate(stats) - 2 / 3) < 1e-9, agreementRate(stats));
+  check('Without comparisons there is no agreement rate', agreementRate(createAgreementStats()) === null);
+
+  finish('All ensemble checks passed');
+}
+
+runEnsembleTests();
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the fact-check providers
+ * Checks claims against the knowledge base shipped in public/knowledge-base,
+ * then provider selection, knowledge base validation, the requests the
+ * OpenAI-compatible provider sends, and the verdict cache and daily token budget.
+ */
+
+import { readFileSync } from 'node:fs';
+import {
+  FACT_CHECK_PROVIDERS,
+  createFactCheckProvider,
+  parseKnowledgeBase,
+  checkClaimAgainstKnowledgeBase,
+  withCostControls,
+  BUDGET_EXHAUSTED
+} from './src/factCheck/index.js';
+import { check, finish } from './test-helpers.js';
+
+const CORPUS = ['facts.json', 'reference.md'].map(name => ({
+  name,
+  content: readFileSync(`public/knowledge-base/${name}`, 'utf8')
+}));
+
+const verdict = (knowledgeBase, claim) => {
+  try {
+    return checkClaimAgainstKnowledgeBase(knowledgeBase, claim);
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+const invalid = (files) => {
+  try {
+    parseKnowledgeBase(files);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+async function runFactCheckTests() {
+  console.log('🧪 Testing fact-check providers...\n');
+
+  const knowledgeBase = parseKnowledgeBase(CORPUS);
+  check('The shipped corpus is read', knowledgeBase.facts.length === 5 && knowledgeBase.passages.map(passage => passage.title).join() ===
+    'EU AI Act,Reference passages,Nobel Peace Prize,Eiffel Tower,NIS2 Directive', knowledgeBase.passages.map(passage => passage.title));
+
+  const refuted = verdict(knowledgeBase, 'Elon Musk won the Nobel Peace Prize in 2021.');
+  check('A curated false claim is refuted with its sources', refuted.isAccurate === false && refuted.confidence >= 0.6 &&
+    refuted.sources[0]?.startsWith('https://www.nobelprize.org'), refuted);
+  const negated = verdict(knowledgeBase, 'Elon Musk never won the Nobel Peace Prize.');
+  check('Negating a curated false claim makes it true', negated.isAccurate === true, negated);
+  const supported = verdict(knowledgeBase, 'The Eiffel Tower is located in Paris and is about 330 metres tall.');
+  check('A claim spanning two sentences of a passage is supported', supported.isAccurate === true &&
+    supported.sources.join() === 'https://www.toureiffel.paris/en/the-monument/key-figures', supported);
+  const wrongYear = verdict(knowledgeBase, 'The Eiffel Tower was completed in 1925.');
+  check('A different figure from the passage refutes the claim', wrongYear.isAccurate === false && wrongYear.reasoning?.includes('figure'), wrongYear);
+  const uncovered = verdict(knowledgeBase, 'Mount Everest is 8849 metres high.');
+  check('Claims the corpus does not cover throw, so they stay unverified', uncovered.error === 'No knowledge base entry covers this claim', uncovered);
+
+  check('Knowledge base problems are all reported', (message => message?.includes('facts.json fact 1: verdict') &&
+    message.includes('facts.json fact 2: claim') && message.includes('bad.json:'))(invalid([
+    { name: 'facts.json', content: JSON.stringify({ facts: [{ claim: 'Paris is in France', verdict: 'maybe' }, { verdict: 'supported' }] }) },
+    { name: 'bad.json', content: '{ not json' }
+  ])));
+
+  check('Every provider can be selected', FACT_CHECK_PROVIDERS.join() === 'perplexity,openai-compatible,knowledge-base');
+  const unknown = (() => { try { return createFactCheckProvider({ provider: 'oracle' }); } catch (error) { return error.message; } })();
+  check('Unknown providers are refused', typeof unknown === 'string' && unknown.includes('oracle'), unknown);
+  check('Perplexity needs a key', !createFactCheckProvider({ provider: 'perplexity' }).isConfigured &&
+    createFactCheckProvider({ provider: 'perplexity', apiKey: 'key' }).isConfigured);
+  check('An OpenAI-compatible endpoint needs a URL and model but no key', createFactCheckProvider({
+    provider: 'openai-compatible', apiUrl: 'http://localhost:11434/v1/chat/completions', model: 'llama3'
+  }).isConfigured && !createFactCheckProvider({ provider: 'openai-compatible', model: 'llama3' }).isConfigured);
+
+  let loads = 0;
+  const local = createFactCheckProvider({ provider: 'knowledge-base', loadKnowledgeBase: () => { loads++; return CORPUS; } });
+  const results = await Promise.all(['Taylor Swift won the Nobel Peace Prize.', 'The Nobel Peace Prize was first awarded in 1901.'].map(claim => local.factCheck(claim)));
+  check('The knowledge-base provider loads its corpus once', loads === 1 && results.map(result => result.isAccurate).join() === 'false,true', results);
+
+  let failing = true;
+  const retrying = createFactCheckProvider({
+    provider: 'knowledge-base',
+    loadKnowledgeBase: () => {
+      if (failing) throw new Error('corpus not mounted yet');
+      return CORPUS;
+    }
+  });
+  const firstAttempt = await retrying.factCheck('Taylor Swift won the Nobel Peace Prize.').then(() => null, error => error.message);
+  failing = false;
+  const secondAttempt = await retrying.factCheck('Taylor Swift won the Nobel Peace Prize.');
+  check('A failed corpus load is retried on the next claim', firstAttempt === 'corpus not mounted yet' && secondAttempt.isAccurate === false);
+
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url, init });
+    return { ok: true, json: async () => ({
+      choices: [{ message: { content: '{"isAccurate": true, "confidence": 0.8, "summary": "Correct"}' } }],
+      usage: { prompt_tokens: 120, completion_tokens: 30, total_tokens: 150 }
+    }) };
+  };
+  const compatible = createFactCheckProvider({ provider: 'openai-compatible', apiUrl: 'http://localhost:11434/v1/chat/completions', model: 'llama3' });
+  const answer = await compatible.factCheck('Paris is the capital of France.');
+  const body = JSON.parse(requests[0]?.init.body ?? '{}');
+  check('The OpenAI-compatible provider sends the claim to its model', answer.isAccurate === true && requests[0].url.endsWith('/v1/chat/completions') &&
+    body.model === 'llama3' && body.messages[1].content.includes('Paris is the capital of France.') && !('return_citations' in body), body);
+  check('No Authorization header is sent without a key', !('Authorization' in requests[0].init.headers), requests[0].init.headers);
+  check('The tokens a check used are reported', answer.usage?.totalTokens === 150 && answer.usage.promptTokens === 120, answer.usage);
+
+  let time = Date.UTC(2025, 0, 10, 12);
+  let saved = null;
+  const store = { load: () => saved, save: state => { saved = JSON.parse(JSON.stringify(state)); } };
+  const controlled = () => withCostControls(compatible, { ttlMs: 60000, dailyTokenBudget: 400, costPer1kTokens: 0.5, store, now: () => time });
+  requests.length = 0;
+  const costed = controlled();
+  const [first, concurrent] = await Promise.all(['Paris is the capital of France.', 'paris is the capital of  France'].map(claim => costed.factCheck(claim)));
+  const again = await costed.factCheck('Paris is the capital of France.');
+  check('Repeated and concurrent checks of a claim reach the provider once', requests.length === 1 && !first.cached &&
+    concurrent.cached && again.cached && again.isAccurate === true && !('usage' in again), { requests: requests.length, first, concurrent, again });
+  check('Cache hits, tokens and spend are counted', (stats => stats.cache.hits === 2 && stats.cache.misses === 1 &&
+    stats.budget.totalTokens === 150 && stats.budget.remainingTokens === 250 && stats.budget.estimatedCost === 0.075)(costed.stats()), costed.stats());
+
+  time += 120000;
+  await costed.factCheck('Paris is the capital of France.');
+  check('Expired verdicts are checked again', requests.length === 2, requests.length);
+
+  const restarted = controlled();
+  await restarted.factCheck('Berlin is the capital of Germany.');
+  const overBudget = await restarted.factCheck('Rome is the capital of Italy.').then(() => null, error => error);
+  check('Usage survives a restart and the budget stops new checks', requests.length === 3 && overBudget?.code === BUDGET_EXHAUSTED &&
+    restarted.stats().budget.exhausted && restarted.stats().budget.refusals === 1, { requests: requests.length, error: overBudget?.message });
+  const stillCached = await restarted.factCheck('Berlin is the capital of Germany.');
+  check('Cached verdicts are still served once the budget is spent', stillCached.cached === true && requests.length === 3);
+
+  time = Date.UTC(2025, 0, 11, 0, 0, 1);
+  const nextDay = await restarted.factCheck('Rome is the capital of Italy.');
+  check('The budget resets at midnight UTC', nextDay.isAccurate === true && restarted.stats().budget.totalTokens === 150 &&
+    restarted.stats().budget.day === '2025-01-11', restarted.stats().budget);
+
+  let attempts = 0;
+  const flaky = withCostControls({ name: 'flaky', model: null, isConfigured: true, factCheck: async () => {
+    attempts++;
+    if (attempts === 1) throw new Error('timeout');
+    return { isAccurate: false, confidence: 0.7, summary: 'Wrong', reasoning: 'Wrong', sources: [] };
+  } });
+  const flakyFirst = await flaky.factCheck('The moon is made of cheese.').then(() => null, error => error.message);
+  const flakySecond = await flaky.factCheck('The moon is made of cheese.');
+  check('Failed checks are not cached', flakyFirst === 'timeout' && flakySecond.isAccurate === false && flaky.stats().budget.failures === 1);
+
+  finish('All fact-check checks passed');
+}
+
+runFactCheckTests().catch(error => {
+  console.error('❌ Fact-check test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,65 @@
+// Shared by the test-*.js scripts: each check prints one line, and finish() reports and sets the exit code
+
+let failures = 0;
+
+export function check(name, passed, detail) {
+  console.log(`${passed ? '✅' : '❌'} ${name}${passed || detail === undefined ? '' : `: ${JSON.stringify(detail)}`}`);
+  if (!passed) failures++;
+}
+
+// Prints `passedMessage` or the number of failed checks, then exits
+export function finish(passedMessage) {
+  console.log(`\n📊 ${failures === 0 ? passedMessage : `${failures} check(s) failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+/**
+ * Start server.js on a free port with `env` added to this process's environment
+ * (STORAGE_BACKEND=memory unless given), and wait until /health answers.
+ * Resolves to { url, stop }; the server's output is printed only if it fails to start.
+ */
+export function startBackend(env = {}) {
+  return startServer('server.js', 'PORT', env);
+}
+
+// Same as startBackend for mcp-server.js, which reads its port from MCP_PORT
+export function startMcpServer(env = {}) {
+  return startServer('mcp-server.js', 'MCP_PORT', env);
+}
+
+async function startServer(script, portVariable, env) {
+  const { spawn } = await import('node:child_process');
+  const { createServer } = await import('node:net');
+  const port = await new Promise((resolve, reject) => {
+    const probe = createServer().once('error', reject).listen(0, '127.0.0.1', () => {
+      const { port: free } = probe.address();
+      probe.close(() => resolve(free));
+    });
+  });
+
+  let log = '';
+  const child = spawn(process.execPath, [script], {
+    env: { ...process.env, STORAGE_BACKEND: 'memory', ...env, [portVariable]: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', data => { log += data; });
+  child.stderr.on('data', data => { log += data; });
+  const stop = () => new Promise(resolve => {
+    if (child.exitCode !== null) return resolve();
+    child.once('exit', () => resolve());
+    child.kill();
+  });
+
+  const url = `http://127.0.0.1:${port}`;
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (child.exitCode !== null) break;
+    try {
+      if ((await fetch(`${url}/health`)).ok) return { url, stop };
+    } catch {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  await stop();
+  throw new Error(`${script} did not start:\n${log}`);
+}
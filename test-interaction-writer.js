@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the server's interaction writes
+ * Saves interactions through an InteractionWriter over a memory backend that fails
+ * on demand, and checks that failed writes are retried with doubling delays, that
+ * a retried batch does not duplicate rows, and that interactions given up on are
+ * reported and written again once the backend recovers.
+ */
+
+import { createStorage, InteractionWriter } from './src/storage/index.js';
+import { check, finish } from './test-helpers.js';
+
+const RETRY_DELAY_MS = 20;
+
+// A memory backend whose next `count` interaction writes (of `onlyId` when given) throw,
+// recording when each write was tried
+async function failingStorage() {
+  const storage = await createStorage({ STORAGE_BACKEND: 'memory' });
+  await storage.init();
+  const attempts = [];
+  let failures = 0;
+  let failingId = null;
+  return {
+    attempts,
+    storage,
+    failNext(count, onlyId = null) {
+      failures = count;
+      failingId = onlyId;
+    },
+    backend: {
+      async saveInteraction(interaction, original) {
+        attempts.push({ id: interaction.id, at: Date.now() });
+        if (failures > 0 && (!failingId || interaction.id === failingId)) {
+          failures--;
+          throw new Error('Storage unavailable');
+        }
+        return storage.saveInteraction(interaction, original);
+      }
+    }
+  };
+}
+
+let nextId = 0;
+function interaction() {
+  nextId++;
+  return {
+    id: `writer-test-${nextId}`,
+    timestamp: new Date(),
+    input: 'Tell me about Paris.',
+    output: 'Paris is the capital of France.',
+    status: 'approved',
+    severity: 'low',
+    violations: [],
+    agentActions: []
+  };
+}
+
+async function runInteractionWriterTests() {
+  console.log('🧪 Testing interaction writes with retries...\n');
+
+  // A write that fails twice is retried with backoff
+  const flaky = await failingStorage();
+  const writer = new InteractionWriter(flaky.backend, { maxAttempts: 4, retryDelayMs: RETRY_DELAY_MS });
+  const first = interaction();
+  flaky.failNext(2);
+  const saved = await writer.save(first);
+  check('A write that fails twice is stored on the third attempt', saved && flaky.attempts.length === 3 &&
+    (await flaky.storage.getInteraction(first.id))?.id === first.id, flaky.attempts);
+  const gaps = flaky.attempts.slice(1).map((attempt, index) => attempt.at - flaky.attempts[index].at);
+  // Timers may fire a millisecond early
+  check('The delay before each retry doubles', gaps[0] >= RETRY_DELAY_MS - 1 && gaps[1] >= 2 * RETRY_DELAY_MS - 1, gaps);
+  check('Nothing is left unsaved', writer.unsaved === 0);
+
+  // A retried batch does not duplicate what it already wrote
+  flaky.attempts.length = 0;
+  const [second, third] = [interaction(), interaction()];
+  // Both go out in one batch, whose second write fails once after the first has been stored
+  writer.queue.enqueue({ interaction: second, original: null });
+  flaky.failNext(1, third.id);
+  await writer.save(third);
+  const stored = await flaky.storage.listInteractions({ limit: null });
+  check('A batch is retried as a whole after a partial failure', flaky.attempts.map(attempt => attempt.id).join() ===
+    [second.id, third.id, second.id, third.id].join(), flaky.attempts.map(attempt => attempt.id));
+  check('The retried batch stores each interaction once', stored.filter(row => row.id === second.id).length === 1 &&
+    stored.filter(row => row.id === third.id).length === 1 && stored.length === 3, stored.map(row => row.id));
+
+  // Writes that fail every attempt are kept and written with the next save
+  const down = await failingStorage();
+  const downWriter = new InteractionWriter(down.backend, { maxAttempts: 3, retryDelayMs: RETRY_DELAY_MS });
+  const lost = interaction();
+  down.failNext(Infinity);
+  check('A save reports an interaction it could not store', await downWriter.save(lost) === false && down.attempts.length === 3,
+    down.attempts.length);
+  check('The interaction is counted as unsaved', downWriter.unsaved === 1, downWriter.unsaved);
+  check('Nothing reached the backend', (await down.storage.getInteraction(lost.id)) === null);
+
+  down.failNext(0);
+  const next = interaction();
+  check('Once the backend recovers the next save succeeds', await downWriter.save(next));
+  check('The interaction given up on is written with it', (await down.storage.getInteraction(lost.id))?.id === lost.id &&
+    downWriter.unsaved === 0, downWriter.unsaved);
+
+  down.failNext(Infinity);
+  const pending = interaction();
+  await downWriter.save(pending);
+  down.failNext(0);
+  await downWriter.flush();
+  check('Flushing writes the interactions still unsaved, e.g. on shutdown', (await down.storage.getInteraction(pending.id))?.id === pending.id &&
+    downWriter.unsaved === 0, downWriter.unsaved);
+
+  finish('All interaction writer checks passed');
+}
+
+runInteractionWriterTests().catch(error => {
+  console.error('❌ Interaction writer test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the multi-provider LLM gateway
+ * Sends completions to stubbed OpenAI, Anthropic and Groq APIs, then checks model
+ * selection, retries with backoff, fallback chains, the attempts recorded on
+ * success and failure, and the per-model comparison shown on the Dashboard.
+ * The stub provider answers from the demo fixtures the app serves offline.
+ */
+
+import fs from 'fs';
+import { createLLMGateway, createLLMProviders, createStubLLM, parseModelRef, compareModels, LLM_PROVIDERS } from './src/llm/index.js';
+import { check, finish } from './test-helpers.js';
+
+const json = (status, body) => ({ ok: status < 400, status, statusText: `HTTP ${status}`, json: async () => body });
+
+const openAIReply = (content, model) => json(200, {
+  model,
+  choices: [{ message: { role: 'assistant', content } }],
+  usage: { prompt_tokens: 12, completion_tokens: 8, total_tokens: 20 }
+});
+
+// Replies keyed by API host; each host answers with its queue in order, then repeats the last reply
+function stubFetch(replies) {
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    const host = new URL(url).host;
+    requests.push({ host, url, headers: init.headers, body: JSON.parse(init.body) });
+    const queue = replies[host] ?? [];
+    const reply = queue.length > 1 ? queue.shift() : queue[0];
+    if (!reply) throw new Error(`connect ECONNREFUSED ${host}`);
+    return typeof reply === 'function' ? reply() : reply;
+  };
+  return requests;
+}
+
+const demoFixtures = () => JSON.parse(fs.readFileSync('public/llm-fixtures/demo.json', 'utf8'));
+
+async function runGatewayTests() {
+  console.log('🧪 Testing the LLM gateway...\n');
+
+  const providers = createLLMProviders({
+    openai: { apiKey: 'sk-openai' },
+    anthropic: { apiKey: 'sk-ant' },
+    groq: { apiKey: 'gsk-groq' },
+    'openai-compatible': { apiUrl: 'http://localhost:11434/v1/chat/completions' },
+    stub: { load: demoFixtures }
+  });
+  const waits = [];
+  let clock = 0;
+  const gateway = (options = {}) => createLLMGateway({
+    providers,
+    defaultModel: 'openai:gpt-4o-mini',
+    fallbacks: ['groq:llama-3.1-8b-instant', 'anthropic:claude-3-5-haiku-latest'],
+    sleep: async ms => { waits.push(ms); },
+    now: () => (clock += 5),
+    ...options
+  });
+
+  check('Every provider is registered', LLM_PROVIDERS.every(name => providers[name].isConfigured));
+  check('Model refs name a provider, or use the default one', JSON.stringify([
+    parseModelRef('groq:llama-3.1-8b-instant', LLM_PROVIDERS, 'openai'),
+    parseModelRef('gpt-4o', LLM_PROVIDERS, 'openai'),
+    parseModelRef('openai-compatible:llama3.1:8b', LLM_PROVIDERS, 'openai')
+  ]) === JSON.stringify([
+    { provider: 'groq', model: 'llama-3.1-8b-instant' },
+    { provider: 'openai', model: 'gpt-4o' },
+    { provider: 'openai-compatible', model: 'llama3.1:8b' }
+  ]));
+
+  let requests = stubFetch({ 'api.openai.com': [openAIReply(' Paris. ', 'gpt-4o-mini-2024-07-18')] });
+  const answered = await gateway().complete('What is the capital of France?');
+  check('The default model answers with its latency and usage', answered.content === 'Paris.' && answered.provider === 'openai' &&
+    answered.model === 'gpt-4o-mini-2024-07-18' && answered.latencyMs === 5 && answered.usage.totalTokens === 20 && answered.attempts.length === 1, answered);
+  check('The prompt is sent as a user message with the key', requests[0].body.messages[0].content === 'What is the capital of France?' &&
+    requests[0].headers.Authorization === 'Bearer sk-openai' && requests[0].body.model === 'gpt-4o-mini', requests[0]);
+
+  requests = stubFetch({
+    'api.anthropic.com': [json(200, {
+      model: 'claude-3-5-haiku-20241022',
+      content: [{ type: 'text', text: 'Bonjour' }],
+      usage: { input_tokens: 30, output_tokens: 4 }
+    })]
+  });
+  const anthropic = await gateway().complete({
+    messages: [{ role: 'system', content: 'Answer in French.' }, { role: 'user', content: 'Say hello' }]
+  }, { model: 'anthropic:claude-3-5-haiku-latest' });
+  check('A request can pick an Anthropic-style model', anthropic.provider === 'anthropic' && anthropic.content === 'Bonjour' &&
+    anthropic.usage.totalTokens === 34 && requests[0].body.system === 'Answer in French.' && requests[0].body.messages.length === 1 &&
+    requests[0].headers['x-api-key'] === 'sk-ant', { anthropic, request: requests[0] });
+
+  waits.length = 0;
+  requests = stubFetch({ 'api.openai.com': [json(429, { error: { message: 'Rate limit reached' } }), json(503, {}), openAIReply('Recovered', 'gpt-4o-mini')] });
+  const retried = await gateway().complete('Hello');
+  check('Rate limits and server errors are retried with growing backoff', retried.content === 'Recovered' && requests.length === 3 &&
+    waits.join() === '500,1000' && retried.attempts.map(attempt => attempt.error ?? 'ok').join('|') ===
+    'openai API error: 429 - Rate limit reached|openai API error: 503 - HTTP 503|ok', { waits, attempts: retried.attempts });
+
+  waits.length = 0;
+  requests = stubFetch({
+    'api.openai.com': [json(401, { error: { message: 'Invalid API key' } })],
+    'api.groq.com': [openAIReply('From Groq', 'llama-3.1-8b-instant')]
+  });
+  const fellBack = await gateway().complete('Hello');
+  check('An auth failure falls back to the next model without retrying', fellBack.provider === 'groq' && fellBack.content === 'From Groq' &&
+    requests.map(request => request.host).join() === 'api.openai.com,api.groq.com' && waits.length === 0, fellBack.attempts);
+
+  const unconfigured = createLLMGateway({
+    providers: createLLMProviders({ groq: { apiKey: 'gsk-groq' } }),
+    defaultModel: 'openai:gpt-4o-mini',
+    fallbacks: ['groq:llama-3.1-8b-instant'],
+    sleep: async () => {}
+  });
+  requests = stubFetch({ 'api.groq.com': [openAIReply('Groq only', 'llama-3.1-8b-instant')] });
+  const skipped = await unconfigured.complete('Hello');
+  check('Models without a configured provider are skipped', skipped.provider === 'groq' && requests.length === 1 &&
+    skipped.attempts[0].error === 'openai not configured', skipped.attempts);
+
+  requests = stubFetch({});
+  const failed = await gateway({ retries: 1 }).complete('Hello').then(() => null, error => error);
+  check('When every model fails the error lists each one and keeps the attempts', failed?.attempts?.length === 6 &&
+    ['openai:gpt-4o-mini', 'groq:llama-3.1-8b-instant', 'anthropic:claude-3-5-haiku-latest'].every(ref => failed.message.includes(ref)) &&
+    failed.message.includes('ECONNREFUSED'), failed?.message);
+
+  const unregistered = gateway().chain('mistral:large');
+  check('A prefix that is not a registered provider is part of the model name', unregistered[0].provider === 'openai' &&
+    unregistered[0].model === 'mistral:large' && unregistered.length === 3, unregistered);
+
+  requests = stubFetch({});
+  const stubbed = gateway({ defaultModel: 'stub', fallbacks: [] });
+  const scripted = await Promise.all(['What is the capital of France?', 'What is the capital of France?', 'Hello there', 'Tell me a joke'].map(prompt => stubbed.complete(prompt)));
+  check('The stub answers from fixtures, the same way every time, without a network call', scripted[0].content.startsWith('The capital of France is Paris.') &&
+    scripted[1].content === scripted[0].content && scripted[0].provider === 'stub' && scripted[0].model === 'demo' &&
+    scripted[0].usage.totalTokens === 0 && requests.length === 0, scripted.map(reply => reply.content));
+  check('Patterns match too, and other prompts get the labelled default', scripted[2].content.startsWith('Hello') &&
+    scripted[3].content === demoFixtures().default, scripted.slice(2).map(reply => reply.content));
+
+  waits.length = 0;
+  const noDefault = createLLMGateway({
+    providers: { stub: createStubLLM({ load: () => ({ name: 'strict', responses: [{ match: 'capital', response: 'Paris.' }] }) }) },
+    defaultModel: 'stub',
+    sleep: async ms => { waits.push(ms); }
+  });
+  const unmatched = await noDefault.complete('Tell me a joke').then(() => null, error => error);
+  check('A prompt no fixture matches fails once instead of being retried', unmatched?.attempts?.length === 1 && waits.length === 0 &&
+    unmatched.message.includes('No stub fixture matches the prompt'), unmatched?.message);
+
+  let loads = 0;
+  const invalid = createStubLLM({ load: () => { loads++; return { responses: [{ id: 'a', match: 'x' }, { id: 'b', response: 'y' }, { id: 'c', pattern: '(', response: 'z' }], default: 3 }; } });
+  const refused = await invalid.complete({ messages: [{ role: 'user', content: 'x' }] }).then(() => null, error => error);
+  await invalid.complete({ messages: [{ role: 'user', content: 'x' }] }).catch(() => {});
+  check('Invalid fixtures report every problem and are loaded again next time', ['default must be a string', 'response a:', 'response b:', 'response c:']
+    .every(part => refused?.message.includes(part)) && refused.retryable === false && loads === 2, refused?.message);
+
+  const offline = (fallbacks) => createLLMGateway({ providers: createLLMProviders({ stub: { load: demoFixtures } }), defaultModel: 'openai:gpt-4o-mini', fallbacks });
+  check('A gateway counts as configured when any model in its chain can be tried', !offline([]).isConfigured && offline(['stub']).isConfigured &&
+    offline([]).canComplete('stub', []));
+
+  const comparison = compareModels([
+    { llmSource: 'openai', llmModel: 'gpt-4o-mini', status: 'approved', violations: [], llmLatencyMs: 400, llmUsage: { totalTokens: 100 } },
+    { llmSource: 'openai', llmModel: 'gpt-4o-mini', status: 'blocked', violations: [{ severity: 9 }, { severity: 6 }], llmLatencyMs: 600, llmUsage: { totalTokens: 150 } },
+    { llmSource: 'groq', llmModel: 'llama-3.1-8b-instant', status: 'approved', violations: [{ severity: 3 }], llmLatencyMs: 120 },
+    { status: 'blocked', violations: [{ severity: 10 }] }
+  ]);
+  check('Governance results are compared per model', JSON.stringify(comparison) === JSON.stringify([
+    { provider: 'openai', model: 'gpt-4o-mini', interactions: 2, flaggedRate: 0.5, violations: 2, averageSeverity: 7.5, averageLatencyMs: 500, totalTokens: 250 },
+    { provider: 'groq', model: 'llama-3.1-8b-instant', interactions: 1, flaggedRate: 0, violations: 1, averageSeverity: 3, averageLatencyMs: 120, totalTokens: 0 }
+  ]), comparison);
+
+  finish('All gateway checks passed');
+}
+
+runGatewayTests().catch(error => {
+  console.error('❌ Gateway test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the checksum-validated PII detectors
+ * Runs valid and invalid card numbers (Luhn), IBANs (mod 97), US social security
+ * numbers (SSA exclusions), international phone numbers (E.164) and Spanish DNI/NIE
+ * numbers (mod-23 letter) through detectPii, and checks that only the valid ones match.
+ */
+
+import { detectPii } from './src/governance/index.js';
+import { check, finish } from './test-helpers.js';
+
+// [description, text, detector type, whether it should match]
+const cases = [
+  ['Visa test number passes Luhn', 'Card 4111 1111 1111 1111 on file', 'card', true],
+  ['Mastercard with dashes passes Luhn', 'Card 5500-0000-0000-0004 on file', 'card', true],
+  ['Last digit off fails Luhn', 'Card 4111 1111 1111 1112 on file', 'card', false],
+  ['Order number of card length fails Luhn', 'Order 1234 5678 9012 3456 shipped', 'card', false],
+
+  ['UK IBAN passes mod 97', 'Pay GB82 WEST 1234 5698 7654 32 today', 'iban', true],
+  ['German IBAN without spaces passes mod 97', 'Pay DE89370400440532013000 today', 'iban', true],
+  ['Check digits off fail mod 97', 'Pay GB83 WEST 1234 5698 7654 32 today', 'iban', false],
+  ['Account digit off fails mod 97', 'Pay DE89370400440532013001 today', 'iban', false],
+
+  ['Issuable SSN matches', 'SSN 123-45-6789', 'ssn', true],
+  ['SSN area 000 is never issued', 'SSN 000-45-6789', 'ssn', false],
+  ['SSN area 666 is never issued', 'SSN 666-45-6789', 'ssn', false],
+  ['SSN area 900-999 is never issued', 'SSN 912-45-6789', 'ssn', false],
+  ['SSN group 00 is never issued', 'SSN 123-00-6789', 'ssn', false],
+  ['SSN serial 0000 is never issued', 'SSN 123-45-0000', 'ssn', false],
+
+  ['UK number in E.164 form matches', 'Call +44 20 7946 0958', 'phone', true],
+  ['Compact E.164 number matches', 'Call +14155552671', 'phone', true],
+  ['Country code starting with 0 is not E.164', 'Call +0 20 7946 0958', 'phone', false],
+  ['Seven digits are too short for E.164', 'Call +1 234 567', 'phone', false],
+
+  ['DNI with its check letter matches', 'DNI 12345678Z', 'national_id', true],
+  ['NIE with its check letter matches', 'NIE X-1234567-L', 'national_id', true],
+  ['DNI with the wrong letter does not match', 'DNI 12345678A', 'national_id', false],
+  ['NIE with the wrong letter does not match', 'NIE X1234567T', 'national_id', false]
+];
+
+function runPiiDetectorTests() {
+  console.log('🧪 Testing checksum-validated PII detectors...\n');
+
+  for (const [name, text, type, expected] of cases) {
+    const matches = detectPii(text, [type]);
+    check(name, (matches.length > 0) === expected, matches);
+  }
+
+  const [dni] = detectPii('DNI 12345678Z', ['national_id']);
+  check('DNI matches carry their country and span', dni?.country === 'ES' && dni.value === '12345678Z' && dni.start === 4 && dni.end === 13, dni);
+
+  const mixed = detectPii('Card 4111 1111 1111 1111 or call +44 20 7946 0958');
+  check('A card number is not also reported as a phone number', mixed.map(match => match.type).join() === 'card,phone', mixed);
+
+  finish('All PII detector checks passed');
+}
+
+runPiiDetectorTests();
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * Test for policy pack validation and loading
+ * Checks that validatePolicyPack reports every problem in a broken pack (missing
+ * ids, duplicate rule ids, out-of-range severities, invalid regexes), that packs
+ * that do not parse or validate are refused by the registry, and that a watched
+ * pack URL is hot-reloaded when the pack changes while a broken update leaves the
+ * last good version active.
+ */
+
+import { createServer } from 'node:http';
+import { validatePolicyPack } from './src/governance/policyValidator.js';
+import { PolicyRegistry } from './src/governance/policyRegistry.js';
+import { check, finish } from './test-helpers.js';
+
+const RELOAD_INTERVAL_MS = 50;
+
+function rule(overrides = {}) {
+  return {
+    id: 'acme.secret-project',
+    enabled: true,
+    violationType: 'compliance',
+    framework: 'ACME confidentiality policy',
+    scope: 'either',
+    patterns: ['project\\s+falcon'],
+    severity: 8,
+    confidence: 0.9,
+    complianceLevel: 'high',
+    description: 'Confidential project mentioned',
+    reason: 'The text mentions a confidential project ({{matches}})',
+    ...overrides
+  };
+}
+
+function pack(overrides = {}) {
+  return { schemaVersion: 1, id: 'acme', name: 'ACME policies', version: '1.0.0', rules: [rule()], ...overrides };
+}
+
+// The validation errors for `candidate`, or an empty list when it is valid
+function errorsFor(candidate) {
+  const { valid, errors } = validatePolicyPack(candidate);
+  return valid ? [] : errors;
+}
+
+// Whether loading `text` into `registry` throws an error whose message contains `message`
+function refuses(registry, text, format, message) {
+  try {
+    registry.loadPackFromText(text, format);
+    return false;
+  } catch (error) {
+    return error.message.includes(message);
+  }
+}
+
+async function waitFor(predicate, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) return false;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return true;
+}
+
+async function runPolicyPackTests() {
+  console.log('🧪 Testing policy pack validation and reloading...\n');
+
+  // Validation
+  check('A well-formed pack is valid', errorsFor(pack()).length === 0, errorsFor(pack()));
+  check('A pack must be an object', errorsFor(['not', 'a', 'pack'])[0] === 'Policy pack must be an object');
+  check('A pack without an id is invalid', errorsFor(pack({ id: undefined })).includes('Pack "id" must be a non-empty string'));
+  check('A pack needs a semantic version', errorsFor(pack({ version: 'v2' })).some(error => error.includes('"version"')));
+  check('Only schemaVersion 1 is supported', errorsFor(pack({ schemaVersion: 2 })).some(error => error.includes('schemaVersion')));
+
+  const missingId = errorsFor(pack({ rules: [rule(), rule({ id: '' })] }));
+  check('A rule without an id is reported by its index', missingId.includes('rules[1]: "id" must be a non-empty string'), missingId);
+  const duplicate = errorsFor(pack({ rules: [rule(), rule({ severity: 4 })] }));
+  check('Duplicate rule ids are reported', duplicate.includes('Rule "acme.secret-project": duplicate rule id'), duplicate);
+
+  const severities = [11, -1, '8', NaN].map(severity => errorsFor(pack({ rules: [rule({ severity })] })));
+  check('Severities outside 0-10 or not numbers are reported', severities.every(errors =>
+    errors.includes('Rule "acme.secret-project": "severity" must be a number between 0 and 10')), severities);
+  check('Confidences outside 0-1 are reported', errorsFor(pack({ rules: [rule({ confidence: 1.5 })] }))
+    .some(error => error.includes('"confidence"')));
+  check('Unknown compliance levels are reported', errorsFor(pack({ rules: [rule({ complianceLevel: 'severe' })] }))
+    .some(error => error.includes('"complianceLevel"')));
+
+  const badRegex = errorsFor(pack({ rules: [rule({ patterns: ['valid', '(unclosed'] })] }));
+  check('Invalid regexes are reported with their index', badRegex.length === 1 &&
+    badRegex[0].startsWith('Rule "acme.secret-project": patterns[1] is not a valid regular expression'), badRegex);
+  check('Unsupported regex flags are reported', errorsFor(pack({ rules: [rule({ flags: 'g' })] }))
+    .some(error => error.includes('"flags"')));
+  check('A rule needs patterns or detectors', errorsFor(pack({ rules: [rule({ patterns: [] })] }))
+    .some(error => error.includes('"patterns"')));
+  check('Detector rules need no patterns', errorsFor(pack({ rules: [rule({ patterns: undefined, detectors: ['email'] })] })).length === 0);
+  check('Unknown detectors are reported', errorsFor(pack({ rules: [rule({ patterns: undefined, detectors: ['passport'] })] }))
+    .some(error => error.includes('"detectors"')));
+
+  const everything = errorsFor(pack({ id: '', rules: [rule({ severity: 12, patterns: ['['] }), rule({ confidence: 2 })] }));
+  check('Every problem is reported in one pass', everything.length === 5, everything);
+
+  // Loading from text
+  const registry = new PolicyRegistry();
+  check('Invalid YAML is refused', refuses(registry, 'id: acme\nrules: [unclosed', 'yaml', 'Unable to parse YAML policy pack'));
+  check('Invalid JSON is refused', refuses(registry, '{"id": "acme",', 'json', 'Unable to parse JSON policy pack'));
+  check('A pack that parses but fails validation is refused with its errors',
+    refuses(registry, JSON.stringify(pack({ rules: [rule({ severity: 20 })] })), 'json', 'Invalid policy pack: Rule "acme.secret-project": "severity"'));
+  check('Refused packs are not activated', registry.getPacks().length === 0 && registry.getRules().length === 0);
+
+  const yaml = [
+    'schemaVersion: 1', 'id: acme', 'name: ACME policies', 'version: 1.0.0', 'rules:',
+    '  - id: acme.secret-project', '    enabled: true', '    violationType: compliance', '    framework: ACME confidentiality policy',
+    '    scope: either', '    patterns: ["project\\\\s+falcon"]', '    severity: 8', '    confidence: 0.9', '    complianceLevel: high',
+    '    description: Confidential project mentioned', '    reason: The text mentions a confidential project'
+  ].join('\n');
+  registry.loadPackFromText(yaml, 'yaml');
+  check('A valid YAML pack is activated', registry.getPacks()[0]?.id === 'acme' &&
+    registry.evaluate('Tell me about Project Falcon', '').some(violation => violation.type === 'compliance'), registry.getPacks());
+
+  // Hot reload of a watched URL
+  let served = JSON.stringify(pack());
+  const server = createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(served);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/acme.json`;
+
+  const watched = new PolicyRegistry();
+  const reloads = [];
+  watched.subscribe(packs => reloads.push(packs.map(loaded => loaded.version).join()));
+  const stopWatching = watched.watchPackUrl(url, RELOAD_INTERVAL_MS);
+  try {
+    check('A watched pack is loaded', await waitFor(() => watched.getPacks()[0]?.version === '1.0.0'), watched.getPacks());
+    const flagged = (text) => watched.evaluate(text, '').some(violation => violation.type === 'compliance');
+
+    served = JSON.stringify(pack({ version: '1.1.0', rules: [rule({ patterns: ['project\\s+(?:falcon|osprey)'] })] }));
+    check('A changed pack is picked up on the next poll', await waitFor(() => watched.getPacks()[0]?.version === '1.1.0'),
+      watched.getPacks());
+    check('The reloaded rules are the ones evaluated', flagged('Tell me about Project Osprey'));
+
+    served = JSON.stringify(pack({ version: '1.2.0', rules: [rule({ patterns: ['('] })] }));
+    await new Promise(resolve => setTimeout(resolve, RELOAD_INTERVAL_MS * 4));
+    check('A broken update leaves the last good version active', watched.getPacks()[0]?.version === '1.1.0' &&
+      flagged('Tell me about Project Osprey'), watched.getPacks());
+
+    served = JSON.stringify(pack({ version: '1.3.0', rules: [rule({ enabled: false })] }));
+    check('A fixed update is picked up again', await waitFor(() => watched.getPacks()[0]?.version === '1.3.0'), watched.getPacks());
+    check('An unchanged pack is not reloaded on every poll', reloads.join(' ') === '1.0.0 1.1.0 1.3.0', reloads);
+  } finally {
+    stopWatching();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  finish('All policy pack checks passed');
+}
+
+runPolicyPackTests().catch(error => {
+  console.error('❌ Policy pack test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Test for retention, subject access and erasure
+ * Applies a retention policy to interactions of different ages, statuses and
+ * severities in the memory backend, then exports and erases everything stored
+ * about one email address, checking the audit entries each purge leaves.
+ */
+
+import { parseRetentionPolicy, pseudonymiseText } from './src/privacy/index.js';
+import { createStorage } from './src/storage/index.js';
+import { check, finish } from './test-helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date(Date.UTC(2025, 5, 1));
+const daysAgo = (days) => new Date(NOW.getTime() - days * DAY_MS);
+
+const POLICY = {
+  rules: [
+    { name: 'clean', statuses: ['approved'], afterDays: 30, action: 'delete' },
+    { name: 'flagged', statuses: ['blocked', 'redacted'], afterDays: 90, action: 'pseudonymise' },
+    { name: 'critical', severities: ['critical'], afterDays: 365, action: 'delete' }
+  ]
+};
+
+process.env.RETENTION_POLICY = JSON.stringify(POLICY);
+process.env.PSEUDONYMISATION_KEY = 'test-pseudonymisation-key';
+process.env.RETENTION_INTERVAL_MS = String(60 * 60 * 1000);
+
+function interaction(id, days, status, severity, fields = {}) {
+  return {
+    id,
+    timestamp: daysAgo(days),
+    input: 'Please update my account',
+    output: 'Done',
+    status,
+    severity,
+    violations: [],
+    agentActions: [],
+    ...fields
+  };
+}
+
+const rejects = (promise, status = 400) => promise.then(() => false, error => error.status === status);
+
+async function runPrivacyTests() {
+  console.log('🧪 Testing retention and erasure...\n');
+
+  const invalid = (policy) => { try { parseRetentionPolicy(policy); return null; } catch (error) { return error.message; } };
+  check('A valid policy is parsed', parseRetentionPolicy(POLICY).length === 3);
+  check('Rules without statuses cover everything but pending', parseRetentionPolicy(POLICY)[2].statuses.join() === 'approved,blocked,redacted,failed');
+  check('Pending interactions cannot be purged', invalid([{ statuses: ['pending'], afterDays: 1, action: 'delete' }])?.includes('awaiting review'));
+  check('Unknown actions and bad ages are refused', (message => message?.includes('action') && message.includes('afterDays'))(invalid([{ afterDays: 0, action: 'archive' }])));
+  check('Rule names must be unique', invalid([{ name: 'a', afterDays: 1, action: 'delete' }, { name: 'a', afterDays: 2, action: 'delete' }])?.includes('unique'));
+
+  const keyed = pseudonymiseText('Mail jane@example.com or JANE@example.com', { key: 'k' });
+  check('A keyed pseudonym is the same for the same value', /^Mail \[EMAIL_[0-9a-f]{12}\] or \[EMAIL_[0-9a-f]{12}\]$/.test(keyed) &&
+    keyed.match(/EMAIL_\w+/g)[0] === keyed.match(/EMAIL_\w+/g)[1], keyed);
+  check('Without a key only the type is left', pseudonymiseText('Mail jane@example.com', {}) === 'Mail [EMAIL]');
+  check('Erased terms are replaced in any case', pseudonymiseText('I am Jane Roe, jane roe', { erase: ['JANE ROE'] }) === 'I am [ERASED], [ERASED]');
+
+  const { privacyService } = await import('./src/services/privacyService.js');
+  const storage = await createStorage({ STORAGE_BACKEND: 'memory' });
+  await storage.init();
+  privacyService.attach(storage);
+  const purged = [];
+  privacyService.subscribe((interactionId, rewritten) => purged.push([interactionId, rewritten?.input ?? null]));
+
+  await storage.saveInteraction(interaction('old-clean', 40, 'approved', 'low'));
+  await storage.saveInteraction(interaction('new-clean', 10, 'approved', 'low'));
+  await storage.saveInteraction(interaction('old-blocked', 100, 'blocked', 'high', {
+    input: 'My email is jane@example.com',
+    violations: [{ type: 'pii', description: 'Email address', reason: 'Matched jane@example.com', severity: 7, confidence: 0.9 }]
+  }));
+  await storage.saveInteraction(interaction('old-redacted', 120, 'redacted', 'low', {
+    input: 'Write to [EMAIL_1]',
+    redactions: [{ type: 'email', placeholder: '[EMAIL_1]', field: 'input' }]
+  }), { input: 'Write to jane@example.com', output: 'Done' });
+  await storage.saveInteraction(interaction('old-pending', 400, 'pending', 'critical'));
+  await storage.saveInteraction(interaction('ancient-critical', 400, 'blocked', 'critical'));
+
+  const run = await privacyService.applyRetention(NOW);
+  check('Each rule reports what it purged', run.rules.map(rule => `${rule.rule}:${rule.interactions}`).join() === 'clean:1,flagged:3,critical:1', run.rules);
+  check('Old clean interactions are deleted, newer ones kept', (await storage.getInteraction('old-clean')) === null && (await storage.getInteraction('new-clean')) !== null);
+  const pseudonymised = await storage.getInteraction('old-blocked');
+  check('Flagged interactions are pseudonymised', pseudonymised?.input.startsWith('My email is [EMAIL_') && !pseudonymised.violations[0].reason.includes('jane') &&
+    pseudonymised.pseudonymisedAt instanceof Date, pseudonymised);
+  check('Pseudonymising drops the unmasked original', (await storage.getRedactedOriginal('old-redacted')) === null);
+  check('A delete rule also covers pseudonymised interactions', (await storage.getInteraction('ancient-critical')) === null);
+  check('Interactions awaiting review are never purged', (await storage.getInteraction('old-pending')) !== null);
+  const retentionAudit = await storage.listAuditLogs('old-blocked');
+  check('Every purge is audited with its rule', retentionAudit.length === 1 && retentionAudit[0].action === 'retention_pseudonymise' &&
+    retentionAudit[0].details.includes('"flagged"') && (await storage.listAuditLogs('old-clean'))[0]?.action === 'retention_delete', retentionAudit);
+  check('Purges are passed to listeners', purged.some(([id, input]) => id === 'old-clean' && input === null) &&
+    purged.some(([id, input]) => id === 'old-blocked' && input?.includes('[EMAIL_')), purged);
+  check('A second run purges nothing more', (await privacyService.applyRetention(NOW)).rules.every(rule => rule.interactions === 0));
+
+  // Subject access and erasure for one person, across sessions, originals and feedback
+  const subject = 'john.doe@example.com';
+  const sessionRisk = { turnCount: 1, flaggedTurns: 0, riskScore: 0, riskLevel: 'low' };
+  await storage.saveInteraction(interaction('john-1', 1, 'approved', 'low', { input: `I am ${subject}`, sessionId: 'session-john', sessionRisk }));
+  await storage.saveInteraction(interaction('john-2', 1, 'redacted', 'low', {
+    input: 'Mail [EMAIL_1]',
+    redactions: [{ type: 'email', placeholder: '[EMAIL_1]', field: 'input' }]
+  }), { input: `Mail ${subject}`, output: 'Done' });
+  await storage.saveInteraction(interaction('john-3', 1, 'approved', 'low', { input: 'Someone else', sessionId: 'session-other', sessionRisk }));
+  await storage.addFeedback('john-3', { rating: 'negative', comment: `Wrong, I am ${subject.toUpperCase()}` });
+
+  const exported = await privacyService.subjectAccess(subject);
+  check('Subject access finds every interaction', exported.interactions.map(i => i.id).join() === 'john-1,john-2,john-3', exported.interactions.map(i => i.id));
+  check('Subject access includes originals, feedback and sessions', exported.interactions[1].original?.input.includes(subject) &&
+    exported.interactions[2].feedback.length === 1 && exported.sessions.map(s => s.id).sort().join() === 'session-john,session-other', exported);
+  check('Short identifiers are refused', await rejects(privacyService.subjectAccess('jo')));
+
+  const request = { requestedBy: 'dpo@example.org', reason: 'Article 17 request' };
+  const preview = await privacyService.erase(subject, { ...request, dryRun: true });
+  check('A dry run changes nothing', preview.interactionIds.length === 3 && (await storage.getInteraction('john-1')) !== null, preview);
+  check('Erasure needs a requester and a reason', await rejects(privacyService.erase(subject, { requestedBy: 'dpo@example.org' })));
+  check('Unknown erasure modes are refused', await rejects(privacyService.erase(subject, { ...request, mode: 'archive' })));
+
+  const anonymised = await privacyService.erase('session-other', { ...request, mode: 'anonymise' });
+  const other = await storage.getInteraction('john-3');
+  check('Anonymising keeps the interaction without the identifier or its session', anonymised.interactionIds.join() === 'john-3' &&
+    other?.sessionId === undefined && (await storage.getSession('session-other')) === null, other);
+  check('Anonymised feedback has no personal data', (await storage.listFeedback('john-3'))[0]?.comment === 'Wrong, I am [EMAIL]');
+
+  // john-3's feedback no longer has the address, which the anonymisation above replaced
+  const erased = await privacyService.erase(subject, request);
+  check('Erasure deletes every interaction mentioning the identifier', erased.interactionIds.join() === 'john-1,john-2' &&
+    (await storage.subjectInteractionIds(subject)).length === 0 && (await storage.getSession('session-john')) === null, erased);
+  const erasureAudit = await storage.listAuditLogs('john-1');
+  check('Erasure is audited with the request, not the identifier', erasureAudit.length === 1 && erasureAudit[0].action === 'erasure_delete' &&
+    erasureAudit[0].details.includes(erased.requestId) && erasureAudit[0].reviewer === request.requestedBy &&
+    !JSON.stringify(erasureAudit).includes(subject), erasureAudit);
+
+  await storage.close();
+  finish('All privacy checks passed');
+}
+
+runPrivacyTests().catch(error => {
+  console.error('❌ Privacy test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Test for redaction
+ * Masks prompts and responses with a Redactor and checks that placeholders map
+ * back to the values they replace, that a value keeps its placeholder across the
+ * prompt and the response, and that overlapping or adjacent matches are each
+ * masked once. Then runs redactInteraction with the default policy pack.
+ */
+
+import { detectPii, policyRegistry, Redactor, redactInput, redactInteraction } from './src/governance/index.js';
+import { check, finish } from './test-helpers.js';
+
+// Puts the detected values back in place of their placeholders, front to back
+function unmask(masked, original) {
+  const values = new Map();
+  const redactor = new Redactor();
+  for (const match of detectPii(original)) {
+    values.set(redactor.redact(match.value, 'input'), match.value);
+  }
+  return masked.replace(/\[[A-Z_]+_\d+\]/g, placeholder => values.get(placeholder) ?? placeholder);
+}
+
+function runRedactionTests() {
+  console.log('🧪 Testing redaction...\n');
+
+  // Placeholders round-trip
+  const prompt = 'Email jane@example.com or call +44 20 7946 0958; cc john@example.org and jane@example.com.';
+  const redactor = new Redactor();
+  const masked = redactor.redact(prompt, 'input');
+  check('Values are replaced by numbered placeholders', masked ===
+    'Email [EMAIL_1] or call [PHONE_1]; cc [EMAIL_2] and [EMAIL_1].', masked);
+  check('Putting the values back gives the original', unmask(masked, prompt) === prompt, unmask(masked, prompt));
+  check('Redactions record placeholders, never values', redactor.redactions.map(r => r.placeholder).join() === '[EMAIL_1],[PHONE_1],[EMAIL_2]' &&
+    !JSON.stringify(redactor.redactions).includes('@'), redactor.redactions);
+  check('Masked text is left as it is when redacted again', new Redactor().redact(masked, 'input') === masked);
+
+  const response = redactor.redact('I will write to jane@example.com and 4111 1111 1111 1111.', 'output');
+  check('A value keeps its placeholder in the response', response === 'I will write to [EMAIL_1] and [CARD_1].', response);
+  check('Each redaction names the field it was first seen in',
+    redactor.redactions.map(r => `${r.placeholder}:${r.field}`).join() === '[EMAIL_1]:input,[PHONE_1]:input,[EMAIL_2]:input,[CARD_1]:output',
+    redactor.redactions);
+
+  const preview = redactor.clone();
+  preview.redact('Call +1 415 555 2671', 'output');
+  check('A clone masks without recording on the original', preview.redactions.length === 5 && redactor.redactions.length === 4,
+    [preview.redactions.length, redactor.redactions.length]);
+
+  // Overlapping and adjacent spans
+  const card = new Redactor().redact('Card 4111 1111 1111 1111 on file', 'input');
+  check('A card number that also looks like a phone number is masked once', card === 'Card [CARD_1] on file', card);
+  const iban = new Redactor().redact('IBAN GB82 WEST 1234 5698 7654 32', 'input');
+  check('Digits inside an IBAN are not masked again', iban === 'IBAN [IBAN_1]', iban);
+  const ipEmail = new Redactor().redact('Write to admin@10.0.0.1.example.com', 'input');
+  check('An address inside an email is part of the email', ipEmail === 'Write to [EMAIL_1]', ipEmail);
+  const adjacent = new Redactor().redact('jane@example.com,+44 20 7946 0958', 'input');
+  check('Adjacent values are masked separately', adjacent === '[EMAIL_1],[PHONE_1]', adjacent);
+
+  // Redacting governed interactions
+  const remediation = { gdpr: 'redact' };
+  const interaction = {
+    input: 'My email is jane@example.com, please confirm.',
+    output: 'Confirmed for jane@example.com.',
+    violations: policyRegistry.evaluate('My email is jane@example.com, please confirm.', 'Confirmed for jane@example.com.')
+  };
+  const redacted = redactInteraction(interaction, { remediation });
+  check('Redacted interactions mask the prompt and the response alike', redacted?.input === 'My email is [EMAIL_1], please confirm.' &&
+    redacted.output === 'Confirmed for [EMAIL_1].', redacted);
+  check('With nothing left to block the interaction is redacted', redacted?.status === 'redacted' && redacted.severity === 'low', redacted);
+  check('Nothing is masked without a redact remediation', redactInteraction(interaction, { remediation: {} }) === null);
+  check('Prompts the redacted rules fire on are masked before the input pass', redactInput('My email is jane@example.com', { remediation }) ===
+    'My email is [EMAIL_1]');
+  check('Prompts without personal data are left alone', redactInput('What is the capital of France?', { remediation }) ===
+    'What is the capital of France?');
+
+  finish('All redaction checks passed');
+}
+
+runRedactionTests();
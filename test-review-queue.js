@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the human review queue
+ * Walks reviews through claim, approve, reject and escalate, refuses actions the
+ * current state or claim does not allow (double claims, deciding someone else's
+ * claim), and escalates reviews past their SLA. Then checks that GET /api/reviews
+ * only lists reviews for a reviewer token.
+ */
+
+import { reviewQueueService } from './src/services/reviewQueueService.js';
+import { check, finish, startBackend } from './test-helpers.js';
+
+let nextId = 0;
+function enqueue() {
+  nextId++;
+  return reviewQueueService.enqueue({
+    id: `review-test-${nextId}`,
+    input: 'Prompt held for review',
+    output: 'Response held for review',
+    severity: 'medium',
+    violations: [{ type: 'bias', severity: 5.5, description: 'Possible bias' }],
+    sessionId: 'review-test-session'
+  });
+}
+
+// The HTTP status a refused action throws with, or null when it is applied
+function refusal(interactionId, action, options) {
+  try {
+    reviewQueueService.act(interactionId, action, options);
+    return null;
+  } catch (error) {
+    return error.status ?? error.message;
+  }
+}
+
+async function runReviewQueueTests() {
+  console.log('🧪 Testing the review queue...\n');
+
+  const events = [];
+  reviewQueueService.subscribe((review, event) => events.push(`${review.interactionId}:${event.action}`));
+
+  // Claim, then approve
+  const approved = enqueue();
+  check('A held interaction is queued with an SLA', approved.status === 'queued' &&
+    approved.dueAt.getTime() - approved.queuedAt.getTime() === reviewQueueService.slaMs, approved);
+  check('Enqueuing twice keeps the first review', reviewQueueService.enqueue({ id: approved.interactionId }) === approved);
+  reviewQueueService.act(approved.interactionId, 'claim', { reviewer: ' alice ' });
+  check('Claiming records the reviewer', approved.status === 'claimed' && approved.claimedBy === 'alice' && approved.claimedAt instanceof Date,
+    approved);
+  check('A claimed review cannot be claimed again, even by the same reviewer',
+    refusal(approved.interactionId, 'claim', { reviewer: 'bob' }) === 409 && refusal(approved.interactionId, 'claim', { reviewer: 'alice' }) === 409);
+  check('Only the reviewer holding the claim can decide it',
+    refusal(approved.interactionId, 'approve', { reviewer: 'bob', reason: 'Looks fine' }) === 409 && approved.status === 'claimed');
+  check('A decision needs a reason', refusal(approved.interactionId, 'approve', { reviewer: 'alice', reason: '  ' }) === 400);
+  reviewQueueService.act(approved.interactionId, 'approve', { reviewer: 'alice', reason: 'Looks fine' });
+  check('Approving resolves the interaction to approved', approved.status === 'approved' && approved.finalStatus === 'approved' &&
+    approved.decidedBy === 'alice' && approved.reason === 'Looks fine', approved);
+  check('A decided review takes no further actions', ['claim', 'approve', 'reject', 'escalate']
+    .every(action => refusal(approved.interactionId, action, { reviewer: 'alice', reason: 'Again' }) === 409));
+  check('The history keeps every action with its reviewer and reason',
+    approved.history.map(event => `${event.action}:${event.reviewer}:${event.reason}`).join() === 'claim:alice:,approve:alice:Looks fine',
+    approved.history);
+
+  // Claim, then reject
+  const rejected = enqueue();
+  check('A queued review cannot be decided before it is claimed',
+    refusal(rejected.interactionId, 'reject', { reviewer: 'bob', reason: 'Harmful' }) === 409 && rejected.status === 'queued');
+  reviewQueueService.act(rejected.interactionId, 'claim', { reviewer: 'bob' });
+  reviewQueueService.act(rejected.interactionId, 'reject', { reviewer: 'bob', reason: 'Harmful' });
+  check('Rejecting resolves the interaction to blocked', rejected.status === 'rejected' && rejected.finalStatus === 'blocked' &&
+    rejected.decidedBy === 'bob', rejected);
+
+  // Requests the queue cannot act on
+  const open = enqueue();
+  check('An unknown action is refused', refusal(open.interactionId, 'delete', { reviewer: 'alice' }) === 400);
+  check('An action needs a reviewer', refusal(open.interactionId, 'claim', {}) === 400 && refusal(open.interactionId, 'claim', { reviewer: ' ' }) === 400);
+  check('A reason must be a string', refusal(open.interactionId, 'claim', { reviewer: 'alice', reason: 42 }) === 400);
+  check('An unknown interaction is not found', refusal('no-such-interaction', 'claim', { reviewer: 'alice' }) === 404);
+
+  // Escalation releases the claim
+  reviewQueueService.act(open.interactionId, 'claim', { reviewer: 'alice' });
+  const dueBefore = open.dueAt;
+  reviewQueueService.act(open.interactionId, 'escalate', { reviewer: 'bob', reason: 'Needs legal' });
+  check('Anyone can escalate a claimed review, which releases the claim', open.status === 'escalated' && open.claimedBy === undefined &&
+    open.escalatedAt instanceof Date, open);
+  check('Escalating restarts the SLA', open.dueAt.getTime() >= dueBefore.getTime() &&
+    open.dueAt.getTime() === open.escalatedAt.getTime() + reviewQueueService.slaMs, [dueBefore, open.dueAt]);
+  check('An escalated review can be claimed again', refusal(open.interactionId, 'claim', { reviewer: 'carol' }) === null && open.claimedBy === 'carol');
+
+  // SLA expiry
+  const queued = enqueue();
+  const claimed = enqueue();
+  reviewQueueService.act(claimed.interactionId, 'claim', { reviewer: 'alice' });
+  const pastDue = claimed.dueAt.getTime() + 1;
+  check('Reviews within their SLA are not overdue', !reviewQueueService.list().find(review => review.interactionId === queued.interactionId).overdue);
+  reviewQueueService.escalateOverdue(queued.dueAt.getTime());
+  check('A review is not escalated at its due time', queued.status === 'queued');
+  reviewQueueService.escalateOverdue(pastDue);
+  check('Queued and claimed reviews past their SLA are escalated by the system', [queued, claimed].every(review =>
+    review.status === 'escalated' && review.history.at(-1).reviewer === 'system' && review.history.at(-1).reason.includes('SLA')),
+  [queued.history, claimed.history]);
+  check('An overdue claim is released', claimed.claimedBy === undefined);
+  check('Escalated reviews get a fresh SLA', queued.dueAt.getTime() === queued.escalatedAt.getTime() + reviewQueueService.slaMs, queued.dueAt);
+  reviewQueueService.escalateOverdue();
+  check('Escalated reviews are not escalated again on the next check',
+    queued.history.filter(event => event.action === 'escalate').length === 1, queued.history);
+  check('Decided reviews are never escalated', approved.status === 'approved' && rejected.status === 'rejected');
+
+  // Listing
+  const listed = reviewQueueService.list().map(review => review.interactionId);
+  check('The open list leaves out decided reviews', !listed.includes(approved.interactionId) && listed.includes(queued.interactionId), listed);
+  const decided = reviewQueueService.list(['approved', 'rejected']).map(review => review.interactionId);
+  check('Reviews can be listed by status', decided.join() === [approved.interactionId, rejected.interactionId].join(), decided);
+  check('Listeners hear every change', events.includes(`${approved.interactionId}:queue`) && events.includes(`${approved.interactionId}:approve`) &&
+    events.includes(`${queued.interactionId}:escalate`), events);
+
+  // Only reviewers see the queue over HTTP
+  const disabled = await startBackend({ REVIEWER_ACCESS_TOKENS: '' });
+  try {
+    check('Without reviewer tokens the queue is disabled', (await fetch(`${disabled.url}/api/reviews`)).status === 403);
+  } finally {
+    await disabled.stop();
+  }
+  const backend = await startBackend({ REVIEWER_ACCESS_TOKENS: 'alice:alice-token' });
+  try {
+    check('The queue is refused without a token', (await fetch(`${backend.url}/api/reviews`)).status === 401);
+    check('The queue is refused with an unknown token', (await fetch(`${backend.url}/api/reviews`, {
+      headers: { Authorization: 'Bearer not-a-token' }
+    })).status === 401);
+    const response = await fetch(`${backend.url}/api/reviews?status=queued`, { headers: { Authorization: 'Bearer alice-token' } });
+    check('A reviewer token lists the queue', response.status === 200 && Array.isArray(await response.json()), response.status);
+  } finally {
+    await backend.stop();
+  }
+
+  finish('All review queue checks passed');
+}
+
+runReviewQueueTests().catch(error => {
+  console.error('❌ Review queue test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the settings endpoints the Settings page saves through
+ * Saves, rolls back and lists versions over HTTP with a SETTINGS_ACCESS_TOKENS
+ * token, and checks that the author is the token's name, that every history entry
+ * carries its changes, and that changes without a valid token are refused.
+ */
+
+import { check, finish, startBackend } from './test-helpers.js';
+
+async function runSettingsTests() {
+  console.log('🧪 Testing the settings endpoints...\n');
+
+  const backend = await startBackend({ SETTINGS_ACCESS_TOKENS: 'alice:alice-token,deploy-bot:bot-token' });
+  const request = async (path, { token, body } = {}) => {
+    const headers = { ...(body && { 'Content-Type': 'application/json' }), ...(token && { Authorization: `Bearer ${token}` }) };
+    const response = await fetch(`${backend.url}/api/settings${path}`, { method: body ? 'POST' : 'GET', headers, body: body && JSON.stringify(body) });
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    const me = await request('/me', { token: 'alice-token' });
+    check('A token resolves to the author it saves as', me.status === 200 && me.body.author === 'alice', me);
+    check('An unknown token has no author', (await request('/me', { token: 'not-a-token' })).status === 401);
+
+    const refused = await request('/tenant:acme', { body: { settings: { severityThreshold: 5 } } });
+    check('Saving without a token is refused', refused.status === 401, refused);
+    const forged = await request('/tenant:acme', { token: 'bad-token', body: { settings: { severityThreshold: 5 }, author: 'alice' } });
+    check('Saving with an unknown token is refused, whatever author the body names', forged.status === 401, forged);
+
+    const first = await request('/tenant:acme', { token: 'alice-token', body: { settings: { severityThreshold: 5 }, author: 'mallory' } });
+    check('A save is authored by the token\'s name, not the body', first.status === 201 && first.body.version === 1 &&
+      first.body.author === 'alice', first);
+    const second = await request('/tenant:acme', { token: 'bot-token', body: { settings: { severityThreshold: 4, remediation: { gdpr: 'redact' } }, comment: 'Stricter' } });
+    check('Each save is the scope\'s next version', second.status === 201 && second.body.version === 2 && second.body.author === 'deploy-bot', second);
+
+    const effective = await request('?tenant=acme');
+    check('The tenant\'s settings apply to its callers', effective.body.settings?.severityThreshold === 4 &&
+      effective.body.versions?.['tenant:acme'] === 2, effective.body);
+
+    const rollback = await request('/tenant:acme/rollback', { token: 'alice-token', body: { version: 1 } });
+    check('A rollback saves the old settings as a new version', rollback.status === 201 && rollback.body.version === 3 &&
+      rollback.body.rolledBackFrom === 1 && rollback.body.author === 'alice' && rollback.body.settings.severityThreshold === 5, rollback);
+    check('A rollback needs a token too', (await request('/tenant:acme/rollback', { body: { version: 1 } })).status === 401);
+
+    const history = await request('/tenant:acme/history');
+    const changes = history.body.map(entry => entry.changes.map(change => `${change.path}:${change.before}>${change.after}`).join(' '));
+    check('History is newest first', history.body.map(entry => entry.version).join() === '3,2,1', history.body);
+    check('Every version lists its changes from the one before', changes.join() ===
+      'remediation.gdpr:redact>undefined severityThreshold:4>5,remediation.gdpr:undefined>redact severityThreshold:5>4,severityThreshold:undefined>5',
+    changes);
+
+    const diff = await request('/tenant:acme/diff?from=1&to=2');
+    check('Two versions can be diffed', diff.status === 200 && diff.body.changes.length === 2, diff);
+  } finally {
+    await backend.stop();
+  }
+
+  finish('All settings checks passed');
+}
+
+runSettingsTests().catch(error => {
+  console.error('❌ Settings test failed:', error);
+  process.exit(1);
+});
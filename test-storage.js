@@ -0,0 +1,499 @@
+#!/usr/bin/env node
+
+/**
+ * Conformance test for the storage backends
+ * Runs the same checks against every backend in src/storage: memory, JSONL and
+ * SQLite in a temporary directory, and Neo4j when NEO4J_URI, NEO4J_USERNAME and
+ * NEO4J_PASSWORD are set (the records it writes there are deleted afterwards).
+ * The durable backends are also closed and reopened to check nothing was lost.
+ * The query checks page through every sort with one-interaction pages and
+ * compare the result with the unpaged listing. The audit trail checks edit,
+ * delete and rewrite stored entries and expect verification to catch each.
+ * The erasure checks also read the JSONL and SQLite files to make sure the
+ * erased text is no longer in them.
+ */
+
+import { generateKeyPairSync } from 'node:crypto';
+import { mkdtemp, rm, appendFile, readFile, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { config } from 'dotenv';
+import { createStorage, parseInteractionQuery, encodeCursor, auditEntryHash, GENESIS_HASH } from './src/storage/index.js';
+import { chainAuditEntry } from './src/storage/auditChain.js';
+import { check, finish } from './test-helpers.js';
+
+config();
+
+const RUN_ID = `storagetest_${Date.now()}`;
+// Far enough ahead to be the newest interactions even in a database already in use
+const BASE_TIME = Date.UTC(2100, 0, 1);
+
+function makeInteraction(n, overrides = {}) {
+  return {
+    id: `${RUN_ID}_${n}`,
+    timestamp: new Date(BASE_TIME + n * 1000),
+    input: `Prompt ${n}`,
+    output: `Response ${n}`,
+    status: 'approved',
+    severity: 'low',
+    violations: [],
+    agentActions: [],
+    ...overrides
+  };
+}
+
+const violations = [
+  { type: 'bias', description: 'Biased wording', severity: 5.8, confidence: 0.9, reason: 'matched rule', regulatoryFramework: 'EU AI Act', location: 'output',
+    ruleId: 'bias-gendered-language', remediationSteps: ['Use neutral wording', 'Review the prompt'] },
+  { type: 'pii', description: 'Email address', severity: 6, confidence: 0.95, reason: 'matched rule' }
+];
+
+const review = (n, fields) => ({
+  interactionId: `${RUN_ID}_${n}`,
+  queuedAt: new Date(BASE_TIME),
+  dueAt: new Date(BASE_TIME + 3600000),
+  ...fields
+});
+
+async function checkBackend(storage) {
+  const scope = `tenant:${RUN_ID}`;
+
+  // Interactions and their violations
+  const first = makeInteraction(1, {
+    status: 'pending',
+    severity: 'medium',
+    violations,
+    inputVerdict: { phase: 'input', status: 'approved', severity: 'low', violations: [] },
+    sessionId: `${RUN_ID}_session`,
+    sessionRisk: { turnCount: 1, flaggedTurns: 1, riskScore: 5.8, riskLevel: 'medium' },
+    settingsVersions: { global: 2 },
+    claims: [{ text: 'Paris is in France.', start: 0, end: 19, verdict: 'supported', confidence: 0.9, summary: 'Correct', citations: ['https://example.org'] }],
+    generationError: { code: 'provider_failed', message: 'openai API error: 503' }
+  });
+  await storage.saveInteraction(first);
+  const stored = await storage.getInteraction(first.id);
+  check('Interaction is read back', stored?.id === first.id && stored.status === 'pending' && stored.severity === 'medium', stored);
+  check('Timestamp is read back as a Date', stored?.timestamp instanceof Date && stored.timestamp.getTime() === first.timestamp.getTime(), stored?.timestamp);
+  check('Nested fields are read back as objects', stored?.inputVerdict?.phase === 'input' && stored.settingsVersions?.global === 2 &&
+    stored.claims?.[0]?.verdict === 'supported' && stored.generationError?.code === 'provider_failed', stored);
+  check('Violations are read back in order', stored?.violations.map(v => v.type).join() === 'bias,pii', stored?.violations);
+  check('Violation fields are kept', stored?.violations[0].severity === 5.8 && stored.violations[0].regulatoryFramework === 'EU AI Act' && stored.violations[0].location === 'output', stored?.violations[0]);
+  check('Violation rule and remediation steps are kept', stored?.violations[0].ruleId === 'bias-gendered-language' &&
+    stored.violations[0].remediationSteps?.join('|') === 'Use neutral wording|Review the prompt' &&
+    stored.violations[1].ruleId === undefined && stored.violations[1].remediationSteps === undefined, stored?.violations);
+  check('Unknown interaction is null', (await storage.getInteraction(`${RUN_ID}_missing`)) === null);
+
+  // Saving again overwrites
+  await storage.saveInteraction({ ...first, output: 'Edited response' });
+  const resaved = await storage.getInteraction(first.id);
+  check('Saving again updates the interaction', resaved?.output === 'Edited response', resaved?.output);
+  check('Saving again does not duplicate violations', resaved?.violations.length === 2, resaved?.violations);
+  const listed = await storage.listInteractions({ since: new Date(BASE_TIME), limit: null });
+  check('Saving again does not duplicate the interaction', listed.filter(i => i.id === first.id).length === 1, listed.map(i => i.id));
+  await storage.saveInteraction({ ...first, output: 'Edited response', violations: [violations[1]] });
+  const fewer = await storage.getInteraction(first.id);
+  check('Saving again with fewer violations drops the rest', fewer?.violations.map(v => v.type).join() === 'pii', fewer?.violations);
+  await storage.saveInteraction({ ...first, output: 'Edited response' });
+
+  // Listing
+  await storage.saveInteraction(makeInteraction(2, {
+    sessionId: `${RUN_ID}_session`,
+    sessionRisk: { turnCount: 2, flaggedTurns: 1, riskScore: 2.9, riskLevel: 'low' },
+    ensemble: { strategy: 'strictest', verdicts: {}, agreement: true, decidedBy: 'legacy' }
+  }));
+  await storage.saveInteraction(makeInteraction(3, { status: 'blocked', severity: 'high', violations: [violations[0]] }));
+  const newest = await storage.listInteractions({ limit: 2 });
+  check('Listing is newest first and limited', newest.map(i => i.id).join() === `${RUN_ID}_3,${RUN_ID}_2`, newest.map(i => i.id));
+  const withEnsemble = await storage.listInteractions({ hasEnsemble: true, since: new Date(BASE_TIME), limit: null });
+  check('Listing filters on an ensemble verdict', withEnsemble.map(i => i.id).join() === `${RUN_ID}_2`, withEnsemble.map(i => i.id));
+
+  const stats = await storage.interactionStats({ since: new Date(BASE_TIME) });
+  check('Stats count statuses', stats.statusCounts.pending === 1 && stats.statusCounts.approved === 1 && stats.statusCounts.blocked === 1, stats.statusCounts);
+  check('Stats count violation types', stats.violationsByType.bias === 2 && stats.violationsByType.pii === 1, stats.violationsByType);
+  const future = await storage.interactionStats({ since: new Date(BASE_TIME + 86400000) });
+  check('Stats respect since', Object.keys(future.statusCounts).length === 0, future);
+
+  // Sessions
+  const session = await storage.getSession(`${RUN_ID}_session`);
+  check('Session keeps the latest risk', session?.turnCount === 2 && session.riskScore === 2.9 && session.riskLevel === 'low', session);
+  check('Session lists its interactions in turn order', session?.interactionIds.join() === `${RUN_ID}_1,${RUN_ID}_2`, session?.interactionIds);
+  check('Session times are Dates', session?.createdAt instanceof Date && session.updatedAt.getTime() === BASE_TIME + 2000, session);
+  const sessions = await storage.listSessions({ limit: 1000 });
+  check('Sessions are listed', sessions.some(s => s.id === `${RUN_ID}_session`), sessions.length);
+  check('Unknown session is null', (await storage.getSession(`${RUN_ID}_nosession`)) === null);
+
+  // Redacted originals
+  await storage.saveInteraction(makeInteraction(4, { input: 'Mail [EMAIL_1]', redactions: [{ placeholder: '[EMAIL_1]', type: 'pii' }] }), { input: 'Mail jane@example.com', output: 'Response 4' });
+  const original = await storage.getRedactedOriginal(`${RUN_ID}_4`);
+  check('Redacted original is stored', original?.input === 'Mail jane@example.com', original);
+  await storage.saveInteraction(makeInteraction(5), { input: 'Not redacted', output: '' });
+  check('Original is only stored for redacted interactions', (await storage.getRedactedOriginal(`${RUN_ID}_5`)) === null);
+
+  // Reviews
+  await storage.saveReview(review(1, { status: 'claimed', claimedBy: 'alice', claimedAt: new Date(BASE_TIME + 60000) }));
+  const claimed = await storage.getInteraction(first.id);
+  check('Review state is stored', claimed?.review?.status === 'claimed' && claimed.review.claimedBy === 'alice' && claimed.review.dueAt instanceof Date, claimed?.review);
+  const open = await storage.listInteractions({ reviewStatuses: ['queued', 'claimed', 'escalated'], since: new Date(BASE_TIME), limit: null });
+  check('Open reviews are listed', open.map(i => i.id).join() === first.id, open.map(i => i.id));
+  await storage.saveInteraction({ ...first, output: 'Edited again' });
+  check('Saving the interaction again keeps its review', (await storage.getInteraction(first.id))?.review?.status === 'claimed');
+  await storage.saveReview(review(1, { status: 'approved', decidedBy: 'alice', decidedAt: new Date(BASE_TIME + 120000), reason: 'Fine', finalStatus: 'approved' }));
+  const decided = await storage.getInteraction(first.id);
+  check('A final decision sets the status', decided?.status === 'approved' && decided.review?.reason === 'Fine', decided);
+
+  // Audit logs and feedback
+  const logged = await storage.addAuditLog(first.id, { agentName: 'HumanReview', action: 'approve', details: 'Approved', reviewer: 'alice', timestamp: new Date(BASE_TIME) });
+  await storage.addAuditLog(first.id, { agentName: 'AuditLogger', action: 'log', details: 'Logged', severity: 4, timestamp: new Date(BASE_TIME + 1000) });
+  const logs = await storage.listAuditLogs(first.id);
+  check('Audit log entry is returned with an id', typeof logged?.id === 'string' && logged.timestamp instanceof Date, logged);
+  check('Audit logs are listed oldest first', logs.map(l => l.action).join() === 'approve,log' && logs[1].severity === 4 && logs[0].reviewer === 'alice', logs);
+  check('Audit log for an unknown interaction is refused', (await storage.addAuditLog(`${RUN_ID}_missing`, { agentName: 'x', action: 'log', details: 'x' })) === null);
+
+  // The chain may already hold entries in a database in use, so positions are checked relative to the first one here
+  const chained = logs.map(l => ({ sequence: l.sequence, previousHash: l.previousHash, hash: l.hash }));
+  check('Audit entries are chained', Number.isInteger(logged?.sequence) && chained[1].sequence === logged.sequence + 1 &&
+    chained[1].previousHash === logged.hash && /^[0-9a-f]{64}$/.test(logged.hash), chained);
+  check('The first entry follows the genesis hash', logged.sequence !== 1 || logged.previousHash === GENESIS_HASH, logged);
+  check('Stored entries hash to their hash', logs.every(l => auditEntryHash(l) === l.hash), logs);
+  const elsewhere = await storage.appendAuditLog(`${RUN_ID}_elsewhere`, { agentName: 'AuditLoggerAgent', action: 'log', details: 'Stored elsewhere' });
+  check('Audit entries can be appended for interactions stored elsewhere', elsewhere?.sequence === logged.sequence + 2 &&
+    (await storage.listAuditLogs(`${RUN_ID}_elsewhere`)).length === 1, elsewhere);
+  const concurrent = await Promise.all([1, 2, 3, 4, 5].map(n => storage.appendAuditLog(`${RUN_ID}_elsewhere`, { agentName: 'x', action: 'log', details: `Concurrent ${n}` })));
+  const sequences = concurrent.map(l => l.sequence).sort((a, b) => a - b);
+  check('Concurrent appends take consecutive sequence numbers', sequences.every((sequence, index) => sequence === elsewhere.sequence + index + 1), sequences);
+  const listedChain = await storage.listAuditChain({ afterSequence: logged.sequence - 1, limit: 3 });
+  check('Audit chain is listed in sequence order', listedChain.map(l => l.id).join() === [logged.id, logs[1].id, elsewhere.id].join() &&
+    listedChain[1].severity === 4, listedChain);
+
+  const feedback = await storage.addFeedback(first.id, { rating: 'negative', comment: 'False positive' });
+  check('Feedback is stored', feedback?.rating === 'negative' && (await storage.listFeedback(first.id)).map(f => f.comment).join() === 'False positive', feedback);
+  check('Feedback for an unknown interaction is refused', (await storage.addFeedback(`${RUN_ID}_missing`, { rating: 'positive' })) === null);
+
+  // Settings versions
+  const v1 = await storage.saveSettings(scope, { settings: { severityThreshold: 5 }, author: 'alice' });
+  const v2 = await storage.saveSettings(scope, { settings: { severityThreshold: 3 }, author: 'bob', comment: 'Stricter', rolledBackFrom: 1 });
+  check('Settings versions are numbered from 1', v1.version === 1 && v2.version === 2, [v1.version, v2.version]);
+  check('Saved settings are returned', v2.settings.severityThreshold === 3 && v2.comment === 'Stricter' && v2.rolledBackFrom === 1 && v2.createdAt instanceof Date, v2);
+  check('Latest settings are the newest version', (await storage.latestSettings(scope))?.version === 2);
+  check('Settings history is newest first', (await storage.settingsHistory(scope)).map(v => v.version).join() === '2,1');
+  check('Settings versions can be read back', (await storage.getSettingsVersion(scope, 1))?.settings.severityThreshold === 5);
+  check('Unknown settings version is null', (await storage.getSettingsVersion(scope, 9)) === null);
+  check('Each scope is numbered separately', (await storage.saveSettings(`app:${RUN_ID}`, { settings: {}, author: 'alice' })).version === 1);
+  check('Scope without settings has none', (await storage.latestSettings(`app:${RUN_ID}_none`)) === null);
+}
+
+// Filters, sorting and cursor pagination, on interactions of their own time window
+async function checkQueries(storage) {
+  const at = (n) => new Date(BASE_TIME + n * 1000);
+  const action = (agentName, n) => ({ agentName, action: 'log', details: `${agentName} ran`, timestamp: at(n) });
+  await storage.saveInteraction(makeInteraction(10, {
+    input: 'Quarterly REPORT draft',
+    llmModel: 'gpt-4o',
+    agentActions: [action('LegacyPolicyEnforcer', 10)]
+  }));
+  await storage.saveInteraction(makeInteraction(11, {
+    status: 'blocked',
+    severity: 'critical',
+    llmModel: 'gpt-3.5-turbo',
+    violations: [
+      { type: 'pii', description: 'SSN', severity: 9, confidence: 0.9, regulatoryFramework: 'GDPR' },
+      { type: 'bias', description: 'Biased wording', severity: 4, confidence: 0.8, regulatoryFramework: 'EU AI Act' }
+    ],
+    agentActions: [action('LegacyPolicyEnforcer', 11), action('StreamGovernance', 11)]
+  }));
+  await storage.saveInteraction(makeInteraction(12, {
+    status: 'pending',
+    severity: 'medium',
+    output: 'See the report',
+    llmModel: 'gpt-4o',
+    violations: [{ type: 'bias', description: 'Biased wording', severity: 5.5, confidence: 0.8, regulatoryFramework: 'EU AI Act' }]
+  }));
+  await storage.saveInteraction(makeInteraction(13, {
+    status: 'blocked',
+    severity: 'high',
+    violations: [
+      { type: 'pii', description: 'Email', severity: 7, confidence: 0.9, regulatoryFramework: 'GDPR' },
+      { type: 'pii', description: 'Phone', severity: 3, confidence: 0.9, regulatoryFramework: 'CCPA' },
+      { type: 'hallucination', description: 'Made-up figure', severity: 6, confidence: 0.7 }
+    ]
+  }));
+
+  const window = { since: at(10), until: at(14) };
+  const ids = async (query) => (await storage.listInteractions({ ...window, limit: null, ...query }))
+    .map(interaction => interaction.id.slice(RUN_ID.length + 1))
+    .join();
+
+  const stored = await storage.getInteraction(`${RUN_ID}_11`);
+  check('Agent actions are read back in order', stored?.agentActions.map(a => a.agentName).join() === 'LegacyPolicyEnforcer,StreamGovernance' &&
+    stored.agentActions[0].timestamp instanceof Date, stored?.agentActions);
+  check('Model is read back', stored?.llmModel === 'gpt-3.5-turbo', stored?.llmModel);
+
+  check('Filter on status', (await ids({ statuses: ['blocked'] })) === '13,11', await ids({ statuses: ['blocked'] }));
+  check('Filter on severity', (await ids({ severities: ['critical', 'high'] })) === '13,11', await ids({ severities: ['critical', 'high'] }));
+  check('Filter on violation type', (await ids({ violationTypes: ['bias'] })) === '12,11', await ids({ violationTypes: ['bias'] }));
+  check('Filter on framework, any case', (await ids({ framework: 'eu ai' })) === '12,11', await ids({ framework: 'eu ai' }));
+  check('Violation criteria hold for the same violation',
+    (await ids({ violationTypes: ['pii'], minViolationSeverity: 8 })) === '11' &&
+    (await ids({ violationTypes: ['pii'], maxViolationSeverity: 4 })) === '13' &&
+    (await ids({ framework: 'gdpr', maxViolationSeverity: 7 })) === '',
+    await ids({ violationTypes: ['pii'], minViolationSeverity: 8 }));
+  check('Filter on agent', (await ids({ agents: ['StreamGovernance'] })) === '11', await ids({ agents: ['StreamGovernance'] }));
+  check('Filter on model', (await ids({ models: ['gpt-4o'] })) === '12,10', await ids({ models: ['gpt-4o'] }));
+  check('Search input and output, any case', (await ids({ search: 'report' })) === '12,10', await ids({ search: 'report' }));
+  check('Date range excludes its end', (await ids({ until: at(12) })) === '11,10', await ids({ until: at(12) }));
+
+  check('Sort by severity', (await ids({ sort: 'severity' })) === '11,13,12,10', await ids({ sort: 'severity' }));
+  check('Sort by violation count', (await ids({ sort: 'violations' })) === '13,11,12,10', await ids({ sort: 'violations' }));
+  check('Sort oldest first', (await ids({ order: 'asc' })) === '10,11,12,13', await ids({ order: 'asc' }));
+
+  for (const sort of ['timestamp', 'severity', 'violations']) {
+    for (const order of ['desc', 'asc']) {
+      const expected = await ids({ sort, order });
+      const paged = [];
+      let cursor;
+      for (let page = 0; page < 10; page++) {
+        const query = parseInteractionQuery({ sort, order, limit: '1', cursor });
+        const [next] = await storage.listInteractions({ ...window, sort, order, after: query.after, limit: 1 });
+        if (!next) break;
+        paged.push(next.id.slice(RUN_ID.length + 1));
+        cursor = encodeCursor(next, { sort, order });
+      }
+      check(`Cursor pages follow the ${sort} ${order} order`, paged.join() === expected, { paged, expected });
+    }
+  }
+
+  check('Count matches the filters', (await storage.countInteractions({ ...window, statuses: ['blocked'] })) === 2 &&
+    (await storage.countInteractions(window)) === 4);
+  const stats = await storage.interactionStats(window);
+  check('Stats count the matching interactions', stats.total === 4 && stats.statusCounts.blocked === 2, stats);
+  check('Stats count violations by framework and whole score', stats.violationsByFramework.GDPR === 2 && stats.violationsByFramework['EU AI Act'] === 2 &&
+    stats.violationsBySeverity['9'] === 1 && stats.violationsBySeverity['5'] === 1 && stats.violationsBySeverity['3'] === 1, stats);
+  check('Stats count agents and models', stats.actionsByAgent.LegacyPolicyEnforcer === 2 && stats.actionsByAgent.StreamGovernance === 1 &&
+    stats.interactionsByModel['gpt-4o'] === 2 && !(null in stats.interactionsByModel), stats);
+  const filteredStats = await storage.interactionStats({ ...window, models: ['gpt-4o'] });
+  check('Stats respect the filters', filteredStats.total === 2 && filteredStats.violationsByType.bias === 1, filteredStats);
+}
+
+// Tampering with stored audit entries is caught when the chain is verified; `storage` holds a fresh chain
+async function checkAuditTrail(storage, auditTrailService) {
+  auditTrailService.attach(storage);
+  for (let n = 1; n <= 4; n++) {
+    await auditTrailService.append(`${RUN_ID}_elsewhere`, { agentName: 'AuditLoggerAgent', action: 'log', details: `Entry ${n}`, severity: n });
+  }
+  const verification = await auditTrailService.verify();
+  check('Intact chain verifies', verification.valid && verification.entries === 4 && verification.head?.sequence === 4, verification);
+  const checkpoint = await auditTrailService.checkpoint();
+  const checkpointed = await auditTrailService.verify();
+  check('Checkpoint signs the head', checkpoint?.sequence === 4 && checkpointed.valid && checkpointed.checkpoints.verified === 1, checkpointed);
+  check('No checkpoint while the head has not moved', (await auditTrailService.checkpoint()) === null);
+  check('Entries without an interaction or details are refused', await auditTrailService.append(`${RUN_ID}_elsewhere`, { agentName: 'x', action: 'log' })
+    .then(() => false, error => error.status === 400));
+}
+
+const problems = async (auditTrailService) => (await auditTrailService.verify()).problems.map(p => p.problem);
+
+async function checkSqliteTampering(storage, auditTrailService) {
+  const { db } = storage;
+  db.prepare('UPDATE audit_logs SET details = ? WHERE sequence = 2').run('Edited');
+  let found = await problems(auditTrailService);
+  check('Edited entry is detected', found.join() === 'Entry 2 has changed since it was written', found);
+  db.prepare('UPDATE audit_logs SET details = ? WHERE sequence = 2').run('Entry 2');
+
+  const removed = db.prepare('SELECT * FROM audit_logs WHERE sequence = 3').get();
+  db.prepare('DELETE FROM audit_logs WHERE sequence = 3').run();
+  found = await problems(auditTrailService);
+  check('Deleted entry is detected', found.join() === 'Entry 3 is missing', found);
+  db.prepare(`INSERT INTO audit_logs (${Object.keys(removed).join(', ')}) VALUES (${Object.keys(removed).map(key => `@${key}`).join(', ')})`).run(removed);
+  check('Restored chain verifies again', (await auditTrailService.verify()).valid);
+
+  // Rewriting every entry from an edit onwards leaves a consistent chain; only the signed checkpoint shows it
+  const rows = db.prepare('SELECT * FROM audit_logs WHERE sequence IS NOT NULL ORDER BY sequence').all();
+  rows.slice(1).reduce((previous, row) => {
+    const rewritten = chainAuditEntry({ ...row, details: row.sequence === 2 ? 'Edited' : row.details }, previous);
+    db.prepare('UPDATE audit_logs SET details = @details, previousHash = @previousHash, hash = @hash WHERE sequence = @sequence').run(rewritten);
+    return rewritten;
+  }, rows[0]);
+  found = await problems(auditTrailService);
+  check('Rewritten chain is caught by the checkpoint', found.length === 1 && found[0].startsWith('Entry 4 differs from the checkpoint'), found);
+
+  db.prepare('UPDATE audit_checkpoints SET signature = ?').run(Buffer.alloc(64).toString('base64'));
+  found = await problems(auditTrailService);
+  check('Forged checkpoint signature is detected', found.includes('The checkpoint at entry 4 has an invalid signature'), found);
+}
+
+// Everything must still be there after closing and reopening a durable backend
+// Deleting and pseudonymising, and finding what mentions an identifier
+async function checkErasure(storage) {
+  const marker = `erase.me.${RUN_ID}`;
+  const id = (n) => `${RUN_ID}_${n}`;
+  const sessionRisk = { turnCount: 1, flaggedTurns: 0, riskScore: 0, riskLevel: 'low' };
+  await storage.saveInteraction(makeInteraction(30, { input: `Contact ${marker}`, sessionId: id('erasure'), sessionRisk }));
+  await storage.saveInteraction(makeInteraction(31, {
+    input: 'Mail [EMAIL_1]',
+    redactions: [{ placeholder: '[EMAIL_1]', type: 'pii' }],
+    sessionId: id('erasure'),
+    sessionRisk
+  }), { input: `Mail ${marker}`, output: 'Response 31' });
+  await storage.saveInteraction(makeInteraction(32, {
+    violations: [violations[0]],
+    agentActions: [{ agentName: 'PolicyEnforcerAgent', action: 'flag', details: `Flagged ${marker}` }]
+  }));
+  await storage.addFeedback(id(32), { rating: 'negative', comment: `I am ${marker}` });
+  await storage.saveInteraction(makeInteraction(33));
+  await storage.addAuditLog(id(30), { agentName: 'AuditLogger', action: 'log', details: 'Logged' });
+
+  const found = await storage.subjectInteractionIds(marker.toUpperCase());
+  check('Subject search covers text, originals, actions and feedback', found.join() === [id(30), id(31), id(32)].join(), found);
+  check('Subject search matches a session id', (await storage.subjectInteractionIds(id('erasure'))).join() === [id(30), id(31)].join());
+
+  const stored = await storage.getInteraction(id(32));
+  const [comment] = await storage.listFeedback(id(32));
+  const rewritten = await storage.pseudonymiseInteractions([
+    {
+      interaction: { ...stored, agentActions: [{ ...stored.agentActions[0], details: 'Flagged [ERASED]' }], pseudonymisedAt: new Date(BASE_TIME) },
+      feedback: [{ id: comment.id, comment: 'I am [ERASED]' }]
+    },
+    { interaction: makeInteraction(39, { pseudonymisedAt: new Date(BASE_TIME) }) }
+  ]);
+  check('Only stored interactions are pseudonymised', rewritten === 1, rewritten);
+  const pseudonymised = await storage.getInteraction(id(32));
+  check('Pseudonymised details and feedback replace the originals', pseudonymised?.agentActions[0]?.details === 'Flagged [ERASED]' &&
+    pseudonymised.violations.length === 1 && pseudonymised.pseudonymisedAt?.getTime() === BASE_TIME &&
+    (await storage.listFeedback(id(32)))[0]?.comment === 'I am [ERASED]', pseudonymised);
+  check('Pseudonymising does not store a new interaction', (await storage.getInteraction(id(39))) === null);
+  const window = { since: new Date(BASE_TIME + 30000), until: new Date(BASE_TIME + 34000) };
+  check('Listing filters on pseudonymisation', (await storage.listInteractions({ ...window, pseudonymised: true })).map(i => i.id).join() === id(32) &&
+    (await storage.countInteractions({ ...window, pseudonymised: false })) === 3);
+
+  const deleted = await storage.deleteInteractions([id(30), id(31), `${RUN_ID}_missing`]);
+  check('Deleting counts the interactions that were stored', deleted === 2, deleted);
+  check('Deleted interactions and originals are gone', (await storage.getInteraction(id(30))) === null && (await storage.getRedactedOriginal(id(31))) === null);
+  check('A session left without interactions is removed', (await storage.getSession(id('erasure'))) === null);
+  check('Audit entries of deleted interactions are kept', (await storage.listAuditLogs(id(30))).length === 1);
+  check('Other interactions are not erased', (await storage.getInteraction(id(33)))?.id === id(33));
+  check('Nothing mentions the identifier once erased', (await storage.subjectInteractionIds(marker)).length === 0);
+
+  if (storage.path) {
+    const files = storage.kind === 'sqlite' ? [storage.path, `${storage.path}-wal`] : [storage.path];
+    const contents = await Promise.all(files.map(file => readFile(file, 'latin1').catch(() => '')));
+    check('Erased text is not left in the files', contents.every(content => !content.includes(marker)));
+  }
+}
+
+async function checkReopened(storage) {
+  const scope = `tenant:${RUN_ID}`;
+  const stored = await storage.getInteraction(`${RUN_ID}_1`);
+  check('Reopened: interaction and review are kept', stored?.status === 'approved' && stored.review?.decidedBy === 'alice' && stored.violations.length === 2, stored);
+  check('Reopened: audit logs and feedback are kept', (await storage.listAuditLogs(`${RUN_ID}_1`)).length === 2 && (await storage.listFeedback(`${RUN_ID}_1`)).length === 1);
+  check('Reopened: session is kept', (await storage.getSession(`${RUN_ID}_session`))?.interactionIds.length === 2);
+  const queried = await storage.getInteraction(`${RUN_ID}_11`);
+  check('Reopened: agent actions and model are kept', queried?.agentActions.length === 2 && queried.llmModel === 'gpt-3.5-turbo', queried);
+  check('Reopened: redacted original is kept', (await storage.getRedactedOriginal(`${RUN_ID}_4`))?.input === 'Mail jane@example.com');
+  check('Reopened: settings numbering continues', (await storage.saveSettings(scope, { settings: {}, author: 'carol' })).version === 3);
+  check('Reopened: erasures are kept', (await storage.getInteraction(`${RUN_ID}_30`)) === null &&
+    (await storage.getInteraction(`${RUN_ID}_32`))?.pseudonymisedAt instanceof Date);
+}
+
+async function runBackend(name, env, cleanup) {
+  console.log(`\n🗄️ ${name}`);
+  let storage = await createStorage(env);
+  try {
+    await storage.init();
+    await checkBackend(storage);
+    await checkQueries(storage);
+    await checkErasure(storage);
+    if (storage.durable) {
+      await storage.close();
+      storage = await createStorage(env);
+      await storage.init();
+      await checkReopened(storage);
+    }
+  } catch (error) {
+    check(`${name} ran without errors`, false, error.stack);
+  } finally {
+    await cleanup?.(storage);
+    await storage.close();
+  }
+}
+
+async function runStorageTests() {
+  console.log('🧪 Testing storage backends...');
+  const dir = await mkdtemp(join(tmpdir(), 'ethoslens-storage-'));
+
+  try {
+    await runBackend('memory', { STORAGE_BACKEND: 'memory' });
+    await runBackend('jsonl', { STORAGE_BACKEND: 'jsonl', JSONL_PATH: join(dir, 'ethoslens.jsonl') });
+    await runBackend('sqlite', { STORAGE_BACKEND: 'sqlite', SQLITE_PATH: join(dir, 'ethoslens.db') });
+
+    // A crash during an append leaves half a line; the JSONL backend drops it and carries on
+    console.log('\n🗄️ jsonl after a crash');
+    const jsonlEnv = { STORAGE_BACKEND: 'jsonl', JSONL_PATH: join(dir, 'torn.jsonl') };
+    let storage = await createStorage(jsonlEnv);
+    await storage.init();
+    await storage.saveInteraction(makeInteraction(1));
+    await storage.close();
+    await appendFile(jsonlEnv.JSONL_PATH, '{"kind":"interaction","row":{"id":');
+    storage = await createStorage(jsonlEnv);
+    await storage.init();
+    await storage.saveInteraction(makeInteraction(2));
+    await storage.close();
+    storage = await createStorage(jsonlEnv);
+    await storage.init();
+    check('Torn last line is dropped and appending carries on', (await storage.listInteractions()).length === 2);
+    await storage.close();
+
+    // Checkpoints are signed with a key made for the run
+    process.env.AUDIT_SIGNING_KEY = generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' });
+    process.env.AUDIT_CHECKPOINT_INTERVAL_MS = String(60 * 60 * 1000);
+    const { auditTrailService } = await import('./src/services/auditTrailService.js');
+
+    console.log('\n🔗 audit trail (sqlite)');
+    storage = await createStorage({ STORAGE_BACKEND: 'sqlite', SQLITE_PATH: join(dir, 'audit.db') });
+    await storage.init();
+    await checkAuditTrail(storage, auditTrailService);
+    await checkSqliteTampering(storage, auditTrailService);
+    await storage.close();
+
+    console.log('\n🔗 audit trail (jsonl)');
+    const auditEnv = { STORAGE_BACKEND: 'jsonl', JSONL_PATH: join(dir, 'audit.jsonl') };
+    storage = await createStorage(auditEnv);
+    await storage.init();
+    await checkAuditTrail(storage, auditTrailService);
+    await storage.close();
+    await writeFile(auditEnv.JSONL_PATH, (await readFile(auditEnv.JSONL_PATH, 'utf8')).replace('"details":"Entry 2"', '"details":"Edited"'));
+    storage = await createStorage(auditEnv);
+    await storage.init();
+    auditTrailService.attach(storage);
+    const found = await problems(auditTrailService);
+    check('Edited log line is detected', found.join() === 'Entry 2 has changed since it was written', found);
+    await storage.close();
+
+    if (process.env.NEO4J_URI && process.env.NEO4J_USERNAME && process.env.NEO4J_PASSWORD) {
+      await runBackend('neo4j', { ...process.env, STORAGE_BACKEND: 'neo4j' }, async storage => {
+        const session = storage.driver.session();
+        try {
+          // Chained audit entries are left in place; deleting them would break the database's audit chain
+          await session.run(`
+            MATCH (n) WHERE (n.id STARTS WITH $prefix OR n.interactionId STARTS WITH $prefix OR n.scope ENDS WITH $prefix)
+              AND NOT (n:AuditLog AND n.sequence IS NOT NULL)
+            OPTIONAL MATCH (n)-[:HAS_ORIGINAL]->(o:RedactedOriginal)
+            DETACH DELETE n, o
+          `, { prefix: RUN_ID });
+        } finally {
+          await session.close();
+        }
+      });
+    } else {
+      console.log('\n⚠️ Skipping neo4j: NEO4J_URI, NEO4J_USERNAME and NEO4J_PASSWORD are not set');
+    }
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  finish('All backends conform');
+}
+
+runStorageTests().catch(error => {
+  console.error('❌ Storage test failed:', error);
+  process.exit(1);
+});
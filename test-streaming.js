@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Test for governed streaming
+ * Starts server.js against a scripted OpenAI-compatible upstream and streams
+ * completions from /api/copilotkit. A response the policy engine blocks with high
+ * (not critical) severity must never reach the client: the held-back output is
+ * replaced by a blocked ethosLens event. A clean response is relayed in full.
+ */
+
+import { createServer } from 'node:http';
+import { check, finish, startBackend } from './test-helpers.js';
+
+// Replies the scripted upstream streams, by prompt, in chunks of CHUNK_CHARS characters
+const REPLIES = {
+  'How can I contact the organiser?': 'Sure. You can reach her by writing to her address, which is jane@example.com, any time you like.',
+  'Tell me about Paris.': 'Paris is the capital of France and its largest city, on the river Seine.'
+};
+const CHUNK_CHARS = 10;
+
+function startUpstream() {
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', data => { body += data; });
+    req.on('end', () => {
+      const { messages, model } = JSON.parse(body);
+      const reply = REPLIES[messages[messages.length - 1].content] ?? 'No scripted reply.';
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      const chunk = (delta, finishReason = null) => ({
+        id: 'chatcmpl-scripted', object: 'chat.completion.chunk', created: 0, model,
+        choices: [{ index: 0, delta, finish_reason: finishReason }]
+      });
+      for (let i = 0; i < reply.length; i += CHUNK_CHARS) {
+        res.write(`data: ${JSON.stringify(chunk({ content: reply.slice(i, i + CHUNK_CHARS) }))}\n\n`);
+      }
+      res.write(`data: ${JSON.stringify(chunk({}, 'stop'))}\n\n`);
+      res.end('data: [DONE]\n\n');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// The relayed text and the ethosLens events of one streamed completion
+async function streamCompletion(url, prompt) {
+  const response = await fetch(`${url}/api/copilotkit`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ messages: [{ role: 'user', content: prompt }], stream: true })
+  });
+  let content = '';
+  const events = [];
+  for (const message of (await response.text()).split('\n\n').filter(Boolean)) {
+    const event = message.match(/^event: (.*)$/m)?.[1];
+    const data = message.match(/^data: (.*)$/m)?.[1];
+    if (!data || data === '[DONE]') continue;
+    if (event === 'ethosLens') events.push(JSON.parse(data));
+    else content += JSON.parse(data).choices.map(choice => choice.delta?.content || '').join('');
+  }
+  return { content, events };
+}
+
+async function runStreamingTests() {
+  console.log('🧪 Testing governed streaming...\n');
+
+  const upstream = await startUpstream();
+  const backend = await startBackend({
+    UPSTREAM_BASE_URL: `http://127.0.0.1:${upstream.address().port}`,
+    UPSTREAM_API_KEY: 'test-key',
+    STREAM_CHECK_INTERVAL_CHARS: '20'
+  });
+
+  try {
+    const blocked = await streamCompletion(backend.url, 'How can I contact the organiser?');
+    const blockedEvent = blocked.events.find(event => event.type === 'blocked');
+    const blockedFinal = blocked.events.find(event => event.type === 'final');
+    check('A high-severity block is announced with a blocked event', blockedEvent?.status === 'blocked' && blockedEvent.severity === 'high',
+      blocked.events);
+    check('The blocked output never reaches the client', !blocked.content.includes('jane@') && !blocked.content.includes('example.com'),
+      blocked.content);
+    check('Output relayed before the violation appeared is kept', REPLIES['How can I contact the organiser?'].startsWith(blocked.content) &&
+      blocked.content.length > 0, blocked.content);
+    check('The stored interaction is blocked and says how much was relayed', blockedFinal?.interaction.status === 'blocked' &&
+      blockedFinal.interaction.agentActions.some(action => action.agentName === 'StreamGovernance' &&
+        action.details === `Stream cut off after ${blocked.content.length} of ${REPLIES['How can I contact the organiser?'].length} characters`),
+    blockedFinal?.interaction);
+
+    const clean = await streamCompletion(backend.url, 'Tell me about Paris.');
+    check('A clean response is relayed in full', clean.content === REPLIES['Tell me about Paris.'], clean.content);
+    check('A clean response has no blocked event and is stored approved', !clean.events.some(event => event.type === 'blocked') &&
+      clean.events.find(event => event.type === 'final')?.interaction.status === 'approved', clean.events);
+  } finally {
+    await backend.stop();
+    upstream.close();
+  }
+
+  finish('All streaming checks passed');
+}
+
+runStreamingTests().catch(error => {
+  console.error('❌ Streaming test failed:', error);
+  process.exit(1);
+});